@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// API keys are configured as JSON: { "<key>": { "name": "ehr-sync", "scopes": ["appointments:read"] } }.
+// Outside production a full-access "demo-key" is provided when none are configured.
+const loadApiKeys = () => {
+  if (process.env.API_KEYS) {
+    return JSON.parse(process.env.API_KEYS);
+  }
+  return process.env.NODE_ENV === 'production' ? {} : { 'demo-key': { name: 'demo', scopes: ['*'] } };
+};
+
+const readOptionalFile = (file) => (file ? fs.readFileSync(file, 'utf8') : undefined);
+
+// Runtime configuration, read from environment variables.
+module.exports = {
+  port: process.env.PORT || 3000,
+  // Check every JSON response against the OpenAPI spec (development aid; adds overhead).
+  validateResponses: process.env.VALIDATE_RESPONSES === 'true',
+  auth: {
+    apiKeys: loadApiKeys(),
+    jwt: {
+      // HS256 tokens are verified with JWT_SECRET; RS256/ES256 tokens with the PEM public key.
+      secret: process.env.JWT_SECRET,
+      publicKey: process.env.JWT_PUBLIC_KEY || readOptionalFile(process.env.JWT_PUBLIC_KEY_FILE),
+      issuer: process.env.JWT_ISSUER,
+      audience: process.env.JWT_AUDIENCE,
+    },
+  },
+  idempotency: {
+    // How long an Idempotency-Key is remembered; retries with it get the original response until then.
+    ttlHours: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  },
+  webhooks: {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    // Delay before the first retry; each later retry waits twice as long.
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 10000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  },
+  waitlist: {
+    // How long a patient has to accept a freed slot before it rolls over to the next candidate.
+    offerTtlMinutes: Number(process.env.WAITLIST_OFFER_TTL_MINUTES) || 120,
+    sweepIntervalMs: Number(process.env.WAITLIST_SWEEP_INTERVAL_MS) || 60000,
+  },
+  holds: {
+    // How long a slot hold lasts unless the request asks for less (or more, up to the maximum).
+    ttlSeconds: Number(process.env.HOLD_TTL_SECONDS) || 300,
+    maxTtlSeconds: Number(process.env.HOLD_MAX_TTL_SECONDS) || 900,
+    sweepIntervalMs: Number(process.env.HOLD_SWEEP_INTERVAL_MS) || 30000,
+  },
+  reminders: {
+    // Lead times before each appointment at which reminders go out (units m, h or d).
+    offsets: (process.env.REMINDER_OFFSETS || '72h,24h,2h').split(',').map(o => o.trim()).filter(Boolean),
+  },
+  notifications: {
+    pollIntervalMs: Number(process.env.NOTIFICATION_POLL_INTERVAL_MS) || 30000,
+    maxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3,
+    // Delay before the first retry; each later retry waits twice as long.
+    retryBaseMs: Number(process.env.NOTIFICATION_RETRY_BASE_MS) || 60000,
+    // Messages on channels without a configured transport are written here (or to the console).
+    logFile: process.env.NOTIFICATION_LOG_FILE || null,
+    email: {
+      from: process.env.EMAIL_FROM || 'MediPro Reminders <reminders@medipro.example.com>',
+      smtp: process.env.SMTP_HOST ? {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      } : null,
+    },
+    sms: {
+      from: process.env.SMS_FROM || null,
+      // Messages are POSTed as JSON { from, to, body } to this URL, with SMS_WEBHOOK_TOKEN as a bearer token.
+      webhookUrl: process.env.SMS_WEBHOOK_URL || null,
+      token: process.env.SMS_WEBHOOK_TOKEN,
+    },
+  },
+  imports: {
+    // Largest file POST /imports accepts, e.g. "10mb".
+    maxFileSize: process.env.IMPORT_MAX_FILE_SIZE || '10mb',
+    // Rows imported per batch; batches run `batchIntervalMs` apart so other requests aren't held up.
+    batchSize: Number(process.env.IMPORT_BATCH_SIZE) || 100,
+    batchIntervalMs: Number(process.env.IMPORT_BATCH_INTERVAL_MS) || 200,
+  },
+  hl7: {
+    // MSH-3/4 on messages we send, and MSH-5/6 naming the partner system that receives them.
+    sendingApplication: process.env.HL7_SENDING_APPLICATION || 'MEDIPRO',
+    sendingFacility: process.env.HL7_SENDING_FACILITY || 'RELATIENT',
+    receivingApplication: process.env.HL7_RECEIVING_APPLICATION || '',
+    receivingFacility: process.env.HL7_RECEIVING_FACILITY || '',
+    // TCP port for the MLLP listener; unset disables it.
+    mllpPort: process.env.HL7_MLLP_PORT ? Number(process.env.HL7_MLLP_PORT) : null,
+    // Interface the MLLP listener binds to. MLLP has no authentication, so by default only
+    // local processes can reach it; set e.g. 0.0.0.0 only behind a firewall or VPN.
+    mllpHost: process.env.HL7_MLLP_HOST || '127.0.0.1',
+    // Largest message a connection may send; one that grows past this without ending is dropped.
+    mllpMaxMessageBytes: Number(process.env.HL7_MLLP_MAX_MESSAGE_BYTES) || 1024 * 1024,
+  },
+  db: {
+    // "memory" keeps data in-process (reset on every restart); "sqlite" persists it to DB_PATH.
+    driver: process.env.DB_DRIVER || 'memory',
+    path: process.env.DB_PATH || path.join(__dirname, 'data', 'relatient.db'),
+  },
+};
@@ -0,0 +1,12 @@
+// Record IDs: the collection's prefix and a random suffix, e.g. "app-lq2x8k1f3e9a0c47b5d21f6e".
+// The suffix leads with the creation time in base 36 so IDs sort roughly by age, followed by
+// 64 random bits, so IDs are never reused after deletes and don't collide between processes.
+// IDs use only letters, digits and "-", which keeps them valid FHIR resource IDs. Clients
+// should treat them as opaque.
+
+const crypto = require('crypto');
+
+const newId = (prefix) =>
+  `${prefix}-${Date.now().toString(36).padStart(9, '0')}${crypto.randomBytes(8).toString('hex')}`;
+
+module.exports = { newId };
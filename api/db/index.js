@@ -0,0 +1,22 @@
+// Selects the persistence backend configured by DB_DRIVER.
+//
+// Every store exposes the same repositories (one per entry in tables.js), each with
+// synchronous list / get / count / create / update / remove methods, so route handlers
+// don't need to know which backend is in use. Both stores version records the same way:
+// `version` starts at 1 and is bumped by every update.
+
+const config = require('../config');
+const seed = require('./seed');
+
+const createStore = ({ driver, path }) => {
+  switch (driver) {
+    case 'memory':
+      return require('./memory').createMemoryStore(seed);
+    case 'sqlite':
+      return require('./sqlite').createSqliteStore(path, seed);
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}". Expected "memory" or "sqlite".`);
+  }
+};
+
+module.exports = createStore(config.db);
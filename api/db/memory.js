@@ -0,0 +1,49 @@
+// In-process store. Data lives in plain arrays and is lost when the server restarts.
+
+const TABLES = require('./tables');
+const { newId } = require('./ids');
+
+const createRepository = (idPrefix, seedRecords) => {
+  const records = structuredClone(seedRecords).map(record => ({ ...record, version: 1 }));
+  const indexOf = (id) => records.findIndex(r => r.id === id);
+
+  return {
+    list: () => structuredClone(records),
+
+    get: (id) => {
+      const index = indexOf(id);
+      return index === -1 ? null : structuredClone(records[index]);
+    },
+
+    count: () => records.length,
+
+    create: (data) => {
+      const record = { id: newId(idPrefix), ...data, version: 1 };
+      records.push(structuredClone(record));
+      return record;
+    },
+
+    update: (id, record) => {
+      const index = indexOf(id);
+      if (index === -1) {
+        return null;
+      }
+      records[index] = structuredClone({ ...record, id, version: records[index].version + 1 });
+      return structuredClone(records[index]);
+    },
+
+    remove: (id) => {
+      const index = indexOf(id);
+      if (index === -1) {
+        return false;
+      }
+      records.splice(index, 1);
+      return true;
+    },
+  };
+};
+
+const createMemoryStore = (seed) =>
+  Object.fromEntries(TABLES.map(({ name, idPrefix }) => [name, createRepository(idPrefix, seed[name] || [])]));
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,15 @@
+// Applies pending SQLite migrations and loads seed data into empty tables.
+// Usage: npm run db:migrate
+
+const config = require('../config');
+const seed = require('./seed');
+const { openDatabase, migrate, seedIfEmpty } = require('./sqlite');
+
+const db = openDatabase(config.db.path);
+const applied = migrate(db);
+seedIfEmpty(db, seed);
+db.close();
+
+console.log(applied.length
+  ? `Applied migrations to ${config.db.path}: ${applied.join(', ')}`
+  : `${config.db.path} is already up to date.`);
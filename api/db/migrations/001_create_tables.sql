@@ -0,0 +1,20 @@
+-- Each record is stored as a JSON document keyed by its ID.
+-- Fields that are queried often get expression indexes.
+
+CREATE TABLE patients (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE TABLE providers (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE TABLE appointments (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX appointments_provider_date ON appointments (json_extract(data, '$.providerId'), json_extract(data, '$.date'));
+CREATE INDEX appointments_patient_date ON appointments (json_extract(data, '$.patientId'), json_extract(data, '$.date'));
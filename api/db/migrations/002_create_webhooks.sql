@@ -0,0 +1,11 @@
+CREATE TABLE webhooks (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE TABLE webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (json_extract(data, '$.webhookId'));
@@ -0,0 +1,11 @@
+CREATE TABLE waitlist_entries (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE TABLE waitlist_offers (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX waitlist_offers_status ON waitlist_offers (json_extract(data, '$.status'));
@@ -0,0 +1,6 @@
+CREATE TABLE appointment_series (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX appointments_series ON appointments (json_extract(data, '$.seriesId'));
@@ -0,0 +1,6 @@
+CREATE TABLE hl7_messages (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX hl7_messages_appointment ON hl7_messages (json_extract(data, '$.appointmentId'));
@@ -0,0 +1,12 @@
+CREATE TABLE notifications (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX notifications_status ON notifications (json_extract(data, '$.status'));
+CREATE INDEX notifications_appointment ON notifications (json_extract(data, '$.appointmentId'));
+
+CREATE TABLE reminder_templates (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
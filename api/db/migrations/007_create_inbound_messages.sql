@@ -0,0 +1,7 @@
+CREATE TABLE inbound_messages (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX inbound_messages_patient ON inbound_messages (json_extract(data, '$.patientId'));
+CREATE INDEX inbound_messages_needs_review ON inbound_messages (json_extract(data, '$.needsReview'));
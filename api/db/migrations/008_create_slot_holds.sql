@@ -0,0 +1,7 @@
+CREATE TABLE slot_holds (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX slot_holds_token ON slot_holds (json_extract(data, '$.token'));
+CREATE INDEX slot_holds_provider ON slot_holds (json_extract(data, '$.providerId'));
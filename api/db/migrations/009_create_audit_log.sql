@@ -0,0 +1,18 @@
+CREATE TABLE audit_log (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX audit_log_resource ON audit_log (json_extract(data, '$.resourceType'), json_extract(data, '$.resourceId'));
+CREATE INDEX audit_log_actor ON audit_log (json_extract(data, '$.actor'));
+
+-- The audit log is append-only.
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
@@ -0,0 +1,4 @@
+CREATE TABLE locations (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
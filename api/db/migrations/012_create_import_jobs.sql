@@ -0,0 +1,13 @@
+CREATE TABLE import_jobs (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX import_jobs_status ON import_jobs (json_extract(data, '$.status'));
+
+CREATE TABLE import_errors (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX import_errors_job ON import_errors (json_extract(data, '$.jobId'));
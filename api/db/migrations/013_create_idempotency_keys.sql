@@ -0,0 +1,6 @@
+CREATE TABLE idempotency_keys (
+  id TEXT PRIMARY KEY,
+  data TEXT NOT NULL CHECK (json_valid(data))
+);
+
+CREATE INDEX idempotency_keys_owner_key ON idempotency_keys (json_extract(data, '$.owner'), json_extract(data, '$.key'));
@@ -0,0 +1,20 @@
+-- Records now carry a version that is bumped on every update (optimistic concurrency).
+-- The audit log is append-only and its entries are never updated, so it is left as is.
+UPDATE patients SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE providers SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE locations SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE appointments SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE appointment_types SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE appointment_series SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE webhooks SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE webhook_deliveries SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE waitlist_entries SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE waitlist_offers SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE slot_holds SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE hl7_messages SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE notifications SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE reminder_templates SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE inbound_messages SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE import_jobs SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE import_errors SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
+UPDATE idempotency_keys SET data = json_set(data, '$.version', 1) WHERE json_extract(data, '$.version') IS NULL;
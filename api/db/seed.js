@@ -0,0 +1,245 @@
+// Mock records loaded into a fresh store for demonstration purposes.
+
+const patients = [
+  {
+    id: 'pat1',
+    firstName: 'Frank',
+    lastName: 'White',
+    dateOfBirth: '1985-03-20',
+    contactNumber: '555-555-555',
+    email: 'frank@aol.com',
+  },
+  {
+    id: 'pat2',
+    firstName: 'Bob',
+    lastName: 'Johnson',
+    dateOfBirth: '1992-11-05',
+    contactNumber: '555-333-4444',
+    email: 'bob@aol.com',
+  },
+];
+
+const locations = [
+  {
+    id: 'loc1',
+    name: 'Downtown Clinic',
+    timeZone: 'America/New_York',
+    address: {
+      line1: '100 Main Street',
+      line2: 'Suite 200',
+      city: 'Springfield',
+      state: 'NY',
+      postalCode: '10001',
+      country: 'US',
+    },
+    contactNumber: '555-100-2000',
+    rooms: [
+      { name: 'Exam 1', description: null },
+      { name: 'Exam 2', description: null },
+      { name: 'Procedure', description: 'Minor procedures and infusions' },
+    ],
+  },
+];
+
+const providers = [
+  {
+    id: 'prov1',
+    firstName: 'Dr. Emily',
+    lastName: 'White',
+    specialty: 'General Practice',
+    contactNumber: '555-777-8888',
+    email: 'emily.w@example.com',
+    gender: 'female',
+    languages: ['en', 'es'],
+    acceptedAges: null,
+    acceptingNewPatients: true,
+    appointmentTypes: null,
+    locationIds: ['loc1'],
+    workingHours: {
+      monday: [{ start: '09:00', end: '17:00' }],
+      tuesday: [{ start: '09:00', end: '17:00' }],
+      wednesday: [{ start: '09:00', end: '17:00' }],
+      thursday: [{ start: '09:00', end: '17:00' }],
+      friday: [{ start: '09:00', end: '13:00' }],
+    },
+    availabilityOverrides: [
+      { date: '2025-06-15', hours: [{ start: '09:00', end: '12:00' }] },
+    ],
+  },
+  {
+    id: 'prov2',
+    firstName: 'Dr. Michael',
+    lastName: 'Green',
+    specialty: 'Pediatrics',
+    contactNumber: '555-999-0000',
+    email: 'michael.g@example.com',
+    gender: 'male',
+    languages: ['en', 'fr'],
+    acceptedAges: { min: 0, max: 17 },
+    acceptingNewPatients: true,
+    appointmentTypes: ['Check-up', 'Follow-up', 'New Patient'],
+    locationIds: ['loc1'],
+    workingHours: {
+      monday: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '16:00' }],
+      wednesday: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '16:00' }],
+      friday: [{ start: '08:00', end: '12:00' }],
+    },
+    availabilityOverrides: [
+      { date: '2025-06-18', hours: [] },
+    ],
+  },
+];
+
+// Appointment type catalog. Empty `specialties` means any provider may perform the type.
+const appointmentTypes = [
+  {
+    id: 'typ1',
+    name: 'Check-up',
+    description: 'Routine examination.',
+    duration: 30,
+    bufferBefore: 0,
+    bufferAfter: 5,
+    specialties: [],
+    patientStatus: 'any',
+    ageRange: null,
+    prepInstructions: 'Bring a list of the medications you take.',
+  },
+  {
+    id: 'typ2',
+    name: 'Follow-up',
+    description: 'Review after a previous visit.',
+    duration: 20,
+    bufferBefore: 0,
+    bufferAfter: 0,
+    specialties: [],
+    patientStatus: 'established',
+    ageRange: null,
+    prepInstructions: null,
+  },
+  {
+    id: 'typ3',
+    name: 'New Patient',
+    description: 'First visit with a provider, including history and intake.',
+    duration: 60,
+    bufferBefore: 10,
+    bufferAfter: 5,
+    specialties: [],
+    patientStatus: 'new',
+    ageRange: null,
+    prepInstructions: 'Arrive 15 minutes early to complete intake forms, and bring your insurance card and photo ID.',
+  },
+  {
+    id: 'typ4',
+    name: 'Consultation',
+    description: null,
+    duration: 45,
+    bufferBefore: 0,
+    bufferAfter: 5,
+    specialties: [],
+    patientStatus: 'any',
+    ageRange: null,
+    prepInstructions: null,
+  },
+  {
+    id: 'typ5',
+    name: 'Well-Child Visit',
+    description: 'Growth and development check with scheduled vaccinations.',
+    duration: 30,
+    bufferBefore: 0,
+    bufferAfter: 5,
+    specialties: ['Pediatrics'],
+    patientStatus: 'any',
+    ageRange: { min: 0, max: 17 },
+    prepInstructions: "Bring your child's vaccination record.",
+  },
+  {
+    id: 'typ6',
+    name: 'Physical Therapy',
+    description: null,
+    duration: 60,
+    bufferBefore: 0,
+    bufferAfter: 10,
+    specialties: ['Physical Therapy'],
+    patientStatus: 'any',
+    ageRange: null,
+    prepInstructions: 'Wear loose, comfortable clothing.',
+  },
+  {
+    id: 'typ7',
+    name: 'Infusion',
+    description: null,
+    duration: 120,
+    bufferBefore: 15,
+    bufferAfter: 15,
+    specialties: ['Oncology', 'Rheumatology'],
+    patientStatus: 'established',
+    ageRange: { min: 18, max: null },
+    prepInstructions: 'Eat a light meal and drink plenty of water beforehand.',
+  },
+];
+
+const appointments = [
+  {
+    id: 'app1',
+    patientId: 'pat1',
+    providerId: 'prov1',
+    date: '2025-06-15T14:00:00Z',
+    locationId: 'loc1',
+    room: 'Exam 1',
+    timeZone: 'America/New_York',
+    localDate: '2025-06-15T10:00:00',
+    utcOffset: '-04:00',
+    type: 'Check-up',
+    duration: 30,
+    end: '2025-06-15T14:30:00Z',
+    bufferBefore: 0,
+    bufferAfter: 5,
+    status: 'scheduled',
+    statusHistory: [{ status: 'scheduled', at: '2025-06-01T09:12:00Z' }],
+  },
+  {
+    id: 'app2',
+    patientId: 'pat2',
+    providerId: 'prov2',
+    date: '2025-06-16T18:30:00Z',
+    locationId: 'loc1',
+    room: 'Exam 2',
+    timeZone: 'America/New_York',
+    localDate: '2025-06-16T14:30:00',
+    utcOffset: '-04:00',
+    type: 'Follow-up',
+    duration: 20,
+    end: '2025-06-16T18:50:00Z',
+    bufferBefore: 0,
+    bufferAfter: 0,
+    status: 'scheduled',
+    statusHistory: [{ status: 'scheduled', at: '2025-06-02T15:40:00Z' }],
+  },
+];
+
+// Default reminder wording, used for appointment types without their own templates.
+const reminderTemplates = [
+  {
+    id: 'tpl1',
+    name: 'Default email reminder',
+    appointmentType: null,
+    channel: 'email',
+    subject: 'Reminder: {{appointment.type}} on {{appointment.date}}',
+    body: 'Hi {{patient.firstName}},\n\nThis is a reminder of your {{appointment.type}} appointment with '
+      + '{{provider.firstName}} {{provider.lastName}} on {{appointment.date}} at {{appointment.time}}.\n\n'
+      + 'Reply to the text message we send you, or call us, if you need to reschedule.',
+    createdAt: '2025-06-01T00:00:00Z',
+  },
+  {
+    id: 'tpl2',
+    name: 'Default SMS reminder',
+    appointmentType: null,
+    channel: 'sms',
+    subject: null,
+    body: 'Reminder: {{appointment.type}} with {{provider.firstName}} {{provider.lastName}} on '
+      + '{{appointment.date}} at {{appointment.time}}. Reply C to confirm, R to reschedule or X to cancel.',
+    createdAt: '2025-06-01T00:00:00Z',
+  },
+];
+
+module.exports = { patients, providers, locations, appointmentTypes, appointments, reminderTemplates };
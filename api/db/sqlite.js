@@ -0,0 +1,104 @@
+// File-backed SQLite store. Records survive server restarts.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const TABLES = require('./tables');
+const { newId } = require('./ids');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Applies any migrations in db/migrations that haven't run yet, in filename order.
+ * Returns the names of the migrations that were applied.
+ */
+const migrate = (db) => {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const applied = new Set(db.prepare('SELECT name FROM schema_migrations').pluck().all());
+
+  const pending = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql') && !applied.has(file))
+    .sort();
+
+  const record = db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)');
+  for (const file of pending) {
+    db.transaction(() => {
+      db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+      record.run(file, new Date().toISOString());
+    })();
+  }
+  return pending;
+};
+
+const createRepository = (db, table, idPrefix) => {
+  const statements = {
+    list: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`).pluck(),
+    get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`).pluck(),
+    count: db.prepare(`SELECT COUNT(*) FROM ${table}`).pluck(),
+    insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+    update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+    remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+  };
+
+  return {
+    list: () => statements.list.all().map(data => JSON.parse(data)),
+
+    get: (id) => {
+      const data = statements.get.get(id);
+      return data === undefined ? null : JSON.parse(data);
+    },
+
+    count: () => statements.count.get(),
+
+    create: (data) => {
+      const record = { id: newId(idPrefix), ...data, version: 1 };
+      statements.insert.run(record.id, JSON.stringify(record));
+      return record;
+    },
+
+    update: (id, record) => {
+      const current = statements.get.get(id);
+      if (current === undefined) {
+        return null;
+      }
+      const updated = { ...record, id, version: JSON.parse(current).version + 1 };
+      statements.update.run(JSON.stringify(updated), id);
+      return updated;
+    },
+
+    remove: (id) => statements.remove.run(id).changes > 0,
+  };
+};
+
+// Inserts the seed records into any table that is still empty.
+const seedIfEmpty = (db, seed) => {
+  db.transaction(() => {
+    for (const { name, table } of TABLES) {
+      const records = seed[name] || [];
+      if (records.length === 0 || db.prepare(`SELECT COUNT(*) FROM ${table}`).pluck().get() > 0) {
+        continue;
+      }
+      const insert = db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+      records.forEach(record => insert.run(record.id, JSON.stringify({ ...record, version: 1 })));
+    }
+  })();
+};
+
+const openDatabase = (filename) => {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  return db;
+};
+
+const createSqliteStore = (filename, seed) => {
+  const db = openDatabase(filename);
+  migrate(db);
+  if (seed) {
+    seedIfEmpty(db, seed);
+  }
+
+  return Object.fromEntries(TABLES.map(({ name, table, idPrefix }) => [name, createRepository(db, table, idPrefix)]));
+};
+
+module.exports = { createSqliteStore, openDatabase, migrate, seedIfEmpty };
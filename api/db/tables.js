@@ -0,0 +1,23 @@
+// Collections exposed by every store: repository name, SQLite table and ID prefix.
+
+module.exports = [
+  { name: 'patients', table: 'patients', idPrefix: 'pat' },
+  { name: 'providers', table: 'providers', idPrefix: 'prov' },
+  { name: 'locations', table: 'locations', idPrefix: 'loc' },
+  { name: 'appointments', table: 'appointments', idPrefix: 'app' },
+  { name: 'appointmentTypes', table: 'appointment_types', idPrefix: 'typ' },
+  { name: 'appointmentSeries', table: 'appointment_series', idPrefix: 'ser' },
+  { name: 'webhooks', table: 'webhooks', idPrefix: 'wh' },
+  { name: 'webhookDeliveries', table: 'webhook_deliveries', idPrefix: 'dlv' },
+  { name: 'waitlist', table: 'waitlist_entries', idPrefix: 'wl' },
+  { name: 'waitlistOffers', table: 'waitlist_offers', idPrefix: 'wlo' },
+  { name: 'holds', table: 'slot_holds', idPrefix: 'hold' },
+  { name: 'hl7Messages', table: 'hl7_messages', idPrefix: 'hl7' },
+  { name: 'notifications', table: 'notifications', idPrefix: 'ntf' },
+  { name: 'reminderTemplates', table: 'reminder_templates', idPrefix: 'tpl' },
+  { name: 'inboundMessages', table: 'inbound_messages', idPrefix: 'msg' },
+  { name: 'auditLog', table: 'audit_log', idPrefix: 'aud' },
+  { name: 'importJobs', table: 'import_jobs', idPrefix: 'imp' },
+  { name: 'importErrors', table: 'import_errors', idPrefix: 'ierr' },
+  { name: 'idempotencyKeys', table: 'idempotency_keys', idPrefix: 'idem' },
+];
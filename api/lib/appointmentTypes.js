@@ -0,0 +1,42 @@
+// The appointment type catalog: how long each kind of visit takes, the buffer time the
+// provider needs around it, and who may perform and book it.
+//
+// Appointments refer to their type by name. Every booking is checked against the catalog
+// entry for its type (see scheduling.assertTypeAllowed).
+
+const db = require('../db');
+const { DEFAULT_APPOINTMENT_DURATION } = require('./availability');
+
+// The catalog entry named `name` (case-insensitive), or null.
+const findAppointmentType = (name) => {
+  const wanted = String(name).toLowerCase();
+  return db.appointmentTypes.list().find(t => t.name.toLowerCase() === wanted) || null;
+};
+
+// Default length in minutes for an appointment type, used when no explicit duration is given.
+const durationForType = (type) => {
+  const appointmentType = type && findAppointmentType(type);
+  return appointmentType ? appointmentType.duration : DEFAULT_APPOINTMENT_DURATION;
+};
+
+// Buffer minutes before and after a visit of `type`; none for types not in the catalog.
+const buffersForType = (type) => {
+  const appointmentType = type && findAppointmentType(type);
+  return {
+    bufferBefore: appointmentType ? appointmentType.bufferBefore : 0,
+    bufferAfter: appointmentType ? appointmentType.bufferAfter : 0,
+  };
+};
+
+// Returns an error message if a catalog entry's age range is inverted, otherwise null.
+const validateAppointmentType = ({ ageRange }) =>
+  ageRange && ageRange.min != null && ageRange.max != null && ageRange.min > ageRange.max
+    ? 'ageRange.min must not be greater than ageRange.max.'
+    : null;
+
+module.exports = {
+  findAppointmentType,
+  durationForType,
+  buffersForType,
+  validateAppointmentType,
+};
@@ -0,0 +1,187 @@
+// Audit trail of access to and changes of protected health information.
+//
+// Every read, create, update and delete of a patient, provider or appointment is logged with
+// the actor, the route that caused it and, for changes, a field-level before/after diff.
+// Changes are captured at the repository level (see trackChanges), so writes made by
+// background jobs, FHIR, HL7 and SMS handling are logged as well as direct API calls; reads
+// are whatever a request sends back (see middleware/audit.js).
+//
+// The log is append-only and hash-chained: each entry's hash covers its contents and the
+// previous entry's hash, so editing, removing or reordering entries breaks verifyChain.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('../db');
+
+// Audited repositories and the resource type their entries are logged under.
+const AUDITED_COLLECTIONS = {
+  patients: 'patient',
+  providers: 'provider',
+  appointments: 'appointment',
+};
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Hashed fields, in the order they are serialized.
+const HASHED_FIELDS = ['sequence', 'timestamp', 'actor', 'authMethod', 'action', 'resourceType', 'resourceId', 'route', 'changes', 'previousHash'];
+
+// The request (or job) currently running: { actor, authMethod, route, reads }.
+const context = new AsyncLocalStorage();
+
+const SYSTEM_ACTOR = { actor: 'system', authMethod: null, route: null };
+
+const hashEntry = (entry) =>
+  crypto.createHash('sha256').update(JSON.stringify(HASHED_FIELDS.map(field => entry[field]))).digest('hex');
+
+let head = null;
+
+// Latest entry's sequence number and hash, read from the store once and then kept up to date.
+const chainHead = () => {
+  if (!head) {
+    const entries = db.auditLog.list();
+    const last = entries[entries.length - 1];
+    head = last ? { sequence: last.sequence, hash: last.hash } : { sequence: 0, hash: GENESIS_HASH };
+  }
+  return head;
+};
+
+/**
+ * Appends an entry for `action` on a resource, attributed to the current request's actor
+ * (or "system" outside a request). `changes` is the field diff for creates, updates and
+ * deletes.
+ */
+const append = ({ action, resourceType, resourceId, changes = null }) => {
+  const { actor, authMethod, route } = context.getStore() || SYSTEM_ACTOR;
+  const { sequence, hash: previousHash } = chainHead();
+  const entry = {
+    sequence: sequence + 1,
+    timestamp: new Date().toISOString(),
+    actor,
+    authMethod,
+    action,
+    resourceType,
+    resourceId,
+    route,
+    changes,
+    previousHash,
+  };
+  entry.hash = hashEntry(entry);
+
+  const created = db.auditLog.create(entry);
+  head = { sequence: entry.sequence, hash: entry.hash };
+  return created;
+};
+
+// Field-level diff of two versions of a record: { field: { before, after } } for each field that differs.
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    const was = before && before[field] !== undefined ? before[field] : null;
+    const now = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(was) !== JSON.stringify(now)) {
+      changes[field] = { before: was, after: now };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Wraps the create, update and remove methods of the audited repositories so every change
+ * is logged with its diff, whichever code path makes it. Call once at startup, before any
+ * writes.
+ */
+const trackChanges = () => {
+  for (const [collection, resourceType] of Object.entries(AUDITED_COLLECTIONS)) {
+    const repository = db[collection];
+    const { create, update, remove } = repository;
+
+    repository.create = (data) => {
+      const record = create(data);
+      append({ action: 'create', resourceType, resourceId: record.id, changes: diff(null, record) });
+      return record;
+    };
+
+    repository.update = (id, record) => {
+      const before = repository.get(id);
+      const updated = update(id, record);
+      if (updated) {
+        append({ action: 'update', resourceType, resourceId: id, changes: diff(before, updated) });
+      }
+      return updated;
+    };
+
+    repository.remove = (id) => {
+      const before = repository.get(id);
+      const removed = remove(id);
+      if (removed) {
+        append({ action: 'delete', resourceType, resourceId: id, changes: diff(before, null) });
+      }
+      return removed;
+    };
+  }
+};
+
+/**
+ * Runs `fn(store)` with `actor` as the current actor; entries appended while it runs
+ * (including from async work it starts) are attributed to it. `store.reads` collects the
+ * reads noted meanwhile, for flushReads.
+ */
+const runAs = ({ actor, authMethod, route }, fn) => {
+  const store = { actor, authMethod, route, reads: new Map() };
+  return context.run(store, () => fn(store));
+};
+
+// The resource type of an audited record, or null. Records are matched by ID.
+const resourceTypeOf = (record) => {
+  if (!record || typeof record.id !== 'string') {
+    return null;
+  }
+  const collection = Object.keys(AUDITED_COLLECTIONS).find(name => db[name].get(record.id));
+  return collection ? AUDITED_COLLECTIONS[collection] : null;
+};
+
+/**
+ * Notes that the current request disclosed `records`. Noted reads are logged once per
+ * resource when the request succeeds (see middleware/audit.js).
+ */
+const noteReads = (records) => {
+  const store = context.getStore();
+  if (!store) {
+    return;
+  }
+  for (const record of [].concat(records)) {
+    const resourceType = resourceTypeOf(record);
+    if (resourceType) {
+      store.reads.set(`${resourceType}/${record.id}`, { resourceType, resourceId: record.id });
+    }
+  }
+};
+
+// Logs the reads noted in `store`, attributed to its actor.
+const flushReads = (store) => context.run(store, () => {
+  store.reads.forEach(({ resourceType, resourceId }) => append({ action: 'read', resourceType, resourceId }));
+  store.reads.clear();
+});
+
+/**
+ * Recomputes the hash chain. Returns `{ valid, entries }` and, when the chain is broken,
+ * the first entry that doesn't check out and why.
+ */
+const verifyChain = () => {
+  const log = db.auditLog.list();
+  let previousHash = GENESIS_HASH;
+  for (const [index, entry] of log.entries()) {
+    const problem =
+      (entry.sequence !== index + 1 && `expected sequence ${index + 1}, found ${entry.sequence}`) ||
+      (entry.previousHash !== previousHash && 'previousHash does not match the preceding entry') ||
+      (hashEntry(entry) !== entry.hash && 'hash does not match the entry contents');
+    if (problem) {
+      return { valid: false, entries: log.length, brokenAt: entry.id, reason: problem };
+    }
+    previousHash = entry.hash;
+  }
+  return { valid: true, entries: log.length };
+};
+
+module.exports = { AUDITED_COLLECTIONS, trackChanges, runAs, noteReads, flushReads, verifyChain };
@@ -0,0 +1,196 @@
+// Helpers for computing provider availability from working hours and booked appointments.
+// Working hours and overrides are wall-clock times in the provider's timezone; everything
+// else is handled as UTC instants.
+
+const { toWallClock, fromWallClock } = require('./timezones');
+
+// Length of slots and of visits whose type isn't in the catalog (see appointmentTypes.js).
+const DEFAULT_APPOINTMENT_DURATION = 30; // minutes
+// Appointment statuses that occupy time on the provider's and patient's calendars.
+const BLOCKING_STATUSES = ['scheduled', 'confirmed', 'checked-in', 'completed'];
+const MAX_AVAILABILITY_RANGE_DAYS = 31;
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidWindow = (window) =>
+  window &&
+  TIME_PATTERN.test(window.start) &&
+  TIME_PATTERN.test(window.end) &&
+  toMinutes(window.start) < toMinutes(window.end);
+
+/**
+ * Returns an error message if the working hours object is malformed, otherwise null.
+ * Expected shape: { monday: [{ start: '09:00', end: '17:00' }], ... }
+ */
+const validateWorkingHours = (workingHours) => {
+  if (typeof workingHours !== 'object' || workingHours === null || Array.isArray(workingHours)) {
+    return 'workingHours must be an object keyed by day of week.';
+  }
+  for (const [day, windows] of Object.entries(workingHours)) {
+    if (!DAYS.includes(day)) {
+      return `Unknown day "${day}" in workingHours.`;
+    }
+    if (!Array.isArray(windows) || !windows.every(isValidWindow)) {
+      return `workingHours.${day} must be a list of { start, end } times in HH:MM format.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns an error message if the overrides list is malformed, otherwise null.
+ * Expected shape: [{ date: '2025-06-16', hours: [{ start: '09:00', end: '12:00' }] }]
+ * An empty hours list marks the provider as unavailable for that date.
+ */
+const validateAvailabilityOverrides = (overrides) => {
+  if (!Array.isArray(overrides)) {
+    return 'availabilityOverrides must be an array.';
+  }
+  for (const override of overrides) {
+    if (!override || !DATE_PATTERN.test(override.date)) {
+      return 'Each availability override needs a date in YYYY-MM-DD format.';
+    }
+    if (!Array.isArray(override.hours) || !override.hours.every(isValidWindow)) {
+      return `Override for ${override.date} must have a list of { start, end } times in HH:MM format.`;
+    }
+  }
+  return null;
+};
+
+// Working windows for a single local day (a wall-clock midnight), honoring date-specific overrides.
+const windowsForDay = (provider, day) => {
+  const date = day.toISOString().slice(0, 10);
+  const override = (provider.availabilityOverrides || []).find(o => o.date === date);
+  if (override) {
+    return override.hours;
+  }
+  return (provider.workingHours || {})[DAYS[day.getUTCDay()]] || [];
+};
+
+const appointmentInterval = (appt) => {
+  const start = new Date(appt.date).getTime();
+  return { start, end: start + (appt.duration || DEFAULT_APPOINTMENT_DURATION) * MINUTE };
+};
+
+// The time an appointment keeps its provider and room busy: the visit plus its buffers.
+const blockedInterval = (appt) => {
+  const { start, end } = appointmentInterval(appt);
+  return { start: start - (appt.bufferBefore || 0) * MINUTE, end: end + (appt.bufferAfter || 0) * MINUTE };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Finds the first blocking appointment that overlaps `candidate` for the same provider, patient
+ * or room. Returns { appointment, conflictWith: 'provider' | 'patient' | 'room' } or null when
+ * the slot is free. Buffers count for the provider and room but not for the patient.
+ * The candidate itself (matched by id) is ignored so updates don't clash with their old version.
+ */
+const findConflict = (appointments, candidate) => {
+  const visit = appointmentInterval(candidate);
+  const blocked = blockedInterval(candidate);
+
+  for (const appt of appointments) {
+    if (appt.id === candidate.id || !BLOCKING_STATUSES.includes(appt.status)) {
+      continue;
+    }
+    if (appt.providerId === candidate.providerId && overlaps(blocked, blockedInterval(appt))) {
+      return { appointment: appt, conflictWith: 'provider' };
+    }
+    if (appt.patientId === candidate.patientId && overlaps(visit, appointmentInterval(appt))) {
+      return { appointment: appt, conflictWith: 'patient' };
+    }
+    const sameRoom = candidate.room && appt.room === candidate.room && appt.locationId === candidate.locationId;
+    if (sameRoom && overlaps(blocked, blockedInterval(appt))) {
+      return { appointment: appt, conflictWith: 'room' };
+    }
+  }
+  return null;
+};
+
+/**
+ * Holds that still reserve provider time: active and not yet past their expiry (the
+ * expiry sweep may not have caught up). The hold named by `exceptToken` is left out so
+ * its holder still sees the slot as free.
+ */
+const activeHolds = (holds, { exceptToken, now = new Date() } = {}) =>
+  holds.filter(h => h.status === 'active' && new Date(h.expiresAt) > now && (!exceptToken || h.token !== exceptToken));
+
+/**
+ * Finds the first of `holds` that overlaps `candidate` for the same provider, or null.
+ */
+const findHold = (holds, candidate) => {
+  const blocked = blockedInterval(candidate);
+  return holds.find(hold => hold.providerId === candidate.providerId && overlaps(blocked, blockedInterval(hold))) || null;
+};
+
+/**
+ * Computes open slots of `duration` minutes for a provider between `from` and `to` (Date objects),
+ * reading working hours as wall-clock times in `timeZone`. On days with a DST change a
+ * window is as long as the clock says: an hour shorter or longer. Slots are laid
+ * back-to-back from the start of each working window and any slot that, with
+ * `bufferBefore` and `bufferAfter` minutes around it, overlaps one of the provider's booked
+ * appointments (and their buffers) or active `holds` is dropped. Deactivated providers have
+ * no open slots.
+ */
+const findOpenSlots = (provider, appointments, from, to, duration, holds = [], { timeZone = 'UTC', bufferBefore = 0, bufferAfter = 0 } = {}) => {
+  if (provider.deactivatedAt) {
+    return [];
+  }
+  const booked = [...appointments.filter(a => BLOCKING_STATUSES.includes(a.status)), ...holds]
+    .filter(a => a.providerId === provider.id)
+    .map(blockedInterval);
+
+  // Window edges inside a DST gap move forward, so a 02:00 start on a spring-forward day opens at 03:00.
+  const instant = (wallClock) => fromWallClock(new Date(wallClock), timeZone, { strict: false }).getTime();
+
+  const slots = [];
+  const localFrom = toWallClock(from, timeZone);
+  const firstDay = Date.UTC(localFrom.getUTCFullYear(), localFrom.getUTCMonth(), localFrom.getUTCDate());
+  const lastDay = toWallClock(to, timeZone).getTime();
+
+  for (let dayStart = firstDay; dayStart < lastDay; dayStart += DAY) {
+    for (const window of windowsForDay(provider, new Date(dayStart))) {
+      const windowEnd = instant(dayStart + toMinutes(window.end) * MINUTE);
+
+      for (
+        let start = instant(dayStart + toMinutes(window.start) * MINUTE);
+        start + duration * MINUTE <= windowEnd;
+        start += duration * MINUTE
+      ) {
+        const end = start + duration * MINUTE;
+        if (start < from.getTime() || end > to.getTime()) {
+          continue;
+        }
+        const blocked = { start: start - bufferBefore * MINUTE, end: end + bufferAfter * MINUTE };
+        if (booked.some(b => overlaps(blocked, b))) {
+          continue;
+        }
+        slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+      }
+    }
+  }
+
+  return slots;
+};
+
+module.exports = {
+  DEFAULT_APPOINTMENT_DURATION,
+  BLOCKING_STATUSES,
+  MAX_AVAILABILITY_RANGE_DAYS,
+  validateWorkingHours,
+  validateAvailabilityOverrides,
+  findConflict,
+  activeHolds,
+  findHold,
+  findOpenSlots,
+};
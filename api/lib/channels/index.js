@@ -0,0 +1,17 @@
+// Picks the channel adapters for the configured transports: SMTP for email and the HTTP
+// adapter for SMS when they are configured, otherwise the log adapter.
+
+const { createLogAdapter } = require('./log');
+const { createSmtpAdapter } = require('./smtp');
+const { createHttpSmsAdapter } = require('./sms');
+
+const createAdapters = ({ logFile, email, sms }) => ({
+  email: email.smtp
+    ? createSmtpAdapter({ ...email.smtp, from: email.from })
+    : createLogAdapter({ channel: 'email', file: logFile }),
+  sms: sms.webhookUrl
+    ? createHttpSmsAdapter({ url: sms.webhookUrl, token: sms.token, from: sms.from })
+    : createLogAdapter({ channel: 'sms', file: logFile }),
+});
+
+module.exports = { createAdapters };
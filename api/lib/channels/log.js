@@ -0,0 +1,24 @@
+// Channel adapter that records messages instead of sending them: one JSON line per
+// message, appended to `file` when set and printed to the console otherwise. Useful in
+// development and as the fallback when no real email or SMS transport is configured.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const createLogAdapter = ({ channel, file }) => ({
+  name: 'log',
+  send: async ({ to, subject, body }) => {
+    const id = `log_${crypto.randomUUID()}`;
+    const line = JSON.stringify({ id, channel, to, subject, body, at: new Date().toISOString() });
+    if (file) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${line}\n`);
+    } else {
+      console.log(`[${channel}] ${line}`);
+    }
+    return { id };
+  },
+});
+
+module.exports = { createLogAdapter };
@@ -0,0 +1,28 @@
+// SMS channel adapters.
+//
+// An SMS adapter is any object with `name` and `send({ to, body })` returning a promise of
+// `{ id }`, the provider's message ID; it should reject when the provider refuses the
+// message. The HTTP adapter below posts `{ from, to, body }` as JSON to a configurable URL
+// so a local stand-in or a small bridge to a real SMS provider can receive messages.
+
+const createHttpSmsAdapter = ({ url, token, from, timeoutMs = 10000 }) => ({
+  name: 'http',
+  send: async ({ to, body }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ from, to, body }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`SMS provider responded with HTTP ${response.status}.`);
+    }
+    const result = await response.json().catch(() => ({}));
+    return { id: result.id || result.sid || null };
+  },
+});
+
+module.exports = { createHttpSmsAdapter };
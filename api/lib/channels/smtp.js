@@ -0,0 +1,23 @@
+// Email channel adapter sending plain-text mail over SMTP. Works against a local SMTP sink
+// (MailHog, smtp4dev, ...) as well as a real relay.
+
+const nodemailer = require('nodemailer');
+
+const createSmtpAdapter = ({ host, port, secure, user, pass, from }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {}),
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, body }) => {
+      const info = await transport.sendMail({ from, to, subject, text: body });
+      return { id: info.messageId };
+    },
+  };
+};
+
+module.exports = { createSmtpAdapter };
@@ -0,0 +1,42 @@
+// Optimistic concurrency control. The store gives every record a `version` that goes up by
+// one on each update. GET responses carry it as the ETag, and writes that send it back in
+// If-Match are refused with 412 if someone else has changed the record in the meantime, so
+// concurrent edits can't silently overwrite each other. Writes without If-Match go ahead.
+
+// A write whose If-Match names an out-of-date version. Shaped like SchedulingError
+// (status, code, details) so routes can send it the same way.
+class PreconditionFailedError extends Error {
+  constructor(record) {
+    super(`${record.id} has changed since it was read (it is now at version ${record.version}). Fetch it again and reapply your changes.`);
+    this.status = 412;
+    this.code = 'PRECONDITION_FAILED';
+    this.details = { currentVersion: record.version };
+  }
+}
+
+const etag = (record) => `"${record.version}"`;
+
+// Sets the ETag header for `record` and returns the response for chaining.
+const withEtag = (res, record) => res.set('ETag', etag(record));
+
+// Whether an If-Match header value names the record's current version. If-Match uses the
+// strong comparison (RFC 9110, section 13.1.1), so weak tags never match.
+const ifMatchSatisfied = (header, record) =>
+  header.split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === etag(record));
+
+/**
+ * Throws a PreconditionFailedError (412) when the request has an If-Match header that doesn't match
+ * `record`'s current version. Does nothing for requests without If-Match, or when there is
+ * no record (the caller reports the 404).
+ */
+const assertIfMatch = (req, record) => {
+  const header = req.get('If-Match');
+  if (!header || !record || ifMatchSatisfied(header, record)) {
+    return;
+  }
+  throw new PreconditionFailedError(record);
+};
+
+module.exports = { PreconditionFailedError, etag, withEtag, assertIfMatch };
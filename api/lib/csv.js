@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reading and writing for bulk import and export: comma separated,
+// fields optionally double-quoted (with "" for a literal quote), CRLF or LF line endings.
+
+class CsvError extends Error {}
+
+/**
+ * Parses CSV text into an array of rows, each an array of field strings. Quoted fields may
+ * span lines. Blank lines are skipped. Throws a CsvError for an unterminated quote.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) {
+    throw new CsvError('Unterminated quoted field at the end of the file.');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+// Quotes a field if it contains a separator, quote or line break.
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with CRLF) for `values`.
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+module.exports = { CsvError, parseCsv, csvLine };
@@ -0,0 +1,104 @@
+// Relationship-aware deletion of patients and providers.
+//
+// A record with upcoming appointments can't be deleted unless the caller chooses to
+// cascade, which cancels those appointments and tells the patients. Records that
+// appointments still refer to (past ones, or those just cancelled) are deactivated
+// instead of removed, so appointment history and `?expand=` keep resolving; the
+// `deactivate` mode does that even for records nothing refers to.
+
+const db = require('../db');
+const { publish } = require('./events');
+const { canTransition } = require('./lifecycle');
+const { outbox } = require('./outbox');
+const { templateContext, render, recipients } = require('./reminders');
+const { SchedulingError, transitionAppointment } = require('./scheduling');
+
+// Message queued for each patient whose appointment a cascading delete cancels.
+const CANCELLATION_TEXT = {
+  patient: 'Your {{appointment.type}} appointment on {{appointment.date}} at {{appointment.time}} has been cancelled. '
+    + 'Please call the clinic if you have any questions.',
+  provider: 'Your {{appointment.type}} appointment with {{provider.firstName}} {{provider.lastName}} on {{appointment.date}} '
+    + 'at {{appointment.time}} has been cancelled because the provider is no longer available. Please call us to book a new time.',
+};
+
+const KINDS = {
+  patient: { collection: 'patients', field: 'patientId', label: 'Patient' },
+  provider: { collection: 'providers', field: 'providerId', label: 'Provider' },
+};
+
+const notifyCancellation = (appointment, kind) => {
+  const patient = db.patients.get(appointment.patientId);
+  if (!patient) {
+    return [];
+  }
+  const context = templateContext(appointment, patient, db.providers.get(appointment.providerId));
+  const body = render(CANCELLATION_TEXT[kind], context);
+  return recipients(patient).map(({ channel, to }) => outbox.enqueue({
+    kind: 'cancellation',
+    appointmentId: appointment.id,
+    patientId: patient.id,
+    channel,
+    to,
+    subject: channel === 'email' ? render('Your {{appointment.type}} appointment has been cancelled', context) : null,
+    body,
+  }));
+};
+
+/**
+ * Deletes the patient or provider (`kind`) with `id` according to `mode`:
+ *
+ * - `restrict` (default): refuses with 409 while it has upcoming appointments.
+ * - `cascade`: cancels upcoming appointments and notifies their patients first.
+ * - `deactivate`: like `restrict`, but always keeps the record, marked inactive.
+ *
+ * Returns `{ outcome, record, cancelledAppointmentIds }` where `outcome` is `deleted` or
+ * `deactivated`.
+ */
+const deleteRecord = (kind, id, { mode = 'restrict' } = {}) => {
+  const { collection, field, label } = KINDS[kind];
+  const record = db[collection].get(id);
+  if (!record) {
+    throw new SchedulingError(404, `${kind.toUpperCase()}_NOT_FOUND`, `${label} with ID ${id} not found.`);
+  }
+
+  const now = new Date();
+  const referencing = db.appointments.list().filter(a => a[field] === id);
+  const upcoming = referencing.filter(a => canTransition(a.status, 'cancelled') && new Date(a.date) > now);
+  if (upcoming.length > 0 && mode !== 'cascade') {
+    throw new SchedulingError(
+      409,
+      'HAS_UPCOMING_APPOINTMENTS',
+      `${label} ${id} has ${upcoming.length} upcoming appointment(s). Cancel or move them first, or delete with `
+        + 'mode=cascade to cancel them and notify the patients.',
+      { appointmentIds: upcoming.map(a => a.id) }
+    );
+  }
+
+  if (referencing.length === 0 && mode !== 'deactivate') {
+    db[collection].remove(id);
+    publish(`${kind}.deleted`, record);
+    return { outcome: 'deleted', record, cancelledAppointmentIds: [] };
+  }
+
+  // Deactivated before cancelling so the freed slots of a departing provider aren't
+  // offered to the waitlist.
+  let deactivated = record;
+  if (!record.deactivatedAt) {
+    deactivated = db[collection].update(id, { ...record, active: false, deactivatedAt: now.toISOString() });
+    publish(`${kind}.deactivated`, deactivated);
+  }
+
+  const cancelled = upcoming.map(appointment => {
+    const saved = transitionAppointment(appointment.id, 'cancelled', `${label} deleted`);
+    notifyCancellation(saved, kind);
+    return saved;
+  });
+
+  return { outcome: 'deactivated', record: deactivated, cancelledAppointmentIds: cancelled.map(a => a.id) };
+};
+
+// Responds to a DELETE: 204 when the record is gone, otherwise the deactivation summary.
+const sendDeletion = (res, { outcome, record, cancelledAppointmentIds }) =>
+  outcome === 'deleted' ? res.status(204).send() : res.json({ outcome, record, cancelledAppointmentIds });
+
+module.exports = { deleteRecord, sendDeletion };
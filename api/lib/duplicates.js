@@ -0,0 +1,205 @@
+// Duplicate patient detection and merging.
+//
+// Candidates are scored by weighted evidence: matching date of birth (with partial credit
+// for a likely typo), Jaro-Winkler similarity of first and last names, and identical phone
+// numbers or email addresses. A score of DUPLICATE_THRESHOLD or more is reported as a
+// possible duplicate.
+//
+// Merging folds a duplicate into a surviving record: everything that referenced the
+// duplicate is re-pointed and the duplicate is kept as a tombstone (`mergedInto`) so old
+// IDs still resolve.
+
+const db = require('../db');
+const { publish } = require('./events');
+const { SchedulingError } = require('./scheduling');
+
+const DUPLICATE_THRESHOLD = 0.7;
+
+const WEIGHTS = {
+  dateOfBirth: 0.35,
+  dateOfBirthTypo: 0.15,
+  lastName: 0.25,
+  firstName: 0.2,
+  contactNumber: 0.1,
+  email: 0.1,
+};
+
+// Names need to be this similar before they count at all.
+const MIN_NAME_SIMILARITY = 0.8;
+
+// Collections whose records carry a patientId that follows the patient into a merge.
+const PATIENT_REFERENCES = [
+  'appointments',
+  'appointmentSeries',
+  'waitlist',
+  'waitlistOffers',
+  'holds',
+  'notifications',
+  'inboundMessages',
+];
+
+// Jaro-Winkler similarity between two strings, from 0 (nothing alike) to 1 (identical).
+const jaroWinkler = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j <= Math.min(b.length - 1, i + range); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[j]) j++;
+      if (a[i] !== b[j]) transpositions++;
+      j++;
+    }
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/^(dr|mr|mrs|ms|miss)\.?\s+/, '').replace(/[^a-z]/g, '');
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Dates differing in one digit, with two adjacent digits swapped (1985-03-20 / 1985-03-02)
+// or with day and month swapped (1985-03-04 / 1985-04-03).
+const isLikelyDateTypo = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    return false;
+  }
+  const [ay, am, ad] = a.split('-');
+  const [by, bm, bd] = b.split('-');
+  const differing = [...a].map((char, i) => char !== b[i] ? i : -1).filter(i => i >= 0);
+  const transposed = differing.length === 2 && differing[1] === differing[0] + 1 &&
+    a[differing[0]] === b[differing[1]] && a[differing[1]] === b[differing[0]];
+  return differing.length === 1 || transposed || (ay === by && am === bd && ad === bm);
+};
+
+/**
+ * Scores how likely `a` and `b` are the same person. Returns `{ score, reasons }`.
+ */
+const compare = (a, b) => {
+  let score = 0;
+  const reasons = [];
+
+  if (a.dateOfBirth === b.dateOfBirth) {
+    score += WEIGHTS.dateOfBirth;
+    reasons.push('Same date of birth');
+  } else if (isLikelyDateTypo(a.dateOfBirth, b.dateOfBirth)) {
+    score += WEIGHTS.dateOfBirthTypo;
+    reasons.push(`Date of birth ${b.dateOfBirth} looks like a typo of ${a.dateOfBirth}`);
+  }
+
+  for (const field of ['lastName', 'firstName']) {
+    const similarity = jaroWinkler(normalizeName(a[field]), normalizeName(b[field]));
+    if (similarity >= MIN_NAME_SIMILARITY) {
+      score += WEIGHTS[field] * similarity;
+      reasons.push(similarity === 1
+        ? `Same ${field === 'lastName' ? 'last' : 'first'} name`
+        : `Similar ${field === 'lastName' ? 'last' : 'first'} name (${b[field]}, ${Math.round(similarity * 100)}% alike)`);
+    }
+  }
+
+  if (a.contactNumber && normalizePhone(a.contactNumber) === normalizePhone(b.contactNumber)) {
+    score += WEIGHTS.contactNumber;
+    reasons.push('Same phone number');
+  }
+  if (a.email && b.email && a.email.toLowerCase() === b.email.toLowerCase()) {
+    score += WEIGHTS.email;
+    reasons.push('Same email address');
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Finds existing patients that are probably the same person as `candidate`, most likely
+ * first. Merged records and `excludeId` (the record being updated) are skipped.
+ */
+const findDuplicates = (candidate, { excludeId } = {}) =>
+  db.patients.list()
+    .filter(p => p.id !== excludeId && !p.mergedInto)
+    .map(patient => ({ patient, ...compare(candidate, patient) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+/**
+ * Merges patient `duplicateId` into `survivorId`. The survivor keeps its own details,
+ * taking the duplicate's phone and email only where it has none (and the duplicate's SMS
+ * opt-out along with a phone number they share). Returns the survivor, the tombstone and
+ * how many records were re-pointed in each collection.
+ */
+const mergePatients = (survivorId, duplicateId) => {
+  const survivor = db.patients.get(survivorId);
+  if (!survivor) {
+    throw new SchedulingError(404, 'PATIENT_NOT_FOUND', `Patient with ID ${survivorId} not found.`);
+  }
+  if (survivorId === duplicateId) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'A patient cannot be merged into itself.');
+  }
+  const duplicate = db.patients.get(duplicateId);
+  if (!duplicate) {
+    throw new SchedulingError(400, 'PATIENT_NOT_FOUND', `Patient with ID ${duplicateId} not found.`);
+  }
+  for (const patient of [survivor, duplicate]) {
+    if (patient.mergedInto) {
+      throw new SchedulingError(409, 'PATIENT_MERGED', `Patient ${patient.id} was already merged into ${patient.mergedInto}.`, { mergedInto: patient.mergedInto });
+    }
+  }
+
+  const repointed = {};
+  for (const collection of PATIENT_REFERENCES) {
+    const records = db[collection].list().filter(r => r.patientId === duplicate.id);
+    records.forEach(record => {
+      const updated = db[collection].update(record.id, { ...record, patientId: survivor.id });
+      if (collection === 'appointments') {
+        publish('appointment.updated', updated);
+      }
+    });
+    repointed[collection] = records.length;
+  }
+
+  // Earlier merges into the duplicate now lead straight to the survivor.
+  db.patients.list()
+    .filter(p => p.mergedInto === duplicate.id)
+    .forEach(p => db.patients.update(p.id, { ...p, mergedInto: survivor.id }));
+
+  const contactNumber = survivor.contactNumber || duplicate.contactNumber || null;
+  // An SMS opt-out stays with the number that sent it.
+  const optedOut = survivor.smsOptOut ||
+    (duplicate.smsOptOut && normalizePhone(duplicate.contactNumber) === normalizePhone(contactNumber));
+  const merged = db.patients.update(survivor.id, {
+    ...survivor,
+    contactNumber,
+    email: survivor.email || duplicate.email || null,
+    ...(optedOut ? { smsOptOut: true } : {}),
+  });
+  const tombstone = db.patients.update(duplicate.id, { ...duplicate, mergedInto: survivor.id, mergedAt: new Date().toISOString() });
+
+  publish('patient.updated', merged);
+  publish('patient.merged', tombstone);
+  return { survivor: merged, merged: tombstone, repointed };
+};
+
+module.exports = { DUPLICATE_THRESHOLD, findDuplicates, mergePatients };
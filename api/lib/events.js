@@ -0,0 +1,59 @@
+// In-process event bus for domain events raised by the route handlers.
+// Integrations (webhooks and friends) subscribe here instead of being called directly.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'appointment.created',
+  'appointment.updated',
+  'appointment.confirmed',
+  'appointment.checked-in',
+  'appointment.completed',
+  'appointment.cancelled',
+  'appointment.no-show',
+  'patient.created',
+  'patient.updated',
+  'patient.deleted',
+  'patient.merged',
+  'patient.deactivated',
+  'provider.created',
+  'provider.updated',
+  'provider.deleted',
+  'provider.deactivated',
+  'location.created',
+  'location.updated',
+  'location.deleted',
+  'waitlist-offer.created',
+  'waitlist-offer.accepted',
+  'waitlist-offer.declined',
+  'waitlist-offer.expired',
+  'waitlist-offer.withdrawn',
+  'notification.sent',
+  'notification.failed',
+];
+
+const bus = new EventEmitter();
+
+/**
+ * Publishes an event of `type` carrying `data` (usually the affected record) to all subscribers.
+ * Returns the event envelope.
+ */
+const publish = (type, data) => {
+  const event = {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+  bus.emit('event', event);
+  return event;
+};
+
+// Registers `listener(event)` for every published event. Returns an unsubscribe function.
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+module.exports = { EVENT_TYPES, publish, subscribe };
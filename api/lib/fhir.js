@@ -0,0 +1,321 @@
+// Mapping between the API's records and FHIR R4 resources, plus the search and Bundle
+// helpers used by the /fhir routes.
+//
+// Only the elements the API can round-trip are mapped. Anything else in an incoming
+// resource is ignored rather than rejected, as FHIR servers commonly do.
+
+const FHIR_VERSION = '4.0.1';
+
+// FHIR Appointment.status for each appointment status, and the status a FHIR search maps to.
+const APPOINTMENT_STATUS = {
+  scheduled: 'pending',
+  confirmed: 'booked',
+  'checked-in': 'checked-in',
+  completed: 'fulfilled',
+  cancelled: 'cancelled',
+  'no-show': 'noshow',
+};
+const STATUS_FROM_FHIR = Object.fromEntries(Object.entries(APPOINTMENT_STATUS).map(([k, v]) => [v, k]));
+
+// Statuses a client may create an Appointment with; all of them book a `scheduled` appointment.
+const CREATABLE_STATUSES = ['proposed', 'pending', 'booked'];
+
+// FHIR administrative genders the provider record can hold ("unknown" is stored as null).
+const PROVIDER_GENDERS = ['female', 'male', 'other'];
+
+class FhirError extends Error {
+  constructor(status, issueType, message) {
+    super(message);
+    this.status = status;
+    this.issueType = issueType;
+  }
+}
+
+const operationOutcome = (issues) => ({
+  resourceType: 'OperationOutcome',
+  issue: issues.map(issue => ({ severity: 'error', ...issue })),
+});
+
+const sendFhirError = (res, err) =>
+  res.status(err.status).json(operationOutcome([{ code: err.issueType, diagnostics: err.message }]));
+
+const humanName = ({ firstName, lastName }) => [{
+  use: 'official',
+  family: lastName,
+  given: [firstName],
+  text: `${firstName} ${lastName}`,
+}];
+
+const telecom = ({ contactNumber, email }) => [
+  ...(contactNumber ? [{ system: 'phone', value: contactNumber }] : []),
+  ...(email ? [{ system: 'email', value: email }] : []),
+];
+
+const fromHumanName = (resource) => {
+  const name = (resource.name || [])[0] || {};
+  const firstName = (name.given || []).join(' ');
+  if (!name.family || !firstName) {
+    throw new FhirError(400, 'required', `${resource.resourceType}.name must include family and given names.`);
+  }
+  return { firstName, lastName: name.family };
+};
+
+const fromTelecom = (resource) => {
+  const find = (system) => ((resource.telecom || []).find(t => t.system === system) || {}).value || null;
+  return { contactNumber: find('phone'), email: find('email') };
+};
+
+const assertResourceType = (resource, resourceType) => {
+  if (!resource || resource.resourceType !== resourceType) {
+    throw new FhirError(400, 'invalid', `Expected a ${resourceType} resource.`);
+  }
+};
+
+// Merged and deactivated patients are inactive; merged ones link to the record that replaced them.
+const toPatient = (patient) => ({
+  resourceType: 'Patient',
+  id: patient.id,
+  active: !patient.mergedInto && !patient.deactivatedAt,
+  name: humanName(patient),
+  telecom: telecom(patient),
+  birthDate: patient.dateOfBirth,
+  ...(patient.mergedInto ? { link: [{ other: { reference: `Patient/${patient.mergedInto}` }, type: 'replaced-by' }] } : {}),
+});
+
+const fromPatient = (resource) => {
+  assertResourceType(resource, 'Patient');
+  if (!resource.birthDate || !/^\d{4}-\d{2}-\d{2}$/.test(resource.birthDate)) {
+    throw new FhirError(400, 'required', 'Patient.birthDate must be a full date (YYYY-MM-DD).');
+  }
+  return { ...fromHumanName(resource), dateOfBirth: resource.birthDate, ...fromTelecom(resource) };
+};
+
+const toPractitioner = (provider) => ({
+  resourceType: 'Practitioner',
+  id: provider.id,
+  active: !provider.deactivatedAt,
+  name: humanName(provider),
+  telecom: telecom(provider),
+  ...(provider.gender ? { gender: provider.gender } : {}),
+  qualification: [{ code: { text: provider.specialty } }],
+  communication: (provider.languages || []).map(code => ({ coding: [{ system: 'urn:ietf:bcp:47', code }] })),
+});
+
+const fromPractitioner = (resource) => {
+  assertResourceType(resource, 'Practitioner');
+  const specialty = ((resource.qualification || [])[0] || {}).code;
+  if (!specialty || !specialty.text) {
+    throw new FhirError(400, 'required', 'Practitioner.qualification[0].code.text must give the specialty.');
+  }
+  return {
+    ...fromHumanName(resource),
+    specialty: specialty.text,
+    ...fromTelecom(resource),
+    gender: PROVIDER_GENDERS.includes(resource.gender) ? resource.gender : null,
+    languages: (resource.communication || [])
+      .map(c => ((c.coding || [])[0] || {}).code)
+      .filter(Boolean),
+  };
+};
+
+const toAppointment = (appointment) => {
+  const start = new Date(appointment.date);
+  const last = appointment.statusHistory[appointment.statusHistory.length - 1];
+  return {
+    resourceType: 'Appointment',
+    id: appointment.id,
+    status: APPOINTMENT_STATUS[appointment.status],
+    ...(appointment.status === 'cancelled' && last.reason ? { cancelationReason: { text: last.reason } } : {}),
+    appointmentType: { text: appointment.type },
+    start: start.toISOString(),
+    end: new Date(start.getTime() + appointment.duration * 60000).toISOString(),
+    minutesDuration: appointment.duration,
+    created: appointment.statusHistory[0].at,
+    participant: [
+      { actor: { reference: `Patient/${appointment.patientId}` }, required: 'required', status: 'accepted' },
+      { actor: { reference: `Practitioner/${appointment.providerId}` }, required: 'required', status: 'accepted' },
+    ],
+  };
+};
+
+// Returns the ID from "Patient/pat1", or null when the reference is to another type.
+const referenceId = (reference, resourceType) => {
+  const match = /^(?:.*\/)?([A-Za-z]+)\/([^/]+)$/.exec(reference || '');
+  return match && match[1] === resourceType ? match[2] : null;
+};
+
+const participantId = (resource, resourceType) => {
+  for (const participant of resource.participant || []) {
+    const id = referenceId(participant.actor && participant.actor.reference, resourceType);
+    if (id) {
+      return id;
+    }
+  }
+  return null;
+};
+
+// Maps an Appointment resource to the input of scheduling.bookAppointment.
+const fromAppointment = (resource) => {
+  assertResourceType(resource, 'Appointment');
+  if (resource.status && !CREATABLE_STATUSES.includes(resource.status)) {
+    throw new FhirError(400, 'business-rule', `New appointments must have status ${CREATABLE_STATUSES.join(', ')}.`);
+  }
+
+  const patientId = participantId(resource, 'Patient');
+  const providerId = participantId(resource, 'Practitioner');
+  if (!patientId || !providerId) {
+    throw new FhirError(400, 'required', 'Appointment.participant must reference a Patient and a Practitioner.');
+  }
+  const type = resource.appointmentType && resource.appointmentType.text;
+  if (!type) {
+    throw new FhirError(400, 'required', 'Appointment.appointmentType.text is required.');
+  }
+  if (!resource.start || isNaN(new Date(resource.start))) {
+    throw new FhirError(400, 'required', 'Appointment.start must be a valid instant.');
+  }
+
+  let duration = resource.minutesDuration;
+  if (duration === undefined && resource.end) {
+    duration = (new Date(resource.end) - new Date(resource.start)) / 60000;
+  }
+
+  return { patientId, providerId, date: resource.start, type, ...(duration === undefined ? {} : { duration }) };
+};
+
+const toSchedule = (provider) => ({
+  resourceType: 'Schedule',
+  id: provider.id,
+  active: !provider.deactivatedAt,
+  serviceType: [{ text: provider.specialty }],
+  actor: [{ reference: `Practitioner/${provider.id}`, display: `${provider.firstName} ${provider.lastName}` }],
+});
+
+// Slots are computed from availability rather than stored, so their IDs encode the
+// schedule (provider) and start time, e.g. "prov1-202506150900".
+const slotId = (providerId, start) =>
+  `${providerId}-${start.slice(0, 16).replace(/[-:T]/g, '')}`;
+
+const parseSlotId = (id) => {
+  const match = /^(.+)-(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(id);
+  if (!match) {
+    return null;
+  }
+  const [, providerId, y, m, d, hh, mm] = match;
+  return { providerId, start: new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm)) };
+};
+
+const toSlot = (providerId, { start, end }) => ({
+  resourceType: 'Slot',
+  id: slotId(providerId, start),
+  schedule: { reference: `Schedule/${providerId}` },
+  status: 'free',
+  start,
+  end,
+});
+
+// Parses FHIR date search values such as "2025-06-15", "ge2025-06-15" or
+// "lt2025-06-15T12:00:00Z" into { prefix, low, high }. A date without a time covers the
+// whole day, so its range ends at the following midnight.
+const parseDateSearch = (values, name) => [].concat(values).map(value => {
+  const match = /^(eq|ne|gt|ge|lt|le)?(\d{4}-\d{2}-\d{2}(?:T.+)?)$/.exec(value);
+  const low = match && new Date(match[2]);
+  if (!match || isNaN(low)) {
+    throw new FhirError(400, 'invalid', `Invalid ${name} search value: ${value}.`);
+  }
+  const high = new Date(low.getTime() + (match[2].length === 10 ? 24 * 60 * 60 * 1000 : 1));
+  return { prefix: match[1] || 'eq', low, high };
+});
+
+/**
+ * Turns one or more date search values into a predicate over Date objects that is true
+ * when every value matches.
+ */
+const datePredicate = (values, name = 'date') => {
+  const tests = parseDateSearch(values, name).map(({ prefix, low, high }) => {
+    switch (prefix) {
+      case 'eq': return (d) => d >= low && d < high;
+      case 'ne': return (d) => d < low || d >= high;
+      case 'gt': return (d) => d >= high;
+      case 'ge': return (d) => d >= low;
+      case 'lt': return (d) => d < low;
+      default: return (d) => d < high;
+    }
+  });
+  return (date) => tests.every(test => test(date));
+};
+
+/**
+ * The [from, to) window implied by date search values, for searches that need a bounded
+ * range. Missing bounds are null.
+ */
+const dateBounds = (values, name = 'date') => {
+  let from = null;
+  let to = null;
+  for (const { prefix, low, high } of parseDateSearch(values, name)) {
+    const lower = { eq: low, ge: low, gt: high }[prefix];
+    const upper = { eq: high, le: high, lt: low }[prefix];
+    if (lower && (!from || lower > from)) from = lower;
+    if (upper && (!to || upper < to)) to = upper;
+  }
+  return { from, to };
+};
+
+const DEFAULT_COUNT = 50;
+const MAX_COUNT = 200;
+
+/**
+ * Wraps search results in a searchset Bundle, paging with `_count` and `_offset` and
+ * linking to the next page when there is one.
+ */
+const searchBundle = (req, resources) => {
+  const count = Math.min(req.query._count === undefined ? DEFAULT_COUNT : Number(req.query._count), MAX_COUNT);
+  const offset = req.query._offset === undefined ? 0 : Number(req.query._offset);
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  const pageUrl = (pageOffset) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(req.query)) {
+      [].concat(value).forEach(v => params.append(key, v));
+    }
+    params.set('_count', count);
+    params.set('_offset', pageOffset);
+    return `${base}${req.path}?${params}`;
+  };
+
+  const page = resources.slice(offset, offset + count);
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: resources.length,
+    link: [
+      { relation: 'self', url: pageUrl(offset) },
+      ...(offset + count < resources.length ? [{ relation: 'next', url: pageUrl(offset + count) }] : []),
+    ],
+    entry: page.map(resource => ({
+      fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' },
+    })),
+  };
+};
+
+module.exports = {
+  FHIR_VERSION,
+  STATUS_FROM_FHIR,
+  FhirError,
+  operationOutcome,
+  sendFhirError,
+  referenceId,
+  toPatient,
+  fromPatient,
+  toPractitioner,
+  fromPractitioner,
+  toAppointment,
+  fromAppointment,
+  toSchedule,
+  toSlot,
+  parseSlotId,
+  datePredicate,
+  dateBounds,
+  searchBundle,
+};
@@ -0,0 +1,240 @@
+// Minimal HL7 v2 (ER7, pipe-delimited) encoding and parsing for SIU scheduling messages
+// and their ACKs.
+//
+// Messages use the default delimiters (|^~\&) and carriage-return segment separators.
+// Timestamps are written in UTC with an explicit +0000 offset; inbound timestamps without
+// an offset are read as UTC.
+
+const crypto = require('crypto');
+
+const VERSION = '2.5.1';
+const SEGMENT_SEPARATOR = '\r';
+const ENCODING_CHARACTERS = '^~\\&';
+
+class Hl7Error extends Error {
+  // `ackCode` is AR for messages that can't be processed at all and AE for application errors.
+  constructor(ackCode, message) {
+    super(message);
+    this.ackCode = ackCode;
+  }
+}
+
+const ESCAPES = [['\\', '\\E\\'], ['|', '\\F\\'], ['^', '\\S\\'], ['&', '\\T\\'], ['~', '\\R\\'], ['\n', '\\.br\\']];
+
+const escape = (value) =>
+  value === undefined || value === null
+    ? ''
+    : ESCAPES.reduce((text, [char, sequence]) => text.split(char).join(sequence), String(value).replace(/\r/g, ''));
+
+const unescape = (value) =>
+  ESCAPES.slice().reverse().reduce((text, [char, sequence]) => text.split(sequence).join(char), value);
+
+// 20250615100000+0000
+const formatTimestamp = (date) =>
+  `${new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14)}+0000`;
+
+const parseTimestamp = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, y, mo, d, h = '00', mi = '00', s = '00', offset = '+0000'] = match;
+  const utc = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  const offsetMinutes = (offset[0] === '-' ? -1 : 1) * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3)));
+  return new Date(utc - offsetMinutes * 60000);
+};
+
+const newControlId = () => crypto.randomBytes(8).toString('hex').toUpperCase();
+
+// Joins fields (arrays of components, already escaped where needed) into a segment.
+const segment = (name, fields) => [name, ...fields.map(f => (Array.isArray(f) ? f.join('^') : f))].join('|').replace(/\|+$/, '');
+
+const header = ({ sendingApplication, sendingFacility, receivingApplication, receivingFacility }, messageType, controlId) =>
+  `MSH|${ENCODING_CHARACTERS}|${[
+    escape(sendingApplication),
+    escape(sendingFacility),
+    escape(receivingApplication),
+    escape(receivingFacility),
+    formatTimestamp(new Date()),
+    '',
+    messageType,
+    controlId,
+    'P',
+    VERSION,
+  ].join('|')}`;
+
+/**
+ * Parses an ER7 message into `{ segments, get(name), field(name, n, component) }`. Field
+ * numbers follow the HL7 convention, so `field('MSH', 9, 2)` is the trigger event.
+ * Throws an Hl7Error (AR) for anything that isn't an HL7 message.
+ */
+const parse = (text) => {
+  const lines = String(text || '').split(/\r\n|\r|\n/).filter(Boolean);
+  if (lines.length === 0 || !lines[0].startsWith('MSH')) {
+    throw new Hl7Error('AR', 'Message must start with an MSH segment.');
+  }
+  const fieldSeparator = lines[0][3];
+  const [componentSeparator] = lines[0].slice(4);
+
+  const segments = lines.map(line => {
+    const fields = line.split(fieldSeparator);
+    // MSH-1 is the field separator itself, so MSH fields are shifted by one.
+    return fields[0] === 'MSH' ? { name: 'MSH', fields: ['MSH', fieldSeparator, ...fields.slice(1)] } : { name: fields[0], fields };
+  });
+
+  const get = (name) => segments.find(s => s.name === name);
+  const field = (name, n, component) => {
+    const found = get(name);
+    const value = (found && found.fields[n]) || '';
+    const repetition = name === 'MSH' && n <= 2 ? value : value.split('~')[0];
+    if (component === undefined) {
+      return unescape(repetition);
+    }
+    return unescape(repetition.split(componentSeparator)[component - 1] || '');
+  };
+
+  return { segments, get, field };
+};
+
+/**
+ * Builds an ACK for a parsed `message` (or null when it couldn't be parsed). `code` is AA,
+ * AE or AR; errors carry an ERR segment with the reason.
+ */
+const buildAck = (options, message, code, text) => {
+  const controlId = message ? message.field('MSH', 10) : '';
+  const trigger = message ? message.field('MSH', 9, 2) : '';
+  const lines = [
+    header(
+      {
+        sendingApplication: options.sendingApplication,
+        sendingFacility: options.sendingFacility,
+        receivingApplication: message ? message.field('MSH', 3) : '',
+        receivingFacility: message ? message.field('MSH', 4) : '',
+      },
+      `ACK^${trigger}^ACK`,
+      newControlId()
+    ),
+    segment('MSA', [code, escape(controlId), escape(text)]),
+  ];
+  if (code !== 'AA') {
+    const [errorCode, errorText] = code === 'AR' ? ['200', 'Unsupported message type'] : ['207', 'Application internal error'];
+    lines.push(segment('ERR', ['', '', [errorCode, errorText, 'HL70357'], 'E', '', '', '', escape(text)]));
+  }
+  return lines.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR;
+};
+
+// SCH-25 / AIP-12 filler status codes (HL7 table 0278) for each appointment status.
+const FILLER_STATUS = {
+  scheduled: 'Booked',
+  confirmed: 'Booked',
+  'checked-in': 'Booked',
+  completed: 'Complete',
+  cancelled: 'Cancelled',
+  'no-show': 'Noshow',
+};
+
+/**
+ * Builds an SIU^<trigger> message for an appointment with its patient and provider
+ * records. Returns `{ controlId, message }`.
+ */
+const buildSiu = (options, trigger, { appointment, patient, provider, reason }) => {
+  const controlId = newControlId();
+  const start = new Date(appointment.date);
+  const end = new Date(start.getTime() + appointment.duration * 60000);
+  const status = FILLER_STATUS[appointment.status];
+  const telecom = [
+    patient && patient.contactNumber ? `${escape(patient.contactNumber)}^PRN^PH` : null,
+    patient && patient.email ? `^NET^Internet^${escape(patient.email)}` : null,
+  ].filter(Boolean).join('~');
+
+  const lines = [
+    header(options, `SIU^${trigger}^SIU_S12`, controlId),
+    segment('SCH', [
+      '',
+      [escape(appointment.id), escape(options.sendingApplication)],
+      '',
+      '',
+      '',
+      escape(reason),
+      '',
+      [escape(appointment.type), escape(appointment.type)],
+      appointment.duration,
+      'min',
+      ['', '', appointment.duration, formatTimestamp(start), formatTimestamp(end)],
+      ...Array(13).fill(''),
+      status,
+    ]),
+    segment('PID', [
+      '1',
+      '',
+      [escape(appointment.patientId), '', '', escape(options.sendingApplication), 'MR'],
+      '',
+      patient ? [escape(patient.lastName), escape(patient.firstName)] : '',
+      '',
+      patient ? patient.dateOfBirth.replace(/-/g, '') : '',
+      '',
+      '',
+      '',
+      '',
+      '',
+      telecom,
+    ]),
+    segment('RGS', ['1', 'A']),
+    segment('AIP', [
+      '1',
+      'A',
+      [escape(appointment.providerId), ...(provider ? [escape(provider.lastName), escape(provider.firstName)] : [])],
+      provider ? ['', escape(provider.specialty)] : '',
+      '',
+      formatTimestamp(start),
+      '',
+      '',
+      appointment.duration,
+      'min',
+      '',
+      status,
+    ]),
+  ];
+
+  return { controlId, message: lines.join(SEGMENT_SEPARATOR) + SEGMENT_SEPARATOR };
+};
+
+/**
+ * Reads the scheduling fields out of a parsed SIU message. Values the message doesn't
+ * carry are undefined.
+ */
+const readSiu = (message) => {
+  const messageType = message.field('MSH', 9, 1);
+  if (messageType !== 'SIU') {
+    throw new Hl7Error('AR', `Unsupported message type ${messageType || '(none)'}; only SIU messages are accepted.`);
+  }
+
+  const start = message.field('SCH', 11, 4) || message.field('AIP', 6);
+  const duration = message.field('SCH', 9) || message.field('SCH', 11, 3) || message.field('AIP', 9);
+  const date = start ? parseTimestamp(start) : undefined;
+  if (date === null) {
+    throw new Hl7Error('AE', `Invalid appointment start time: ${start}.`);
+  }
+
+  const orUndefined = (value) => value || undefined;
+  return {
+    trigger: message.field('MSH', 9, 2),
+    controlId: message.field('MSH', 10),
+    placerAppointmentId: orUndefined(message.field('SCH', 1, 1)),
+    fillerAppointmentId: orUndefined(message.field('SCH', 2, 1)),
+    reason: orUndefined(message.field('SCH', 6, 2) || message.field('SCH', 6, 1)),
+    type: orUndefined(message.field('SCH', 8, 2) || message.field('SCH', 8, 1)),
+    duration: duration ? Number(duration) : undefined,
+    date: date ? date.toISOString() : undefined,
+    patientId: orUndefined(message.field('PID', 3, 1)),
+    providerId: orUndefined(message.field('AIP', 3, 1)),
+  };
+};
+
+module.exports = {
+  Hl7Error,
+  parse,
+  buildAck,
+  buildSiu,
+  readSiu,
+};
@@ -0,0 +1,112 @@
+// Slot holds: short-lived reservations of provider time for self-scheduling checkouts.
+//
+// A hold keeps everyone else from booking or being offered the time until it expires, is
+// released, or is used to book an appointment (POST /appointments with its token). The
+// token is the holder's only handle on the hold. Expired holds are closed by a sweep that
+// runs every `sweepIntervalMs`, and on read.
+
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db');
+const { DEFAULT_APPOINTMENT_DURATION } = require('./availability');
+const { findAppointmentType, buffersForType } = require('./appointmentTypes');
+const { providerTimeZone } = require('./locations');
+const {
+  SchedulingError,
+  isValidDuration,
+  assertPatientExists,
+  assertProviderExists,
+  assertNoConflict,
+  assertNotHeld,
+  parseAppointmentDate,
+} = require('./scheduling');
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+const createHolds = ({ ttlSeconds, maxTtlSeconds, sweepIntervalMs }) => {
+  const expire = (hold) => db.holds.update(hold.id, { ...hold, status: 'expired', closedAt: new Date().toISOString() });
+
+  const expireDueHolds = () => {
+    const now = new Date();
+    db.holds.list()
+      .filter(h => h.status === 'active' && new Date(h.expiresAt) <= now)
+      .forEach(expire);
+  };
+
+  /**
+   * Looks up a hold by token, closing it first if it has expired. Throws a 404 when there
+   * is no such hold.
+   */
+  const get = (token) => {
+    const hold = db.holds.list().find(h => h.token === token);
+    if (!hold) {
+      throw new SchedulingError(404, 'HOLD_NOT_FOUND', 'No hold matches the given hold token.');
+    }
+    return hold.status === 'active' && new Date(hold.expiresAt) <= new Date() ? expire(hold) : hold;
+  };
+
+  /**
+   * Places a hold on a provider's time. The time must be free of appointments and other
+   * holds. `type` sets the default duration and buffers; `patientId` restricts the hold to that patient.
+   * A `date` without an offset is local to the provider's first location.
+   */
+  const place = ({ providerId, date, duration, type, patientId, ttlSeconds: requestedTtl }) => {
+    if (duration !== undefined && !isValidDuration(duration)) {
+      throw new SchedulingError(400, 'INVALID_INPUT', 'duration must be a positive whole number of minutes.');
+    }
+    if (type && !findAppointmentType(type)) {
+      throw new SchedulingError(400, 'UNKNOWN_APPOINTMENT_TYPE', `Unknown appointment type "${type}". GET /appointment-types lists the catalog.`);
+    }
+    if (requestedTtl !== undefined && requestedTtl > maxTtlSeconds) {
+      throw new SchedulingError(400, 'INVALID_INPUT', `ttlSeconds can be at most ${maxTtlSeconds}.`);
+    }
+    assertProviderExists(providerId);
+    if (patientId) {
+      assertPatientExists(patientId);
+    }
+    const start = parseAppointmentDate(date, providerTimeZone(db.providers.get(providerId)));
+    if (new Date(start) <= new Date()) {
+      throw new SchedulingError(400, 'INVALID_INPUT', 'Holds can only be placed on future times.');
+    }
+
+    const candidate = {
+      providerId,
+      patientId: patientId || null,
+      date: start,
+      duration: duration || (type ? findAppointmentType(type).duration : DEFAULT_APPOINTMENT_DURATION),
+      ...buffersForType(type),
+    };
+    assertNoConflict(candidate);
+    assertNotHeld(candidate);
+
+    const now = new Date();
+    return db.holds.create({
+      token: newToken(),
+      ...candidate,
+      type: type || null,
+      status: 'active',
+      expiresAt: new Date(now.getTime() + (requestedTtl || ttlSeconds) * 1000).toISOString(),
+      createdAt: now.toISOString(),
+    });
+  };
+
+  // Gives the held time back before the hold expires.
+  const release = (token) => {
+    const hold = get(token);
+    if (hold.status !== 'active') {
+      throw new SchedulingError(409, 'HOLD_CLOSED', `Hold ${hold.id} is already ${hold.status}.`);
+    }
+    return db.holds.update(hold.id, { ...hold, status: 'released', closedAt: new Date().toISOString() });
+  };
+
+  const start = () => {
+    setInterval(expireDueHolds, sweepIntervalMs).unref();
+    expireDueHolds();
+  };
+
+  return { start, get, place, release, expireDueHolds };
+};
+
+const holds = createHolds(config.holds);
+
+module.exports = { holds, createHolds };
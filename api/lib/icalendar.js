@@ -0,0 +1,133 @@
+// iCalendar (RFC 5545) serialization of appointments for calendar feeds and downloads.
+//
+// Appointment times are stored in UTC, so DTSTART/DTEND are written as UTC date-times
+// ("...Z") and need no VTIMEZONE. UIDs are derived from the appointment ID so a calendar
+// client that re-imports a feed updates events in place instead of duplicating them.
+
+const db = require('../db');
+const { noteReads } = require('./audit');
+
+const PRODID = '-//Relatient Mock API//MediPro Scheduling//EN';
+const UID_DOMAIN = 'medipro.example.com';
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+// Calendar STATUS values for each appointment status.
+const EVENT_STATUS = {
+  scheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  'checked-in': 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  'no-show': 'CONFIRMED',
+};
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// 20250615T100000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Folds a content line into 75-octet chunks, continuing each with a leading space and
+// never splitting a multi-byte UTF-8 character.
+const fold = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join(`${CRLF} `);
+};
+
+const personName = (person) => person && `${person.firstName} ${person.lastName}`;
+
+const eventUid = (appointment) => `${appointment.id}@${UID_DOMAIN}`;
+
+// "Downtown Clinic, Exam 1, 100 Main Street, Springfield, NY 10001".
+const placeText = (location, room) => {
+  const { line1, line2, city, state, postalCode } = location.address || {};
+  return [location.name, room, line1, line2, city, [state, postalCode].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Content lines for one appointment's VEVENT.
+const appointmentEvent = (appointment, now) => {
+  const patient = db.patients.get(appointment.patientId);
+  const provider = db.providers.get(appointment.providerId);
+  const location = appointment.locationId && db.locations.get(appointment.locationId);
+  noteReads([appointment, patient, provider].filter(Boolean));
+  const start = new Date(appointment.date);
+  const end = new Date(start.getTime() + appointment.duration * 60000);
+  const summary = [appointment.type, provider && `with ${personName(provider)}`].filter(Boolean).join(' ');
+  const description = [
+    patient && `Patient: ${personName(patient)}`,
+    provider && `Provider: ${personName(provider)}${provider.specialty ? ` (${provider.specialty})` : ''}`,
+    `Appointment ID: ${appointment.id}`,
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(appointment)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    // Bumped on every status change so clients replace their copy of the event.
+    `SEQUENCE:${Math.max((appointment.statusHistory || []).length - 1, 0)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(location ? [`LOCATION:${escapeText(placeText(location, appointment.room))}`] : []),
+    `STATUS:${EVENT_STATUS[appointment.status] || 'CONFIRMED'}`,
+    `TRANSP:${appointment.status === 'cancelled' ? 'TRANSPARENT' : 'OPAQUE'}`,
+    'END:VEVENT',
+  ];
+};
+
+/**
+ * Serializes appointments as a VCALENDAR, oldest first. `name` becomes the calendar's
+ * display name in clients that support X-WR-CALNAME.
+ */
+const toCalendar = (appointments, { name } = {}) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...[...appointments]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .flatMap(a => appointmentEvent(a, now)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(fold).join(CRLF) + CRLF;
+};
+
+// Sends a calendar as a download (`attachment`) or a subscribable feed (`inline`).
+const sendCalendar = (res, body, { filename, disposition = 'inline' }) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${filename}"`,
+  });
+  res.send(body);
+};
+
+module.exports = {
+  toCalendar,
+  sendCalendar,
+};
@@ -0,0 +1,315 @@
+// Bulk import of patients, providers and appointments from CSV or NDJSON files.
+//
+// A submitted file becomes an import job that is worked through `batchSize` rows at a
+// time, one batch every `batchIntervalMs`, so a large file doesn't hold up other requests.
+// Each row is mapped onto the fields of the resource's POST body, checked against that
+// operation's request schema and then created exactly as the POST endpoint would create
+// it, attributed to whoever submitted the file. Rows that fail are recorded with their
+// errors and the rest carry on. A dry run makes every check without saving anything.
+//
+// The rows of unfinished jobs are kept in memory only: jobs cut short by a restart are
+// marked failed and have to be resubmitted (rows already imported stay imported).
+
+const config = require('../config');
+const db = require('../db');
+const { swaggerSpec } = require('../swagger');
+const { requestBodyValidator } = require('../middleware/validation');
+const { runAs } = require('./audit');
+const { CsvError, parseCsv } = require('./csv');
+const { parseNdjson } = require('./ndjson');
+const { createPatient, createProvider } = require('./records');
+const { SchedulingError, bookAppointment } = require('./scheduling');
+
+// Importable resources: the scope needed to import them, the endpoint whose request body
+// rows follow, and how a row is created.
+const RESOURCES = {
+  patients: {
+    scope: 'patients:write',
+    path: '/patients',
+    create: (fields, { dryRun, force }) => createPatient(fields, { dryRun, force }),
+  },
+  providers: {
+    scope: 'providers:admin',
+    path: '/providers',
+    create: (fields, { dryRun }) => createProvider(fields, { dryRun }),
+  },
+  appointments: {
+    scope: 'appointments:write',
+    path: '/appointments',
+    create: (fields, { dryRun }) => bookAppointment(fields, { dryRun }),
+  },
+};
+
+const FORMATS = ['csv', 'ndjson'];
+
+const OPEN_STATUSES = ['queued', 'running'];
+
+const resolveSchema = (schema) =>
+  (schema.$ref ? swaggerSpec.components.schemas[schema.$ref.split('/').pop()] : schema);
+
+// Properties of the JSON body accepted by POST `path`: { field: schema }.
+const bodyProperties = (path) =>
+  swaggerSpec.paths[path].post.requestBody.content['application/json'].schema.properties;
+
+/**
+ * CSV cells are text; converts one to the type the body schema gives its field. Arrays and
+ * objects are written as JSON, and arrays may also be given as ";"-separated values.
+ * Cells that don't convert are passed on as text for schema validation to report.
+ */
+const fromCell = (cell, schema) => {
+  const { type } = resolveSchema(schema);
+  const text = cell.trim();
+  if (type === 'integer' || type === 'number') {
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : cell;
+  }
+  if (type === 'boolean') {
+    return /^(true|false)$/i.test(text) ? text.toLowerCase() === 'true' : cell;
+  }
+  if (type === 'array' || type === 'object') {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return type === 'array' ? text.split(';').map(item => item.trim()).filter(Boolean) : cell;
+    }
+  }
+  return cell;
+};
+
+// The column each body field is read from: the one `mapping` names for it, otherwise the
+// column with the field's own name unless the mapping has claimed that column for another field.
+const columnsByField = (properties, mapping) => {
+  const claimed = new Set(Object.values(mapping));
+  return Object.fromEntries(Object.keys(properties)
+    .map(field => [field, mapping[field] || (claimed.has(field) ? undefined : field)])
+    .filter(([, column]) => column !== undefined));
+};
+
+// Body fields for one source record ({ column: value }). Empty CSV cells are left out.
+const toFields = (source, { properties, columns, format }) => {
+  const fields = {};
+  for (const [field, column] of Object.entries(columns)) {
+    const value = source[column];
+    if (value === undefined || (format === 'csv' && value === '')) {
+      continue;
+    }
+    fields[field] = format === 'csv' ? fromCell(value, properties[field]) : value;
+  }
+  return fields;
+};
+
+/**
+ * Splits a file into rows: `{ row, source }` with the record as `{ column: value }`, or
+ * `{ row, source, error }` for a row that can't be read. Also returns every column seen.
+ * Throws a 400 SchedulingError for a file that can't be read at all.
+ */
+const readRows = (text, format) => {
+  if (format === 'csv') {
+    let lines;
+    try {
+      lines = parseCsv(text);
+    } catch (err) {
+      if (err instanceof CsvError) {
+        throw new SchedulingError(400, 'INVALID_FILE', `The CSV file can't be read: ${err.message}`);
+      }
+      throw err;
+    }
+    const [header = [], ...records] = lines;
+    const rows = records.map((cells, index) => {
+      const source = Object.fromEntries(header.map((column, i) => [column, cells[i] !== undefined ? cells[i] : '']));
+      return cells.length === header.length
+        ? { row: index + 1, source }
+        : {
+          row: index + 1,
+          source,
+          error: { code: 'INVALID_ROW', message: `Row has ${cells.length} fields but the header has ${header.length}.` },
+        };
+    });
+    return { rows, columns: header };
+  }
+
+  const rows = parseNdjson(text).map(({ line, value, error }, index) => {
+    if (error) {
+      return { row: index + 1, source: null, error: { code: 'INVALID_ROW', message: `Line ${line} is not valid JSON: ${error}` } };
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { row: index + 1, source: null, error: { code: 'INVALID_ROW', message: `Line ${line} is not a JSON object.` } };
+    }
+    return { row: index + 1, source: value };
+  });
+  const columns = [...new Set(rows.flatMap(({ source }) => Object.keys(source || {})))];
+  return { rows, columns };
+};
+
+// Throws a 400 unless `mapping` maps known fields to column names present in the file.
+const assertValidMapping = (mapping, properties, columns, format) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new SchedulingError(400, 'INVALID_MAPPING', 'mapping must be a JSON object of field names to column names.');
+  }
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!properties[field]) {
+      throw new SchedulingError(400, 'INVALID_MAPPING', `mapping names an unknown field "${field}".`);
+    }
+    if (typeof column !== 'string') {
+      throw new SchedulingError(400, 'INVALID_MAPPING', `mapping.${field} must be a column name.`);
+    }
+    if (format === 'csv' && !columns.includes(column)) {
+      throw new SchedulingError(400, 'INVALID_MAPPING', `mapping.${field} refers to column "${column}", which isn't in the header.`);
+    }
+  }
+};
+
+const createImports = ({ batchSize, batchIntervalMs }) => {
+  // Rows not yet worked through, by job ID.
+  const pending = new Map();
+  const validators = new Map();
+
+  const validatorFor = (resourceType) => {
+    if (!validators.has(resourceType)) {
+      validators.set(resourceType, requestBodyValidator(swaggerSpec, RESOURCES[resourceType].path, 'post', 'row'));
+    }
+    return validators.get(resourceType);
+  };
+
+  /**
+   * Starts an import job for `text`, a `format` ("csv" or "ndjson") file of
+   * `resourceType` records. `mapping` ({ field: column }) renames columns; `force` skips
+   * the duplicate check for patients. Returns the queued job. Throws a 400
+   * SchedulingError when the file or mapping is unusable.
+   */
+  const submit = ({ resourceType, format, text, mapping = {}, dryRun = false, force = false }, { actor, authMethod }) => {
+    const properties = bodyProperties(RESOURCES[resourceType].path);
+    const { rows, columns } = readRows(text, format);
+    if (rows.length === 0) {
+      throw new SchedulingError(400, 'INVALID_FILE', 'The file has no rows to import.');
+    }
+    assertValidMapping(mapping, properties, columns, format);
+
+    const used = new Set(Object.values(columnsByField(properties, mapping)));
+    const job = db.importJobs.create({
+      resourceType,
+      format,
+      dryRun,
+      force,
+      mapping,
+      status: 'queued',
+      total: rows.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      ignoredColumns: columns.filter(column => !used.has(column)),
+      error: null,
+      submittedBy: actor,
+      authMethod,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+    });
+    pending.set(job.id, rows);
+    return job;
+  };
+
+  // Imports one row. Returns null on success, otherwise the error to record.
+  const importRow = (job, { source, error }) => {
+    if (error) {
+      return error;
+    }
+    const { create, path } = RESOURCES[job.resourceType];
+    const properties = bodyProperties(path);
+    const fields = toFields(source, { properties, columns: columnsByField(properties, job.mapping), format: job.format });
+
+    const errors = validatorFor(job.resourceType)(fields);
+    if (errors.length > 0) {
+      return { code: 'VALIDATION_ERROR', message: 'Row validation failed.', errors };
+    }
+    try {
+      create(fields, { dryRun: job.dryRun, force: job.force });
+      return null;
+    } catch (err) {
+      if (err instanceof SchedulingError) {
+        return { code: err.code, message: err.message };
+      }
+      console.error(`Import ${job.id} row failed unexpectedly:`, err);
+      return { code: 'INTERNAL_ERROR', message: 'The row could not be imported because of an unexpected error.' };
+    }
+  };
+
+  // Works through the next batch of the oldest unfinished job.
+  const processBatch = () => {
+    const job = db.importJobs.list().find(j => OPEN_STATUSES.includes(j.status) && pending.has(j.id));
+    if (!job) {
+      return;
+    }
+
+    const rows = pending.get(job.id);
+    const batch = rows.splice(0, batchSize);
+    let { succeeded, failed } = job;
+    runAs({ actor: job.submittedBy, authMethod: job.authMethod, route: `POST /imports/${job.resourceType}` }, () => {
+      for (const entry of batch) {
+        const error = importRow(job, entry);
+        if (error) {
+          failed += 1;
+          db.importErrors.create({ jobId: job.id, row: entry.row, errors: null, ...error, data: entry.source });
+        } else {
+          succeeded += 1;
+        }
+      }
+    });
+
+    const done = rows.length === 0;
+    if (done) {
+      pending.delete(job.id);
+    }
+    const now = new Date().toISOString();
+    db.importJobs.update(job.id, {
+      ...job,
+      status: done ? 'completed' : 'running',
+      processed: job.processed + batch.length,
+      succeeded,
+      failed,
+      startedAt: job.startedAt || now,
+      completedAt: done ? now : null,
+    });
+  };
+
+  /**
+   * Stops an unfinished job; rows already imported stay imported. Throws a 404 for unknown
+   * jobs and a 409 for finished ones.
+   */
+  const cancel = (id) => {
+    const job = db.importJobs.get(id);
+    if (!job) {
+      throw new SchedulingError(404, 'IMPORT_NOT_FOUND', `Import job with ID ${id} not found.`);
+    }
+    if (!OPEN_STATUSES.includes(job.status)) {
+      throw new SchedulingError(409, 'IMPORT_FINISHED', `Import job ${id} is already ${job.status}.`);
+    }
+    pending.delete(job.id);
+    return db.importJobs.update(job.id, { ...job, status: 'cancelled', completedAt: new Date().toISOString() });
+  };
+
+  const start = () => {
+    // The rows of jobs interrupted by a restart are gone.
+    db.importJobs.list()
+      .filter(j => OPEN_STATUSES.includes(j.status) && !pending.has(j.id))
+      .forEach(j => db.importJobs.update(j.id, {
+        ...j,
+        status: 'failed',
+        error: 'The server restarted before the import finished. Rows already processed were kept; resubmit the rest.',
+        completedAt: new Date().toISOString(),
+      }));
+
+    setInterval(() => {
+      try {
+        processBatch();
+      } catch (err) {
+        console.error('Import batch failed:', err);
+      }
+    }, batchIntervalMs).unref();
+  };
+
+  return { start, submit, cancel, processBatch };
+};
+
+const imports = createImports(config.imports);
+
+module.exports = { RESOURCES, FORMATS, imports, createImports };
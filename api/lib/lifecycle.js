@@ -0,0 +1,53 @@
+// Appointment lifecycle: the allowed statuses and the transitions between them.
+//
+//   scheduled -> confirmed -> checked-in -> completed
+//        \            \
+//         +------------+--> cancelled | no-show
+
+const TRANSITIONS = {
+  scheduled: ['confirmed', 'checked-in', 'cancelled', 'no-show'],
+  confirmed: ['checked-in', 'cancelled', 'no-show'],
+  'checked-in': ['completed'],
+  completed: [],
+  cancelled: [],
+  'no-show': [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isFinal = (status) => TRANSITIONS[status] !== undefined && TRANSITIONS[status].length === 0;
+
+/**
+ * Builds the status history entry recorded whenever an appointment changes status.
+ */
+const historyEntry = (status, reason) => ({
+  status,
+  at: new Date().toISOString(),
+  ...(reason ? { reason } : {}),
+});
+
+/**
+ * Moves an appointment to `to`, appending to its status history.
+ * Returns the updated appointment, or null if the transition isn't allowed.
+ */
+const transition = (appointment, to, reason) => {
+  if (!canTransition(appointment.status, to)) {
+    return null;
+  }
+  return {
+    ...appointment,
+    status: to,
+    statusHistory: [...(appointment.statusHistory || []), historyEntry(to, reason)],
+  };
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  canTransition,
+  isFinal,
+  historyEntry,
+  transition,
+};
@@ -0,0 +1,38 @@
+// Practice locations: where providers work and appointments take place. Each location has
+// an IANA timezone; providers' working hours are wall-clock times in the timezone of their
+// first location, and appointments are booked and echoed in their location's timezone.
+
+const db = require('../db');
+const { isValidTimeZone } = require('./timezones');
+
+/**
+ * Returns an error message if the location is malformed, otherwise null. The request
+ * schema covers field types; this checks the timezone and that room names are unique.
+ */
+const validateLocation = ({ timeZone, rooms }) => {
+  if (!isValidTimeZone(timeZone)) {
+    return `Unknown timezone "${timeZone}". Use an IANA name such as "America/New_York".`;
+  }
+  const names = (rooms || []).map(room => room.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate !== undefined) {
+    return `Room "${duplicate}" is listed more than once.`;
+  }
+  return null;
+};
+
+// Returns an error message if any of the location IDs doesn't exist, otherwise null.
+const validateLocationIds = (locationIds) => {
+  const unknown = (locationIds || []).filter(id => !db.locations.get(id));
+  return unknown.length > 0 ? `Unknown location(s): ${unknown.join(', ')}.` : null;
+};
+
+// The location a provider's working hours are kept in: the first one they are assigned to.
+const primaryLocation = (provider) => {
+  const [locationId] = provider.locationIds || [];
+  return (locationId && db.locations.get(locationId)) || null;
+};
+
+const providerTimeZone = (provider) => (primaryLocation(provider) || { timeZone: 'UTC' }).timeZone;
+
+module.exports = { validateLocation, validateLocationIds, primaryLocation, providerTimeZone };
@@ -0,0 +1,173 @@
+// Provider matching: ranks providers for a patient's request and explains each match.
+//
+// Specialty, appointment type, the patient's age and new-patient acceptance are hard
+// requirements; providers failing any of them are left out. Language and gender are
+// preferences: each one met raises a provider's score. Ties go to the earliest opening in
+// the requested window, and providers with no opening at all come last.
+
+const db = require('../db');
+const { DEFAULT_APPOINTMENT_DURATION, activeHolds, findOpenSlots } = require('./availability');
+const { findAppointmentType, durationForType, buffersForType } = require('./appointmentTypes');
+const { providerTimeZone } = require('./locations');
+
+// Age limits for specialties whose providers haven't set their own.
+const DEFAULT_ACCEPTED_AGES = {
+  pediatrics: { min: 0, max: 17 },
+};
+
+// Statuses that make a patient an established patient of the provider.
+const ESTABLISHING_STATUSES = ['scheduled', 'confirmed', 'checked-in', 'completed'];
+
+// Whole years between a YYYY-MM-DD birth date and `date`.
+const ageOn = (dateOfBirth, date) => {
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  const age = date.getUTCFullYear() - year;
+  const hadBirthday = date.getUTCMonth() + 1 > month || (date.getUTCMonth() + 1 === month && date.getUTCDate() >= day);
+  return hadBirthday ? age : age - 1;
+};
+
+const acceptedAges = (provider) =>
+  provider.acceptedAges || DEFAULT_ACCEPTED_AGES[provider.specialty.toLowerCase()] || null;
+
+const describeAges = ({ min, max }) => {
+  if (min != null && max != null) {
+    return `${min}–${max}`;
+  }
+  return min != null ? `${min} and over` : `up to ${max}`;
+};
+
+// Primary language subtag, so "es" matches a provider who lists "es-MX".
+const primaryLanguage = (tag) => tag.toLowerCase().split('-')[0];
+
+// `except` leaves out an appointment, so one being changed doesn't establish its own patient.
+const isEstablished = (patientId, providerId, { except } = {}) =>
+  db.appointments.list().some(a =>
+    a.id !== except && a.patientId === patientId && a.providerId === providerId && ESTABLISHING_STATUSES.includes(a.status)
+  );
+
+/**
+ * Checks a provider against the hard requirements. Returns `{ matched, excluded }` where
+ * `matched` lists the reasons it qualifies and `excluded` is the reason it doesn't, or null.
+ */
+const checkRequirements = (provider, { specialty, type, age, patientId }) => {
+  const matched = [];
+
+  if (specialty) {
+    if (provider.specialty.toLowerCase() !== specialty.toLowerCase()) {
+      return { matched, excluded: `Specialty is ${provider.specialty}` };
+    }
+    matched.push(`Specialty is ${provider.specialty}`);
+  }
+
+  // Compared by catalog name, ignoring case, as when booking.
+  const appointmentType = type ? findAppointmentType(type) : null;
+  const name = appointmentType ? appointmentType.name : type;
+  const specialties = appointmentType ? appointmentType.specialties : [];
+  if (specialties.length > 0 && !specialties.some(s => s.toLowerCase() === provider.specialty.toLowerCase())) {
+    return { matched, excluded: `${name} appointments are performed by ${specialties.join(', ')}` };
+  }
+
+  if (type && provider.appointmentTypes) {
+    if (!provider.appointmentTypes.some(t => t.toLowerCase() === name.toLowerCase())) {
+      return { matched, excluded: `Doesn't offer ${name} appointments` };
+    }
+    matched.push(`Offers ${name} appointments`);
+  }
+
+  const ages = acceptedAges(provider);
+  if (age !== undefined && ages) {
+    if ((ages.min != null && age < ages.min) || (ages.max != null && age > ages.max)) {
+      return { matched, excluded: `Sees patients aged ${describeAges(ages)}` };
+    }
+    matched.push(`Sees patients aged ${describeAges(ages)} (patient is ${age})`);
+  }
+
+  const newPatient = !patientId || !isEstablished(patientId, provider.id);
+  if (newPatient) {
+    if (provider.acceptingNewPatients === false) {
+      return { matched, excluded: 'Not accepting new patients' };
+    }
+    matched.push('Accepting new patients');
+  } else {
+    matched.push('Already sees this patient');
+  }
+
+  return { matched, excluded: null };
+};
+
+// Scores the language and gender preferences. Returns { score, matched, unmet }.
+const scorePreferences = (provider, { language, gender }) => {
+  const result = { score: 0, matched: [], unmet: [] };
+
+  if (language) {
+    const spoken = (provider.languages || []).find(l => primaryLanguage(l) === primaryLanguage(language));
+    if (spoken) {
+      result.score += 1;
+      result.matched.push(`Speaks ${spoken}`);
+    } else {
+      result.unmet.push(`Doesn't list ${language} among their languages`);
+    }
+  }
+
+  if (gender) {
+    if (provider.gender === gender) {
+      result.score += 1;
+      result.matched.push(`Gender is ${gender}`);
+    } else {
+      result.unmet.push(`Gender preference (${gender}) not met`);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Ranks the providers that meet the request's requirements. `from` and `to` bound the
+ * availability search; `age` and `patientId` (for new-patient checks) are optional.
+ * Returns matches best first, each with its score, earliest opening and explanation.
+ */
+const matchProviders = ({ specialty, type, from, to, age, patientId, language, gender }) => {
+  const duration = type ? durationForType(type) : DEFAULT_APPOINTMENT_DURATION;
+  const appointments = db.appointments.list();
+  const holds = activeHolds(db.holds.list());
+
+  return db.providers.list()
+    .filter(provider => !provider.deactivatedAt)
+    .map(provider => {
+      const requirements = checkRequirements(provider, { specialty, type, age, patientId });
+      if (requirements.excluded) {
+        return null;
+      }
+      const preferences = scorePreferences(provider, { language, gender });
+      const slots = findOpenSlots(provider, appointments, from, to, duration, holds, {
+        timeZone: providerTimeZone(provider),
+        ...buffersForType(type),
+      });
+      const matched = [...requirements.matched, ...preferences.matched];
+      const unmet = [...preferences.unmet];
+      if (slots.length > 0) {
+        matched.push(`${slots.length} opening${slots.length === 1 ? '' : 's'} in the requested window`);
+      } else {
+        unmet.push('No openings in the requested window');
+      }
+
+      return {
+        provider,
+        score: preferences.score,
+        earliestSlot: slots[0] || null,
+        openSlots: slots.length,
+        matched,
+        unmet,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) =>
+      (b.score - a.score) ||
+      (Boolean(b.earliestSlot) - Boolean(a.earliestSlot)) ||
+      (a.earliestSlot && b.earliestSlot ? a.earliestSlot.start.localeCompare(b.earliestSlot.start) : 0) ||
+      a.provider.lastName.localeCompare(b.provider.lastName)
+    )
+    .map((match, index) => ({ rank: index + 1, ...match }));
+};
+
+module.exports = { ageOn, isEstablished, matchProviders };
@@ -0,0 +1,50 @@
+// MLLP (Minimal Lower Layer Protocol) TCP listener for HL7 v2 messages.
+//
+// Each message is framed as <VT> message <FS><CR>. Every complete frame is passed to
+// `handle(text)` and the returned ACK is written back in the same framing. If `handle`
+// throws, the error is logged and the ACK from `onError(text, err)` is sent instead, so one
+// bad message can't take the listener down.
+//
+// The protocol has no authentication, so server.js binds the listener to a trusted interface.
+// A connection whose unfinished message grows past `maxMessageBytes` is closed, so a peer
+// that never sends the end block can't exhaust memory.
+
+const net = require('net');
+
+const START_BLOCK = 0x0b;
+const END_BLOCK = 0x1c;
+const CARRIAGE_RETURN = 0x0d;
+
+const frame = (text) => Buffer.concat([Buffer.from([START_BLOCK]), Buffer.from(text, 'utf8'), Buffer.from([END_BLOCK, CARRIAGE_RETURN])]);
+
+const createMllpServer = (handle, onError, { maxMessageBytes }) =>
+  net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let end;
+      while ((end = buffer.indexOf(END_BLOCK)) !== -1) {
+        const start = buffer.indexOf(START_BLOCK);
+        const text = buffer.slice(start === -1 || start > end ? 0 : start + 1, end).toString('utf8');
+        buffer = buffer.slice(buffer[end + 1] === CARRIAGE_RETURN ? end + 2 : end + 1);
+        let ack;
+        try {
+          ack = handle(text);
+        } catch (err) {
+          console.error('MLLP message handling failed:', err);
+          ack = onError(text, err);
+        }
+        socket.write(frame(ack));
+      }
+      if (buffer.length > maxMessageBytes) {
+        console.error(`MLLP message from ${socket.remoteAddress} exceeds ${maxMessageBytes} bytes; closing the connection.`);
+        buffer = Buffer.alloc(0);
+        socket.destroy();
+      }
+    });
+
+    socket.on('error', (err) => console.error(`MLLP connection error: ${err.message}`));
+  });
+
+module.exports = { createMllpServer, frame };
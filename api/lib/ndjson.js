@@ -0,0 +1,45 @@
+// Newline-delimited JSON (one value per line) for bulk import and export, and writing
+// line-oriented responses without buffering them whole.
+
+/**
+ * Parses NDJSON text. Returns one `{ line, value }` per non-blank line, or
+ * `{ line, error }` for lines that aren't valid JSON, so a bad line only affects itself.
+ */
+const parseNdjson = (text) =>
+  text.split(/\r?\n/)
+    .map((content, index) => ({ content, line: index + 1 }))
+    .filter(({ content }) => content.trim() !== '')
+    .map(({ content, line }) => {
+      try {
+        return { line, value: JSON.parse(content) };
+      } catch (err) {
+        return { line, error: err.message };
+      }
+    });
+
+/**
+ * Writes each string from `lines` (any iterable) to the response and ends it, waiting
+ * for the client to drain the buffer whenever it fills up. Stops early if the client
+ * disconnects.
+ */
+const streamLines = async (res, lines) => {
+  for (const line of lines) {
+    if (res.destroyed) {
+      return;
+    }
+    if (!res.write(line)) {
+      await new Promise(resolve => {
+        const resume = () => {
+          res.off('drain', resume);
+          res.off('close', resume);
+          resolve();
+        };
+        res.on('drain', resume);
+        res.on('close', resume);
+      });
+    }
+  }
+  res.end();
+};
+
+module.exports = { parseNdjson, streamLines };
@@ -0,0 +1,110 @@
+// Notification outbox: stores every outgoing patient message (reminders, replies, ...)
+// and sends it through the adapter for its channel once it falls due.
+//
+// A sweep runs every `pollIntervalMs`. Failed attempts are retried with exponential
+// backoff until `maxAttempts` is reached; every attempt is kept on the notification.
+
+const config = require('../config');
+const db = require('../db');
+const { publish } = require('./events');
+const { createAdapters } = require('./channels');
+
+const createOutbox = ({ pollIntervalMs, maxAttempts, retryBaseMs, adapters }) => {
+  /**
+   * Queues a notification for `channel` ("email" or "sms") to `to`. It is sent at `dueAt`
+   * (default: on the next sweep). Extra fields such as `kind` and `appointmentId` are
+   * stored as-is for filtering.
+   */
+  const enqueue = ({ channel, to, subject, body, dueAt, ...fields }) =>
+    db.notifications.create({
+      ...fields,
+      channel,
+      to,
+      subject: subject || null,
+      body,
+      status: 'pending',
+      dueAt: new Date(dueAt || Date.now()).toISOString(),
+      attempts: [],
+      createdAt: new Date().toISOString(),
+    });
+
+  // Cancels pending notifications matching `predicate`, recording why. Returns them.
+  const cancelPending = (predicate, reason) =>
+    db.notifications.list()
+      .filter(n => n.status === 'pending' && predicate(n))
+      .map(n => db.notifications.update(n.id, { ...n, status: 'cancelled', cancelReason: reason }));
+
+  const attempt = async (notification) => {
+    const adapter = adapters[notification.channel];
+    db.notifications.update(notification.id, { ...notification, status: 'sending' });
+
+    const result = { at: new Date().toISOString(), adapter: adapter ? adapter.name : null };
+    try {
+      if (!adapter) {
+        throw new Error(`No adapter is configured for the ${notification.channel} channel.`);
+      }
+      const { id } = await adapter.send(notification);
+      result.providerMessageId = id || null;
+    } catch (err) {
+      result.error = err.message;
+    }
+
+    const attempts = [...notification.attempts, result];
+    const succeeded = !result.error;
+    const exhausted = !succeeded && attempts.length >= maxAttempts;
+    const retryIn = retryBaseMs * 2 ** (attempts.length - 1);
+
+    const updated = db.notifications.update(notification.id, {
+      ...notification,
+      attempts,
+      status: succeeded ? 'sent' : exhausted ? 'failed' : 'pending',
+      dueAt: succeeded || exhausted ? notification.dueAt : new Date(Date.now() + retryIn).toISOString(),
+      ...(succeeded ? { sentAt: result.at } : {}),
+    });
+    if (succeeded || exhausted) {
+      publish(`notification.${updated.status}`, updated);
+    }
+  };
+
+  let sweeping = false;
+
+  // Sends every pending notification that is due, one at a time.
+  const sendDue = async () => {
+    if (sweeping) {
+      return;
+    }
+    sweeping = true;
+    try {
+      const now = new Date();
+      const due = db.notifications.list()
+        .filter(n => n.status === 'pending' && new Date(n.dueAt) <= now)
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+      for (const notification of due) {
+        // It may have been cancelled while earlier ones were being sent.
+        const current = db.notifications.get(notification.id);
+        if (current && current.status === 'pending') {
+          await attempt(current);
+        }
+      }
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  const start = () => {
+    // Sends interrupted by a restart are retried.
+    db.notifications.list()
+      .filter(n => n.status === 'sending')
+      .forEach(n => db.notifications.update(n.id, { ...n, status: 'pending' }));
+
+    const sweep = () => sendDue().catch(err => console.error('Notification sweep failed:', err));
+    setInterval(sweep, pollIntervalMs).unref();
+    sweep();
+  };
+
+  return { start, enqueue, cancelPending, sendDue };
+};
+
+const outbox = createOutbox({ ...config.notifications, adapters: createAdapters(config.notifications) });
+
+module.exports = { outbox, createOutbox };
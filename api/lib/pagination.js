@@ -0,0 +1,120 @@
+// Sorting and cursor-based pagination shared by the list endpoints.
+//
+// Lists are ordered by the requested field (`sort=date` or `sort=-date` for descending)
+// with the record ID as a tie-breaker. The cursor encodes the sort value and ID of the
+// last record on a page, so pages stay stable when records are added or removed.
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {}
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2) {
+      return decoded;
+    }
+  } catch (err) {
+    // Fall through to the error below.
+  }
+  throw new PaginationError('Invalid pagination cursor.');
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+};
+
+const parseLimit = (limit) => {
+  if (limit === undefined) {
+    return DEFAULT_LIMIT;
+  }
+  const parsed = Number(limit);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+    throw new PaginationError(`limit must be a whole number between 1 and ${MAX_LIMIT}.`);
+  }
+  return parsed;
+};
+
+const parseSort = (sort, sortableFields, defaultSort) => {
+  const value = sort || defaultSort;
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!sortableFields.includes(field)) {
+    throw new PaginationError(`sort must be one of: ${sortableFields.join(', ')} (prefix with "-" for descending).`);
+  }
+  return { field, direction: descending ? -1 : 1 };
+};
+
+// Link to the next page: the current request with its cursor swapped for `cursor`.
+const nextLink = (req, cursor) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key !== 'cursor') {
+      [].concat(value).forEach(v => params.append(key, v));
+    }
+  }
+  params.set('cursor', cursor);
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params}`;
+};
+
+/**
+ * Sorts and slices `items` according to the request's `sort`, `limit` and `cursor` query
+ * parameters, returning the `{ data, limit, next }` list envelope.
+ * Throws a PaginationError for malformed parameters.
+ */
+const paginate = (req, items, { sortableFields, defaultSort }) => {
+  const limit = parseLimit(req.query.limit);
+  const { field, direction } = parseSort(req.query.sort, sortableFields, defaultSort);
+
+  const compare = (aValue, aId, bValue, bId) =>
+    (compareValues(aValue, bValue) || compareValues(aId, bId)) * direction;
+
+  const sorted = [...items].sort((a, b) => compare(a[field], a.id, b[field], b.id));
+
+  let start = 0;
+  if (req.query.cursor) {
+    const [value, id] = decodeCursor(req.query.cursor);
+    start = sorted.findIndex(item => compare(item[field], item.id, value, id) > 0);
+    if (start === -1) {
+      start = sorted.length;
+    }
+  }
+
+  const data = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    limit,
+    next: hasMore ? nextLink(req, encodeCursor(last[field], last.id)) : null,
+  };
+};
+
+// Responds with a page of `items`, or a 400 when the pagination parameters are malformed.
+// `map`, if given, is applied to the records on the page only.
+const sendPage = (req, res, items, { map, ...options }) => {
+  try {
+    const page = paginate(req, items, options);
+    res.json(map ? { ...page, data: page.data.map(map) } : page);
+  } catch (err) {
+    if (err instanceof PaginationError) {
+      return res.status(400).json({ message: err.message, code: 'INVALID_INPUT' });
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  paginate,
+  sendPage,
+};
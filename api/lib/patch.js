@@ -0,0 +1,206 @@
+// PATCH support: JSON Merge Patch (RFC 7396, application/merge-patch+json) and JSON Patch
+// (RFC 6902, application/json-patch+json).
+//
+// A patch is applied to the stored record and the fields it changes become the update, which
+// is held to the same request schema as the resource's PUT. Only fields PUT accepts can be
+// changed, but JSON Patch `test` operations may check any field, e.g. `version`.
+
+const { swaggerSpec } = require('../swagger');
+const { requestBodyValidator } = require('../middleware/validation');
+const { SchedulingError } = require('./scheduling');
+
+const MEDIA_TYPES = {
+  merge: 'application/merge-patch+json',
+  json: 'application/json-patch+json',
+};
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const invalidPatch = (message) => new SchedulingError(400, 'INVALID_PATCH', message);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Applies a merge patch: objects are merged recursively, null removes a member, and any
+// other value replaces what was there.
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return patch;
+  }
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+// "/workingHours/monday/0" -> ['workingHours', 'monday', '0'].
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw invalidPatch(`"${pointer}" is not a JSON Pointer.`);
+  }
+  return pointer === '' ? [] : pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const arrayIndex = (token, length, pointer) => {
+  if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) >= length) {
+    throw invalidPatch(`Path ${pointer} does not exist.`);
+  }
+  return Number(token);
+};
+
+// The value at `tokens` in `document`; throws if there is none.
+const valueAt = (document, tokens, pointer) => tokens.reduce((node, token) => {
+  if (Array.isArray(node)) {
+    return node[arrayIndex(token, node.length, pointer)];
+  }
+  if (isObject(node) && has(node, token)) {
+    return node[token];
+  }
+  throw invalidPatch(`Path ${pointer} does not exist.`);
+}, document);
+
+// The container a pointer's last token refers into, and that token.
+const parentOf = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  const parent = valueAt(document, tokens, pointer);
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw invalidPatch(`Path ${pointer} does not exist.`);
+  }
+  return { parent, key };
+};
+
+const add = (document, pointer, value) => {
+  if (pointer === '') {
+    return value;
+  }
+  const { parent, key } = parentOf(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(key === '-' ? parent.length : arrayIndex(key, parent.length + 1, pointer), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+};
+
+const remove = (document, pointer) => {
+  if (pointer === '') {
+    throw invalidPatch('The whole record can\'t be removed.');
+  }
+  const { parent, key } = parentOf(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(key, parent.length, pointer), 1);
+  } else if (has(parent, key)) {
+    delete parent[key];
+  } else {
+    throw invalidPatch(`Path ${pointer} does not exist.`);
+  }
+  return document;
+};
+
+/**
+ * Applies JSON Patch `operations` to a copy of `document` and returns it. Throws a 400
+ * SchedulingError for malformed operations or paths that don't exist, and a 409 when a
+ * `test` operation fails.
+ */
+const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw invalidPatch('A JSON Patch must be an array of operations.');
+  }
+  return operations.reduce((doc, operation, index) => {
+    const { op, path, from, value } = isObject(operation) ? operation : {};
+    if (!OPERATIONS.includes(op)) {
+      throw invalidPatch(`Operation ${index} has no valid "op"; expected one of ${OPERATIONS.join(', ')}.`);
+    }
+    if (['add', 'replace', 'test'].includes(op) && !has(operation, 'value')) {
+      throw invalidPatch(`Operation ${index} (${op}) needs a "value".`);
+    }
+    const tokens = parsePointer(path);
+
+    switch (op) {
+      case 'add':
+        return add(doc, path, structuredClone(value));
+      case 'remove':
+        return remove(doc, path);
+      case 'replace':
+        valueAt(doc, tokens, path);
+        return path === '' ? structuredClone(value) : add(remove(doc, path), path, structuredClone(value));
+      case 'move': {
+        const moved = valueAt(doc, parsePointer(from), from);
+        if (path.startsWith(`${from}/`)) {
+          throw invalidPatch(`Operation ${index} moves ${from} into itself.`);
+        }
+        return add(remove(doc, from), path, moved);
+      }
+      case 'copy':
+        return add(doc, path, structuredClone(valueAt(doc, parsePointer(from), from)));
+      default:
+        if (!isEqual(valueAt(doc, tokens, path), value)) {
+          throw new SchedulingError(409, 'PATCH_TEST_FAILED', `Test of ${path} failed: the record has a different value there.`);
+        }
+        return doc;
+    }
+  }, structuredClone(document));
+};
+
+const validators = new Map();
+
+// Validates a change set against the PUT request schema of `template`, e.g. "/patients/{id}".
+const validatorFor = (template) => {
+  if (!validators.has(template)) {
+    validators.set(template, requestBodyValidator(swaggerSpec, template, 'put'));
+  }
+  return validators.get(template);
+};
+
+/**
+ * Applies the merge patch or JSON Patch in a PATCH request to `record` and returns the
+ * fields it changes, as a PUT body would give them (removed fields become null). The
+ * changes must be to fields the PUT at `template` accepts and pass its schema. Throws a
+ * SchedulingError: 415 for other media types, 400 for malformed or disallowed patches,
+ * 409 for failed tests.
+ */
+const patchChanges = (req, record, template) => {
+  let patched;
+  if (req.is(MEDIA_TYPES.merge)) {
+    if (!isObject(req.body)) {
+      throw invalidPatch('A merge patch must be a JSON object.');
+    }
+    patched = applyMergePatch(record, req.body);
+  } else if (req.is(MEDIA_TYPES.json)) {
+    patched = applyJsonPatch(record, req.body);
+  } else {
+    throw new SchedulingError(415, 'UNSUPPORTED_MEDIA_TYPE', `Send a merge patch (${MEDIA_TYPES.merge}) or a JSON Patch (${MEDIA_TYPES.json}).`);
+  }
+  if (!isObject(patched)) {
+    throw invalidPatch('The patch must leave the record an object.');
+  }
+
+  const editable = Object.keys(swaggerSpec.paths[template].put.requestBody.content['application/json'].schema.properties);
+  const changes = {};
+  for (const field of new Set([...Object.keys(record), ...Object.keys(patched)])) {
+    if (isEqual(record[field], patched[field])) {
+      continue;
+    }
+    if (!editable.includes(field)) {
+      throw invalidPatch(`${field} can't be changed with PATCH.`);
+    }
+    changes[field] = has(patched, field) ? patched[field] : null;
+  }
+
+  const errors = validatorFor(template)(changes);
+  if (errors.length > 0) {
+    throw new SchedulingError(400, 'VALIDATION_ERROR', 'Request validation failed.', { errors });
+  }
+  return changes;
+};
+
+module.exports = { MEDIA_TYPES, applyMergePatch, applyJsonPatch, patchChanges };
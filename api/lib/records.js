@@ -0,0 +1,113 @@
+// Creating patients and providers. POST /patients, POST /providers and bulk imports all go
+// through these, so a record is checked the same way whichever path it arrives by.
+
+const db = require('../db');
+const { publish } = require('./events');
+const { validateWorkingHours, validateAvailabilityOverrides } = require('./availability');
+const { validateLocationIds } = require('./locations');
+const { findDuplicates } = require('./duplicates');
+const { SchedulingError } = require('./scheduling');
+
+// Returns an error message for malformed schedule fields in a request body, otherwise null.
+const validateSchedule = ({ workingHours, availabilityOverrides, locationIds }) =>
+  (workingHours !== undefined && validateWorkingHours(workingHours)) ||
+  (availabilityOverrides !== undefined && validateAvailabilityOverrides(availabilityOverrides)) ||
+  (locationIds !== undefined && validateLocationIds(locationIds)) ||
+  null;
+
+// Returns an error message when an accepted age range is inverted, otherwise null.
+const validateAcceptedAges = ({ acceptedAges }) =>
+  acceptedAges && acceptedAges.min != null && acceptedAges.max != null && acceptedAges.min > acceptedAges.max
+    ? 'acceptedAges.min must not be greater than acceptedAges.max.'
+    : null;
+
+/**
+ * Creates a patient and publishes `patient.created`. Unless `force` is set, a record that
+ * looks like an existing patient is refused with a 409 listing the candidates. With
+ * `dryRun` every check runs but nothing is saved; the unsaved record is returned.
+ */
+const createPatient = ({ firstName, lastName, dateOfBirth, contactNumber, email }, { force = false, dryRun = false } = {}) => {
+  if (!firstName || !lastName || !dateOfBirth) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'Missing required fields.');
+  }
+
+  const patient = {
+    firstName,
+    lastName,
+    dateOfBirth,
+    contactNumber: contactNumber || null,
+    email: email || null,
+  };
+
+  const candidates = force ? [] : findDuplicates(patient);
+  if (candidates.length > 0) {
+    throw new SchedulingError(
+      409,
+      'POSSIBLE_DUPLICATE',
+      `This looks like an existing patient (${candidates.map(c => c.patient.id).join(', ')}). Retry with ?force=true to save anyway.`,
+      { candidates }
+    );
+  }
+  if (dryRun) {
+    return patient;
+  }
+
+  const created = db.patients.create(patient);
+  publish('patient.created', created);
+  return created;
+};
+
+/**
+ * Creates a provider and publishes `provider.created`. With `dryRun` every check runs but
+ * nothing is saved; the unsaved record is returned.
+ */
+const createProvider = (fields, { dryRun = false } = {}) => {
+  const {
+    firstName,
+    lastName,
+    specialty,
+    contactNumber,
+    email,
+    gender,
+    languages,
+    acceptedAges,
+    acceptingNewPatients,
+    appointmentTypes,
+    locationIds,
+    workingHours,
+    availabilityOverrides,
+  } = fields;
+  if (!firstName || !lastName || !specialty) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'Missing required fields.');
+  }
+
+  const fieldError = validateSchedule(fields) || validateAcceptedAges(fields);
+  if (fieldError) {
+    throw new SchedulingError(400, 'INVALID_INPUT', fieldError);
+  }
+
+  const provider = {
+    firstName,
+    lastName,
+    specialty,
+    contactNumber: contactNumber || null,
+    email: email || null,
+    gender: gender || null,
+    languages: languages || [],
+    acceptedAges: acceptedAges || null,
+    acceptingNewPatients: acceptingNewPatients !== false,
+    appointmentTypes: appointmentTypes || null,
+    locationIds: locationIds || [],
+    workingHours: workingHours || {},
+    availabilityOverrides: availabilityOverrides || [],
+  };
+  if (dryRun) {
+    return provider;
+  }
+
+  const created = db.providers.create(provider);
+  publish('provider.created', created);
+  return created;
+};
+
+module.exports = { validateSchedule, validateAcceptedAges, createPatient, createProvider };
@@ -0,0 +1,155 @@
+// Minimal iCalendar (RFC 5545) RRULE support for appointment series.
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, COUNT, UNTIL and, for weekly
+// rules, BYDAY. Occurrences keep the local time of day of the first occurrence in the
+// series' timezone, so a 09:00 weekly visit stays at 09:00 across DST changes.
+
+const MAX_OCCURRENCES = 104;
+const MAX_INTERVAL = 365;
+// Periods (days, weeks or months) searched for occurrences. Enough for a monthly rule on
+// February 29, which only matches every 48th month.
+const MAX_PERIODS = 5000;
+// Occurrences have to fit in four-digit years.
+const LATEST_DATE = Date.UTC(9999, 11, 31, 23, 59, 59);
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const { toWallClock, fromWallClock } = require('./timezones');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class RecurrenceError extends Error {}
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new RecurrenceError(`UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ, got "${value}".`);
+  }
+  const [, y, m, d, hh = '23', mm = '59', ss = '59'] = match;
+  return { date: new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss)), local: match[4] === undefined };
+};
+
+const positiveInteger = (name, value) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new RecurrenceError(`${name} must be a positive whole number.`);
+  }
+  return parsed;
+};
+
+const parseInterval = (value) => {
+  const interval = positiveInteger('INTERVAL', value);
+  if (interval > MAX_INTERVAL) {
+    throw new RecurrenceError(`INTERVAL can be at most ${MAX_INTERVAL}.`);
+  }
+  return interval;
+};
+
+/**
+ * Parses an RRULE string such as "FREQ=WEEKLY;INTERVAL=1;COUNT=10" (an "RRULE:" prefix
+ * is allowed). Throws a RecurrenceError describing the first problem found.
+ */
+const parseRRule = (rrule) => {
+  const parts = {};
+  for (const part of String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      throw new RecurrenceError(`Malformed RRULE part "${part}".`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).filter(k => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY'].includes(k));
+  if (unsupported.length > 0) {
+    throw new RecurrenceError(`Unsupported RRULE part(s): ${unsupported.join(', ')}.`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new RecurrenceError(`FREQ must be one of ${FREQUENCIES.join(', ')}.`);
+  }
+  if ((parts.COUNT === undefined) === (parts.UNTIL === undefined)) {
+    throw new RecurrenceError('An RRULE needs exactly one of COUNT or UNTIL.');
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL === undefined ? 1 : parseInterval(parts.INTERVAL),
+    count: parts.COUNT === undefined ? null : positiveInteger('COUNT', parts.COUNT),
+    // A date-only UNTIL is the end of that day in the series' timezone; a date-time is UTC.
+    until: parts.UNTIL === undefined ? null : parseUntil(parts.UNTIL),
+    byDay: null,
+  };
+
+  if (parts.BYDAY !== undefined) {
+    if (rule.freq !== 'WEEKLY') {
+      throw new RecurrenceError('BYDAY is only supported with FREQ=WEEKLY.');
+    }
+    rule.byDay = parts.BYDAY.split(',');
+    const invalid = rule.byDay.filter(d => !WEEKDAYS.includes(d));
+    if (invalid.length > 0) {
+      throw new RecurrenceError(`Invalid BYDAY value(s): ${invalid.join(', ')}.`);
+    }
+  }
+
+  return rule;
+};
+
+// Candidate dates for one period of the rule, in chronological order.
+const periodDates = (dtstart, rule, period) => {
+  const step = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    return [new Date(dtstart.getTime() + step * DAY)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    if (!rule.byDay) {
+      return [new Date(dtstart.getTime() + step * 7 * DAY)];
+    }
+    // Weeks start on Monday (the RFC 5545 default WKST).
+    const weekStart = dtstart.getTime() - ((dtstart.getUTCDay() + 6) % 7) * DAY + step * 7 * DAY;
+    return rule.byDay
+      .map(day => new Date(weekStart + ((WEEKDAYS.indexOf(day) + 6) % 7) * DAY))
+      .sort((a, b) => a - b);
+  }
+
+  // MONTHLY: same day of month; months without that day are skipped, as in RFC 5545.
+  const date = new Date(dtstart);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + step);
+  date.setUTCDate(dtstart.getUTCDate());
+  return date.getUTCDate() === dtstart.getUTCDate() ? [date] : [];
+};
+
+/**
+ * Expands `rule` from the first occurrence `dtstart` (a Date) into a list of Dates.
+ * Occurrences are calculated on the wall clock in `timeZone`; one that lands in a DST gap
+ * moves forward by the length of the gap (RFC 5545). Throws a RecurrenceError if the
+ * series would exceed MAX_OCCURRENCES, run past the year 9999, or need more than MAX_PERIODS
+ * periods to reach its end.
+ */
+const expand = (dtstart, rule, { timeZone = 'UTC' } = {}) => {
+  const occurrences = [];
+  const start = toWallClock(dtstart, timeZone);
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const local of periodDates(start, rule, period)) {
+      if (isNaN(local) || local.getTime() > LATEST_DATE) {
+        throw new RecurrenceError('The series runs past the latest supported date (the end of 9999).');
+      }
+      if (local < start) {
+        continue;
+      }
+      const date = local.getTime() === start.getTime() ? dtstart : fromWallClock(local, timeZone, { strict: false });
+      const pastUntil = rule.until && (rule.until.local ? local > rule.until.date : date > rule.until.date);
+      if ((rule.count !== null && occurrences.length >= rule.count) || pastUntil) {
+        return occurrences;
+      }
+      if (occurrences.length >= MAX_OCCURRENCES) {
+        throw new RecurrenceError(`A series can have at most ${MAX_OCCURRENCES} occurrences.`);
+      }
+      occurrences.push(date);
+    }
+  }
+  throw new RecurrenceError(`The rule's occurrences are too far apart: its end wasn't reached within ${MAX_PERIODS} intervals.`);
+};
+
+module.exports = { MAX_OCCURRENCES, RecurrenceError, parseRRule, expand };
@@ -0,0 +1,150 @@
+// Schedules appointment reminders in the notification outbox.
+//
+// Each open appointment gets one reminder per configured offset (e.g. 72h, 24h and 2h
+// before the start) on every channel the patient can be reached on, rendered from the
+// reminder template for the appointment type. Patients who replied STOP get no SMS.
+// Reminders are rebuilt when an appointment changes and cancelled when it is cancelled or
+// otherwise closed. Offsets that have already passed when an appointment is booked are
+// skipped.
+
+const config = require('../config');
+const db = require('../db');
+const { subscribe } = require('./events');
+const { isFinal } = require('./lifecycle');
+const { outbox } = require('./outbox');
+const { findAppointmentType } = require('./appointmentTypes');
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// Fields templates may reference as {{placeholder}}.
+const PLACEHOLDERS = [
+  'patient.firstName',
+  'patient.lastName',
+  'provider.firstName',
+  'provider.lastName',
+  'provider.specialty',
+  'appointment.id',
+  'appointment.type',
+  'appointment.duration',
+  'appointment.date',
+  'appointment.time',
+  'appointment.prepInstructions',
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// "72h" -> 4320. Throws on anything else so a bad REMINDER_OFFSETS fails at startup.
+const parseOffset = (offset) => {
+  const match = /^(\d+)([mhd])$/.exec(offset);
+  if (!match) {
+    throw new Error(`Invalid reminder offset "${offset}"; use a number followed by m, h or d (e.g. 24h).`);
+  }
+  return Number(match[1]) * UNIT_MINUTES[match[2]];
+};
+
+// Returns an error message naming unknown placeholders in `text`, otherwise null.
+const validateTemplateText = (text) => {
+  const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]).filter(p => !PLACEHOLDERS.includes(p));
+  return unknown.length > 0
+    ? `Unknown template placeholder(s): ${[...new Set(unknown)].join(', ')}. Allowed: ${PLACEHOLDERS.join(', ')}.`
+    : null;
+};
+
+// Dates and times are rendered in the appointment's location timezone, e.g. "10:00 AM EDT".
+// Prep instructions come from the appointment type catalog.
+const templateContext = (appointment, patient, provider) => {
+  const start = new Date(appointment.date);
+  const timeZone = appointment.timeZone || 'UTC';
+  const appointmentType = findAppointmentType(appointment.type);
+  return {
+    patient,
+    provider: provider || {},
+    appointment: {
+      ...appointment,
+      date: start.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone }),
+      time: start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone, timeZoneName: 'short' }),
+      prepInstructions: (appointmentType && appointmentType.prepInstructions) || '',
+    },
+  };
+};
+
+const render = (text, context) =>
+  text.replace(PLACEHOLDER_PATTERN, (_, placeholder) => {
+    const value = placeholder.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+    return value == null ? '' : String(value);
+  });
+
+// The template for an appointment type and channel, falling back to the default
+// (appointmentType null) template for the channel.
+const templateFor = (type, channel) => {
+  const templates = db.reminderTemplates.list().filter(t => t.channel === channel);
+  return templates.find(t => t.appointmentType === type) || templates.find(t => t.appointmentType === null) || null;
+};
+
+const recipients = (patient) => [
+  ...(patient.email ? [{ channel: 'email', to: patient.email }] : []),
+  ...(patient.contactNumber && !patient.smsOptOut ? [{ channel: 'sms', to: patient.contactNumber }] : []),
+];
+
+const createReminders = ({ offsets }) => {
+  const offsetMinutes = offsets.map(offset => ({ offset, minutes: parseOffset(offset) }));
+
+  // Queues the reminders for an open appointment. Returns the queued notifications.
+  const schedule = (appointment) => {
+    const patient = db.patients.get(appointment.patientId);
+    if (!patient || isFinal(appointment.status)) {
+      return [];
+    }
+    const context = templateContext(appointment, patient, db.providers.get(appointment.providerId));
+    const start = new Date(appointment.date).getTime();
+    const now = Date.now();
+
+    return offsetMinutes
+      .filter(({ minutes }) => start - minutes * 60000 > now)
+      .flatMap(({ offset, minutes }) => recipients(patient).map(({ channel, to }) => {
+        const template = templateFor(appointment.type, channel);
+        return template && outbox.enqueue({
+          kind: 'reminder',
+          appointmentId: appointment.id,
+          patientId: patient.id,
+          templateId: template.id,
+          offset,
+          channel,
+          to,
+          subject: template.subject ? render(template.subject, context) : null,
+          body: render(template.body, context),
+          dueAt: start - minutes * 60000,
+        });
+      }))
+      .filter(Boolean);
+  };
+
+  const cancel = (appointmentId, reason) =>
+    outbox.cancelPending(n => n.kind === 'reminder' && n.appointmentId === appointmentId, reason);
+
+  const start = () => subscribe((event) => {
+    const appointment = event.data;
+    switch (event.type) {
+      case 'appointment.created':
+        schedule(appointment);
+        break;
+      case 'appointment.updated':
+        cancel(appointment.id, 'appointment-updated');
+        schedule(appointment);
+        break;
+      case 'appointment.cancelled':
+      case 'appointment.no-show':
+      case 'appointment.checked-in':
+      case 'appointment.completed':
+        cancel(appointment.id, event.type.replace('.', '-'));
+        break;
+      default:
+    }
+  });
+
+  return { start, schedule, cancel };
+};
+
+const reminders = createReminders(config.reminders);
+
+module.exports = { reminders, createReminders, validateTemplateText, templateContext, render, recipients, PLACEHOLDERS };
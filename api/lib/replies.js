@@ -0,0 +1,194 @@
+// Two-way SMS: applies patients' replies to their reminders and answers each one.
+//
+// The sender is matched to patients by contact number and the reply applied to their
+// next upcoming open appointment (or, when several people share the number, to the one
+// their latest reminder was about). C confirms, X cancels and R asks staff to reschedule.
+// Every inbound message is logged; anything that wasn't applied automatically is flagged
+// for staff review. An opt-out flags the patients on the number so they get no more texts.
+
+const db = require('../db');
+const { publish } = require('./events');
+const { SchedulingError, transitionAppointment } = require('./scheduling');
+const { outbox } = require('./outbox');
+const { templateContext, render } = require('./reminders');
+
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+
+// First word of the reply -> intent. Carrier opt-out words are recorded but never answered.
+const KEYWORDS = {
+  confirm: ['C', 'CONFIRM', 'Y', 'YES'],
+  reschedule: ['R', 'RESCHEDULE'],
+  cancel: ['X', 'CANCEL'],
+  'opt-out': ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT'],
+};
+
+// Auto-reply wording for each outcome, using the reminder template placeholders.
+const REPLIES = {
+  confirmed: 'Thanks, your {{appointment.type}} appointment on {{appointment.date}} at {{appointment.time}} is confirmed.',
+  cancelled: 'Your {{appointment.type}} appointment on {{appointment.date}} at {{appointment.time}} has been cancelled. '
+    + 'Call us when you would like to book a new time.',
+  'reschedule-requested': 'Thanks, we have your request to reschedule your {{appointment.type}} appointment on '
+    + '{{appointment.date}}. Our staff will contact you with a new time.',
+  rejected: 'We could not update your {{appointment.type}} appointment on {{appointment.date}}. Our staff will contact you.',
+  unmatched: 'We could not find an upcoming appointment for this number. Please call the clinic.',
+  ambiguous: 'We could not tell which appointment your reply is about. Our staff will contact you.',
+  unrecognized: 'Sorry, we did not understand your reply. Reply C to confirm, R to reschedule or X to cancel your appointment.',
+};
+
+const APPLIED_OUTCOMES = ['confirmed', 'cancelled'];
+
+// Compares numbers by their digits, ignoring formatting and a leading +1 country code.
+const normalizeNumber = (number) => {
+  const digits = String(number || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+};
+
+const parseIntent = (text) => {
+  const word = String(text || '').trim().split(/\s+/)[0].replace(/[^A-Za-z]/g, '').toUpperCase();
+  const match = Object.entries(KEYWORDS).find(([, words]) => words.includes(word));
+  return match ? match[0] : null;
+};
+
+/**
+ * Finds the patients and appointment a message from `from` refers to. Returns
+ * `{ patients, appointment }`, with `ambiguous` set when the number belongs to more than
+ * one patient with an upcoming appointment and no reminder singles one out.
+ */
+const matchSender = (from) => {
+  const number = normalizeNumber(from);
+  const patients = number
+    ? db.patients.list().filter(p => !p.mergedInto && normalizeNumber(p.contactNumber) === number)
+    : [];
+  const patientIds = patients.map(p => p.id);
+  const now = new Date();
+  const upcoming = db.appointments.list()
+    .filter(a => patientIds.includes(a.patientId) && OPEN_STATUSES.includes(a.status) && new Date(a.date) > now)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  if (new Set(upcoming.map(a => a.patientId)).size > 1) {
+    const lastReminder = db.notifications.list()
+      .filter(n => n.kind === 'reminder' && n.channel === 'sms' && n.status === 'sent' && normalizeNumber(n.to) === number)
+      .sort((a, b) => b.sentAt.localeCompare(a.sentAt))[0];
+    const appointment = lastReminder && upcoming.find(a => a.id === lastReminder.appointmentId);
+    return appointment ? { patients, appointment } : { patients, appointment: null, ambiguous: true };
+  }
+  return { patients, appointment: upcoming[0] || null };
+};
+
+// Applies `intent` to the appointment. Returns the outcome and any error.
+const apply = (intent, appointment) => {
+  if (intent === 'reschedule') {
+    return { outcome: 'reschedule-requested' };
+  }
+  const status = intent === 'confirm' ? 'confirmed' : 'cancelled';
+  if (appointment.status === status) {
+    return { outcome: status };
+  }
+  try {
+    transitionAppointment(appointment.id, status, `Patient replied ${intent === 'confirm' ? 'to confirm' : 'to cancel'} by text`);
+    return { outcome: status };
+  } catch (err) {
+    if (!(err instanceof SchedulingError)) {
+      throw err;
+    }
+    return { outcome: 'rejected', error: err.message };
+  }
+};
+
+const outcomeFor = (intent, { patients, appointment, ambiguous }) => {
+  if (intent === 'opt-out') {
+    return { outcome: 'opted-out' };
+  }
+  if (ambiguous) {
+    return { outcome: 'ambiguous' };
+  }
+  if (!appointment) {
+    return { outcome: 'unmatched', error: patients.length === 0 ? 'No patient has this contact number.' : 'No upcoming appointment.' };
+  }
+  if (!intent) {
+    return { outcome: 'unrecognized' };
+  }
+  return apply(intent, appointment);
+};
+
+// Sets `smsOptOut` on the patients sharing an opted-out number and drops the texts still
+// queued for them.
+const optOut = (patients) => {
+  const patientIds = patients.map(p => p.id);
+  patients.filter(p => !p.smsOptOut).forEach((patient) => {
+    publish('patient.updated', db.patients.update(patient.id, { ...patient, smsOptOut: true }));
+  });
+  outbox.cancelPending(n => n.channel === 'sms' && patientIds.includes(n.patientId), 'opted-out');
+};
+
+/**
+ * Handles an inbound SMS `{ from, to, body, providerMessageId }`: applies it, queues the
+ * auto-reply and logs it. Returns the logged message. A message the gateway sends again
+ * (same `providerMessageId`) isn't applied twice; the first one's log entry is returned.
+ */
+const receiveReply = ({ from, to, body, providerMessageId }) => {
+  const received = providerMessageId && db.inboundMessages.list().find(m => m.providerMessageId === providerMessageId);
+  if (received) {
+    return received;
+  }
+
+  const intent = parseIntent(body);
+  const match = matchSender(from);
+  const { outcome, error } = outcomeFor(intent, match);
+  if (outcome === 'opted-out') {
+    optOut(match.patients);
+  }
+  const appointment = match.appointment && db.appointments.get(match.appointment.id);
+  const patientId = appointment ? appointment.patientId : match.patients.length === 1 ? match.patients[0].id : null;
+
+  let reply = null;
+  if (REPLIES[outcome]) {
+    const context = appointment
+      ? templateContext(appointment, db.patients.get(appointment.patientId), db.providers.get(appointment.providerId))
+      : {};
+    reply = outbox.enqueue({
+      kind: 'reply',
+      appointmentId: appointment ? appointment.id : null,
+      patientId,
+      channel: 'sms',
+      to: from,
+      body: render(REPLIES[outcome], context),
+    });
+  }
+
+  return db.inboundMessages.create({
+    channel: 'sms',
+    from,
+    to: to || null,
+    body: body || '',
+    providerMessageId: providerMessageId || null,
+    intent,
+    outcome,
+    ...(error ? { error } : {}),
+    patientId,
+    appointmentId: appointment ? appointment.id : null,
+    replyNotificationId: reply ? reply.id : null,
+    needsReview: !APPLIED_OUTCOMES.includes(outcome),
+    receivedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Marks a message flagged for review as dealt with. Returns the updated message, or null
+ * when there is no such message.
+ */
+const resolveReview = (id, { reviewedBy, note }) => {
+  const message = db.inboundMessages.get(id);
+  if (!message) {
+    return null;
+  }
+  return db.inboundMessages.update(id, {
+    ...message,
+    needsReview: false,
+    reviewedAt: new Date().toISOString(),
+    reviewedBy: reviewedBy || null,
+    ...(note ? { reviewNote: note } : {}),
+  });
+};
+
+module.exports = { receiveReply, resolveReview };
@@ -0,0 +1,388 @@
+// Booking rules shared by every path that creates or changes appointments
+// (the /appointments routes, waitlist offers, and other integrations).
+
+const db = require('../db');
+const { findConflict, activeHolds, findHold } = require('./availability');
+const { findAppointmentType } = require('./appointmentTypes');
+const { ageOn, isEstablished } = require('./matching');
+const { isFinal, historyEntry, transition } = require('./lifecycle');
+const { publish } = require('./events');
+const { TimeZoneError, parseDateTime, toUtcString, localTime } = require('./timezones');
+const { PreconditionFailedError } = require('./concurrency');
+
+class SchedulingError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Responds with the ErrorResponse shape for a SchedulingError.
+const sendSchedulingError = (res, err) =>
+  res.status(err.status).json({ message: err.message, code: err.code, ...err.details });
+
+// Runs a scheduling operation for a route handler, turning SchedulingErrors and failed
+// If-Match checks into responses.
+const handleScheduling = (res, operation) => {
+  try {
+    operation();
+  } catch (err) {
+    if (err instanceof SchedulingError || err instanceof PreconditionFailedError) {
+      return sendSchedulingError(res, err);
+    }
+    throw err;
+  }
+};
+
+const isValidDuration = (duration) => Number.isInteger(duration) && duration > 0;
+
+// UTC end of a visit of `duration` minutes starting at `date`.
+const endOf = (date, duration) => toUtcString(new Date(new Date(date).getTime() + duration * 60000));
+
+const assertPatientExists = (patientId) => {
+  const patient = db.patients.get(patientId);
+  if (!patient) {
+    throw new SchedulingError(400, 'PATIENT_NOT_FOUND', `Patient with ID ${patientId} not found.`);
+  }
+  if (patient.mergedInto) {
+    throw new SchedulingError(
+      400,
+      'PATIENT_MERGED',
+      `Patient ${patientId} was merged into ${patient.mergedInto}; use that ID instead.`,
+      { mergedInto: patient.mergedInto }
+    );
+  }
+  if (patient.deactivatedAt) {
+    throw new SchedulingError(400, 'PATIENT_INACTIVE', `Patient ${patientId} was deactivated on ${patient.deactivatedAt}.`);
+  }
+};
+
+const assertProviderExists = (providerId) => {
+  const provider = db.providers.get(providerId);
+  if (!provider) {
+    throw new SchedulingError(400, 'PROVIDER_NOT_FOUND', `Provider with ID ${providerId} not found.`);
+  }
+  if (provider.deactivatedAt) {
+    throw new SchedulingError(400, 'PROVIDER_INACTIVE', `Provider ${providerId} was deactivated on ${provider.deactivatedAt}.`);
+  }
+};
+
+/**
+ * Looks up `type` in the appointment type catalog and checks that the provider may perform
+ * it (specialty and the types they offer) and that the patient may book it: new or
+ * established with the provider, and within its age range on `date`. `appointmentId` is
+ * the appointment being changed, which doesn't make its own patient established. Returns
+ * the catalog entry.
+ */
+const assertTypeAllowed = (type, { patientId, providerId, date, appointmentId }) => {
+  const appointmentType = findAppointmentType(type);
+  if (!appointmentType) {
+    throw new SchedulingError(400, 'UNKNOWN_APPOINTMENT_TYPE', `Unknown appointment type "${type}". GET /appointment-types lists the catalog.`);
+  }
+  const { name, specialties, patientStatus, ageRange } = appointmentType;
+  const provider = db.providers.get(providerId);
+  const patient = db.patients.get(patientId);
+
+  if (specialties.length > 0 && !specialties.some(s => s.toLowerCase() === provider.specialty.toLowerCase())) {
+    throw new SchedulingError(
+      400,
+      'PROVIDER_NOT_ELIGIBLE',
+      `${name} appointments are performed by ${specialties.join(', ')}; provider ${providerId} is ${provider.specialty}.`
+    );
+  }
+  if (provider.appointmentTypes && !provider.appointmentTypes.some(t => t.toLowerCase() === name.toLowerCase())) {
+    throw new SchedulingError(400, 'PROVIDER_NOT_ELIGIBLE', `Provider ${providerId} doesn't offer ${name} appointments.`);
+  }
+
+  if (patientStatus !== 'any') {
+    const established = isEstablished(patientId, providerId, { except: appointmentId });
+    if (established !== (patientStatus === 'established')) {
+      throw new SchedulingError(
+        400,
+        'PATIENT_NOT_ELIGIBLE',
+        `${name} appointments are for ${patientStatus} patients, and patient ${patientId} is `
+          + `${established ? 'already' : 'not yet'} a patient of provider ${providerId}.`
+      );
+    }
+  }
+
+  const age = ageRange && patient.dateOfBirth ? ageOn(patient.dateOfBirth, new Date(date)) : null;
+  if (age !== null && ((ageRange.min != null && age < ageRange.min) || (ageRange.max != null && age > ageRange.max))) {
+    throw new SchedulingError(
+      400,
+      'PATIENT_NOT_ELIGIBLE',
+      `${name} appointments are for patients aged ${ageRange.min ?? 0} to ${ageRange.max ?? 'any age'}; patient ${patientId} will be ${age}.`
+    );
+  }
+
+  return appointmentType;
+};
+
+/**
+ * Parses an appointment date given in `timeZone` (see timezones.parseDateTime) into the
+ * UTC string appointments are stored with. Local times that a DST change skips or repeats
+ * are rejected with a 400.
+ */
+const parseAppointmentDate = (date, timeZone) => {
+  try {
+    return toUtcString(parseDateTime(date, timeZone));
+  } catch (err) {
+    if (err instanceof TimeZoneError) {
+      throw new SchedulingError(400, err.code, err.message, err.details);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Where and when an appointment takes place: its location (the given one, or else the
+ * provider's first), an optional room there, its UTC date (a date without an offset is
+ * local to the location) and the local time and offset echoed back with it. Appointments
+ * without a location are kept in UTC.
+ */
+const placeAppointment = ({ providerId, locationId, room, date }) => {
+  const assigned = db.providers.get(providerId).locationIds || [];
+  const id = locationId === undefined ? assigned[0] || null : locationId;
+  const location = id ? db.locations.get(id) : null;
+  if (id && !location) {
+    throw new SchedulingError(400, 'LOCATION_NOT_FOUND', `Location with ID ${id} not found.`);
+  }
+  if (location && assigned.length > 0 && !assigned.includes(id)) {
+    throw new SchedulingError(400, 'LOCATION_NOT_ASSIGNED', `Provider ${providerId} doesn't work at location ${id}.`);
+  }
+  if (room && !(location && (location.rooms || []).some(r => r.name === room))) {
+    throw new SchedulingError(400, 'ROOM_NOT_FOUND', `Room "${room}" not found${location ? ` at location ${id}` : ''}.`);
+  }
+
+  const timeZone = location ? location.timeZone : 'UTC';
+  const utc = parseAppointmentDate(date, timeZone);
+  return { date: utc, locationId: id, room: room || null, timeZone, ...localTime(utc, timeZone) };
+};
+
+// Throws a 409 SCHEDULING_CONFLICT if `appointment` overlaps another booking for its provider or patient.
+const assertNoConflict = (appointment) => {
+  const conflict = findConflict(db.appointments.list(), appointment);
+  if (conflict) {
+    const { appointment: other, conflictWith } = conflict;
+    throw new SchedulingError(
+      409,
+      'SCHEDULING_CONFLICT',
+      `Appointment overlaps existing ${conflictWith} appointment ${other.id} at ${other.date}.`,
+      { conflictWith, conflictingAppointmentId: other.id }
+    );
+  }
+};
+
+// Throws a 409 SLOT_HELD if `appointment` overlaps provider time someone else has on hold.
+// Holds apply even when double booking is allowed; only the holder's token gets past them.
+const assertNotHeld = (appointment, holdToken) => {
+  const hold = findHold(activeHolds(db.holds.list(), { exceptToken: holdToken }), appointment);
+  if (hold) {
+    throw new SchedulingError(
+      409,
+      'SLOT_HELD',
+      `Provider ${hold.providerId} is on hold for another booking at ${hold.date} until ${hold.expiresAt}.`,
+      { conflictWith: 'hold', heldUntil: hold.expiresAt }
+    );
+  }
+};
+
+// The active hold `holdToken` names, checked against the appointment about to be booked into it.
+const claimableHold = (holdToken, appointment) => {
+  const hold = db.holds.list().find(h => h.token === holdToken);
+  if (!hold) {
+    throw new SchedulingError(400, 'HOLD_NOT_FOUND', 'No hold matches the given hold token.');
+  }
+  if (hold.status !== 'active') {
+    throw new SchedulingError(409, 'HOLD_CLOSED', `Hold ${hold.id} is already ${hold.status}.`);
+  }
+  if (new Date(hold.expiresAt) <= new Date()) {
+    throw new SchedulingError(409, 'HOLD_EXPIRED', `Hold ${hold.id} expired at ${hold.expiresAt}.`);
+  }
+
+  const start = new Date(appointment.date).getTime();
+  const fits = hold.providerId === appointment.providerId &&
+    start === new Date(hold.date).getTime() &&
+    appointment.duration <= hold.duration &&
+    (!hold.patientId || hold.patientId === appointment.patientId);
+  if (!fits) {
+    throw new SchedulingError(
+      409,
+      'HOLD_MISMATCH',
+      `Hold ${hold.id} is for provider ${hold.providerId} at ${hold.date} for up to ${hold.duration} minutes`
+        + `${hold.patientId ? ` for patient ${hold.patientId}` : ''}.`
+    );
+  }
+  return hold;
+};
+
+/**
+ * Validates and stores a new scheduled appointment, then publishes `appointment.created`.
+ * Throws a SchedulingError when the input is invalid, the type isn't in the catalog or
+ * the provider or patient isn't eligible for it, or the slot (with the type's buffers) is
+ * already taken (unless `allowDoubleBooking` is set) or on hold. The duration defaults to
+ * the type's and sets the end time. A `holdToken` books the time its hold reserved and
+ * closes the hold. See placeAppointment for how `date`, `locationId` and `room` are
+ * resolved. With `dryRun` every check runs but nothing is saved; the unsaved appointment
+ * is returned.
+ */
+const bookAppointment = (
+  { patientId, providerId, date, locationId, room, type, duration, allowDoubleBooking, seriesId, holdToken },
+  { dryRun = false } = {}
+) => {
+  if (!patientId || !providerId || !date || !type) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'Missing required fields for appointment creation.');
+  }
+  if (duration !== undefined && !isValidDuration(duration)) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'duration must be a positive whole number of minutes.');
+  }
+
+  assertPatientExists(patientId);
+  assertProviderExists(providerId);
+
+  const place = placeAppointment({ providerId, locationId, room, date });
+  const appointmentType = assertTypeAllowed(type, { patientId, providerId, date: place.date });
+  const length = duration || appointmentType.duration;
+
+  const appointment = {
+    patientId,
+    providerId,
+    ...place,
+    type: appointmentType.name,
+    duration: length,
+    end: endOf(place.date, length),
+    bufferBefore: appointmentType.bufferBefore,
+    bufferAfter: appointmentType.bufferAfter,
+    status: 'scheduled',
+    statusHistory: [historyEntry('scheduled')],
+    ...(seriesId ? { seriesId } : {}),
+  };
+
+  const hold = holdToken ? claimableHold(holdToken, appointment) : null;
+  if (!allowDoubleBooking) {
+    assertNoConflict(appointment);
+  }
+  assertNotHeld(appointment, holdToken);
+  if (dryRun) {
+    return appointment;
+  }
+
+  const created = db.appointments.create(appointment);
+  if (hold) {
+    db.holds.update(hold.id, { ...hold, status: 'booked', appointmentId: created.id, closedAt: new Date().toISOString() });
+  }
+  publish('appointment.created', created);
+  return created;
+};
+
+/**
+ * Applies `changes` to an open appointment, then publishes `appointment.updated`. A new
+ * type brings its duration (unless one is given) and buffers; the place and local time
+ * are re-derived when the date, provider or location changes (a new location clears the
+ * room unless one is given); and eligibility for the type is checked again when the
+ * type, patient, provider or date changes. Status can't be changed here; use
+ * transitionAppointment. Throws a SchedulingError on invalid input or conflicts.
+ */
+const updateAppointment = (id, changes, { allowDoubleBooking = false } = {}) => {
+  const appointment = db.appointments.get(id);
+  if (!appointment) {
+    throw new SchedulingError(404, 'APPOINTMENT_NOT_FOUND', `Appointment with ID ${id} not found.`);
+  }
+
+  const { patientId, providerId, date, locationId, room, type, duration } = changes;
+
+  if (changes.status !== undefined || changes.statusHistory !== undefined) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'Appointment status can only be changed through the transition endpoints.');
+  }
+  if (isFinal(appointment.status)) {
+    throw new SchedulingError(409, 'APPOINTMENT_CLOSED', `Appointment ${id} is ${appointment.status} and can no longer be edited.`);
+  }
+  if (duration !== undefined && !isValidDuration(duration)) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'duration must be a positive whole number of minutes.');
+  }
+  if (patientId !== undefined && patientId !== appointment.patientId) {
+    assertPatientExists(patientId);
+  }
+  if (providerId !== undefined && providerId !== appointment.providerId) {
+    assertProviderExists(providerId);
+  }
+
+  const updated = { ...appointment, ...changes };
+  const moved = locationId !== undefined && locationId !== appointment.locationId;
+  if (date !== undefined || moved || room !== undefined || updated.providerId !== appointment.providerId) {
+    Object.assign(updated, placeAppointment({
+      providerId: updated.providerId,
+      locationId: updated.locationId,
+      room: room !== undefined ? room : (moved ? null : appointment.room),
+      date: updated.date,
+    }));
+  }
+
+  const retyped = type !== undefined && type.toLowerCase() !== appointment.type.toLowerCase();
+  const rebooked = retyped || date !== undefined ||
+    updated.patientId !== appointment.patientId || updated.providerId !== appointment.providerId;
+  // Appointments whose type has since left the catalog can still be moved.
+  if (rebooked && (retyped || findAppointmentType(updated.type))) {
+    const appointmentType = assertTypeAllowed(updated.type, { ...updated, appointmentId: id });
+    updated.type = appointmentType.name;
+    if (retyped) {
+      updated.bufferBefore = appointmentType.bufferBefore;
+      updated.bufferAfter = appointmentType.bufferAfter;
+      updated.duration = duration === undefined ? appointmentType.duration : duration;
+    }
+  }
+  updated.end = endOf(updated.date, updated.duration);
+
+  if (!allowDoubleBooking) {
+    assertNoConflict(updated);
+  }
+  assertNotHeld(updated);
+
+  const saved = db.appointments.update(appointment.id, updated);
+  publish('appointment.updated', saved);
+  return saved;
+};
+
+/**
+ * Moves appointment `id` to `status` (recording `reason` in its history) and publishes
+ * `appointment.<status>`. Throws a 404 or 409 SchedulingError when that isn't possible.
+ */
+const transitionAppointment = (id, status, reason) => {
+  const appointment = db.appointments.get(id);
+  if (!appointment) {
+    throw new SchedulingError(404, 'APPOINTMENT_NOT_FOUND', `Appointment with ID ${id} not found.`);
+  }
+
+  const updated = transition(appointment, status, reason);
+  if (!updated) {
+    throw new SchedulingError(
+      409,
+      'INVALID_STATUS_TRANSITION',
+      `Cannot change appointment ${appointment.id} from ${appointment.status} to ${status}.`
+    );
+  }
+
+  const saved = db.appointments.update(appointment.id, updated);
+  publish(`appointment.${status}`, saved);
+  return saved;
+};
+
+module.exports = {
+  SchedulingError,
+  sendSchedulingError,
+  handleScheduling,
+  isValidDuration,
+  endOf,
+  assertPatientExists,
+  assertProviderExists,
+  assertNoConflict,
+  assertNotHeld,
+  assertTypeAllowed,
+  parseAppointmentDate,
+  placeAppointment,
+  bookAppointment,
+  updateAppointment,
+  transitionAppointment,
+};
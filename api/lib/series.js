@@ -0,0 +1,196 @@
+// Recurring appointment series: booking every occurrence of an RRULE and applying edits or
+// cancellations to one occurrence, this and following occurrences, or the whole series.
+//
+// Each occurrence is booked and changed with the same rules as a single appointment, and
+// failures are collected per occurrence instead of aborting the whole operation.
+
+const db = require('../db');
+const { isFinal } = require('./lifecycle');
+const { RecurrenceError, parseRRule, expand } = require('./recurrence');
+const { toUtcString, toWallClock, fromWallClock } = require('./timezones');
+const {
+  SchedulingError,
+  assertPatientExists,
+  assertProviderExists,
+  assertTypeAllowed,
+  placeAppointment,
+  parseAppointmentDate,
+  bookAppointment,
+  updateAppointment,
+  transitionAppointment,
+} = require('./scheduling');
+
+const OCCURRENCE_SCOPES = ['this', 'following', 'all'];
+
+const failure = (err, extra) => ({ ...extra, code: err.code, message: err.message, ...err.details });
+
+// Runs `operation` for each item, splitting the results into successes and per-item failures.
+const collect = (items, operation, describe) => {
+  const succeeded = [];
+  const failed = [];
+  for (const item of items) {
+    try {
+      succeeded.push(operation(item));
+    } catch (err) {
+      if (!(err instanceof SchedulingError)) {
+        throw err;
+      }
+      failed.push(failure(err, describe(item)));
+    }
+  }
+  return { succeeded, failed };
+};
+
+/**
+ * Creates a series and books one appointment per RRULE occurrence, recurring on the wall
+ * clock of the series' location. Returns `{ series, created, conflicts }`; throws if the
+ * input is invalid or no occurrence could be booked.
+ */
+const createSeries = ({ patientId, providerId, date, locationId, room, type, duration, rrule, allowDoubleBooking }) => {
+  if (!patientId || !providerId || !date || !type || !rrule) {
+    throw new SchedulingError(400, 'INVALID_INPUT', 'Missing required fields for series creation.');
+  }
+
+  assertPatientExists(patientId);
+  assertProviderExists(providerId);
+  const place = placeAppointment({ providerId, locationId, room, date });
+  const appointmentType = assertTypeAllowed(type, { patientId, providerId, date: place.date });
+
+  let occurrences;
+  try {
+    occurrences = expand(new Date(place.date), parseRRule(rrule), { timeZone: place.timeZone });
+  } catch (err) {
+    if (err instanceof RecurrenceError) {
+      throw new SchedulingError(400, 'INVALID_RRULE', err.message);
+    }
+    throw err;
+  }
+
+  const series = db.appointmentSeries.create({
+    patientId,
+    providerId,
+    locationId: place.locationId,
+    room: place.room,
+    timeZone: place.timeZone,
+    type: appointmentType.name,
+    duration: duration || appointmentType.duration,
+    rrule,
+    startDate: place.date,
+    createdAt: new Date().toISOString(),
+  });
+
+  const { succeeded, failed } = collect(
+    occurrences,
+    (occurrence) => bookAppointment({
+      patientId,
+      providerId,
+      date: toUtcString(occurrence),
+      locationId: place.locationId,
+      room: place.room,
+      type: series.type,
+      duration: series.duration,
+      allowDoubleBooking,
+      seriesId: series.id,
+    }),
+    (occurrence) => ({ date: toUtcString(occurrence) })
+  );
+
+  if (succeeded.length === 0) {
+    db.appointmentSeries.remove(series.id);
+    throw new SchedulingError(409, 'SCHEDULING_CONFLICT', 'None of the series occurrences could be booked.', { conflicts: failed });
+  }
+
+  return { series, created: succeeded, conflicts: failed };
+};
+
+/**
+ * The open occurrences affected by a change to `appointment` with the given scope,
+ * in chronological order.
+ */
+const affectedOccurrences = (appointment, scope) => {
+  if (scope === 'this' || !appointment.seriesId) {
+    return [appointment];
+  }
+  return db.appointments.list()
+    .filter(a =>
+      a.seriesId === appointment.seriesId &&
+      !isFinal(a.status) &&
+      (scope === 'all' || new Date(a.date) >= new Date(appointment.date))
+    )
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+const getAppointment = (id) => {
+  const appointment = db.appointments.get(id);
+  if (!appointment) {
+    throw new SchedulingError(404, 'APPOINTMENT_NOT_FOUND', `Appointment with ID ${id} not found.`);
+  }
+  return appointment;
+};
+
+/**
+ * Applies `changes` to the occurrences selected by `scope`. A new `date` moves every
+ * affected occurrence by the same amount of wall-clock time as the anchor appointment, so
+ * occurrences on either side of a DST change keep the same local time. Returns
+ * `{ updated, failed }`.
+ */
+const updateOccurrences = (id, changes, { scope, allowDoubleBooking }) => {
+  const appointment = getAppointment(id);
+  const timeZone = appointment.timeZone || 'UTC';
+  const local = (date) => toWallClock(new Date(date), timeZone).getTime();
+  const shift = changes.date === undefined
+    ? 0
+    : local(parseAppointmentDate(changes.date, timeZone)) - local(appointment.date);
+  // Only the anchor takes the requested date; the others move by `shift`, or keep their own
+  // date when there is none.
+  const { date, ...otherChanges } = changes;
+  const newDate = (occ) => {
+    if (occ.id === appointment.id) {
+      return date;
+    }
+    return shift ? toUtcString(fromWallClock(new Date(local(occ.date) + shift), timeZone, { strict: false })) : undefined;
+  };
+
+  // Move the occurrence furthest along first so shifted occurrences don't collide with
+  // siblings that haven't moved yet.
+  const occurrences = affectedOccurrences(appointment, scope);
+  if (shift > 0) {
+    occurrences.reverse();
+  }
+
+  const { succeeded, failed } = collect(
+    occurrences,
+    (occ) => {
+      const occDate = newDate(occ);
+      return updateAppointment(occ.id, {
+        ...otherChanges,
+        ...(occDate === undefined ? {} : { date: occDate }),
+      }, { allowDoubleBooking });
+    },
+    (occ) => ({ appointmentId: occ.id, date: occ.date })
+  );
+
+  return { updated: succeeded.sort((a, b) => new Date(a.date) - new Date(b.date)), failed };
+};
+
+/**
+ * Cancels the occurrences selected by `scope`. Returns `{ cancelled, failed }`.
+ */
+const cancelOccurrences = (id, { scope, reason }) => {
+  const appointment = getAppointment(id);
+
+  const { succeeded, failed } = collect(
+    affectedOccurrences(appointment, scope),
+    (occ) => transitionAppointment(occ.id, 'cancelled', reason),
+    (occ) => ({ appointmentId: occ.id, date: occ.date })
+  );
+
+  return { cancelled: succeeded, failed };
+};
+
+module.exports = {
+  OCCURRENCE_SCOPES,
+  createSeries,
+  updateOccurrences,
+  cancelOccurrences,
+};
@@ -0,0 +1,161 @@
+// HL7 v2 SIU interface: emits an SIU message for every appointment change and applies
+// inbound SIU messages to appointments, answering each with an ACK.
+//
+// Outbound triggers: S12 new booking, S13 reschedule (start time changed), S14 any other
+// modification or status change, S15 cancellation, S26 no-show. Every message in either
+// direction is kept in the hl7Messages log.
+
+const config = require('../config');
+const db = require('../db');
+const { subscribe } = require('./events');
+const { Hl7Error, parse, buildAck, buildSiu, readSiu } = require('./hl7');
+const { SchedulingError, bookAppointment, updateAppointment, transitionAppointment } = require('./scheduling');
+
+const TRIGGER_FOR_EVENT = {
+  'appointment.created': 'S12',
+  'appointment.confirmed': 'S14',
+  'appointment.checked-in': 'S14',
+  'appointment.completed': 'S14',
+  'appointment.cancelled': 'S15',
+  'appointment.no-show': 'S26',
+};
+
+const INBOUND_TRIGGERS = ['S12', 'S13', 'S14', 'S15', 'S26'];
+
+const lastOutbound = (appointmentId) =>
+  db.hl7Messages.list()
+    .filter(m => m.direction === 'outbound' && m.appointmentId === appointmentId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+
+// Updates are reschedules (S13) when the start time moved since the last message sent.
+const triggerFor = (event) => {
+  if (event.type !== 'appointment.updated') {
+    return TRIGGER_FOR_EVENT[event.type];
+  }
+  const previous = lastOutbound(event.data.id);
+  return previous && previous.start !== new Date(event.data.date).toISOString() ? 'S13' : 'S14';
+};
+
+// Finds the appointment an inbound message refers to, by our ID (SCH-2) or by the
+// sender's ID (SCH-1) recorded when they booked it.
+const findAppointment = ({ fillerAppointmentId, placerAppointmentId }) => {
+  if (fillerAppointmentId && db.appointments.get(fillerAppointmentId)) {
+    return db.appointments.get(fillerAppointmentId);
+  }
+  const booking = placerAppointmentId && db.hl7Messages.list().find(m =>
+    m.direction === 'inbound' && m.trigger === 'S12' && m.ackCode === 'AA' && m.placerAppointmentId === placerAppointmentId
+  );
+  if (!booking) {
+    throw new Hl7Error('AE', `Unknown appointment ${fillerAppointmentId || placerAppointmentId || '(none given)'}.`);
+  }
+  return db.appointments.get(booking.appointmentId);
+};
+
+// Applies an inbound SIU message. Returns the affected appointment.
+const applySiu = (siu) => {
+  if (!INBOUND_TRIGGERS.includes(siu.trigger)) {
+    throw new Hl7Error('AR', `Unsupported trigger event SIU^${siu.trigger}.`);
+  }
+
+  if (siu.trigger === 'S12') {
+    return bookAppointment({
+      patientId: siu.patientId,
+      providerId: siu.providerId,
+      date: siu.date,
+      type: siu.type,
+      duration: siu.duration,
+    });
+  }
+
+  const appointment = findAppointment(siu);
+  switch (siu.trigger) {
+    case 'S15':
+      return transitionAppointment(appointment.id, 'cancelled', siu.reason);
+    case 'S26':
+      return transitionAppointment(appointment.id, 'no-show', siu.reason);
+    default: {
+      const changes = Object.fromEntries(
+        Object.entries({ date: siu.date, type: siu.type, duration: siu.duration, providerId: siu.providerId })
+          .filter(([, value]) => value !== undefined)
+      );
+      return updateAppointment(appointment.id, changes);
+    }
+  }
+};
+
+const createSiuInterface = (options) => {
+  const send = (event) => {
+    const trigger = triggerFor(event);
+    if (!trigger) {
+      return;
+    }
+    const appointment = event.data;
+    const { controlId, message } = buildSiu(options, trigger, {
+      appointment,
+      patient: db.patients.get(appointment.patientId),
+      provider: db.providers.get(appointment.providerId),
+      reason: appointment.statusHistory[appointment.statusHistory.length - 1].reason,
+    });
+    db.hl7Messages.create({
+      direction: 'outbound',
+      trigger,
+      controlId,
+      appointmentId: appointment.id,
+      start: new Date(appointment.date).toISOString(),
+      message,
+      createdAt: new Date().toISOString(),
+    });
+  };
+
+  /**
+   * Processes an inbound ER7 message and returns the ACK to send back: AA when it was
+   * applied, AE when it was understood but couldn't be applied, AR when it was rejected.
+   */
+  const receive = (text) => {
+    let message = null;
+    let record = { direction: 'inbound', message: String(text || ''), createdAt: new Date().toISOString() };
+    let ack;
+
+    try {
+      message = parse(text);
+      const siu = readSiu(message);
+      record = { ...record, trigger: siu.trigger, controlId: siu.controlId, placerAppointmentId: siu.placerAppointmentId };
+      const appointment = applySiu(siu);
+      record = { ...record, appointmentId: appointment.id, ackCode: 'AA' };
+      ack = buildAck(options, message, 'AA', `Applied to appointment ${appointment.id}.`);
+    } catch (err) {
+      if (!(err instanceof Hl7Error) && !(err instanceof SchedulingError)) {
+        throw err;
+      }
+      const ackCode = err instanceof Hl7Error ? err.ackCode : 'AE';
+      record = { ...record, ackCode, error: err.message };
+      ack = buildAck(options, message, ackCode, err.message);
+    }
+
+    db.hl7Messages.create({ ...record, ack });
+    return ack;
+  };
+
+  // The AE ACK for a message whose processing failed unexpectedly.
+  const errorAck = (text) => {
+    let message = null;
+    try {
+      message = parse(text);
+    } catch (err) {
+      // Answer without echoing the unreadable header.
+    }
+    return buildAck(options, message, 'AE', 'The message could not be processed.');
+  };
+
+  const start = () => subscribe((event) => {
+    if (event.type.startsWith('appointment.')) {
+      send(event);
+    }
+  });
+
+  return { start, receive, errorAck };
+};
+
+const siu = createSiuInterface(config.hl7);
+
+module.exports = { siu, createSiuInterface };
@@ -0,0 +1,145 @@
+// IANA timezone arithmetic for location-local appointment times, using the runtime's
+// Intl timezone data.
+//
+// A "wall-clock" time is a Date whose UTC fields hold a local date and time, e.g. 10:00 in
+// America/New_York is represented as ...T10:00:00Z. Converting a wall-clock time to an
+// instant can have no answer (skipped by a DST change in spring) or two (repeated in
+// autumn); strict conversions reject both, lenient ones follow RFC 5545 and move skipped
+// times forward by the length of the gap and take the first of repeated times.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Date-times with an explicit "Z" or "+hh:mm" offset name an instant; others are local.
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+class TimeZoneError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const formatters = new Map();
+const offsetFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    offsetFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Offset from UTC in minutes in `timeZone` at `instant`, e.g. -240 for EDT.
+const offsetAt = (timeZone, instant) => {
+  const name = offsetFormatter(timeZone).formatToParts(instant).find(p => p.type === 'timeZoneName').value;
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+// "+05:30" / "-04:00" / "+00:00".
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+// ISO 8601 UTC string without milliseconds, the format appointment dates are stored in.
+const toUtcString = (instant) => new Date(instant).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const toWallClock = (instant, timeZone) => new Date(instant.getTime() + offsetAt(timeZone, instant) * MINUTE);
+
+// The instants whose local time in `timeZone` is `wallClock`: none, one or two.
+const instantsFor = (wallClock, timeZone) => {
+  const offsets = new Set([
+    offsetAt(timeZone, new Date(wallClock.getTime() - DAY)),
+    offsetAt(timeZone, new Date(wallClock.getTime() + DAY)),
+  ]);
+  return [...offsets]
+    .map(offset => new Date(wallClock.getTime() - offset * MINUTE))
+    .filter(instant => toWallClock(instant, timeZone).getTime() === wallClock.getTime())
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Converts a wall-clock time in `timeZone` to an instant. Strict conversions throw a
+ * TimeZoneError for times skipped or repeated by a DST change; lenient ones move skipped
+ * times forward by the gap and take the earlier of repeated times.
+ */
+const fromWallClock = (wallClock, timeZone, { strict = true } = {}) => {
+  const instants = instantsFor(wallClock, timeZone);
+  const local = toUtcString(wallClock).slice(0, 19);
+
+  if (instants.length === 1 || (!strict && instants.length === 2)) {
+    return instants[0];
+  }
+  if (instants.length === 2) {
+    throw new TimeZoneError(
+      'AMBIGUOUS_LOCAL_TIME',
+      `${local} occurs twice in ${timeZone} because of a daylight saving change. Add the UTC offset to say which one you mean.`,
+      { candidates: instants.map(i => `${local}${formatOffset(offsetAt(timeZone, i))}`) }
+    );
+  }
+  if (strict) {
+    throw new TimeZoneError(
+      'NONEXISTENT_LOCAL_TIME',
+      `${local} does not exist in ${timeZone}: clocks skip it for daylight saving.`
+    );
+  }
+  // In a gap, the offset before the change maps the time just past the end of the gap.
+  return new Date(wallClock.getTime() - offsetAt(timeZone, new Date(wallClock.getTime() - DAY)) * MINUTE);
+};
+
+/**
+ * Parses an appointment date-time. Values with "Z" or an offset are instants; values
+ * without one are wall-clock times in `timeZone` (UTC when there is none), converted
+ * strictly. Returns a Date; throws a TimeZoneError for unparseable or DST-invalid times.
+ */
+const parseDateTime = (value, timeZone) => {
+  const text = String(value);
+  if (OFFSET_PATTERN.test(text)) {
+    const instant = new Date(text);
+    if (isNaN(instant)) {
+      throw new TimeZoneError('INVALID_INPUT', `Invalid date-time: ${text}.`);
+    }
+    return instant;
+  }
+
+  const match = LOCAL_PATTERN.exec(text);
+  if (!match) {
+    throw new TimeZoneError('INVALID_INPUT', `Invalid date-time: ${text}.`);
+  }
+  const [, y, mo, d, h = '00', mi = '00', s = '00'] = match;
+  const wallClock = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+  if (wallClock.getUTCMonth() !== +mo - 1 || wallClock.getUTCDate() !== +d || +h > 23 || +mi > 59 || +s > 59) {
+    throw new TimeZoneError('INVALID_INPUT', `Invalid date-time: ${text}.`);
+  }
+  return timeZone ? fromWallClock(wallClock, timeZone) : wallClock;
+};
+
+// Local date-time (without offset) and UTC offset of `instant` in `timeZone`.
+const localTime = (instant, timeZone) => ({
+  localDate: toUtcString(toWallClock(new Date(instant), timeZone)).slice(0, 19),
+  utcOffset: formatOffset(offsetAt(timeZone, new Date(instant))),
+});
+
+module.exports = {
+  TimeZoneError,
+  isValidTimeZone,
+  offsetAt,
+  formatOffset,
+  toUtcString,
+  toWallClock,
+  fromWallClock,
+  parseDateTime,
+  localTime,
+};
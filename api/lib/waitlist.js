@@ -0,0 +1,216 @@
+// Matches freed appointment slots against the waitlist and manages the resulting offers.
+//
+// When an appointment is cancelled, the best waiting candidate gets a time-limited offer
+// for the same provider, place, time and type. Declined or expired offers roll over to the next
+// candidate; each patient is offered a given slot at most once.
+
+const config = require('../config');
+const db = require('../db');
+const { subscribe, publish } = require('./events');
+const { findConflict } = require('./availability');
+const { SchedulingError, bookAppointment } = require('./scheduling');
+const { findAppointmentType } = require('./appointmentTypes');
+
+const MINUTE = 60 * 1000;
+
+// Start and end of a waitlist entry's date window. A date-only `to` includes the whole day.
+const entryWindow = (entry) => {
+  const to = new Date(entry.to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(entry.to)) {
+    to.setUTCDate(to.getUTCDate() + 1);
+  }
+  return { from: new Date(entry.from), to };
+};
+
+// Whether a slot is of the entry's appointment type. Both are compared as catalog entries,
+// so spelling and case don't matter; entries from before `typeId` was stored are looked up
+// by name.
+const typeMatches = (entry, slot) => {
+  const slotType = findAppointmentType(slot.type);
+  const entryTypeId = entry.typeId || (findAppointmentType(entry.type) || {}).id;
+  return Boolean(slotType) && slotType.id === entryTypeId;
+};
+
+const slotFits = (entry, slot, provider) => {
+  const { from, to } = entryWindow(entry);
+  const start = new Date(slot.date);
+  const end = new Date(start.getTime() + slot.duration * MINUTE);
+
+  const providerMatches = entry.providerId
+    ? entry.providerId === slot.providerId
+    : Boolean(provider && entry.specialty && entry.specialty.toLowerCase() === provider.specialty.toLowerCase());
+
+  return providerMatches && typeMatches(entry, slot) && start >= from && end <= to;
+};
+
+/**
+ * Waiting entries that could take `slot`, best first: entries naming the provider before
+ * specialty-only entries, then first come, first served.
+ */
+const rankCandidates = (slot) => {
+  const provider = db.providers.get(slot.providerId);
+  if (!provider || provider.deactivatedAt) {
+    return [];
+  }
+  const inactivePatients = new Set(db.patients.list().filter(p => p.deactivatedAt).map(p => p.id));
+  const alreadyOffered = new Set(
+    db.waitlistOffers.list().filter(o => o.sourceAppointmentId === slot.sourceAppointmentId).map(o => o.patientId)
+  );
+  const appointments = db.appointments.list();
+
+  return db.waitlist.list()
+    .filter(entry =>
+      entry.status === 'waiting' &&
+      entry.patientId !== slot.releasedBy &&
+      !inactivePatients.has(entry.patientId) &&
+      !alreadyOffered.has(entry.patientId) &&
+      slotFits(entry, slot, provider) &&
+      !findConflict(appointments, { ...slot, id: null, patientId: entry.patientId, providerId: null })
+    )
+    .sort((a, b) =>
+      (Boolean(b.providerId) - Boolean(a.providerId)) ||
+      a.createdAt.localeCompare(b.createdAt) ||
+      a.id.localeCompare(b.id)
+    );
+};
+
+const createWaitlist = ({ offerTtlMinutes, sweepIntervalMs }) => {
+  /**
+   * Offers `slot` to the best remaining candidate. Returns the new offer, or null if
+   * nobody on the waitlist can take it.
+   */
+  const offerSlot = (slot) => {
+    if (new Date(slot.date) <= new Date()) {
+      return null;
+    }
+    // Someone may have booked the provider into the slot since it was freed.
+    if (findConflict(db.appointments.list(), { ...slot, id: null, patientId: null })) {
+      return null;
+    }
+    const [entry] = rankCandidates(slot);
+    if (!entry) {
+      return null;
+    }
+
+    const now = new Date();
+    const offer = db.waitlistOffers.create({
+      waitlistEntryId: entry.id,
+      patientId: entry.patientId,
+      providerId: slot.providerId,
+      locationId: slot.locationId,
+      room: slot.room,
+      date: slot.date,
+      duration: slot.duration,
+      type: slot.type,
+      sourceAppointmentId: slot.sourceAppointmentId,
+      releasedBy: slot.releasedBy,
+      status: 'pending',
+      expiresAt: new Date(now.getTime() + offerTtlMinutes * MINUTE).toISOString(),
+      createdAt: now.toISOString(),
+    });
+    db.waitlist.update(entry.id, { ...entry, status: 'offered' });
+    publish('waitlist-offer.created', offer);
+    return offer;
+  };
+
+  // Closes a pending offer and hands the slot to the next candidate.
+  const closeAndRollOver = (offer, status) => {
+    const closed = db.waitlistOffers.update(offer.id, { ...offer, status, closedAt: new Date().toISOString() });
+    const entry = db.waitlist.get(offer.waitlistEntryId);
+    if (entry && entry.status === 'offered') {
+      db.waitlist.update(entry.id, { ...entry, status: 'waiting' });
+    }
+    publish(`waitlist-offer.${status}`, closed);
+    offerSlot(offer);
+    return closed;
+  };
+
+  const expireDueOffers = () => {
+    const now = new Date();
+    db.waitlistOffers.list()
+      .filter(o => o.status === 'pending' && new Date(o.expiresAt) <= now)
+      .forEach(o => closeAndRollOver(o, 'expired'));
+  };
+
+  const pendingOffer = (id) => {
+    const offer = db.waitlistOffers.get(id);
+    if (!offer) {
+      throw new SchedulingError(404, 'OFFER_NOT_FOUND', `Waitlist offer with ID ${id} not found.`);
+    }
+    if (offer.status === 'pending' && new Date(offer.expiresAt) <= new Date()) {
+      closeAndRollOver(offer, 'expired');
+      throw new SchedulingError(409, 'OFFER_EXPIRED', `Waitlist offer ${id} expired at ${offer.expiresAt}.`);
+    }
+    if (offer.status !== 'pending') {
+      throw new SchedulingError(409, 'OFFER_CLOSED', `Waitlist offer ${id} is already ${offer.status}.`);
+    }
+    return offer;
+  };
+
+  /**
+   * Books the offered slot for the patient. If the slot has been taken in the meantime the
+   * offer is withdrawn and the booking error is rethrown.
+   */
+  const accept = (id) => {
+    const offer = pendingOffer(id);
+
+    let appointment;
+    try {
+      appointment = bookAppointment({
+        patientId: offer.patientId,
+        providerId: offer.providerId,
+        locationId: offer.locationId,
+        room: offer.room,
+        date: offer.date,
+        type: offer.type,
+        duration: offer.duration,
+      });
+    } catch (err) {
+      if (err instanceof SchedulingError) {
+        closeAndRollOver(offer, 'withdrawn');
+      }
+      throw err;
+    }
+
+    const accepted = db.waitlistOffers.update(offer.id, {
+      ...offer,
+      status: 'accepted',
+      appointmentId: appointment.id,
+      closedAt: new Date().toISOString(),
+    });
+    const entry = db.waitlist.get(offer.waitlistEntryId);
+    if (entry) {
+      db.waitlist.update(entry.id, { ...entry, status: 'booked', appointmentId: appointment.id });
+    }
+    publish('waitlist-offer.accepted', accepted);
+    return accepted;
+  };
+
+  const decline = (id) => closeAndRollOver(pendingOffer(id), 'declined');
+
+  const start = () => {
+    setInterval(expireDueOffers, sweepIntervalMs).unref();
+    return subscribe((event) => {
+      if (event.type !== 'appointment.cancelled') {
+        return;
+      }
+      const appt = event.data;
+      offerSlot({
+        providerId: appt.providerId,
+        locationId: appt.locationId,
+        room: appt.room,
+        date: appt.date,
+        duration: appt.duration,
+        type: appt.type,
+        sourceAppointmentId: appt.id,
+        releasedBy: appt.patientId,
+      });
+    });
+  };
+
+  return { start, offerSlot, accept, decline, expireDueOffers };
+};
+
+const waitlist = createWaitlist(config.waitlist);
+
+module.exports = { waitlist, createWaitlist };
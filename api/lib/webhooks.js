@@ -0,0 +1,129 @@
+// Delivers domain events to webhook subscriptions.
+//
+// Each matching subscription gets a delivery record holding the payload and every attempt.
+// Requests are signed with the subscription secret:
+//
+//   X-Relatient-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Failed attempts (network errors or non-2xx responses) are retried with exponential backoff
+// until `maxAttempts` is reached.
+
+const crypto = require('crypto');
+const config = require('../config');
+const db = require('../db');
+const { subscribe } = require('./events');
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const matches = (webhook, eventType) =>
+  webhook.active && (webhook.events.includes('*') || webhook.events.includes(eventType));
+
+const createDispatcher = ({ maxAttempts, retryBaseMs, timeoutMs }) => {
+  const attempt = async (deliveryId) => {
+    const delivery = db.webhookDeliveries.get(deliveryId);
+    const webhook = delivery && db.webhooks.get(delivery.webhookId);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+    if (!webhook) {
+      db.webhookDeliveries.update(deliveryId, { ...delivery, status: 'failed', nextAttemptAt: null });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const result = { at: new Date(startedAt).toISOString() };
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Relatient-Webhooks/1.0',
+          'X-Relatient-Event': delivery.event,
+          'X-Relatient-Delivery': delivery.id,
+          'X-Relatient-Signature': `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      result.statusCode = response.status;
+      if (!response.ok) {
+        result.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (err) {
+      result.error = err.message;
+    }
+    result.durationMs = Date.now() - startedAt;
+
+    const attempts = [...delivery.attempts, result];
+    const succeeded = !result.error;
+    const exhausted = !succeeded && attempts.length >= maxAttempts;
+    const retryIn = retryBaseMs * 2 ** (attempts.length - 1);
+
+    db.webhookDeliveries.update(deliveryId, {
+      ...delivery,
+      attempts,
+      status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+      nextAttemptAt: succeeded || exhausted ? null : new Date(Date.now() + retryIn).toISOString(),
+    });
+
+    if (!succeeded && !exhausted) {
+      schedule(deliveryId, retryIn);
+    }
+  };
+
+  const schedule = (deliveryId, delayMs) => {
+    setTimeout(() => {
+      attempt(deliveryId).catch(err => console.error(`Webhook delivery ${deliveryId} crashed:`, err));
+    }, Math.max(delayMs, 0)).unref();
+  };
+
+  /**
+   * Records a new pending delivery of `payload` to `webhook` and sends it right away.
+   */
+  const enqueue = (webhook, event, payload, replayOf) => {
+    const delivery = db.webhookDeliveries.create({
+      webhookId: webhook.id,
+      event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      ...(replayOf ? { replayOf } : {}),
+    });
+    schedule(delivery.id, 0);
+    return delivery;
+  };
+
+  // Creates a fresh delivery with the same payload as an earlier one.
+  const replay = (delivery) => {
+    const webhook = db.webhooks.get(delivery.webhookId);
+    return enqueue(webhook, delivery.event, delivery.payload, delivery.id);
+  };
+
+  // Picks up deliveries that were still pending when the process last stopped.
+  const resumePending = () => {
+    db.webhookDeliveries.list()
+      .filter(d => d.status === 'pending')
+      .forEach(d => schedule(d.id, new Date(d.nextAttemptAt) - Date.now()));
+  };
+
+  const start = () => {
+    resumePending();
+    return subscribe((event) => {
+      db.webhooks.list()
+        .filter(webhook => matches(webhook, event.type))
+        .forEach(webhook => enqueue(webhook, event.type, event));
+    });
+  };
+
+  return { start, replay };
+};
+
+const dispatcher = createDispatcher(config.webhooks);
+
+module.exports = { dispatcher, createDispatcher, sign };
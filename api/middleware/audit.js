@@ -0,0 +1,47 @@
+// Attributes each authenticated request's audit entries to its caller, and logs the patients,
+// providers and appointments a successful GET sends back as reads. JSON bodies are searched
+// for audited records (including FHIR resources and expanded references); other formats
+// note their reads where they are rendered, as lib/icalendar.js does.
+
+const { runAs, noteReads, flushReads } = require('../lib/audit');
+
+// Every object in `body` that carries an ID, at any depth.
+const recordsIn = (body, found = []) => {
+  if (Array.isArray(body)) {
+    body.forEach(item => recordsIn(item, found));
+  } else if (body && typeof body === 'object') {
+    if (typeof body.id === 'string') {
+      found.push(body);
+    }
+    Object.values(body).forEach(value => recordsIn(value, found));
+  }
+  return found;
+};
+
+const auditRequests = (req, res, next) => {
+  const actor = {
+    actor: req.auth.subject,
+    authMethod: req.auth.method,
+    route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+  };
+
+  runAs(actor, (store) => {
+    if (req.method === 'GET') {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode < 300) {
+          noteReads(recordsIn(body));
+        }
+        return json(body);
+      };
+      res.on('finish', () => {
+        if (res.statusCode < 300) {
+          flushReads(store);
+        }
+      });
+    }
+    next();
+  });
+};
+
+module.exports = auditRequests;
@@ -0,0 +1,43 @@
+// Makes every response under /fhir look like FHIR: JSON is sent as application/fhir+json,
+// and the { message, code } error bodies produced by authentication, request validation
+// and the routes are rewritten as OperationOutcome resources.
+
+const { operationOutcome } = require('../lib/fhir');
+
+// OperationOutcome issue types for HTTP error statuses.
+const ISSUE_TYPES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  412: 'conflict',
+  422: 'processing',
+};
+
+const toOperationOutcome = (status, { message, code, errors }) => {
+  const issueType = ISSUE_TYPES[status] || 'exception';
+  if (Array.isArray(errors) && errors.length > 0) {
+    return operationOutcome(errors.map(err => ({
+      code: issueType,
+      diagnostics: `${err.field} ${err.message}`,
+      expression: [err.field],
+      details: { text: code },
+    })));
+  }
+  return operationOutcome([{ code: issueType, diagnostics: message, details: { text: code } }]);
+};
+
+const fhirResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.type('application/fhir+json');
+    if (res.statusCode >= 400 && body && !body.resourceType) {
+      return json(toOperationOutcome(res.statusCode, body));
+    }
+    return json(body);
+  };
+  next();
+};
+
+module.exports = fhirResponses;
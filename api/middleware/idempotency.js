@@ -0,0 +1,136 @@
+// Idempotency-Key support for POST requests, so a client can safely retry a request whose
+// response it never saw (a timeout, a dropped connection) without booking twice.
+//
+// The first request with a key runs normally and its response is stored. Retries with the
+// same key, from the same caller, get the stored response back (marked with an
+// `Idempotent-Replayed: true` header) instead of running again. Reusing a key for a
+// different request is refused with 422, and a retry that arrives while the first request
+// is still running gets 409. Keys are forgotten `ttlHours` after first use. Server errors
+// aren't stored, so requests that failed with a 5xx can be retried with the same key, and
+// keys left pending by a crash are released when the server starts again.
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const MAX_KEY_LENGTH = 255;
+
+const HOUR = 60 * 60 * 1000;
+
+// Response headers replayed along with the stored body.
+const REPLAYED_HEADERS = ['Content-Type', 'Location'];
+
+// Identifies the request a key was first used for: method, URL and body.
+const fingerprint = (req) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body === undefined ? null : req.body]))
+    .digest('hex');
+
+const removeExpired = () => {
+  const now = new Date();
+  db.idempotencyKeys.list()
+    .filter(k => new Date(k.expiresAt) <= now)
+    .forEach(k => db.idempotencyKeys.remove(k.id));
+};
+
+const replay = (res, stored) => {
+  REPLAYED_HEADERS.forEach(name => {
+    if (stored.headers[name]) {
+      res.set(name, stored.headers[name]);
+    }
+  });
+  res.set('Idempotent-Replayed', 'true').status(stored.statusCode).send(stored.body === null ? undefined : stored.body);
+};
+
+// No request survives a restart, so a pending key found at startup belongs to a request that
+// never finished, and would otherwise block its retries until the key expired.
+const releasePending = () => {
+  db.idempotencyKeys.list()
+    .filter(k => k.status === 'pending')
+    .forEach(k => db.idempotencyKeys.remove(k.id));
+};
+
+/**
+ * Express middleware honouring an `Idempotency-Key` header on POST requests. Mount it after
+ * authentication, since keys belong to the caller that sent them. Creating it releases keys
+ * left pending by a previous run.
+ */
+const idempotency = ({ ttlHours }) => {
+  releasePending();
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || key === undefined) {
+      return next();
+    }
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters.`,
+        code: 'INVALID_IDEMPOTENCY_KEY',
+      });
+    }
+
+    removeExpired();
+    const owner = `${req.auth.method}:${req.auth.subject}`;
+    const requestHash = fingerprint(req);
+    const stored = db.idempotencyKeys.list().find(k => k.owner === owner && k.key === key);
+
+    if (stored) {
+      if (stored.requestHash !== requestHash) {
+        return res.status(422).json({
+          message: `Idempotency-Key "${key}" was already used for a different request. Use a new key for each request.`,
+          code: 'IDEMPOTENCY_KEY_REUSED',
+        });
+      }
+      if (stored.status === 'pending') {
+        return res.status(409).json({
+          message: `A request with Idempotency-Key "${key}" is still being processed. Retry shortly.`,
+          code: 'IDEMPOTENCY_KEY_IN_USE',
+        });
+      }
+      return replay(res, stored);
+    }
+
+    const now = new Date();
+    const record = db.idempotencyKeys.create({
+      owner,
+      key,
+      requestHash,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: 'pending',
+      statusCode: null,
+      headers: {},
+      body: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlHours * HOUR).toISOString(),
+    });
+
+    let body = null;
+    const send = res.send.bind(res);
+    res.send = (chunk) => {
+      if (chunk !== undefined && chunk !== null) {
+        body = Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+      }
+      return send(chunk);
+    };
+
+    let settled = false;
+    const settle = (finished) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (!finished || res.statusCode >= 500) {
+        db.idempotencyKeys.remove(record.id);
+        return;
+      }
+      const headers = Object.fromEntries(REPLAYED_HEADERS.filter(name => res.get(name)).map(name => [name, res.get(name)]));
+      db.idempotencyKeys.update(record.id, { ...record, status: 'completed', statusCode: res.statusCode, headers, body });
+    };
+    res.on('finish', () => settle(true));
+    res.on('close', () => settle(res.writableFinished));
+
+    next();
+  };
+};
+
+module.exports = idempotency;
@@ -0,0 +1,208 @@
+// Validates requests (and optionally responses) against the OpenAPI spec built from the
+// swagger JSDoc annotations in routes/, so the documented schemas are the single source
+// of truth for what the API accepts and returns.
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const SPEC_ID = 'openapi';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// JSON pointer escaping for building $refs into the spec document.
+const pointer = (...segments) =>
+  segments.map(s => String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+
+const createAjv = (spec, options) => {
+  // OpenAPI adds keywords (example, nullable, ...) that aren't part of JSON Schema.
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema(spec, SPEC_ID);
+  return ajv;
+};
+
+const compileRef = (ajv, ...segments) => ajv.compile({ $ref: `${SPEC_ID}#/${pointer(...segments)}` });
+
+// Schema for a set of path or query parameters, e.g. { id: { type: 'string' } }.
+const parametersSchema = (parameters, location) => {
+  const matching = parameters.filter(p => p.in === location);
+  if (matching.length === 0) {
+    return null;
+  }
+  return {
+    type: 'object',
+    properties: Object.fromEntries(matching.map(p => [p.name, p.schema || {}])),
+    required: matching.filter(p => p.required).map(p => p.name),
+  };
+};
+
+// Decodes a path parameter, or returns null when its percent-encoding is malformed
+// (e.g. "%E0%A4%A").
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Turns "/appointments/{id}/cancel" into a regex capturing each path parameter.
+const pathMatcher = (template) => {
+  const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '([^/]+)');
+  return new RegExp(`^${pattern}/?$`);
+};
+
+const formatErrors = (errors, location) =>
+  errors.map(err => {
+    let field = err.instancePath.slice(1).replace(/\//g, '.');
+    if (err.keyword === 'required') {
+      field = field ? `${field}.${err.params.missingProperty}` : err.params.missingProperty;
+    } else if (err.keyword === 'additionalProperties') {
+      field = field ? `${field}.${err.params.additionalProperty}` : err.params.additionalProperty;
+    }
+    const message = err.keyword === 'additionalProperties' ? 'is not an allowed property' : err.message;
+    return { field: field ? `${location}.${field}` : location, message };
+  });
+
+/**
+ * Compiles validators for every operation in the spec. Returns a function mapping
+ * (method, path) to the matching operation, or null for paths the spec doesn't describe.
+ */
+const buildOperations = (spec) => {
+  // Request validation coerces query and path strings to their documented types.
+  const requestAjv = createAjv(spec);
+  const paramsAjv = createAjv(spec, { coerceTypes: true });
+  const responseAjv = createAjv(spec);
+
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map(p => (p.$ref ? spec.components.parameters[p.$ref.split('/').pop()] : p));
+      const pathSchema = parametersSchema(parameters, 'path');
+      const querySchema = parametersSchema(parameters, 'query');
+      const bodySchema = operation.requestBody && operation.requestBody.content &&
+        operation.requestBody.content['application/json'];
+
+      const responses = {};
+      for (const [status, response] of Object.entries(operation.responses || {})) {
+        const content = response.content && response.content['application/json'];
+        if (content && content.schema) {
+          responses[status] = compileRef(responseAjv, 'paths', template, method, 'responses', status, 'content', 'application/json', 'schema');
+        }
+      }
+
+      operations.push({
+        method,
+        template,
+        matcher: pathMatcher(template),
+        paramNames: (template.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1)),
+        validatePath: pathSchema && paramsAjv.compile(pathSchema),
+        validateQuery: querySchema && paramsAjv.compile(querySchema),
+        validateBody: bodySchema && compileRef(requestAjv, 'paths', template, method, 'requestBody', 'content', 'application/json', 'schema'),
+        // Only JSON bodies are parsed before validation; other media types are left to the route.
+        bodyRequired: Boolean(bodySchema && operation.requestBody.required),
+        responses,
+      });
+    }
+  }
+
+  // Prefer literal segments over parameters, e.g. /providers/match over /providers/{id}.
+  operations.sort((a, b) => a.paramNames.length - b.paramNames.length);
+
+  return (method, path) => {
+    for (const op of operations) {
+      if (op.method !== method.toLowerCase()) {
+        continue;
+      }
+      const match = op.matcher.exec(path);
+      if (match) {
+        const params = Object.fromEntries(op.paramNames.map((name, i) => [name, decodeParam(match[i + 1])]));
+        return { op, params };
+      }
+    }
+    return null;
+  };
+};
+
+const validateRequest = ({ op, params }, req) => {
+  const undecodable = Object.keys(params).filter(name => params[name] === null);
+  if (undecodable.length > 0) {
+    return undecodable.map(name => ({ field: `path.${name}`, message: 'is not valid percent-encoded text' }));
+  }
+
+  const errors = [];
+
+  if (op.validatePath && !op.validatePath({ ...params })) {
+    errors.push(...formatErrors(op.validatePath.errors, 'path'));
+  }
+  if (op.validateQuery && !op.validateQuery({ ...req.query })) {
+    errors.push(...formatErrors(op.validateQuery.errors, 'query'));
+  }
+
+  if (op.validateBody && req.body !== undefined) {
+    if (!op.validateBody(req.body)) {
+      errors.push(...formatErrors(op.validateBody.errors, 'body'));
+    }
+  } else if (op.bodyRequired) {
+    errors.push({ field: 'body', message: 'a JSON request body is required' });
+  }
+
+  return errors;
+};
+
+/**
+ * Express middleware that rejects requests not matching the spec with a 400 listing each
+ * offending field. With `validateResponses`, JSON responses are checked too and a
+ * mismatch is turned into a 500 so drift between the spec and the handlers shows up
+ * immediately during development.
+ */
+const validation = (spec, { validateResponses = false } = {}) => {
+  const findOperation = buildOperations(spec);
+
+  return (req, res, next) => {
+    const found = findOperation(req.method, req.path);
+    if (!found) {
+      return next();
+    }
+
+    const errors = validateRequest(found, req);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Request validation failed.', code: 'VALIDATION_ERROR', errors });
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const validate = found.op.responses[res.statusCode] || found.op.responses.default;
+        if (validate && !validate(body)) {
+          const responseErrors = formatErrors(validate.errors, 'response');
+          console.error(`Response for ${req.method} ${found.op.template} (${res.statusCode}) does not match the spec:`, responseErrors);
+          res.status(500);
+          return json({ message: 'Response validation failed.', code: 'RESPONSE_VALIDATION_ERROR', errors: responseErrors });
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+};
+
+/**
+ * Compiles the JSON request body schema of an operation, e.g. ('/patients', 'post'), into
+ * a function returning a body's validation errors (none when it's valid), reported like
+ * request validation errors with `location` as the field prefix. Bulk imports check each
+ * row with it so rows are held to the same schema as single requests.
+ */
+const requestBodyValidator = (spec, template, method, location = 'body') => {
+  const validate = compileRef(createAjv(spec), 'paths', template, method, 'requestBody', 'content', 'application/json', 'schema');
+  return (body) => (validate(body) ? [] : formatErrors(validate.errors, location));
+};
+
+module.exports = validation;
+module.exports.requestBodyValidator = requestBodyValidator;
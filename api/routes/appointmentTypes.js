@@ -0,0 +1,547 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { findAppointmentType, validateAppointmentType } = require('../lib/appointmentTypes');
+const { SchedulingError, handleScheduling } = require('../lib/scheduling');
+const { withEtag, assertIfMatch } = require('../lib/concurrency');
+const { patchChanges } = require('../lib/patch');
+
+const notFoundResponse = (res, id) =>
+  res.status(404).json({ message: `Appointment type with ID ${id} not found.`, code: 'APPOINTMENT_TYPE_NOT_FOUND' });
+
+// Responds 409 if another catalog entry already has `name`; returns whether it did.
+const rejectDuplicateName = (res, name, id) => {
+  const existing = findAppointmentType(name);
+  if (!existing || existing.id === id) {
+    return false;
+  }
+  res.status(409).json({
+    message: `An appointment type named "${existing.name}" already exists (${existing.id}).`,
+    code: 'DUPLICATE_APPOINTMENT_TYPE',
+  });
+  return true;
+};
+
+// Applies a PUT body, or the changes a PATCH makes, to an appointment type.
+const saveChanges = (res, appointmentType, changes) => {
+  const changed = { ...appointmentType, ...changes };
+  const fieldError = validateAppointmentType(changed);
+  if (fieldError) {
+    throw new SchedulingError(400, 'INVALID_INPUT', fieldError);
+  }
+  if (rejectDuplicateName(res, changed.name, appointmentType.id)) {
+    return;
+  }
+
+  const updated = db.appointmentTypes.update(appointmentType.id, changed);
+  withEtag(res, updated).json(updated);
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Appointment Types
+ *     description: >-
+ *       The catalog of visit types. Appointments name their type, which must be in the
+ *       catalog: it sets the default duration (and so the end time), the buffer time the
+ *       provider needs before and after, and who may perform and book it.
+ */
+
+/**
+ * @swagger
+ * /appointment-types:
+ *   get:
+ *     summary: List appointment types
+ *     tags: [Appointment Types]
+ *     parameters:
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *           example: "Pediatrics"
+ *         description: Only types this specialty may perform (case-insensitive), including types open to every specialty.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, duration, -duration, id, -id]
+ *           default: name
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of appointment types.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentTypeList'
+ *       400:
+ *         description: Invalid sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', requireScope('appointments:read'), (req, res) => {
+  const specialty = req.query.specialty && req.query.specialty.toLowerCase();
+
+  const results = db.appointmentTypes.list().filter(t =>
+    !specialty || t.specialties.length === 0 || t.specialties.some(s => s.toLowerCase() === specialty)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['name', 'duration', 'id'], defaultSort: 'name' });
+});
+
+/**
+ * @swagger
+ * /appointment-types/{id}:
+ *   get:
+ *     summary: Get an appointment type
+ *     tags: [Appointment Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "typ1"
+ *     responses:
+ *       200:
+ *         description: Appointment type found.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentType'
+ *       404:
+ *         description: Appointment type not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('appointments:read'), (req, res) => {
+  const appointmentType = db.appointmentTypes.get(req.params.id);
+  if (!appointmentType) {
+    return notFoundResponse(res, req.params.id);
+  }
+  withEtag(res, appointmentType).json(appointmentType);
+});
+
+/**
+ * @swagger
+ * /appointment-types:
+ *   post:
+ *     summary: Add an appointment type
+ *     tags: [Appointment Types]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required:
+ *               - name
+ *               - duration
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Unique (case-insensitive); appointments refer to their type by name.
+ *                 example: "Annual Physical"
+ *               description:
+ *                 type: string
+ *               duration:
+ *                 type: integer
+ *                 minimum: 5
+ *                 example: 45
+ *               bufferBefore:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               bufferAfter:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               specialties:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Specialties that may perform the type. Omit or leave empty for any.
+ *                 example: ["General Practice", "Internal Medicine"]
+ *               patientStatus:
+ *                 type: string
+ *                 enum: [any, new, established]
+ *                 default: any
+ *               ageRange:
+ *                 $ref: '#/components/schemas/AppointmentTypeAgeRange'
+ *               prepInstructions:
+ *                 type: string
+ *                 example: "Fast for 8 hours before your visit."
+ *     responses:
+ *       201:
+ *         description: Appointment type created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentType'
+ *       400:
+ *         description: Invalid input.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A type with the same name already exists (`DUPLICATE_APPOINTMENT_TYPE`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', requireScope('appointments:admin'), (req, res) => {
+  const { name, description, duration, bufferBefore, bufferAfter, specialties, patientStatus, ageRange, prepInstructions } = req.body;
+
+  const fieldError = validateAppointmentType(req.body);
+  if (fieldError) {
+    return res.status(400).json({ message: fieldError, code: 'INVALID_INPUT' });
+  }
+  if (rejectDuplicateName(res, name)) {
+    return;
+  }
+
+  const appointmentType = db.appointmentTypes.create({
+    name,
+    description: description || null,
+    duration,
+    bufferBefore: bufferBefore || 0,
+    bufferAfter: bufferAfter || 0,
+    specialties: specialties || [],
+    patientStatus: patientStatus || 'any',
+    ageRange: ageRange || null,
+    prepInstructions: prepInstructions || null,
+  });
+
+  res.status(201).json(appointmentType);
+});
+
+/**
+ * @swagger
+ * /appointment-types/{id}:
+ *   put:
+ *     summary: Update an appointment type
+ *     description: >-
+ *       Changes apply to appointments booked or changed afterwards. Existing appointments
+ *       keep the duration and buffers they were booked with, and the name: after a rename
+ *       they are no longer checked against the catalog.
+ *     tags: [Appointment Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "typ1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               duration:
+ *                 type: integer
+ *                 minimum: 5
+ *               bufferBefore:
+ *                 type: integer
+ *                 minimum: 0
+ *               bufferAfter:
+ *                 type: integer
+ *                 minimum: 0
+ *               specialties:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               patientStatus:
+ *                 type: string
+ *                 enum: [any, new, established]
+ *               ageRange:
+ *                 $ref: '#/components/schemas/AppointmentTypeAgeRange'
+ *               prepInstructions:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Appointment type updated.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentType'
+ *       400:
+ *         description: Invalid input.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Appointment type not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Another type already has the new name (`DUPLICATE_APPOINTMENT_TYPE`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/:id', requireScope('appointments:admin'), (req, res) => {
+  const appointmentType = db.appointmentTypes.get(req.params.id);
+  if (!appointmentType) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, appointmentType);
+    saveChanges(res, appointmentType, req.body);
+  });
+});
+
+/**
+ * @swagger
+ * /appointment-types/{id}:
+ *   patch:
+ *     summary: Partially update an appointment type
+ *     description: >-
+ *       Changes only the fields the patch touches, with the same checks as PUT. Send a JSON
+ *       Merge Patch (`application/merge-patch+json`) or a JSON Patch
+ *       (`application/json-patch+json`); only the fields PUT accepts can be changed.
+ *     tags: [Appointment Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "typ1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/Patch'
+ *     responses:
+ *       200:
+ *         description: Appointment type updated.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentType'
+ *       400:
+ *         description: The patch is malformed, changes a field PUT doesn't accept, or leaves invalid values.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Appointment type not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           Another type already has the new name (`DUPLICATE_APPOINTMENT_TYPE`), or a JSON
+ *           Patch `test` operation failed (`PATCH_TEST_FAILED`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedPatch'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch('/:id', requireScope('appointments:admin'), (req, res) => {
+  const appointmentType = db.appointmentTypes.get(req.params.id);
+  if (!appointmentType) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, appointmentType);
+    saveChanges(res, appointmentType, patchChanges(req, appointmentType, '/appointment-types/{id}'));
+  });
+});
+
+/**
+ * @swagger
+ * /appointment-types/{id}:
+ *   delete:
+ *     summary: Remove an appointment type from the catalog
+ *     description: >-
+ *       The type can no longer be booked. Existing appointments of the type are kept and can
+ *       still be moved or cancelled.
+ *     tags: [Appointment Types]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "typ1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204:
+ *         description: Appointment type removed.
+ *       404:
+ *         description: Appointment type not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/:id', requireScope('appointments:admin'), (req, res) => {
+  const appointmentType = db.appointmentTypes.get(req.params.id);
+  if (!appointmentType) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, appointmentType);
+    db.appointmentTypes.remove(appointmentType.id);
+    res.status(204).send();
+  });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AppointmentType:
+ *       type: object
+ *       example:
+ *         id: "typ3"
+ *         name: "New Patient"
+ *         description: "First visit with a provider, including history and intake."
+ *         duration: 60
+ *         bufferBefore: 10
+ *         bufferAfter: 5
+ *         specialties: []
+ *         patientStatus: "new"
+ *         ageRange: null
+ *         prepInstructions: "Arrive 15 minutes early to complete intake forms, and bring your insurance card and photo ID."
+ *       properties:
+ *         id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Goes up by one on every change; sent as the ETag.
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         duration:
+ *           type: integer
+ *           description: Default length in minutes.
+ *         bufferBefore:
+ *           type: integer
+ *           description: Minutes the provider (and room) needs free before the visit.
+ *         bufferAfter:
+ *           type: integer
+ *           description: Minutes the provider (and room) needs free after the visit.
+ *         specialties:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Specialties that may perform the type; empty means any.
+ *         patientStatus:
+ *           type: string
+ *           enum: [any, new, established]
+ *           description: >-
+ *             Whether the type is only for patients new to the provider, only for those the
+ *             provider already sees (with an earlier or upcoming appointment), or for anyone.
+ *         ageRange:
+ *           $ref: '#/components/schemas/AppointmentTypeAgeRange'
+ *         prepInstructions:
+ *           type: string
+ *           nullable: true
+ *           description: What the patient should do before the visit; available to reminder templates.
+ *       required:
+ *         - id
+ *         - name
+ *         - duration
+ *     AppointmentTypeAgeRange:
+ *       type: object
+ *       nullable: true
+ *       additionalProperties: false
+ *       description: Patient ages (in whole years on the day of the visit) the type is for; null means any age.
+ *       properties:
+ *         min:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *         max:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *       example:
+ *         min: 0
+ *         max: 17
+ *     AppointmentTypeList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AppointmentType'
+ */
+
+module.exports = router;
@@ -1,30 +1,74 @@
 const express = require('express');
 const router = express.Router();
-const patientsModule = require('./patients'); 
-const providersModule = require('./providers');
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { toCalendar, sendCalendar } = require('../lib/icalendar');
+const {
+  handleScheduling,
+  bookAppointment,
+  updateAppointment,
+  transitionAppointment,
+} = require('../lib/scheduling');
+const { createSeries, updateOccurrences, cancelOccurrences } = require('../lib/series');
+const { withEtag, assertIfMatch } = require('../lib/concurrency');
+const { patchChanges } = require('../lib/patch');
 
-const patients = patientsModule.patients;
-const providers = providersModule.providers;
+// Related records `?expand=` can embed, and the repository each is looked up in.
+const EXPANDABLE = { patient: 'patients', provider: 'providers' };
 
-// In-memory mock DB for demonstration purposes
-let appointments = [
-  {
-    id: 'app1',
-    patientId: 'pat1',
-    providerId: 'prov1',
-    date: '2025-06-15T10:00:00Z',
-    type: 'Check-up',
-    status: 'scheduled',
-  },
-  {
-    id: 'app2',
-    patientId: 'pat2',
-    providerId: 'prov2',
-    date: '2025-06-16T14:30:00Z',
-    type: 'Follow-up',
-    status: 'scheduled',
-  },
-];
+// Returns a function embedding the records named in `expand` (e.g. "patient,provider")
+// into an appointment. Deactivated records are embedded as they are; a reference to a
+// record that no longer exists expands to null.
+const expander = (expand) => {
+  const fields = expand ? expand.split(',') : [];
+  return (appointment) => fields.reduce((expanded, field) => ({
+    ...expanded,
+    [field]: db[EXPANDABLE[field]].get(appointment[`${field}Id`]),
+  }), appointment);
+};
+
+// Builds a handler that moves an appointment to `status`, recording an optional reason.
+const transitionHandler = (status) => (req, res) => {
+  const reason = req.body && req.body.reason;
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({ message: 'reason must be a string.', code: 'INVALID_INPUT' });
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, db.appointments.get(req.params.id));
+    const updated = transitionAppointment(req.params.id, status, reason);
+    withEtag(res, updated).json(updated);
+  });
+};
+
+// Cancels one appointment, or several occurrences of its series when `occurrences` is
+// `following` or `all`. `respond` receives the cancelled appointment or the series result.
+const cancelHandler = (respond) => (req, res) => {
+  const reason = req.body && req.body.reason;
+  if (reason !== undefined && typeof reason !== 'string') {
+    return res.status(400).json({ message: 'reason must be a string.', code: 'INVALID_INPUT' });
+  }
+
+  const scope = req.query.occurrences || 'this';
+  handleScheduling(res, () => {
+    assertIfMatch(req, db.appointments.get(req.params.id));
+    respond(res, scope === 'this'
+      ? transitionAppointment(req.params.id, 'cancelled', reason)
+      : cancelOccurrences(req.params.id, { scope, reason }));
+  });
+};
+
+// Applies a PUT body, or the changes a PATCH makes, to the appointment or (with
+// `occurrences`) to other occurrences of its series as well.
+const saveChanges = (req, res, { allowDoubleBooking, ...changes }) => {
+  const scope = req.query.occurrences || 'this';
+  if (scope !== 'this') {
+    return res.json(updateOccurrences(req.params.id, changes, { scope, allowDoubleBooking }));
+  }
+  const updated = updateAppointment(req.params.id, changes, { allowDoubleBooking });
+  withEtag(res, updated).json(updated);
+};
 
 /**
  * @swagger
@@ -37,27 +81,116 @@ let appointments = [
  * @swagger
  * /appointments:
  *   get:
- *     summary: Retrieve a list of all appointments
- *     description: Returns a comprehensive list of all scheduled appointments within the system.
+ *     summary: Retrieve a list of appointments
+ *     description: >-
+ *       Returns a page of appointments matching the given filters. Follow the `next` link
+ *       in the response to fetch the following page.
  *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
+ *           example: "prov1"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, confirmed, checked-in, completed, cancelled, no-show]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: "Check-up"
+ *       - in: query
+ *         name: seriesId
+ *         schema:
+ *           type: string
+ *           example: "ser1"
+ *         description: Only occurrences of this recurring series.
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *           example: "loc1"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-06-15"
+ *         description: Only appointments starting at or after this date or date-time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-06-15"
+ *         description: Only appointments starting before this date-time. A date-only value includes the whole day.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, type, -type, status, -status, patientId, -patientId, providerId, -providerId]
+ *           default: date
+ *       - $ref: '#/components/parameters/Expand'
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: A successful response with a list of appointments.
+ *         description: A successful response with a page of appointments.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Appointment'
+ *               $ref: '#/components/schemas/AppointmentList'
+ *       400:
+ *         description: Invalid filter, sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/', (req, res) => {
-  res.json(appointments);
+router.get('/', requireScope('appointments:read'), (req, res) => {
+  const { patientId, providerId, status, type, seriesId, locationId, from, to } = req.query;
+
+  const fromDate = from === undefined ? null : new Date(from);
+  const toDate = to === undefined ? null : new Date(to);
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate.setUTCDate(toDate.getUTCDate() + 1);
+  }
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return res.status(400).json({ message: '"from" and "to" must be valid dates.', code: 'INVALID_INPUT' });
+  }
+
+  const results = db.appointments.list().filter(a =>
+    (patientId === undefined || a.patientId === patientId) &&
+    (providerId === undefined || a.providerId === providerId) &&
+    (status === undefined || a.status === status) &&
+    (type === undefined || a.type === type) &&
+    (seriesId === undefined || a.seriesId === seriesId) &&
+    (locationId === undefined || a.locationId === locationId) &&
+    (!fromDate || new Date(a.date) >= fromDate) &&
+    (!toDate || new Date(a.date) < toDate)
+  );
+
+  sendPage(req, res, results, {
+    sortableFields: ['date', 'type', 'status', 'patientId', 'providerId'],
+    defaultSort: 'date',
+    map: expander(req.query.expand),
+  });
 });
 
 /**
@@ -75,9 +208,13 @@ router.get('/', (req, res) => {
  *           type: string
  *           example: "app1"
  *         description: The unique identifier of the appointment.
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
  *         description: Appointment found and returned successfully.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -88,13 +225,59 @@ router.get('/', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('appointments:read'), (req, res) => {
+  const appt = db.appointments.get(req.params.id);
+  if (!appt) {
+    return res.status(404).json({ message: `Appointment with ID ${req.params.id} not found`, code: 'APPOINTMENT_NOT_FOUND' });
+  }
+  withEtag(res, appt).json(expander(req.query.expand)(appt));
+});
+
+/**
+ * @swagger
+ * /appointments/{id}/ics:
+ *   get:
+ *     summary: Download an appointment as an iCalendar file
+ *     description: >-
+ *       Returns a single-event RFC 5545 calendar for "add to calendar" links. The event UID
+ *       matches the one used in the provider and patient feeds.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "app1"
+ *     responses:
+ *       200:
+ *         description: The appointment as an `.ics` attachment.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Appointment not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/:id', (req, res) => {
-  const appt = appointments.find(a => a.id === req.params.id);
+router.get('/:id/ics', requireScope('appointments:read'), (req, res) => {
+  const appt = db.appointments.get(req.params.id);
   if (!appt) {
     return res.status(404).json({ message: `Appointment with ID ${req.params.id} not found`, code: 'APPOINTMENT_NOT_FOUND' });
   }
-  res.json(appt);
+  sendCalendar(res, toCalendar([appt]), { filename: `${appt.id}.ics`, disposition: 'attachment' });
 });
 
 /**
@@ -109,6 +292,7 @@ router.get('/:id', (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             additionalProperties: false
  *             required:
  *               - patientId
  *               - providerId
@@ -123,11 +307,44 @@ router.get('/:id', (req, res) => {
  *                 example: "prov1"
  *               date:
  *                 type: string
- *                 format: date-time
- *                 example: "2025-06-15T10:00:00Z"
+ *                 description: >-
+ *                   Start time. With "Z" or a UTC offset it's an exact instant; without one
+ *                   it's local time at the location (UTC if there is none). Local times that a
+ *                   daylight saving change skips (`NONEXISTENT_LOCAL_TIME`) or repeats
+ *                   (`AMBIGUOUS_LOCAL_TIME`) are rejected.
+ *                 example: "2025-06-15T10:00:00"
+ *               locationId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: >-
+ *                   Where the appointment takes place; one of the provider's locations. Defaults
+ *                   to the provider's first location.
+ *                 example: "loc1"
+ *               room:
+ *                 type: string
+ *                 description: One of the location's rooms.
+ *                 example: "Exam 1"
  *               type:
  *                 type: string
+ *                 description: >-
+ *                   Name of a type in the appointment type catalog. The provider and patient must
+ *                   be eligible for it (`PROVIDER_NOT_ELIGIBLE`, `PATIENT_NOT_ELIGIBLE`), and its
+ *                   buffers must fit around the visit.
  *                 example: "Check-up"
+ *               duration:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Length in minutes. Defaults to the appointment type's duration.
+ *                 example: 30
+ *               allowDoubleBooking:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Book even if the provider or patient already has an overlapping appointment.
+ *               holdToken:
+ *                 type: string
+ *                 description: >-
+ *                   Token from `POST /holds`. Books the held time, which must match the hold's
+ *                   provider, start time and (if set) patient and fit within its duration.
  *     responses:
  *       201:
  *         description: Appointment created successfully.
@@ -141,35 +358,158 @@ router.get('/:id', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           The provider, patient or room already has an overlapping appointment, the time is on hold
+ *           for someone else, or the hold token is expired, used or doesn't match.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SchedulingConflict'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post('/', (req, res) => {
-  const { patientId, providerId, date, type } = req.body;
-
-  if (!patientId || !providerId || !date || !type) {
-    return res.status(400).json({ message: 'Missing required fields for appointment creation.', code: 'INVALID_INPUT' });
-  }
+router.post('/', requireScope('appointments:write'), (req, res) => {
+  handleScheduling(res, () => res.status(201).json(bookAppointment(req.body)));
+});
 
-  const patientExists = patients.some(p => p.id === patientId);
-  if (!patientExists) {
-    return res.status(400).json({ message: `Patient with ID ${patientId} not found.`, code: 'PATIENT_NOT_FOUND' });
-  }
+/**
+ * @swagger
+ * /appointments/series:
+ *   post:
+ *     summary: Book a recurring appointment series
+ *     description: >-
+ *       Expands an iCalendar RRULE from the first occurrence's date and books one appointment
+ *       per occurrence. Occurrences that can't be booked are reported in `conflicts` and the
+ *       rest are still booked; the request only fails when none of them can be. Supported rule
+ *       parts are FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, exactly one of COUNT or UNTIL, and
+ *       BYDAY for weekly rules. INTERVAL can be at most 365, and a series may have at most
+ *       104 occurrences.
+ *     tags: [Appointments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required:
+ *               - patientId
+ *               - providerId
+ *               - date
+ *               - type
+ *               - rrule
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *                 example: "pat1"
+ *               providerId:
+ *                 type: string
+ *                 example: "prov1"
+ *               date:
+ *                 type: string
+ *                 description: >-
+ *                   Start of the first occurrence, as for a single appointment. Later occurrences
+ *                   keep its local time at the location across daylight saving changes.
+ *                 example: "2025-06-16T10:00:00"
+ *               locationId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: >-
+ *                   Where the appointment takes place; one of the provider's locations. Defaults
+ *                   to the provider's first location.
+ *                 example: "loc1"
+ *               room:
+ *                 type: string
+ *                 description: One of the location's rooms.
+ *                 example: "Exam 1"
+ *               type:
+ *                 type: string
+ *                 example: "Follow-up"
+ *               duration:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Length in minutes. Defaults to the standard length for the appointment type.
+ *               rrule:
+ *                 type: string
+ *                 example: "FREQ=WEEKLY;INTERVAL=1;COUNT=6"
+ *               allowDoubleBooking:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Book every occurrence even if it overlaps another appointment.
+ *     responses:
+ *       201:
+ *         description: The series was created and at least one occurrence was booked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SeriesBooking'
+ *       400:
+ *         description: Invalid input or an unsupported RRULE (`INVALID_RRULE`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: None of the occurrences could be booked. Each one is listed in `conflicts`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/series', requireScope('appointments:write'), (req, res) => {
+  handleScheduling(res, () => res.status(201).json(createSeries(req.body)));
+});
 
-  const providerExists = providers.some(pr => pr.id === providerId);
-  if (!providerExists) {
-    return res.status(400).json({ message: `Provider with ID ${providerId} not found.`, code: 'PROVIDER_NOT_FOUND' });
+/**
+ * @swagger
+ * /appointments/series/{seriesId}:
+ *   get:
+ *     summary: Get a recurring series with its occurrences
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "ser1"
+ *       - $ref: '#/components/parameters/Expand'
+ *     responses:
+ *       200:
+ *         description: The series and all of its appointments in date order.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AppointmentSeries'
+ *       404:
+ *         description: Series not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/series/:seriesId', requireScope('appointments:read'), (req, res) => {
+  const series = db.appointmentSeries.get(req.params.seriesId);
+  if (!series) {
+    return res.status(404).json({ message: `Series with ID ${req.params.seriesId} not found`, code: 'SERIES_NOT_FOUND' });
   }
 
-  const newAppointment = {
-    id: `app${appointments.length + 1}`,
-    patientId,
-    providerId,
-    date,
-    type,
-    status: 'scheduled',
-  };
-
-  appointments.push(newAppointment);
-  res.status(201).json(newAppointment);
+  const appointments = db.appointments.list()
+    .filter(a => a.seriesId === series.id)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(expander(req.query.expand));
+  res.json({ ...series, appointments });
 });
 
 /**
@@ -177,6 +517,12 @@ router.post('/', (req, res) => {
  * /appointments/{id}:
  *   put:
  *     summary: Update an existing appointment
+ *     description: >-
+ *       Updates the details of an open appointment. Status can't be set here; use the
+ *       transition endpoints (confirm, check-in, complete, cancel, no-show) instead. For an
+ *       occurrence of a recurring series, `occurrences=following` or `occurrences=all` applies
+ *       the change to other open occurrences too, moving each by the same amount of local
+ *       time as this one when `date` changes.
  *     tags: [Appointments]
  *     parameters:
  *       - in: path
@@ -185,12 +531,15 @@ router.post('/', (req, res) => {
  *         schema:
  *           type: string
  *           example: "app1"
+ *       - $ref: '#/components/parameters/OccurrenceScope'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             additionalProperties: false
  *             properties:
  *               patientId:
  *                 type: string
@@ -198,18 +547,36 @@ router.post('/', (req, res) => {
  *                 type: string
  *               date:
  *                 type: string
- *                 format: date-time
- *               type:
+ *                 description: New start time, as for a new appointment.
+ *               locationId:
  *                 type: string
- *               status:
+ *                 nullable: true
+ *                 description: A new location. Clears the room unless `room` is also given.
+ *               room:
+ *                 type: string
+ *                 nullable: true
+ *               type:
  *                 type: string
+ *                 description: A type from the catalog; brings its buffers and eligibility rules.
+ *               duration:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Length in minutes. Re-derived from `type` when the type changes without an explicit duration.
+ *               allowDoubleBooking:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save even if the change overlaps another appointment for the provider or patient.
  *     responses:
  *       200:
- *         description: Appointment updated successfully.
+ *         description: >-
+ *           Appointment updated successfully. When several occurrences are changed, the
+ *           response lists the updated occurrences and those that failed.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Appointment'
+ *               anyOf:
+ *                 - $ref: '#/components/schemas/Appointment'
+ *                 - $ref: '#/components/schemas/SeriesUpdate'
  *       400:
  *         description: Invalid input.
  *         content:
@@ -222,38 +589,355 @@ router.post('/', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           The updated appointment overlaps another appointment for the provider or patient
+ *           (`SCHEDULING_CONFLICT`), or the appointment is already completed, cancelled or a
+ *           no-show (`APPOINTMENT_CLOSED`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SchedulingConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put('/:id', (req, res) => {
-  const index = appointments.findIndex(a => a.id === req.params.id);
-  if (index === -1) {
-    return res.status(404).json({ message: `Appointment with ID ${req.params.id} not found.`, code: 'APPOINTMENT_NOT_FOUND' });
+router.put('/:id', requireScope('appointments:write'), (req, res) => {
+  handleScheduling(res, () => {
+    assertIfMatch(req, db.appointments.get(req.params.id));
+    saveChanges(req, res, req.body);
+  });
+});
+
+/**
+ * @swagger
+ * /appointments/{id}:
+ *   patch:
+ *     summary: Partially update an appointment
+ *     description: >-
+ *       Changes only the fields the patch touches, with the same checks and `occurrences`
+ *       scope as PUT. Send a JSON Merge Patch (`application/merge-patch+json`) or a JSON Patch
+ *       (`application/json-patch+json`); only the fields PUT accepts can be changed, and
+ *       `allowDoubleBooking` may be added to the patch as it may to a PUT body.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "app1"
+ *       - $ref: '#/components/parameters/OccurrenceScope'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/Patch'
+ *     responses:
+ *       200:
+ *         description: Appointment updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               anyOf:
+ *                 - $ref: '#/components/schemas/Appointment'
+ *                 - $ref: '#/components/schemas/SeriesUpdate'
+ *       400:
+ *         description: The patch is malformed or changes a field PUT doesn't accept.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Appointment not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           A JSON Patch `test` failed (`PATCH_TEST_FAILED`), or the change conflicts as for
+ *           PUT.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SchedulingConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedPatch'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch('/:id', requireScope('appointments:write'), (req, res) => {
+  const appointment = db.appointments.get(req.params.id);
+  if (!appointment) {
+    return res.status(404).json({ message: `Appointment with ID ${req.params.id} not found`, code: 'APPOINTMENT_NOT_FOUND' });
   }
 
-  const { patientId, providerId } = req.body;
+  handleScheduling(res, () => {
+    assertIfMatch(req, appointment);
+    saveChanges(req, res, patchChanges(req, appointment, '/appointments/{id}'));
+  });
+});
 
-  if (patientId !== undefined) {
-    const patientExists = patients.some(p => p.id === patientId);
-    if (!patientExists) {
-      return res.status(400).json({ message: `Patient with ID ${patientId} not found.`, code: 'PATIENT_NOT_FOUND' });
-    }
-  }
+/**
+ * @swagger
+ * /appointments/{id}/confirm:
+ *   post:
+ *     summary: Confirm an appointment
+ *     description: Marks a scheduled appointment as confirmed by the patient.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "app1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The appointment's current status doesn't allow this transition.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/confirm', requireScope('appointments:write'), transitionHandler('confirmed'));
 
-  if (providerId !== undefined) {
-    const providerExists = providers.some(pr => pr.id === providerId);
-    if (!providerExists) {
-      return res.status(400).json({ message: `Provider with ID ${providerId} not found.`, code: 'PROVIDER_NOT_FOUND' });
-    }
-  }
+/**
+ * @swagger
+ * /appointments/{id}/check-in:
+ *   post:
+ *     summary: Check a patient in
+ *     description: Records the patient's arrival for a scheduled or confirmed appointment.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "app1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The appointment's current status doesn't allow this transition.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/check-in', requireScope('appointments:write'), transitionHandler('checked-in'));
 
-  appointments[index] = { ...appointments[index], ...req.body };
-  res.json(appointments[index]);
-});
+/**
+ * @swagger
+ * /appointments/{id}/complete:
+ *   post:
+ *     summary: Complete an appointment
+ *     description: Marks a checked-in appointment as completed.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "app1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The appointment's current status doesn't allow this transition.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/complete', requireScope('appointments:write'), transitionHandler('completed'));
+
+/**
+ * @swagger
+ * /appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancel an appointment
+ *     description: >-
+ *       Cancels a scheduled or confirmed appointment. The record is kept with its status history.
+ *       For an occurrence of a recurring series, `occurrences=following` or `occurrences=all`
+ *       cancels other open occurrences too.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "app1"
+ *       - $ref: '#/components/parameters/OccurrenceScope'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Patient has a scheduling conflict at work"
+ *     responses:
+ *       200:
+ *         description: >-
+ *           Status changed successfully. When several occurrences are cancelled, the response
+ *           lists the cancelled occurrences and those that failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               anyOf:
+ *                 - $ref: '#/components/schemas/Appointment'
+ *                 - $ref: '#/components/schemas/SeriesCancellation'
+ *       404:
+ *         description: Appointment not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The appointment's current status doesn't allow this transition.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/cancel', requireScope('appointments:write'), cancelHandler((res, result) => res.json(result)));
+
+/**
+ * @swagger
+ * /appointments/{id}/no-show:
+ *   post:
+ *     summary: Mark an appointment as a no-show
+ *     description: Records that the patient did not arrive for a scheduled or confirmed appointment.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "app1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Patient has a scheduling conflict at work"
+ *     responses:
+ *       200:
+ *         description: Status changed successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The appointment's current status doesn't allow this transition.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/no-show', requireScope('appointments:write'), transitionHandler('no-show'));
 
 /**
  * @swagger
  * /appointments/{id}:
  *   delete:
- *     summary: Delete an appointment
+ *     summary: Cancel an appointment
+ *     description: >-
+ *       Equivalent to `POST /appointments/{id}/cancel` without a reason. The appointment is
+ *       kept with status `cancelled` rather than being erased. Accepts the same `occurrences`
+ *       scope; occurrences that can't be cancelled are skipped.
  *     tags: [Appointments]
  *     parameters:
  *       - in: path
@@ -262,31 +946,110 @@ router.put('/:id', (req, res) => {
  *         schema:
  *           type: string
  *           example: "app1"
+ *       - $ref: '#/components/parameters/OccurrenceScope'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       204:
- *         description: Appointment successfully deleted.
+ *         description: Appointment successfully cancelled.
  *       404:
  *         description: Appointment not found.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The appointment is already completed, cancelled or a no-show.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.delete('/:id', (req, res) => {
-  const index = appointments.findIndex(a => a.id === req.params.id);
-
-  if (index === -1) {
-    return res.status(404).json({ message: `Appointment with ID ${req.params.id} not found.`, code: 'APPOINTMENT_NOT_FOUND' });
-  }
-
-  appointments.splice(index, 1);
-
-  res.status(204).send();
-});
+router.delete('/:id', requireScope('appointments:write'), cancelHandler((res) => res.status(204).send()));
 
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     PageLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 25
+ *       description: Maximum number of records to return.
+ *     PageCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: Opaque cursor taken from a previous page's `next` link.
+ *     Expand:
+ *       in: query
+ *       name: expand
+ *       schema:
+ *         type: string
+ *         pattern: '^(patient|provider)(,(patient|provider))*$'
+ *         example: "patient,provider"
+ *       description: Comma-separated related records to embed in each appointment.
+ *     OccurrenceScope:
+ *       in: query
+ *       name: occurrences
+ *       schema:
+ *         type: string
+ *         enum: [this, following, all]
+ *         default: this
+ *       description: >-
+ *         For an occurrence of a recurring series, whether to apply the change to this
+ *         occurrence only, to this and following open occurrences, or to every open occurrence.
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       schema:
+ *         type: string
+ *         example: '"3"'
+ *       description: >-
+ *         The ETag the record was read with. The change is refused with 412 if the record has
+ *         been changed since, instead of overwriting someone else's edit.
+ *   headers:
+ *     ETag:
+ *       description: The record's version, for use in If-Match.
+ *       schema:
+ *         type: string
+ *         example: '"3"'
+ *   requestBodies:
+ *     Patch:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *             description: JSON Merge Patch (RFC 7396). Members set to null are removed.
+ *             example:
+ *               date: "2025-06-15T11:00:00"
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JsonPatch'
+ *   responses:
+ *     PreconditionFailed:
+ *       description: The record has changed since the If-Match ETag was read (`PRECONDITION_FAILED`).
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PreconditionFailed'
+ *     UnsupportedPatch:
+ *       description: The body is neither a merge patch nor a JSON Patch.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
  *   schemas:
  *     Appointment:
  *       type: object
@@ -294,12 +1057,27 @@ router.delete('/:id', (req, res) => {
  *         id: "app1"
  *         patientId: "pat1"
  *         providerId: "prov1"
- *         date: "2025-06-15T10:00:00Z"
+ *         date: "2025-06-15T14:00:00Z"
+ *         locationId: "loc1"
+ *         room: "Exam 1"
+ *         timeZone: "America/New_York"
+ *         localDate: "2025-06-15T10:00:00"
+ *         utcOffset: "-04:00"
  *         type: "Check-up"
+ *         duration: 30
+ *         end: "2025-06-15T14:30:00Z"
+ *         bufferBefore: 0
+ *         bufferAfter: 5
  *         status: "scheduled"
+ *         statusHistory:
+ *           - status: "scheduled"
+ *             at: "2025-06-01T09:12:00Z"
  *       properties:
  *         id:
  *           type: string
+ *         version:
+ *           type: integer
+ *           description: Goes up by one on every change; sent as the ETag.
  *         patientId:
  *           type: string
  *         providerId:
@@ -307,10 +1085,187 @@ router.delete('/:id', (req, res) => {
  *         date:
  *           type: string
  *           format: date-time
+ *           description: Start time in UTC.
+ *         locationId:
+ *           type: string
+ *           nullable: true
+ *         room:
+ *           type: string
+ *           nullable: true
+ *         timeZone:
+ *           type: string
+ *           description: IANA timezone of the location, or UTC for appointments without one.
+ *         localDate:
+ *           type: string
+ *           description: Start time on the location's wall clock, without offset.
+ *         utcOffset:
+ *           type: string
+ *           description: The location's offset from UTC at the start time.
  *         type:
  *           type: string
+ *         duration:
+ *           type: integer
+ *           description: Length in minutes.
+ *         end:
+ *           type: string
+ *           format: date-time
+ *           description: End time in UTC, from the start and duration.
+ *         bufferBefore:
+ *           type: integer
+ *           description: Minutes the provider and room are kept free before the visit, from the appointment type.
+ *         bufferAfter:
+ *           type: integer
+ *           description: Minutes the provider and room are kept free after the visit, from the appointment type.
  *         status:
  *           type: string
+ *           enum: [scheduled, confirmed, checked-in, completed, cancelled, no-show]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StatusChange'
+ *         seriesId:
+ *           type: string
+ *           description: The recurring series this appointment belongs to, if any.
+ *         patient:
+ *           type: object
+ *           nullable: true
+ *           description: >-
+ *             The patient record, with `expand=patient`. Deactivated patients are included;
+ *             null if the record no longer exists.
+ *         provider:
+ *           type: object
+ *           nullable: true
+ *           description: >-
+ *             The provider record, with `expand=provider`. Deactivated providers are included;
+ *             null if the record no longer exists.
+ *     StatusChange:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *     Series:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "ser1"
+ *         patientId:
+ *           type: string
+ *         providerId:
+ *           type: string
+ *         locationId:
+ *           type: string
+ *           nullable: true
+ *         room:
+ *           type: string
+ *           nullable: true
+ *         timeZone:
+ *           type: string
+ *           description: The timezone occurrences recur in.
+ *         type:
+ *           type: string
+ *         duration:
+ *           type: integer
+ *         rrule:
+ *           type: string
+ *           example: "FREQ=WEEKLY;INTERVAL=1;COUNT=6"
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AppointmentSeries:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Series'
+ *         - type: object
+ *           properties:
+ *             appointments:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Appointment'
+ *     OccurrenceFailure:
+ *       type: object
+ *       description: An occurrence that couldn't be booked or changed, with the reason.
+ *       properties:
+ *         appointmentId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         code:
+ *           type: string
+ *           example: "SCHEDULING_CONFLICT"
+ *         message:
+ *           type: string
+ *         conflictWith:
+ *           type: string
+ *           enum: [provider, patient, room]
+ *         conflictingAppointmentId:
+ *           type: string
+ *     SeriesBooking:
+ *       type: object
+ *       properties:
+ *         series:
+ *           $ref: '#/components/schemas/Series'
+ *         created:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Appointment'
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OccurrenceFailure'
+ *     SeriesUpdate:
+ *       type: object
+ *       required: [updated, failed]
+ *       properties:
+ *         updated:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Appointment'
+ *         failed:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OccurrenceFailure'
+ *     SeriesCancellation:
+ *       type: object
+ *       required: [cancelled, failed]
+ *       properties:
+ *         cancelled:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Appointment'
+ *         failed:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OccurrenceFailure'
+ *     AppointmentList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Appointment'
+ *     Page:
+ *       type: object
+ *       description: Envelope shared by all list endpoints.
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           description: Maximum number of records in this page.
+ *         next:
+ *           type: string
+ *           nullable: true
+ *           description: Link to the next page, or null on the last page.
+ *           example: "/appointments?providerId=prov1&limit=25&cursor=WyIyMDI1LTA2LTE1VDEwOjAwOjAwWiIsImFwcDEiXQ"
  *     ErrorResponse:
  *       type: object
  *       properties:
@@ -318,6 +1273,65 @@ router.delete('/:id', (req, res) => {
  *           type: string
  *         code:
  *           type: string
+ *         errors:
+ *           type: array
+ *           description: Per-field details, present on VALIDATION_ERROR responses.
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "body.email"
+ *               message:
+ *                 type: string
+ *                 example: "must match format \"email\""
+ *     PreconditionFailed:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ErrorResponse'
+ *         - type: object
+ *           properties:
+ *             currentVersion:
+ *               type: integer
+ *     JsonPatch:
+ *       type: array
+ *       description: JSON Patch (RFC 6902) operations, applied in order.
+ *       example:
+ *         - { op: test, path: /version, value: 3 }
+ *         - { op: replace, path: /room, value: "Exam 2" }
+ *       items:
+ *         type: object
+ *         required: [op, path]
+ *         properties:
+ *           op:
+ *             type: string
+ *             enum: [add, remove, replace, move, copy, test]
+ *           path:
+ *             type: string
+ *             description: JSON Pointer to the target, e.g. "/workingHours/monday/0".
+ *           from:
+ *             type: string
+ *             description: Source pointer for move and copy.
+ *           value:
+ *             description: Value for add, replace and test.
+ *     SchedulingConflict:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ErrorResponse'
+ *         - type: object
+ *           properties:
+ *             conflictWith:
+ *               type: string
+ *               enum: [provider, patient, room, hold]
+ *             conflictingAppointmentId:
+ *               type: string
+ *             heldUntil:
+ *               type: string
+ *               format: date-time
+ *               description: When the conflicting hold expires.
+ *       example:
+ *         message: "Appointment overlaps existing provider appointment app1 at 2025-06-15T10:00:00Z."
+ *         code: "SCHEDULING_CONFLICT"
+ *         conflictWith: "provider"
+ *         conflictingAppointmentId: "app1"
  */
 
 module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { verifyChain } = require('../lib/audit');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Audit
+ *     description: >-
+ *       Append-only log of who read, created, changed or deleted patients, providers and
+ *       appointments, hash-chained so tampering can be detected.
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: >-
+ *       Returns a page of audit entries, newest first by default. Reads are logged once per
+ *       resource per request for every patient, provider and appointment a successful GET
+ *       returns (including in FHIR Bundles and calendar feeds). Creates, updates and deletes
+ *       are logged with a field-level before/after diff, whether made through the API, FHIR,
+ *       HL7, SMS replies or a background job (actor `system`).
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *           example: "front-desk"
+ *         description: API key name or bearer token subject, or `system`.
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [read, create, update, delete]
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           enum: [patient, provider, appointment]
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *           example: "/fhir/"
+ *         description: Only entries whose route (method and path) contains this text.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-06-15"
+ *         description: Only entries logged at or after this date or date-time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-06-30"
+ *         description: Only entries logged before the end of this date, or before this date-time.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [sequence, -sequence]
+ *           default: -sequence
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of audit entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditEntryList'
+ *       400:
+ *         description: Invalid filter, sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', requireScope('audit:read'), (req, res) => {
+  const { actor, action, resourceType, resourceId, route, from, to } = req.query;
+
+  const fromDate = from === undefined ? null : new Date(from);
+  const toDate = to === undefined ? null : new Date(to);
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate.setUTCDate(toDate.getUTCDate() + 1);
+  }
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return res.status(400).json({ message: '"from" and "to" must be valid dates.', code: 'INVALID_INPUT' });
+  }
+
+  const results = db.auditLog.list().filter(e =>
+    (actor === undefined || e.actor === actor) &&
+    (action === undefined || e.action === action) &&
+    (resourceType === undefined || e.resourceType === resourceType) &&
+    (resourceId === undefined || e.resourceId === resourceId) &&
+    (route === undefined || (e.route || '').includes(route)) &&
+    (!fromDate || new Date(e.timestamp) >= fromDate) &&
+    (!toDate || new Date(e.timestamp) < toDate)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['sequence'], defaultSort: '-sequence' });
+});
+
+/**
+ * @swagger
+ * /audit/verify:
+ *   get:
+ *     summary: Verify the audit log's hash chain
+ *     description: >-
+ *       Recomputes every entry's hash from its contents and the previous entry's hash. An
+ *       entry that was edited, removed or reordered breaks the chain from that point on.
+ *     tags: [Audit]
+ *     responses:
+ *       200:
+ *         description: Whether the chain is intact and, if not, where it breaks.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditVerification'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/verify', requireScope('audit:read'), (req, res) => {
+  res.json(verifyChain());
+});
+
+/**
+ * @swagger
+ * /audit/{id}:
+ *   get:
+ *     summary: Get an audit entry
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "aud1"
+ *     responses:
+ *       200:
+ *         description: The audit entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditEntry'
+ *       404:
+ *         description: Audit entry not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('audit:read'), (req, res) => {
+  const entry = db.auditLog.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ message: `Audit entry with ID ${req.params.id} not found.`, code: 'AUDIT_ENTRY_NOT_FOUND' });
+  }
+  res.json(entry);
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "aud1"
+ *         sequence:
+ *           type: integer
+ *           description: Position in the hash chain, starting at 1.
+ *           example: 1
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         actor:
+ *           type: string
+ *           description: API key name or bearer token subject; `system` for background jobs.
+ *           example: "front-desk"
+ *         authMethod:
+ *           type: string
+ *           nullable: true
+ *           enum: [apiKey, jwt, null]
+ *         action:
+ *           type: string
+ *           enum: [read, create, update, delete]
+ *         resourceType:
+ *           type: string
+ *           enum: [patient, provider, appointment]
+ *         resourceId:
+ *           type: string
+ *           example: "pat1"
+ *         route:
+ *           type: string
+ *           nullable: true
+ *           description: Method and path of the request, or null for background jobs.
+ *           example: "PUT /patients/pat1"
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: >-
+ *             For creates, updates and deletes, the fields that changed with their values
+ *             before and after (null when absent). Null for reads.
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               before: {}
+ *               after: {}
+ *           example:
+ *             contactNumber:
+ *               before: "555-555-555"
+ *               after: "555-555-1234"
+ *         previousHash:
+ *           type: string
+ *           description: The previous entry's hash (64 zeros for the first entry).
+ *         hash:
+ *           type: string
+ *           description: SHA-256 over this entry's fields and `previousHash`.
+ *     AuditEntryList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *     AuditVerification:
+ *       type: object
+ *       properties:
+ *         valid:
+ *           type: boolean
+ *         entries:
+ *           type: integer
+ *           description: Number of entries in the log.
+ *         brokenAt:
+ *           type: string
+ *           description: The first entry that doesn't check out.
+ *           example: "aud42"
+ *         reason:
+ *           type: string
+ *           example: "hash does not match the entry contents"
+ */
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { swaggerSpec } = require('../swagger');
+const { noteReads } = require('../lib/audit');
+const { csvLine } = require('../lib/csv');
+const { streamLines } = require('../lib/ndjson');
+
+// Exportable resources: the scope needed and the schema whose properties are the CSV columns.
+const EXPORTS = {
+  patients: { scope: 'patients:read', schema: 'Patient' },
+  providers: { scope: 'providers:read', schema: 'Provider' },
+  // `patient` and `provider` are only filled in by ?expand=.
+  appointments: { scope: 'appointments:read', schema: 'Appointment', omit: ['patient', 'provider'] },
+};
+
+const MEDIA_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+
+const requireExportScope = (req, res, next) => requireScope(EXPORTS[req.params.resourceType].scope)(req, res, next);
+
+// CSV cells for a record; arrays and objects are written as JSON, as imports read them.
+const csvCells = (record, columns) => columns.map(column => {
+  const value = record[column];
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+});
+
+// Export lines, noting each record as read as it's written.
+const exportLines = function* (records, format, columns) {
+  if (format === 'csv') {
+    yield csvLine(columns);
+  }
+  for (const record of records) {
+    noteReads(record);
+    yield format === 'csv' ? csvLine(csvCells(record, columns)) : `${JSON.stringify(record)}\n`;
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Exports
+ *     description: >-
+ *       Bulk export of patients, providers and appointments, in the spirit of FHIR's
+ *       $export: every record of a type streamed as NDJSON or CSV.
+ */
+
+/**
+ * @swagger
+ * /exports/{resourceType}:
+ *   get:
+ *     summary: Export every record of a type
+ *     description: >-
+ *       Streams all records of the type, including deactivated and merged ones, so the file
+ *       is a complete copy. NDJSON lines are the records as the API returns them. CSV files
+ *       have a column per field, with arrays and objects written as JSON, and can be fed
+ *       back to `POST /imports/{resourceType}` (the columns that aren't request fields, such
+ *       as `id`, are ignored there). Each exported record is logged as read.
+ *     tags: [Exports]
+ *     parameters:
+ *       - in: path
+ *         name: resourceType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [patients, providers, appointments]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [ndjson, csv]
+ *           default: ndjson
+ *     responses:
+ *       200:
+ *         description: The exported records.
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid resource type or format.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:resourceType', requireExportScope, async (req, res) => {
+  const { resourceType } = req.params;
+  const { schema, omit = [] } = EXPORTS[resourceType];
+  const format = req.query.format || 'ndjson';
+  const columns = Object.keys(swaggerSpec.components.schemas[schema].properties).filter(c => !omit.includes(c));
+
+  res.attachment(`${resourceType}.${format}`).type(MEDIA_TYPES[format]);
+  await streamLines(res, exportLines(db[resourceType].list(), format, columns));
+});
+
+module.exports = router;
@@ -0,0 +1,791 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const {
+  DEFAULT_APPOINTMENT_DURATION,
+  MAX_AVAILABILITY_RANGE_DAYS,
+  activeHolds,
+  findOpenSlots,
+} = require('../lib/availability');
+const { SchedulingError, sendSchedulingError, bookAppointment } = require('../lib/scheduling');
+const { providerTimeZone } = require('../lib/locations');
+const { createPatient, createProvider } = require('../lib/records');
+const {
+  FHIR_VERSION,
+  STATUS_FROM_FHIR,
+  FhirError,
+  sendFhirError,
+  referenceId,
+  toPatient,
+  fromPatient,
+  toPractitioner,
+  fromPractitioner,
+  toAppointment,
+  fromAppointment,
+  toSchedule,
+  toSlot,
+  parseSlotId,
+  datePredicate,
+  dateBounds,
+  searchBundle,
+} = require('../lib/fhir');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_SLOT_WINDOW_DAYS = 7;
+
+// Search parameters per resource type, advertised in the CapabilityStatement.
+const SEARCH_PARAMS = {
+  Patient: { _id: 'token', name: 'string', family: 'string', given: 'string', birthdate: 'date', phone: 'token', email: 'token' },
+  Practitioner: { _id: 'token', name: 'string', family: 'string', given: 'string' },
+  Appointment: { _id: 'token', patient: 'reference', practitioner: 'reference', actor: 'reference', date: 'date', status: 'token', 'appointment-type': 'token' },
+  Schedule: { _id: 'token', actor: 'reference' },
+  Slot: { schedule: 'reference', start: 'date', status: 'token' },
+};
+const CREATABLE = ['Patient', 'Practitioner', 'Appointment'];
+
+// Runs a FHIR operation, turning FHIR and scheduling errors into OperationOutcome responses.
+const handleFhir = (res, operation) => {
+  try {
+    operation();
+  } catch (err) {
+    if (err instanceof FhirError) {
+      return sendFhirError(res, err);
+    }
+    if (err instanceof SchedulingError) {
+      return sendSchedulingError(res, err);
+    }
+    throw err;
+  }
+};
+
+const notFound = (resourceType, id) => new FhirError(404, 'not-found', `${resourceType}/${id} not found.`);
+
+// Sends a created resource with its Location, as FHIR create requires.
+const sendCreated = (req, res, resource) =>
+  res
+    .status(201)
+    .location(`${req.baseUrl}/${resource.resourceType}/${resource.id}`)
+    .json(resource);
+
+// FHIR string search: case-insensitive match at the start of the value or any word in it.
+const stringMatches = (search, ...values) => {
+  const needle = search.toLowerCase();
+  return values.some(value => value && value.toLowerCase().split(/\s+/).concat(value.toLowerCase()).some(v => v.startsWith(needle)));
+};
+
+const nameMatches = ({ name, family, given }, person) =>
+  (name === undefined || stringMatches(name, person.firstName, person.lastName)) &&
+  (family === undefined || stringMatches(family, person.lastName)) &&
+  (given === undefined || stringMatches(given, person.firstName));
+
+// Providers only have a Schedule once they have working hours or availability overrides.
+const hasSchedule = (provider) =>
+  Object.values(provider.workingHours || {}).some(windows => windows.length > 0) ||
+  (provider.availabilityOverrides || []).some(o => o.hours.length > 0);
+
+// Accepts "Patient/pat1" or a bare "pat1" for a reference search parameter.
+const referenceParam = (value, resourceType) =>
+  value === undefined ? undefined : referenceId(value, resourceType) || value;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: FHIR
+ *     description: >-
+ *       FHIR R4 facade over patients, providers (Practitioner) and appointments. Responses are
+ *       `application/fhir+json`, searches return `searchset` Bundles, and errors are
+ *       OperationOutcome resources.
+ */
+
+/**
+ * @swagger
+ * /fhir/metadata:
+ *   get:
+ *     summary: FHIR CapabilityStatement
+ *     description: >-
+ *       Describes the resources, interactions and search parameters the facade supports. No
+ *       credentials are needed, so clients can discover the server before authenticating.
+ *     tags: [FHIR]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The server's CapabilityStatement.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ */
+// Public: server.js mounts this ahead of authentication.
+const metadata = express.Router();
+metadata.get('/metadata', (req, res) => {
+  res.json({
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'Relatient API Prototype' },
+    implementation: { description: 'FHIR R4 facade', url: `${req.protocol}://${req.get('host')}${req.baseUrl}` },
+    fhirVersion: FHIR_VERSION,
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: { description: 'Send an X-API-Key header or an OAuth-style Bearer token with the scopes the matching REST routes require.' },
+      resource: Object.entries(SEARCH_PARAMS).map(([type, params]) => ({
+        type,
+        interaction: ['read', 'search-type', ...(CREATABLE.includes(type) ? ['create'] : [])].map(code => ({ code })),
+        searchParam: [
+          ...Object.entries(params).map(([name, paramType]) => ({ name, type: paramType })),
+          { name: '_count', type: 'number' },
+        ],
+      })),
+    }],
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Patient:
+ *   get:
+ *     summary: Search patients
+ *     description: Merged patients are left out; reading one returns it inactive with a `replaced-by` link.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: query, name: _id, schema: { type: string } }
+ *       - { in: query, name: name, schema: { type: string }, description: Matches the start of the given or family name. }
+ *       - { in: query, name: family, schema: { type: string } }
+ *       - { in: query, name: given, schema: { type: string } }
+ *       - $ref: '#/components/parameters/FhirBirthdate'
+ *       - { in: query, name: phone, schema: { type: string } }
+ *       - { in: query, name: email, schema: { type: string } }
+ *       - $ref: '#/components/parameters/FhirCount'
+ *       - $ref: '#/components/parameters/FhirOffset'
+ *     responses:
+ *       200:
+ *         description: A searchset Bundle of Patient resources.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirBundle'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *   post:
+ *     summary: Create a patient
+ *     description: >-
+ *       A patient that looks like an existing one is refused with 409 unless `force=true`, as
+ *       with `POST /patients`.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: query, name: force, schema: { type: boolean, default: false }, description: Create the patient even if it looks like a duplicate. }
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/FhirResource'
+ *     responses:
+ *       201:
+ *         description: The created Patient, with its URL in the Location header.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       409:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Patient', requireScope('patients:read'), (req, res) => {
+  handleFhir(res, () => {
+    const { _id, phone, email, birthdate } = req.query;
+    const bornOn = birthdate === undefined ? null : datePredicate(birthdate, 'birthdate');
+
+    const patients = db.patients.list().filter(p =>
+      !p.mergedInto &&
+      (_id === undefined || p.id === _id) &&
+      nameMatches(req.query, p) &&
+      (phone === undefined || p.contactNumber === phone) &&
+      (email === undefined || (p.email || '').toLowerCase() === email.toLowerCase()) &&
+      (!bornOn || bornOn(new Date(p.dateOfBirth)))
+    );
+    res.json(searchBundle(req, patients.map(toPatient)));
+  });
+});
+
+router.post('/Patient', requireScope('patients:write'), (req, res) => {
+  handleFhir(res, () => {
+    let patient;
+    try {
+      patient = createPatient(fromPatient(req.body), { force: req.query.force === 'true' });
+    } catch (err) {
+      if (err instanceof SchedulingError && err.code === 'POSSIBLE_DUPLICATE') {
+        throw new FhirError(409, 'duplicate', err.message);
+      }
+      throw err;
+    }
+    sendCreated(req, res, toPatient(patient));
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Patient/{id}:
+ *   get:
+ *     summary: Read a patient
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string, example: "pat1" } }
+ *     responses:
+ *       200:
+ *         description: The Patient resource.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       404:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Patient/:id', requireScope('patients:read'), (req, res) => {
+  handleFhir(res, () => {
+    const patient = db.patients.get(req.params.id);
+    if (!patient) {
+      throw notFound('Patient', req.params.id);
+    }
+    res.json(toPatient(patient));
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Practitioner:
+ *   get:
+ *     summary: Search practitioners
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: query, name: _id, schema: { type: string } }
+ *       - { in: query, name: name, schema: { type: string }, description: Matches the start of the given or family name. }
+ *       - { in: query, name: family, schema: { type: string } }
+ *       - { in: query, name: given, schema: { type: string } }
+ *       - $ref: '#/components/parameters/FhirCount'
+ *       - $ref: '#/components/parameters/FhirOffset'
+ *     responses:
+ *       200:
+ *         description: A searchset Bundle of Practitioner resources.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirBundle'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *   post:
+ *     summary: Create a practitioner
+ *     description: The specialty is taken from `qualification[0].code.text`.
+ *     tags: [FHIR]
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/FhirResource'
+ *     responses:
+ *       201:
+ *         description: The created Practitioner, with its URL in the Location header.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Practitioner', requireScope('providers:read'), (req, res) => {
+  const { _id } = req.query;
+  const providers = db.providers.list().filter(p =>
+    (_id === undefined || p.id === _id) && nameMatches(req.query, p)
+  );
+  res.json(searchBundle(req, providers.map(toPractitioner)));
+});
+
+router.post('/Practitioner', requireScope('providers:admin'), (req, res) => {
+  handleFhir(res, () => {
+    sendCreated(req, res, toPractitioner(createProvider(fromPractitioner(req.body))));
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Practitioner/{id}:
+ *   get:
+ *     summary: Read a practitioner
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string, example: "prov1" } }
+ *     responses:
+ *       200:
+ *         description: The Practitioner resource.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       404:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Practitioner/:id', requireScope('providers:read'), (req, res) => {
+  handleFhir(res, () => {
+    const provider = db.providers.get(req.params.id);
+    if (!provider) {
+      throw notFound('Practitioner', req.params.id);
+    }
+    res.json(toPractitioner(provider));
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Appointment:
+ *   get:
+ *     summary: Search appointments
+ *     description: >-
+ *       Status values are FHIR statuses: scheduled appointments are `pending`, confirmed ones
+ *       `booked`, completed ones `fulfilled` and no-shows `noshow`.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: query, name: _id, schema: { type: string } }
+ *       - { in: query, name: patient, schema: { type: string, example: "Patient/pat1" } }
+ *       - { in: query, name: practitioner, schema: { type: string, example: "Practitioner/prov1" } }
+ *       - { in: query, name: actor, schema: { type: string }, description: A Patient or Practitioner reference. }
+ *       - $ref: '#/components/parameters/FhirDate'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, booked, checked-in, fulfilled, cancelled, noshow]
+ *       - { in: query, name: appointment-type, schema: { type: string } }
+ *       - $ref: '#/components/parameters/FhirCount'
+ *       - $ref: '#/components/parameters/FhirOffset'
+ *     responses:
+ *       200:
+ *         description: A searchset Bundle of Appointment resources, ordered by start.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirBundle'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *   post:
+ *     summary: Book an appointment
+ *     description: >-
+ *       Books an appointment with the same rules as `POST /appointments`. The resource needs
+ *       Patient and Practitioner participants, `start`, and `appointmentType.text`; the length
+ *       comes from `minutesDuration`, from `end`, or from the appointment type.
+ *     tags: [FHIR]
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/FhirResource'
+ *     responses:
+ *       201:
+ *         description: The booked Appointment, with its URL in the Location header.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       409:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Appointment', requireScope('appointments:read'), (req, res) => {
+  handleFhir(res, () => {
+    const { _id, actor, date, status } = req.query;
+    const patientId = referenceParam(req.query.patient, 'Patient');
+    const providerId = referenceParam(req.query.practitioner, 'Practitioner');
+    const actorId = actor === undefined ? undefined : referenceId(actor, 'Patient') || referenceId(actor, 'Practitioner') || actor;
+    const type = req.query['appointment-type'];
+    const onDate = date === undefined ? null : datePredicate(date);
+
+    const appointments = db.appointments.list()
+      .filter(a =>
+        (_id === undefined || a.id === _id) &&
+        (patientId === undefined || a.patientId === patientId) &&
+        (providerId === undefined || a.providerId === providerId) &&
+        (actorId === undefined || a.patientId === actorId || a.providerId === actorId) &&
+        (status === undefined || a.status === STATUS_FROM_FHIR[status]) &&
+        (type === undefined || a.type === type) &&
+        (!onDate || onDate(new Date(a.date)))
+      )
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    res.json(searchBundle(req, appointments.map(toAppointment)));
+  });
+});
+
+router.post('/Appointment', requireScope('appointments:write'), (req, res) => {
+  handleFhir(res, () => sendCreated(req, res, toAppointment(bookAppointment(fromAppointment(req.body)))));
+});
+
+/**
+ * @swagger
+ * /fhir/Appointment/{id}:
+ *   get:
+ *     summary: Read an appointment
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string, example: "app1" } }
+ *     responses:
+ *       200:
+ *         description: The Appointment resource.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       404:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Appointment/:id', requireScope('appointments:read'), (req, res) => {
+  handleFhir(res, () => {
+    const appointment = db.appointments.get(req.params.id);
+    if (!appointment) {
+      throw notFound('Appointment', req.params.id);
+    }
+    res.json(toAppointment(appointment));
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Schedule:
+ *   get:
+ *     summary: Search schedules
+ *     description: Every provider with working hours has one Schedule, with the same ID as the provider.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: query, name: _id, schema: { type: string } }
+ *       - { in: query, name: actor, schema: { type: string, example: "Practitioner/prov1" } }
+ *       - $ref: '#/components/parameters/FhirCount'
+ *       - $ref: '#/components/parameters/FhirOffset'
+ *     responses:
+ *       200:
+ *         description: A searchset Bundle of Schedule resources.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirBundle'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Schedule', requireScope('providers:read'), (req, res) => {
+  const { _id } = req.query;
+  const actorId = referenceParam(req.query.actor, 'Practitioner');
+  const providers = db.providers.list().filter(p =>
+    hasSchedule(p) &&
+    (_id === undefined || p.id === _id) &&
+    (actorId === undefined || p.id === actorId)
+  );
+  res.json(searchBundle(req, providers.map(toSchedule)));
+});
+
+/**
+ * @swagger
+ * /fhir/Schedule/{id}:
+ *   get:
+ *     summary: Read a schedule
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string, example: "prov1" } }
+ *     responses:
+ *       200:
+ *         description: The Schedule resource.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       404:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Schedule/:id', requireScope('providers:read'), (req, res) => {
+  handleFhir(res, () => {
+    const provider = db.providers.get(req.params.id);
+    if (!provider || !hasSchedule(provider)) {
+      throw notFound('Schedule', req.params.id);
+    }
+    res.json(toSchedule(provider));
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Slot:
+ *   get:
+ *     summary: Search free slots
+ *     description: >-
+ *       Returns free slots computed from a schedule's availability, using the standard
+ *       appointment length. `schedule` is required. Without a `start` range the next
+ *       seven days are searched; a range may cover at most 31 days.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: query, name: schedule, required: true, schema: { type: string, example: "Schedule/prov1" } }
+ *       - $ref: '#/components/parameters/FhirStart'
+ *       - { in: query, name: status, schema: { type: string, enum: [free, busy] } }
+ *       - $ref: '#/components/parameters/FhirCount'
+ *       - $ref: '#/components/parameters/FhirOffset'
+ *     responses:
+ *       200:
+ *         description: A searchset Bundle of Slot resources, ordered by start.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirBundle'
+ *       400:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Slot', requireScope('providers:read'), (req, res) => {
+  handleFhir(res, () => {
+    const provider = db.providers.get(referenceParam(req.query.schedule, 'Schedule'));
+    if (!provider || req.query.status === 'busy') {
+      return res.json(searchBundle(req, []));
+    }
+
+    const bounds = req.query.start === undefined ? { from: null, to: null } : dateBounds(req.query.start, 'start');
+    const from = bounds.from || new Date();
+    const to = bounds.to || new Date(from.getTime() + DEFAULT_SLOT_WINDOW_DAYS * DAY);
+    if (to - from > MAX_AVAILABILITY_RANGE_DAYS * DAY) {
+      throw new FhirError(400, 'too-costly', `Slots can be searched at most ${MAX_AVAILABILITY_RANGE_DAYS} days at a time.`);
+    }
+
+    const starts = req.query.start === undefined ? () => true : datePredicate(req.query.start, 'start');
+    const slots = findOpenSlots(
+      provider, db.appointments.list(), from, to, DEFAULT_APPOINTMENT_DURATION, activeHolds(db.holds.list()),
+      { timeZone: providerTimeZone(provider) }
+    )
+      .filter(slot => starts(new Date(slot.start)));
+    res.json(searchBundle(req, slots.map(slot => toSlot(provider.id, slot))));
+  });
+});
+
+/**
+ * @swagger
+ * /fhir/Slot/{id}:
+ *   get:
+ *     summary: Read a slot
+ *     description: Slot IDs encode the schedule and start time. A slot that has since been booked or put on hold is not found.
+ *     tags: [FHIR]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string, example: "prov1-202506150900" } }
+ *     responses:
+ *       200:
+ *         description: The Slot resource.
+ *         content:
+ *           application/fhir+json:
+ *             schema:
+ *               $ref: '#/components/schemas/FhirResource'
+ *       401:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       403:
+ *         $ref: '#/components/responses/OperationOutcome'
+ *       404:
+ *         $ref: '#/components/responses/OperationOutcome'
+ */
+router.get('/Slot/:id', requireScope('providers:read'), (req, res) => {
+  handleFhir(res, () => {
+    const parsed = parseSlotId(req.params.id);
+    const provider = parsed && db.providers.get(parsed.providerId);
+    const slot = provider && findOpenSlots(
+      provider,
+      db.appointments.list(),
+      parsed.start,
+      new Date(parsed.start.getTime() + DEFAULT_APPOINTMENT_DURATION * 60000),
+      DEFAULT_APPOINTMENT_DURATION,
+      activeHolds(db.holds.list()),
+      { timeZone: providerTimeZone(provider) }
+    ).find(s => new Date(s.start).getTime() === parsed.start.getTime());
+    if (!slot) {
+      throw notFound('Slot', req.params.id);
+    }
+    res.json(toSlot(provider.id, slot));
+  });
+});
+
+// Anything else under /fhir is a resource type or interaction the facade doesn't support.
+router.use((req, res) => {
+  res.status(404).json({ message: `${req.method} ${req.baseUrl}${req.path} is not supported.`, code: 'NOT_SUPPORTED' });
+});
+
+// Errors the routes don't handle themselves are answered with an OperationOutcome (see
+// middleware/fhir.js) instead of Express's HTML error page.
+router.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+    return res.status(status).json({ message: 'An unexpected error occurred.', code: 'INTERNAL_ERROR' });
+  }
+  res.status(status).json({ message: err.message, code: err.code || 'INVALID_REQUEST' });
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     FhirCount:
+ *       in: query
+ *       name: _count
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 200
+ *         default: 50
+ *       description: Maximum number of entries in the Bundle.
+ *     FhirOffset:
+ *       in: query
+ *       name: _offset
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *       description: Number of matches to skip. Taken from the Bundle's `next` link.
+ *     FhirDate:
+ *       in: query
+ *       name: date
+ *       schema:
+ *         anyOf:
+ *           - type: string
+ *           - type: array
+ *             items:
+ *               type: string
+ *       description: >-
+ *         Appointment start as a FHIR date with an optional prefix (eq, ne, gt, ge, lt, le),
+ *         e.g. `2025-06-15` or `ge2025-06-01&date=lt2025-07-01`. Repeated values must all match.
+ *     FhirStart:
+ *       in: query
+ *       name: start
+ *       schema:
+ *         anyOf:
+ *           - type: string
+ *           - type: array
+ *             items:
+ *               type: string
+ *       description: Slot start as FHIR date values, e.g. `ge2025-06-16&start=lt2025-06-18`.
+ *     FhirBirthdate:
+ *       in: query
+ *       name: birthdate
+ *       description: Birth date as FHIR date values, e.g. `1985-03-20` or `lt2010-01-01`.
+ *       schema:
+ *         anyOf:
+ *           - type: string
+ *           - type: array
+ *             items:
+ *               type: string
+ *   requestBodies:
+ *     FhirResource:
+ *       required: true
+ *       content:
+ *         application/fhir+json:
+ *           schema:
+ *             $ref: '#/components/schemas/FhirResource'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FhirResource'
+ *   responses:
+ *     OperationOutcome:
+ *       description: The error as a FHIR OperationOutcome.
+ *       content:
+ *         application/fhir+json:
+ *           schema:
+ *             $ref: '#/components/schemas/FhirResource'
+ *           example:
+ *             resourceType: "OperationOutcome"
+ *             issue:
+ *               - severity: "error"
+ *                 code: "not-found"
+ *                 diagnostics: "Patient/pat9 not found."
+ *   schemas:
+ *     FhirResource:
+ *       type: object
+ *       required: [resourceType]
+ *       properties:
+ *         resourceType:
+ *           type: string
+ *           example: "Patient"
+ *         id:
+ *           type: string
+ *       example:
+ *         resourceType: "Patient"
+ *         name:
+ *           - family: "Smith"
+ *             given: ["Alice"]
+ *         birthDate: "1990-01-01"
+ *         telecom:
+ *           - system: "phone"
+ *             value: "555-111-2222"
+ *     FhirBundle:
+ *       type: object
+ *       properties:
+ *         resourceType:
+ *           type: string
+ *           enum: [Bundle]
+ *         type:
+ *           type: string
+ *           enum: [searchset]
+ *         total:
+ *           type: integer
+ *         link:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               relation:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *         entry:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               fullUrl:
+ *                 type: string
+ *               resource:
+ *                 $ref: '#/components/schemas/FhirResource'
+ */
+
+module.exports = router;
+module.exports.metadata = metadata;
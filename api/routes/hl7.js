@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { siu } = require('../lib/siu');
+
+const ER7_MEDIA_TYPE = 'x-application/hl7-v2+er7';
+
+/**
+ * @swagger
+ * tags:
+ *   - name: HL7
+ *     description: >-
+ *       HL7 v2 SIU scheduling interface. An SIU message (S12 new, S13 reschedule, S14 modify,
+ *       S15 cancel, S26 no-show) is generated for every appointment change, and inbound SIU
+ *       messages are applied to appointments.
+ */
+
+/**
+ * @swagger
+ * /hl7/messages:
+ *   get:
+ *     summary: List HL7 messages
+ *     description: >-
+ *       Returns a page of sent and received SIU messages, newest first. Partners without a
+ *       live interface can poll this log for outbound messages.
+ *     tags: [HL7]
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [inbound, outbound]
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [S12, S13, S14, S15, S26]
+ *       - in: query
+ *         name: appointmentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ackCode
+ *         schema:
+ *           type: string
+ *           enum: [AA, AE, AR]
+ *         description: Only inbound messages answered with this acknowledgment code.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of messages.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hl7MessageList'
+ *       400:
+ *         description: Invalid filter, sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/messages', requireScope('appointments:read'), (req, res) => {
+  const { direction, trigger, appointmentId, ackCode } = req.query;
+  const results = db.hl7Messages.list().filter(m =>
+    (direction === undefined || m.direction === direction) &&
+    (trigger === undefined || m.trigger === trigger) &&
+    (appointmentId === undefined || m.appointmentId === appointmentId) &&
+    (ackCode === undefined || m.ackCode === ackCode)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['createdAt'], defaultSort: '-createdAt' });
+});
+
+/**
+ * @swagger
+ * /hl7/messages/{id}:
+ *   get:
+ *     summary: Get a single HL7 message
+ *     description: >-
+ *       Returns the message record as JSON, or the raw ER7 message when requested with
+ *       `Accept: x-application/hl7-v2+er7`.
+ *     tags: [HL7]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "hl71"
+ *     responses:
+ *       200:
+ *         description: The message.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hl7Message'
+ *           x-application/hl7-v2+er7:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Message not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/messages/:id', requireScope('appointments:read'), (req, res) => {
+  const message = db.hl7Messages.get(req.params.id);
+  if (!message) {
+    return res.status(404).json({ message: `HL7 message with ID ${req.params.id} not found.`, code: 'HL7_MESSAGE_NOT_FOUND' });
+  }
+  if (req.accepts(['application/json', ER7_MEDIA_TYPE]) === ER7_MEDIA_TYPE) {
+    return res.type(ER7_MEDIA_TYPE).send(message.message);
+  }
+  res.json(message);
+});
+
+/**
+ * @swagger
+ * /hl7/inbound:
+ *   post:
+ *     summary: Receive an SIU message
+ *     description: >-
+ *       Applies an inbound SIU message and answers with an HL7 ACK. S12 books a new
+ *       appointment for the patient in PID-3 and the provider in AIP-3, using SCH-11 for the
+ *       start and SCH-9 for the length. S13 and S14 update, S15 cancels and S26 marks a
+ *       no-show; they find the appointment by our ID in SCH-2 or by the placer ID in SCH-1
+ *       from the original S12. The response is always 200: MSA-1 is AA when the message was
+ *       applied, AE when it couldn't be (for example a scheduling conflict), and AR when it
+ *       was rejected as unsupported or malformed.
+ *     tags: [HL7]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         x-application/hl7-v2+er7:
+ *           schema:
+ *             type: string
+ *             example: "MSH|^~\\&|PM|CLINIC|MEDIPRO|RELATIENT|20250601090000||SIU^S12^SIU_S12|MSG0001|P|2.5.1\rSCH|PM1001||||||^Check-up|Check-up|30|min|^^30^20250615100000+0000\rPID|1||pat1^^^MEDIPRO^MR||White^Frank\rRGS|1|A\rAIP|1|A|prov1^White^Dr. Emily\r"
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: The ACK message.
+ *         content:
+ *           x-application/hl7-v2+er7:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/inbound',
+  requireScope('appointments:write'),
+  express.text({ type: [ER7_MEDIA_TYPE, 'text/plain'] }),
+  (req, res) => {
+    res.type(ER7_MEDIA_TYPE).send(siu.receive(typeof req.body === 'string' ? req.body : ''));
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Hl7Message:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         direction:
+ *           type: string
+ *           enum: [inbound, outbound]
+ *         trigger:
+ *           type: string
+ *           example: "S12"
+ *         controlId:
+ *           type: string
+ *           description: MSH-10 of the message.
+ *         appointmentId:
+ *           type: string
+ *         placerAppointmentId:
+ *           type: string
+ *           description: The sender's appointment ID (SCH-1) on inbound messages.
+ *         start:
+ *           type: string
+ *           format: date-time
+ *           description: Appointment start carried by an outbound message.
+ *         message:
+ *           type: string
+ *           description: The message in ER7 encoding, with carriage-return segment separators.
+ *         ack:
+ *           type: string
+ *           description: The ACK returned for an inbound message.
+ *         ackCode:
+ *           type: string
+ *           enum: [AA, AE, AR]
+ *         error:
+ *           type: string
+ *           description: Why an inbound message wasn't applied.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Hl7MessageList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Hl7Message'
+ */
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const { handleScheduling } = require('../lib/scheduling');
+const { holds } = require('../lib/holds');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Holds
+ *     description: >-
+ *       Short-lived reservations of a provider's time while a patient completes a booking.
+ *       Held time is unavailable to everyone but the holder until the hold is used,
+ *       released or expires.
+ */
+
+/**
+ * @swagger
+ * /holds:
+ *   post:
+ *     summary: Hold a slot
+ *     description: >-
+ *       Reserves the provider's time from `date` for `duration` minutes and returns a hold
+ *       token. Pass the token as `holdToken` to `POST /appointments` to book the held time,
+ *       and to `GET /providers/{id}/availability` to keep seeing it as open. The time must
+ *       be free of appointments and other holds.
+ *     tags: [Holds]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required: [providerId, date]
+ *             properties:
+ *               providerId:
+ *                 type: string
+ *                 example: "prov1"
+ *               date:
+ *                 type: string
+ *                 description: >-
+ *                   Start time. Without "Z" or a UTC offset it's local time at the provider's
+ *                   first location.
+ *                 example: "2025-06-16T09:00:00"
+ *               duration:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Minutes to hold. Defaults to the standard length for `type`.
+ *                 example: 30
+ *               type:
+ *                 type: string
+ *                 example: "Check-up"
+ *               patientId:
+ *                 type: string
+ *                 description: Only this patient may book the held time.
+ *                 example: "pat1"
+ *               ttlSeconds:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: How long to hold the time. Defaults to HOLD_TTL_SECONDS and is capped at HOLD_MAX_TTL_SECONDS.
+ *                 example: 300
+ *     responses:
+ *       201:
+ *         description: The hold, including its token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hold'
+ *       400:
+ *         description: Invalid input, or unknown provider or patient.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The time is already booked or on hold.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SchedulingConflict'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', requireScope('appointments:write'), (req, res) => {
+  handleScheduling(res, () => res.status(201).json(holds.place(req.body)));
+});
+
+/**
+ * @swagger
+ * /holds/{token}:
+ *   get:
+ *     summary: Get a hold
+ *     tags: [Holds]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The hold and its current status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Hold'
+ *       404:
+ *         description: No hold has this token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Release a hold
+ *     description: Gives the held time back, e.g. when the patient abandons the booking.
+ *     tags: [Holds]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Hold released.
+ *       404:
+ *         description: No hold has this token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The hold has already been used, released or has expired.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:token', requireScope('appointments:read'), (req, res) => {
+  handleScheduling(res, () => res.json(holds.get(req.params.token)));
+});
+
+router.delete('/:token', requireScope('appointments:write'), (req, res) => {
+  handleScheduling(res, () => {
+    holds.release(req.params.token);
+    res.status(204).send();
+  });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Hold:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "hold1"
+ *         token:
+ *           type: string
+ *           description: Secret handle for the hold; pass it as `holdToken` when booking.
+ *         providerId:
+ *           type: string
+ *         patientId:
+ *           type: string
+ *           nullable: true
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         duration:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, booked, released, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         appointmentId:
+ *           type: string
+ *           description: The appointment booked with the hold.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+module.exports = router;
@@ -0,0 +1,531 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope, hasScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { SchedulingError, handleScheduling } = require('../lib/scheduling');
+const { RESOURCES, FORMATS, imports } = require('../lib/imports');
+const { csvLine } = require('../lib/csv');
+const { streamLines } = require('../lib/ndjson');
+
+const MEDIA_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+};
+
+// Importing needs the scope that creating the records one at a time would.
+const requireImportScope = (req, res, next) => requireScope(RESOURCES[req.params.resourceType].scope)(req, res, next);
+
+const canAccess = (req, job) => hasScope(req.auth.scopes, RESOURCES[job.resourceType].scope);
+
+// Looks up the job in the request path, responding with 404 or 403 and returning null when
+// it doesn't exist or the caller couldn't have submitted it.
+const findJob = (req, res) => {
+  const job = db.importJobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({ message: `Import job with ID ${req.params.id} not found.`, code: 'IMPORT_NOT_FOUND' });
+    return null;
+  }
+  if (!canAccess(req, job)) {
+    const { scope } = RESOURCES[job.resourceType];
+    res.status(403).json({ message: `This operation requires the "${scope}" scope.`, code: 'INSUFFICIENT_SCOPE' });
+    return null;
+  }
+  return job;
+};
+
+const invalidMapping = (message) =>
+  new SchedulingError(400, 'VALIDATION_ERROR', 'Request validation failed.', {
+    errors: [{ field: 'query.mapping', message }],
+  });
+
+// The column mapping from the query string. Throws a 400 unless it is a JSON object of
+// field names to column names.
+const parseMapping = (mapping) => {
+  if (mapping === undefined) {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(mapping);
+  } catch (err) {
+    throw invalidMapping(`must be valid JSON: ${err.message}`);
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw invalidMapping('must be a JSON object of field names to column names');
+  }
+  const field = Object.keys(parsed).find(f => typeof parsed[f] !== 'string');
+  if (field !== undefined) {
+    throw invalidMapping(`${field} must be a column name`);
+  }
+  return parsed;
+};
+
+// Error file lines. CSV files repeat the row's original columns after the error details,
+// so the failed rows can be corrected and imported again.
+const errorLines = function* (errors, format) {
+  if (format === 'ndjson') {
+    for (const { row, code, message, errors: fieldErrors, data } of errors) {
+      yield `${JSON.stringify({ row, code, message, errors: fieldErrors, data })}\n`;
+    }
+    return;
+  }
+  const columns = [...new Set(errors.flatMap(({ data }) => Object.keys(data || {})))];
+  yield csvLine(['row', 'code', 'message', 'errors', ...columns]);
+  for (const { row, code, message, errors: fieldErrors, data } of errors) {
+    const details = (fieldErrors || []).map(e => `${e.field}: ${e.message}`).join('; ');
+    yield csvLine([row, code, message, details, ...columns.map(column => {
+      const value = (data || {})[column];
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    })]);
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Imports
+ *     description: >-
+ *       Bulk import of patients, providers and appointments from CSV or NDJSON files. A file
+ *       is imported in the background as a job: poll the job for progress and download its
+ *       error file for the rows that failed.
+ */
+
+/**
+ * @swagger
+ * /imports:
+ *   get:
+ *     summary: List import jobs
+ *     description: Lists the jobs for resource types the caller has the import scope for.
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *           enum: [patients, providers, appointments]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of import jobs.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJobList'
+ *       400:
+ *         description: Invalid sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', (req, res) => {
+  const { resourceType, status } = req.query;
+  const results = db.importJobs.list().filter(job =>
+    canAccess(req, job) &&
+    (!resourceType || job.resourceType === resourceType) &&
+    (!status || job.status === status)
+  );
+  sendPage(req, res, results, { sortableFields: ['createdAt'], defaultSort: '-createdAt' });
+});
+
+/**
+ * @swagger
+ * /imports/{resourceType}:
+ *   post:
+ *     summary: Start a bulk import
+ *     description: >-
+ *       Queues the file for import and returns the job, with its URL in the Location header.
+ *       CSV files start with a header row; NDJSON files hold one JSON object per line. Each
+ *       row (row 1 being the first record after any header) is read as the body of the
+ *       resource's POST endpoint and goes through the same validation and checks, so
+ *       appointments are checked for conflicts, eligibility and holds and patients for
+ *       duplicates. Columns named after body fields are used as they are; `mapping` reads
+ *       fields from differently named columns, and other columns are ignored (see
+ *       `ignoredColumns`). In CSV, empty cells are left out, and arrays and objects are
+ *       written as JSON (arrays may also be ";"-separated). Rows that fail are recorded and
+ *       the rest carry on. Importing needs the scope creating the records would:
+ *       `patients:write`, `providers:admin` or `appointments:write`.
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: resourceType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [patients, providers, appointments]
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: >-
+ *           Check every row without saving anything. Rows are checked against the records
+ *           already stored, not against earlier rows of the same file.
+ *       - in: query
+ *         name: mapping
+ *         schema:
+ *           type: string
+ *           example: '{"firstName":"First Name","dateOfBirth":"DOB"}'
+ *         description: JSON object mapping body field names to the file's column names.
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Import patients even when they look like existing patients.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "firstName,lastName,dateOfBirth,email\r\nAlice,Smith,1990-01-01,alice@example.com\r\n"
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: "{\"firstName\":\"Alice\",\"lastName\":\"Smith\",\"dateOfBirth\":\"1990-01-01\"}\n"
+ *     responses:
+ *       202:
+ *         description: Import job queued.
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL of the job.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         description: >-
+ *           The file can't be read or has no rows (`INVALID_FILE`), `mapping` isn't a JSON
+ *           object of column names (`VALIDATION_ERROR`), or it names fields or columns that
+ *           don't exist (`INVALID_MAPPING`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: The file is larger than the configured limit (IMPORT_MAX_FILE_SIZE).
+ *       415:
+ *         description: The body is not CSV or NDJSON.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:resourceType', requireImportScope, (req, res) => {
+  const format = FORMATS.find(f => req.is(MEDIA_TYPES[f]));
+  if (!format || typeof req.body !== 'string') {
+    return res.status(415).json({
+      message: `Send the file as ${MEDIA_TYPES.csv} or ${MEDIA_TYPES.ndjson}.`,
+      code: 'UNSUPPORTED_MEDIA_TYPE',
+    });
+  }
+
+  handleScheduling(res, () => {
+    const job = imports.submit({
+      resourceType: req.params.resourceType,
+      format,
+      text: req.body,
+      mapping: parseMapping(req.query.mapping),
+      dryRun: req.query.dryRun === 'true',
+      force: req.query.force === 'true',
+    }, { actor: req.auth.subject, authMethod: req.auth.method });
+    res.status(202).location(`${req.baseUrl}/${job.id}`).json(job);
+  });
+});
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   get:
+ *     summary: Get an import job's progress
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "imp1"
+ *     responses:
+ *       200:
+ *         description: The import job.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import job not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) {
+    res.json(job);
+  }
+});
+
+/**
+ * @swagger
+ * /imports/{id}/errors:
+ *   get:
+ *     summary: Download an import job's error file
+ *     description: >-
+ *       The rows that have failed so far, in row order. NDJSON lines are ImportRowError
+ *       objects. CSV files have `row`, `code`, `message` and `errors` columns followed by
+ *       the row's original columns, so failed rows can be corrected and imported again.
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "imp1"
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [ndjson, csv]
+ *           default: ndjson
+ *     responses:
+ *       200:
+ *         description: The error file.
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Import job not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id/errors', async (req, res) => {
+  const job = findJob(req, res);
+  if (!job) {
+    return;
+  }
+  const format = req.query.format || 'ndjson';
+  const errors = db.importErrors.list().filter(e => e.jobId === job.id).sort((a, b) => a.row - b.row);
+
+  res.attachment(`${job.id}-errors.${format}`).type(MEDIA_TYPES[format]);
+  await streamLines(res, errorLines(errors, format));
+});
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   delete:
+ *     summary: Cancel an import job
+ *     description: Stops a queued or running job. Rows already imported stay imported.
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "imp1"
+ *     responses:
+ *       200:
+ *         description: The cancelled job.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import job not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The job has already finished (`IMPORT_FINISHED`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) {
+    handleScheduling(res, () => res.json(imports.cancel(job.id)));
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       example:
+ *         id: "imp1"
+ *         resourceType: "patients"
+ *         format: "csv"
+ *         dryRun: false
+ *         force: false
+ *         mapping:
+ *           dateOfBirth: "DOB"
+ *         status: "running"
+ *         total: 2500
+ *         processed: 1200
+ *         succeeded: 1187
+ *         failed: 13
+ *         ignoredColumns: ["MRN"]
+ *         error: null
+ *         submittedBy: "ehr-sync"
+ *         authMethod: "apiKey"
+ *         createdAt: "2025-06-15T09:00:00.000Z"
+ *         startedAt: "2025-06-15T09:00:00.200Z"
+ *         completedAt: null
+ *       properties:
+ *         id:
+ *           type: string
+ *         resourceType:
+ *           type: string
+ *           enum: [patients, providers, appointments]
+ *         format:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         dryRun:
+ *           type: boolean
+ *           description: Rows were checked but nothing was saved; `succeeded` counts rows that would have been imported.
+ *         force:
+ *           type: boolean
+ *         mapping:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *           description: >-
+ *             `failed` means the job was cut short (see `error`); rows that fail are counted
+ *             in `failed` without failing the job.
+ *         total:
+ *           type: integer
+ *           description: Rows in the file.
+ *         processed:
+ *           type: integer
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *           description: Rows that failed; see the job's error file.
+ *         ignoredColumns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Columns that don't map to any field.
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         submittedBy:
+ *           type: string
+ *           description: API key name or bearer token subject; imported records are audited under it.
+ *         authMethod:
+ *           type: string
+ *           enum: [apiKey, jwt]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *       required:
+ *         - id
+ *         - resourceType
+ *         - status
+ *         - total
+ *         - processed
+ *         - succeeded
+ *         - failed
+ *     ImportJobList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ImportJob'
+ *     ImportRowError:
+ *       type: object
+ *       description: One line of an import job's NDJSON error file.
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Row number in the file, counting from 1 after any header.
+ *         code:
+ *           type: string
+ *           example: "SCHEDULING_CONFLICT"
+ *         message:
+ *           type: string
+ *         errors:
+ *           type: array
+ *           nullable: true
+ *           description: Per-field details for rows that fail schema validation (`VALIDATION_ERROR`).
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "row.dateOfBirth"
+ *               message:
+ *                 type: string
+ *         data:
+ *           type: object
+ *           nullable: true
+ *           description: The row as read from the file, keyed by column name.
+ */
+
+module.exports = router;
@@ -0,0 +1,518 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { publish } = require('../lib/events');
+const { validateLocation } = require('../lib/locations');
+const { localTime } = require('../lib/timezones');
+const { SchedulingError, handleScheduling } = require('../lib/scheduling');
+const { withEtag, assertIfMatch } = require('../lib/concurrency');
+const { patchChanges } = require('../lib/patch');
+
+const notFoundResponse = (res, id) =>
+  res.status(404).json({ message: `Location with ID ${id} not found.`, code: 'LOCATION_NOT_FOUND' });
+
+// Re-derives the local time echoed on the location's appointments after its timezone changes.
+const relocalizeAppointments = (location) => {
+  db.appointments.list()
+    .filter(a => a.locationId === location.id && a.timeZone !== location.timeZone)
+    .forEach(a => {
+      const saved = db.appointments.update(a.id, { ...a, timeZone: location.timeZone, ...localTime(a.date, location.timeZone) });
+      publish('appointment.updated', saved);
+    });
+};
+
+// Applies a PUT body, or the changes a PATCH makes, to a location.
+const saveChanges = (res, location, changes) => {
+  const changed = { ...location, ...changes };
+  const fieldError = validateLocation(changed);
+  if (fieldError) {
+    throw new SchedulingError(400, 'INVALID_INPUT', fieldError);
+  }
+
+  const updated = db.locations.update(location.id, changed);
+  relocalizeAppointments(updated);
+
+  publish('location.updated', updated);
+  withEtag(res, updated).json(updated);
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Locations
+ *     description: >-
+ *       Practice locations with their address, rooms and IANA timezone. Providers are assigned
+ *       to locations, and appointments take place at one: their dates are stored in UTC and
+ *       echoed with the local time and UTC offset at the location.
+ */
+
+/**
+ * @swagger
+ * /locations:
+ *   get:
+ *     summary: List practice locations
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, id, -id]
+ *           default: name
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of locations.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LocationList'
+ *       400:
+ *         description: Invalid sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', requireScope('providers:read'), (req, res) => {
+  sendPage(req, res, db.locations.list(), { sortableFields: ['name', 'id'], defaultSort: 'name' });
+});
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   get:
+ *     summary: Get a practice location
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "loc1"
+ *     responses:
+ *       200:
+ *         description: Location found.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       404:
+ *         description: Location not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('providers:read'), (req, res) => {
+  const location = db.locations.get(req.params.id);
+  if (!location) {
+    return notFoundResponse(res, req.params.id);
+  }
+  withEtag(res, location).json(location);
+});
+
+/**
+ * @swagger
+ * /locations:
+ *   post:
+ *     summary: Add a practice location
+ *     tags: [Locations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required:
+ *               - name
+ *               - timeZone
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: "Uptown Clinic"
+ *               timeZone:
+ *                 type: string
+ *                 description: IANA timezone name.
+ *                 example: "America/Chicago"
+ *               address:
+ *                 $ref: '#/components/schemas/Address'
+ *               contactNumber:
+ *                 type: string
+ *                 example: "555-100-3000"
+ *               rooms:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Room'
+ *     responses:
+ *       201:
+ *         description: Location created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Invalid input, such as an unknown timezone or duplicate room names.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', requireScope('providers:admin'), (req, res) => {
+  const { name, timeZone, address, contactNumber, rooms } = req.body;
+
+  const fieldError = validateLocation(req.body);
+  if (fieldError) {
+    return res.status(400).json({ message: fieldError, code: 'INVALID_INPUT' });
+  }
+
+  const location = db.locations.create({
+    name,
+    timeZone,
+    address: address || null,
+    contactNumber: contactNumber || null,
+    rooms: (rooms || []).map(room => ({ name: room.name, description: room.description || null })),
+  });
+
+  publish('location.created', location);
+  res.status(201).json(location);
+});
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   put:
+ *     summary: Update a practice location
+ *     description: >-
+ *       Changing the timezone keeps appointment times as the same instants and re-derives the
+ *       local time shown on the location's appointments.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "loc1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               timeZone:
+ *                 type: string
+ *               address:
+ *                 $ref: '#/components/schemas/Address'
+ *               contactNumber:
+ *                 type: string
+ *                 nullable: true
+ *               rooms:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Room'
+ *     responses:
+ *       200:
+ *         description: Location updated.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Invalid input.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Location not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/:id', requireScope('providers:admin'), (req, res) => {
+  const location = db.locations.get(req.params.id);
+  if (!location) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, location);
+    saveChanges(res, location, req.body);
+  });
+});
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   patch:
+ *     summary: Partially update a practice location
+ *     description: >-
+ *       Changes only the fields the patch touches, with the same checks as PUT. Send a JSON
+ *       Merge Patch (`application/merge-patch+json`) or a JSON Patch
+ *       (`application/json-patch+json`); only the fields PUT accepts can be changed.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "loc1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/Patch'
+ *     responses:
+ *       200:
+ *         description: Location updated.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: The patch is malformed, changes a field PUT doesn't accept, or leaves invalid values.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Location not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A JSON Patch `test` operation failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedPatch'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch('/:id', requireScope('providers:admin'), (req, res) => {
+  const location = db.locations.get(req.params.id);
+  if (!location) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, location);
+    saveChanges(res, location, patchChanges(req, location, '/locations/{id}'));
+  });
+});
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   delete:
+ *     summary: Delete a practice location
+ *     description: >-
+ *       Only locations that no provider is assigned to and no appointment refers to can be
+ *       deleted.
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "loc1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204:
+ *         description: Location deleted.
+ *       404:
+ *         description: Location not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Providers or appointments still refer to the location (`LOCATION_IN_USE`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LocationInUse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/:id', requireScope('providers:admin'), (req, res) => {
+  const location = db.locations.get(req.params.id);
+  if (!location) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, location);
+
+    const providerIds = db.providers.list().filter(p => (p.locationIds || []).includes(location.id)).map(p => p.id);
+    const appointmentIds = db.appointments.list().filter(a => a.locationId === location.id).map(a => a.id);
+    if (providerIds.length > 0 || appointmentIds.length > 0) {
+      return res.status(409).json({
+        message: `Location ${location.id} is still used by ${providerIds.length} provider(s) and ${appointmentIds.length} appointment(s).`,
+        code: 'LOCATION_IN_USE',
+        providerIds,
+        appointmentIds,
+      });
+    }
+
+    db.locations.remove(location.id);
+    publish('location.deleted', location);
+    res.status(204).send();
+  });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Location:
+ *       type: object
+ *       example:
+ *         id: "loc1"
+ *         name: "Downtown Clinic"
+ *         timeZone: "America/New_York"
+ *         address:
+ *           line1: "100 Main Street"
+ *           line2: "Suite 200"
+ *           city: "Springfield"
+ *           state: "NY"
+ *           postalCode: "10001"
+ *           country: "US"
+ *         contactNumber: "555-100-2000"
+ *         rooms:
+ *           - name: "Exam 1"
+ *             description: null
+ *       properties:
+ *         id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Goes up by one on every change; sent as the ETag.
+ *         name:
+ *           type: string
+ *         timeZone:
+ *           type: string
+ *           description: IANA timezone name.
+ *         address:
+ *           $ref: '#/components/schemas/Address'
+ *         contactNumber:
+ *           type: string
+ *           nullable: true
+ *         rooms:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Room'
+ *       required:
+ *         - id
+ *         - name
+ *         - timeZone
+ *     LocationList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Location'
+ *     Address:
+ *       type: object
+ *       nullable: true
+ *       additionalProperties: false
+ *       properties:
+ *         line1:
+ *           type: string
+ *         line2:
+ *           type: string
+ *           nullable: true
+ *         city:
+ *           type: string
+ *         state:
+ *           type: string
+ *         postalCode:
+ *           type: string
+ *         country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 country code.
+ *           example: "US"
+ *     Room:
+ *       type: object
+ *       additionalProperties: false
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           description: Unique within the location; appointments refer to rooms by name.
+ *           example: "Exam 1"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *     LocationInUse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ErrorResponse'
+ *         - type: object
+ *           properties:
+ *             providerIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             appointmentIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ */
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { receiveReply, resolveReview } = require('../lib/replies');
+
+const messageNotFound = (res, id) =>
+  res.status(404).json({ message: `Inbound message with ID ${id} not found.`, code: 'MESSAGE_NOT_FOUND' });
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Messages
+ *     description: >-
+ *       Text messages from patients. Replies to reminders confirm, cancel or ask to
+ *       reschedule the sender's next appointment; anything that can't be applied
+ *       automatically is flagged for staff review.
+ */
+
+/**
+ * @swagger
+ * /messages/inbound:
+ *   post:
+ *     summary: Receive an inbound SMS
+ *     description: >-
+ *       Webhook for the SMS gateway, accepting the usual form-encoded (or JSON) `From`,
+ *       `To`, `Body` and `MessageSid` fields. The sender is matched to patients by
+ *       `contactNumber` and the reply applied to their next upcoming appointment: `C`
+ *       confirms it, `X` cancels it and `R` requests a reschedule. An auto-reply is queued
+ *       in the notification outbox, except for opt-out keywords such as `STOP`, which set
+ *       `smsOptOut` on the patients with that number so they are sent no more texts. Replies
+ *       from unknown numbers, replies that could refer to more than one person's
+ *       appointment, unrecognized replies and reschedule requests are flagged for review.
+ *       A message whose `MessageSid` was already received isn't applied again; the logged
+ *       message is returned instead. Configure the gateway to send an API key with
+ *       `appointments:write`.
+ *     tags: [Messages]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             $ref: '#/components/schemas/InboundSms'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InboundSms'
+ *     responses:
+ *       200:
+ *         description: The message was logged, and applied where possible.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InboundMessage'
+ *       400:
+ *         description: Missing sender or message body.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   get:
+ *     summary: List inbound messages
+ *     description: >-
+ *       Returns a page of received messages, newest first by default. Use
+ *       `needsReview=true` for the staff review queue.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: needsReview
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, cancelled, reschedule-requested, rejected, unmatched, ambiguous, unrecognized, opted-out]
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: appointmentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [receivedAt, -receivedAt]
+ *           default: -receivedAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of inbound messages.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InboundMessageList'
+ *       400:
+ *         description: Invalid filter, sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/inbound', requireScope('appointments:write'), (req, res) => {
+  const { From: from, To: to, Body: body, MessageSid: providerMessageId } = req.body;
+  res.json(receiveReply({ from, to, body, providerMessageId }));
+});
+
+router.get('/inbound', requireScope('appointments:read'), (req, res) => {
+  const { needsReview, outcome, patientId, appointmentId } = req.query;
+  const results = db.inboundMessages.list().filter(m =>
+    (needsReview === undefined || m.needsReview === (needsReview === 'true')) &&
+    (outcome === undefined || m.outcome === outcome) &&
+    (patientId === undefined || m.patientId === patientId) &&
+    (appointmentId === undefined || m.appointmentId === appointmentId)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['receivedAt'], defaultSort: '-receivedAt' });
+});
+
+/**
+ * @swagger
+ * /messages/inbound/{id}:
+ *   get:
+ *     summary: Get an inbound message
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "msg1"
+ *     responses:
+ *       200:
+ *         description: The message and what was done with it.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InboundMessage'
+ *       404:
+ *         description: Message not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/inbound/:id', requireScope('appointments:read'), (req, res) => {
+  const message = db.inboundMessages.get(req.params.id);
+  if (!message) {
+    return messageNotFound(res, req.params.id);
+  }
+  res.json(message);
+});
+
+/**
+ * @swagger
+ * /messages/inbound/{id}/review:
+ *   post:
+ *     summary: Mark an inbound message as reviewed
+ *     description: Takes the message off the review queue once staff have followed up.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "msg1"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "Called patient, moved to Thursday 10am."
+ *     responses:
+ *       200:
+ *         description: The reviewed message.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InboundMessage'
+ *       404:
+ *         description: Message not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/inbound/:id/review', requireScope('appointments:write'), (req, res) => {
+  const message = resolveReview(req.params.id, { reviewedBy: req.auth.subject, note: (req.body || {}).note });
+  if (!message) {
+    return messageNotFound(res, req.params.id);
+  }
+  res.json(message);
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InboundSms:
+ *       type: object
+ *       required: [From, Body]
+ *       description: Gateway webhook fields; any others the gateway sends are ignored.
+ *       properties:
+ *         From:
+ *           type: string
+ *           example: "+15553334444"
+ *         To:
+ *           type: string
+ *           example: "+15550001111"
+ *         Body:
+ *           type: string
+ *           example: "C"
+ *         MessageSid:
+ *           type: string
+ *           description: The gateway's message ID.
+ *     InboundMessage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "msg1"
+ *         channel:
+ *           type: string
+ *           enum: [sms]
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *           nullable: true
+ *         body:
+ *           type: string
+ *         providerMessageId:
+ *           type: string
+ *           nullable: true
+ *         intent:
+ *           type: string
+ *           nullable: true
+ *           enum: [confirm, cancel, reschedule, opt-out, null]
+ *           description: What the reply asked for; null when it wasn't recognized.
+ *         outcome:
+ *           type: string
+ *           enum: [confirmed, cancelled, reschedule-requested, rejected, unmatched, ambiguous, unrecognized, opted-out]
+ *         error:
+ *           type: string
+ *           description: Why the reply couldn't be applied.
+ *         patientId:
+ *           type: string
+ *           nullable: true
+ *         appointmentId:
+ *           type: string
+ *           nullable: true
+ *         replyNotificationId:
+ *           type: string
+ *           nullable: true
+ *           description: The queued auto-reply in /notifications.
+ *         needsReview:
+ *           type: boolean
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewedBy:
+ *           type: string
+ *           nullable: true
+ *         reviewNote:
+ *           type: string
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *     InboundMessageList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InboundMessage'
+ */
+
+module.exports = router;
@@ -0,0 +1,528 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { validateTemplateText } = require('../lib/reminders');
+
+const templateNotFound = (res, id) =>
+  res.status(404).json({ message: `Reminder template with ID ${id} not found.`, code: 'TEMPLATE_NOT_FOUND' });
+
+// Returns an error response body for an invalid template, otherwise null.
+const templateError = (template) => {
+  if (template.channel === 'email' && !template.subject) {
+    return { message: 'Email templates need a subject.', code: 'INVALID_INPUT' };
+  }
+  const message = validateTemplateText(`${template.subject || ''} ${template.body}`);
+  if (message) {
+    return { message, code: 'INVALID_INPUT' };
+  }
+  const duplicate = db.reminderTemplates.list().find(t =>
+    t.id !== template.id && t.channel === template.channel && t.appointmentType === template.appointmentType
+  );
+  if (duplicate) {
+    return {
+      message: `Template ${duplicate.id} already covers ${template.appointmentType || 'the default'} ${template.channel} reminders.`,
+      code: 'TEMPLATE_EXISTS',
+      status: 409,
+    };
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Notifications
+ *     description: >-
+ *       Outgoing patient messages such as appointment reminders, with every send attempt,
+ *       and the templates reminders are rendered from.
+ */
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List notifications
+ *     description: >-
+ *       Returns a page of queued, sent, failed and cancelled notifications, newest first by
+ *       default. Each one includes every send attempt.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           example: "reminder"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed, cancelled]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms]
+ *       - in: query
+ *         name: appointmentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, dueAt, -dueAt]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of notifications.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationList'
+ *       400:
+ *         description: Invalid filter, sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', requireScope('appointments:read'), (req, res) => {
+  const { kind, status, channel, appointmentId, patientId } = req.query;
+  const results = db.notifications.list().filter(n =>
+    (kind === undefined || n.kind === kind) &&
+    (status === undefined || n.status === status) &&
+    (channel === undefined || n.channel === channel) &&
+    (appointmentId === undefined || n.appointmentId === appointmentId) &&
+    (patientId === undefined || n.patientId === patientId)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['createdAt', 'dueAt'], defaultSort: '-createdAt' });
+});
+
+/**
+ * @swagger
+ * /notifications/templates:
+ *   get:
+ *     summary: List reminder templates
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: appointmentType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms]
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of templates.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderTemplateList'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a reminder template
+ *     description: >-
+ *       Adds the wording for one appointment type and channel. A template without an
+ *       `appointmentType` is the default for types that have no template of their own.
+ *       Placeholders such as `{{patient.firstName}}`, `{{provider.lastName}}`,
+ *       `{{appointment.type}}`, `{{appointment.date}}` and `{{appointment.time}}` are filled
+ *       in when a reminder is queued.
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderTemplateInput'
+ *     responses:
+ *       201:
+ *         description: Template created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderTemplate'
+ *       400:
+ *         description: Invalid input or unknown placeholders.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A template already exists for this appointment type and channel.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/templates', requireScope('appointments:read'), (req, res) => {
+  const { appointmentType, channel } = req.query;
+  const results = db.reminderTemplates.list().filter(t =>
+    (appointmentType === undefined || t.appointmentType === appointmentType) &&
+    (channel === undefined || t.channel === channel)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['createdAt'], defaultSort: 'createdAt' });
+});
+
+router.post('/templates', requireScope('appointments:admin'), (req, res) => {
+  const { name, appointmentType, channel, subject, body } = req.body;
+  const template = {
+    name: name || null,
+    appointmentType: appointmentType || null,
+    channel,
+    subject: subject || null,
+    body,
+  };
+
+  const error = templateError(template);
+  if (error) {
+    const { status = 400, ...response } = error;
+    return res.status(status).json(response);
+  }
+
+  res.status(201).json(db.reminderTemplates.create({ ...template, createdAt: new Date().toISOString() }));
+});
+
+/**
+ * @swagger
+ * /notifications/templates/{id}:
+ *   get:
+ *     summary: Get a reminder template
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "tpl1"
+ *     responses:
+ *       200:
+ *         description: The template.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderTemplate'
+ *       404:
+ *         description: Template not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   put:
+ *     summary: Replace a reminder template
+ *     description: Reminders already queued keep the wording they were rendered with.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "tpl1"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Template updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderTemplate'
+ *       400:
+ *         description: Invalid input or unknown placeholders.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Template not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Another template already exists for this appointment type and channel.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Delete a reminder template
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "tpl1"
+ *     responses:
+ *       204:
+ *         description: Template deleted.
+ *       404:
+ *         description: Template not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/templates/:id', requireScope('appointments:read'), (req, res) => {
+  const template = db.reminderTemplates.get(req.params.id);
+  if (!template) {
+    return templateNotFound(res, req.params.id);
+  }
+  res.json(template);
+});
+
+router.put('/templates/:id', requireScope('appointments:admin'), (req, res) => {
+  const existing = db.reminderTemplates.get(req.params.id);
+  if (!existing) {
+    return templateNotFound(res, req.params.id);
+  }
+
+  const { name, appointmentType, channel, subject, body } = req.body;
+  const template = {
+    ...existing,
+    name: name || null,
+    appointmentType: appointmentType || null,
+    channel,
+    subject: subject || null,
+    body,
+  };
+
+  const error = templateError(template);
+  if (error) {
+    const { status = 400, ...response } = error;
+    return res.status(status).json(response);
+  }
+
+  res.json(db.reminderTemplates.update(existing.id, template));
+});
+
+router.delete('/templates/:id', requireScope('appointments:admin'), (req, res) => {
+  if (!db.reminderTemplates.remove(req.params.id)) {
+    return templateNotFound(res, req.params.id);
+  }
+  res.status(204).send();
+});
+
+/**
+ * @swagger
+ * /notifications/{id}:
+ *   get:
+ *     summary: Get a notification
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "ntf1"
+ *     responses:
+ *       200:
+ *         description: The notification and its send attempts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Notification'
+ *       404:
+ *         description: Notification not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('appointments:read'), (req, res) => {
+  const notification = db.notifications.get(req.params.id);
+  if (!notification) {
+    return res.status(404).json({ message: `Notification with ID ${req.params.id} not found.`, code: 'NOTIFICATION_NOT_FOUND' });
+  }
+  res.json(notification);
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "ntf1"
+ *         kind:
+ *           type: string
+ *           description: What the message is for, e.g. `reminder`, or `reply` for answers to inbound texts.
+ *           example: "reminder"
+ *         appointmentId:
+ *           type: string
+ *           nullable: true
+ *         patientId:
+ *           type: string
+ *           nullable: true
+ *         templateId:
+ *           type: string
+ *         offset:
+ *           type: string
+ *           description: For reminders, how long before the appointment it is sent.
+ *           example: "24h"
+ *         channel:
+ *           type: string
+ *           enum: [email, sms]
+ *         to:
+ *           type: string
+ *         subject:
+ *           type: string
+ *           nullable: true
+ *         body:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, failed, cancelled]
+ *         cancelReason:
+ *           type: string
+ *           example: "appointment-cancelled"
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the notification is (next) due to be sent.
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/NotificationAttempt'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationAttempt:
+ *       type: object
+ *       properties:
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         adapter:
+ *           type: string
+ *           nullable: true
+ *           example: "smtp"
+ *         providerMessageId:
+ *           type: string
+ *           nullable: true
+ *         error:
+ *           type: string
+ *     NotificationList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Notification'
+ *     ReminderTemplateInput:
+ *       type: object
+ *       additionalProperties: false
+ *       required: [channel, body]
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Physical prep reminder"
+ *         appointmentType:
+ *           type: string
+ *           nullable: true
+ *           description: The appointment type this template is for; omit for the default template.
+ *           example: "Physical"
+ *         channel:
+ *           type: string
+ *           enum: [email, sms]
+ *         subject:
+ *           type: string
+ *           nullable: true
+ *           description: Required for email templates.
+ *         body:
+ *           type: string
+ *           minLength: 1
+ *           example: "Hi {{patient.firstName}}, your physical is on {{appointment.date}} at {{appointment.time}}. Please fast for 8 hours beforehand."
+ *     ReminderTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "tpl1"
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         appointmentType:
+ *           type: string
+ *           nullable: true
+ *         channel:
+ *           type: string
+ *           enum: [email, sms]
+ *         subject:
+ *           type: string
+ *           nullable: true
+ *         body:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ReminderTemplateList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReminderTemplate'
+ */
+
+module.exports = router;
@@ -1,25 +1,67 @@
 const express = require('express');
 const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { publish } = require('../lib/events');
+const { toCalendar, sendCalendar } = require('../lib/icalendar');
+const { handleScheduling } = require('../lib/scheduling');
+const { findDuplicates, mergePatients } = require('../lib/duplicates');
+const { deleteRecord, sendDeletion } = require('../lib/deletion');
+const { createPatient } = require('../lib/records');
+const { withEtag, assertIfMatch } = require('../lib/concurrency');
+const { patchChanges } = require('../lib/patch');
 
-// In-memory mock DB for demonstration purposes
-let patients = [
-  {
-    id: 'pat1',
-    firstName: 'Frank',
-    lastName: 'White',
-    dateOfBirth: '1985-03-20',
-    contactNumber: '555-555-555',
-    email: 'frank@aol.com',
-  },
-  {
-    id: 'pat2',
-    firstName: 'Bob',
-    lastName: 'Johnson',
-    dateOfBirth: '1992-11-05',
-    contactNumber: '555-333-4444',
-    email: 'bob@aol.com',
-  },
-];
+// Fields compared by duplicate detection; updates touching none of them aren't re-checked.
+const IDENTIFYING_FIELDS = ['firstName', 'lastName', 'dateOfBirth', 'contactNumber', 'email'];
+
+// Sends a merged patient's requests on to the record it was merged into.
+const redirectMerged = (req, res, patient) =>
+  res.status(301)
+    .location(`${req.baseUrl}${req.path.replace(`/${patient.id}`, `/${patient.mergedInto}`)}`)
+    .json({ message: `Patient ${patient.id} was merged into ${patient.mergedInto}.`, code: 'PATIENT_MERGED', mergedInto: patient.mergedInto });
+
+const duplicateConflict = (res, candidates) =>
+  res.status(409).json({
+    message: `This looks like an existing patient (${candidates.map(c => c.patient.id).join(', ')}). Retry with ?force=true to save anyway.`,
+    code: 'POSSIBLE_DUPLICATE',
+    candidates,
+  });
+
+// Looks up the patient a PUT or PATCH edits, responding with 404 or 409 and returning null
+// when it doesn't exist or has been merged into another record.
+const editablePatient = (req, res) => {
+  const patient = db.patients.get(req.params.id);
+  if (!patient) {
+    res.status(404).json({ message: `Patient with ID ${req.params.id} not found.`, code: 'PATIENT_NOT_FOUND' });
+    return null;
+  }
+  if (patient.mergedInto) {
+    res.status(409).json({
+      message: `Patient ${patient.id} was merged into ${patient.mergedInto}; update that record instead.`,
+      code: 'PATIENT_MERGED',
+      mergedInto: patient.mergedInto,
+    });
+    return null;
+  }
+  return patient;
+};
+
+// Applies a PUT body, or the changes a PATCH makes, to a patient. Changes to identifying
+// details are checked for duplicates unless `force=true`.
+const saveChanges = (req, res, patient, changes) => {
+  const changed = { ...patient, ...changes };
+  const identifyingChange = IDENTIFYING_FIELDS.some(field => changes[field] !== undefined && changes[field] !== patient[field]);
+  const candidates = identifyingChange && req.query.force !== 'true' ? findDuplicates(changed, { excludeId: patient.id }) : [];
+  if (candidates.length > 0) {
+    return duplicateConflict(res, candidates);
+  }
+
+  const updated = db.patients.update(patient.id, changed);
+
+  publish('patient.updated', updated);
+  withEtag(res, updated).json(updated);
+};
 
 /**
  * @swagger
@@ -32,27 +74,73 @@ let patients = [
  * @swagger
  * /patients:
  *   get:
- *     summary: Retrieve a list of all patients
- *     description: Returns a comprehensive list of all registered patients in the system.
+ *     summary: Retrieve a list of patients
+ *     description: >-
+ *       Returns a page of registered patients matching the given filters. Follow the `next`
+ *       link in the response to fetch the following page.
  *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *           example: "white"
+ *         description: Case-insensitive match against any part of the patient's full name.
+ *       - in: query
+ *         name: dateOfBirth
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "1985-03-20"
+ *       - $ref: '#/components/parameters/IncludeInactive'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [lastName, -lastName, firstName, -firstName, dateOfBirth, -dateOfBirth, id, -id]
+ *           default: lastName
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: A successful response with a list of patients.
+ *         description: A successful response with a page of patients.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Patient'
+ *               $ref: '#/components/schemas/PatientList'
+ *       400:
+ *         description: Invalid sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/', (req, res) => {
-  res.json(patients);
+router.get('/', requireScope('patients:read'), (req, res) => {
+  const { dateOfBirth } = req.query;
+  const name = req.query.name && req.query.name.toLowerCase();
+  const includeInactive = req.query.includeInactive === 'true';
+
+  const results = db.patients.list().filter(p =>
+    !p.mergedInto &&
+    (includeInactive || !p.deactivatedAt) &&
+    (!name || `${p.firstName} ${p.lastName}`.toLowerCase().includes(name)) &&
+    (dateOfBirth === undefined || p.dateOfBirth === dateOfBirth)
+  );
+
+  sendPage(req, res, results, {
+    sortableFields: ['lastName', 'firstName', 'dateOfBirth', 'id'],
+    defaultSort: 'lastName',
+  });
 });
 
 /**
@@ -60,7 +148,9 @@ router.get('/', (req, res) => {
  * /patients/{id}:
  *   get:
  *     summary: Get a specific patient by ID
- *     description: Retrieves the detailed information of a single patient using their ID.
+ *     description: >-
+ *       Retrieves the detailed information of a single patient using their ID. IDs of
+ *       patients merged into another record redirect to the surviving record.
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -73,23 +163,85 @@ router.get('/', (req, res) => {
  *     responses:
  *       200:
  *         description: Patient retrieved successfully.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Patient'
+ *       301:
+ *         $ref: '#/components/responses/PatientMerged'
  *       404:
  *         description: Patient not found.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/:id', (req, res) => {
-  const patient = patients.find(p => p.id === req.params.id);
+router.get('/:id', requireScope('patients:read'), (req, res) => {
+  const patient = db.patients.get(req.params.id);
   if (!patient) {
     return res.status(404).json({ message: `Patient with ID ${req.params.id} not found`, code: 'PATIENT_NOT_FOUND' });
   }
-  res.json(patient);
+  if (patient.mergedInto) {
+    return redirectMerged(req, res, patient);
+  }
+  withEtag(res, patient).json(patient);
+});
+
+/**
+ * @swagger
+ * /patients/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribe to a patient's appointments as an iCalendar feed
+ *     description: >-
+ *       Returns the patient's appointments as an RFC 5545 calendar. Each event's UID is
+ *       derived from the appointment ID, so refreshed feeds update events in place. Times are
+ *       in UTC, and cancelled appointments are kept with `STATUS:CANCELLED`.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *     responses:
+ *       200:
+ *         description: The patient's calendar.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       301:
+ *         $ref: '#/components/responses/PatientMerged'
+ *       404:
+ *         description: Patient not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id/calendar.ics', requireScope('appointments:read'), (req, res) => {
+  const patient = db.patients.get(req.params.id);
+  if (!patient) {
+    return res.status(404).json({ message: `Patient with ID ${req.params.id} not found`, code: 'PATIENT_NOT_FOUND' });
+  }
+  if (patient.mergedInto) {
+    return redirectMerged(req, res, patient);
+  }
+
+  const appointments = db.appointments.list().filter(a => a.patientId === patient.id);
+  sendCalendar(res, toCalendar(appointments, { name: 'My appointments' }), { filename: `${patient.id}.ics` });
 });
 
 /**
@@ -97,14 +249,21 @@ router.get('/:id', (req, res) => {
  * /patients:
  *   post:
  *     summary: Create a new patient
- *     description: Registers a new patient in the system.
+ *     description: >-
+ *       Registers a new patient in the system. If the details closely match an existing
+ *       patient (name similarity, date of birth, phone and email), the patient isn't created
+ *       and the likely matches are returned with a 409 instead; pass `force=true` to create
+ *       the record anyway.
  *     tags: [Patients]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ForceCreate'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             additionalProperties: false
  *             required:
  *               - firstName
  *               - lastName
@@ -125,6 +284,7 @@ router.get('/:id', (req, res) => {
  *                 example: "555-111-2222"
  *               email:
  *                 type: string
+ *                 format: email
  *                 example: "alice@example.com"
  *     responses:
  *       201:
@@ -139,24 +299,15 @@ router.get('/:id', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         $ref: '#/components/responses/PossibleDuplicate'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post('/', (req, res) => {
-  const { firstName, lastName, dateOfBirth, contactNumber, email } = req.body;
-  if (!firstName || !lastName || !dateOfBirth) {
-    return res.status(400).json({ message: 'Missing required fields.', code: 'INVALID_INPUT' });
-  }
-
-  const newPatient = {
-    id: `pat${patients.length + 1}`,
-    firstName,
-    lastName,
-    dateOfBirth,
-    contactNumber: contactNumber || null,
-    email: email || null,
-  };
-
-  patients.push(newPatient);
-  res.status(201).json(newPatient);
+router.post('/', requireScope('patients:write'), (req, res) => {
+  handleScheduling(res, () => res.status(201).json(createPatient(req.body, { force: req.query.force === 'true' })));
 });
 
 /**
@@ -164,7 +315,9 @@ router.post('/', (req, res) => {
  * /patients/{id}:
  *   put:
  *     summary: Update a patient's information
- *     description: Updates an existing patient record.
+ *     description: >-
+ *       Updates an existing patient record. Changes to identifying details are checked for
+ *       duplicates like new patients are; pass `force=true` to save them anyway.
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -174,12 +327,15 @@ router.post('/', (req, res) => {
  *           type: string
  *           example: "pat1"
  *         description: The patient ID.
+ *       - $ref: '#/components/parameters/ForceCreate'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             additionalProperties: false
  *             properties:
  *               firstName:
  *                 type: string
@@ -190,34 +346,196 @@ router.post('/', (req, res) => {
  *                 format: date
  *               contactNumber:
  *                 type: string
+ *                 nullable: true
  *               email:
  *                 type: string
+ *                 format: email
+ *                 nullable: true
+ *               smsOptOut:
+ *                 type: boolean
+ *                 description: Clear once the patient agrees to texts again.
  *     responses:
  *       200:
  *         description: Patient updated successfully.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patient'
+ *       404:
+ *         description: Patient not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           The new details closely match another patient (`POSSIBLE_DUPLICATE`, with
+ *           candidates), or the patient has been merged into another record (`PATIENT_MERGED`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DuplicatePatients'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/:id', requireScope('patients:write'), (req, res) => {
+  const patient = editablePatient(req, res);
+  if (!patient) {
+    return;
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, patient);
+    saveChanges(req, res, patient, req.body);
+  });
+});
+
+/**
+ * @swagger
+ * /patients/{id}:
+ *   patch:
+ *     summary: Partially update a patient
+ *     description: >-
+ *       Changes only the fields the patch touches, with the same duplicate check as PUT. Send
+ *       a JSON Merge Patch (`application/merge-patch+json`) or a JSON Patch
+ *       (`application/json-patch+json`); only the fields PUT accepts can be changed.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *         description: The patient ID.
+ *       - $ref: '#/components/parameters/ForceCreate'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/Patch'
+ *     responses:
+ *       200:
+ *         description: Patient updated.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Patient'
+ *       400:
+ *         description: The patch is malformed or changes a field PUT doesn't accept.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         description: Patient not found.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           A JSON Patch `test` failed (`PATCH_TEST_FAILED`), the new details closely match
+ *           another patient (`POSSIBLE_DUPLICATE`), or the patient has been merged
+ *           (`PATIENT_MERGED`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DuplicatePatients'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedPatch'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put('/:id', (req, res) => {
-  const index = patients.findIndex(p => p.id === req.params.id);
-  if (index === -1) {
-    return res.status(404).json({ message: `Patient with ID ${req.params.id} not found.`, code: 'PATIENT_NOT_FOUND' });
+router.patch('/:id', requireScope('patients:write'), (req, res) => {
+  const patient = editablePatient(req, res);
+  if (!patient) {
+    return;
   }
 
-  patients[index] = {
-    ...patients[index],
-    ...req.body,
-  };
+  handleScheduling(res, () => {
+    assertIfMatch(req, patient);
+    saveChanges(req, res, patient, patchChanges(req, patient, '/patients/{id}'));
+  });
+});
 
-  res.json(patients[index]);
+/**
+ * @swagger
+ * /patients/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate patient into this one
+ *     description: >-
+ *       Folds `duplicateId` into the patient in the path, which survives. The duplicate's
+ *       appointments, recurring series, waitlist entries, offers, holds, notifications and
+ *       inbound messages are moved to the survivor, which also takes the duplicate's phone
+ *       and email if it has none, and its SMS opt-out if they end up with the same number.
+ *       The duplicate is kept as a tombstone: `GET /patients/{duplicateId}` redirects to the
+ *       survivor, and bookings using the old ID are rejected with `PATIENT_MERGED`.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *         description: The surviving patient's ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required: [duplicateId]
+ *             properties:
+ *               duplicateId:
+ *                 type: string
+ *                 example: "pat3"
+ *     responses:
+ *       200:
+ *         description: The merged records.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PatientMerge'
+ *       400:
+ *         description: Unknown duplicate, or a patient merged into itself.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Patient not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: One of the patients has already been merged.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/merge', requireScope('patients:admin'), (req, res) => {
+  handleScheduling(res, () => res.json(mergePatients(req.params.id, req.body.duplicateId)));
 });
 
 /**
@@ -225,7 +543,13 @@ router.put('/:id', (req, res) => {
  * /patients/{id}:
  *   delete:
  *     summary: Delete a patient
- *     description: Deletes a patient record by ID.
+ *     description: >-
+ *       Deletes a patient record by ID. Patients with upcoming appointments can't be deleted
+ *       unless `mode=cascade`, which cancels those appointments and sends the patient a
+ *       cancellation notice. Patients that appointments still refer to are deactivated
+ *       rather than removed, so appointment history keeps resolving; `mode=deactivate`
+ *       always keeps the record. Deactivated patients are left out of patient lists and
+ *       can't be booked.
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -235,7 +559,11 @@ router.put('/:id', (req, res) => {
  *           type: string
  *           example: "pat1"
  *         description: The patient ID.
+ *       - $ref: '#/components/parameters/DeletionMode'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Deactivated'
  *       204:
  *         description: Patient successfully deleted.
  *       404:
@@ -244,15 +572,35 @@ router.put('/:id', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           The patient has upcoming appointments (`HAS_UPCOMING_APPOINTMENTS`, listing
+ *           `appointmentIds`) or was merged into another record (`PATIENT_MERGED`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UpcomingAppointmentsConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.delete('/:id', (req, res) => {
-  const index = patients.findIndex(p => p.id === req.params.id);
-  if (index === -1) {
-    return res.status(404).json({ message: `Patient with ID ${req.params.id} not found.`, code: 'PATIENT_NOT_FOUND' });
+router.delete('/:id', requireScope('patients:admin'), (req, res) => {
+  const patient = db.patients.get(req.params.id);
+  if (patient && patient.mergedInto) {
+    return res.status(409).json({
+      message: `Patient ${patient.id} was merged into ${patient.mergedInto}; its record is kept so the old ID still resolves.`,
+      code: 'PATIENT_MERGED',
+      mergedInto: patient.mergedInto,
+    });
   }
 
-  patients.splice(index, 1);
-  res.status(204).send();
+  handleScheduling(res, () => {
+    assertIfMatch(req, patient);
+    sendDeletion(res, deleteRecord('patient', req.params.id, { mode: req.query.mode }));
+  });
 });
 
 /**
@@ -271,6 +619,9 @@ router.delete('/:id', (req, res) => {
  *       properties:
  *         id:
  *           type: string
+ *         version:
+ *           type: integer
+ *           description: Goes up by one on every change; sent as the ETag.
  *         firstName:
  *           type: string
  *         lastName:
@@ -280,13 +631,110 @@ router.delete('/:id', (req, res) => {
  *           format: date
  *         contactNumber:
  *           type: string
+ *           nullable: true
  *         email:
  *           type: string
+ *           format: email
+ *           nullable: true
+ *         smsOptOut:
+ *           type: boolean
+ *           description: Set when the patient texted an opt-out keyword such as STOP; no texts are sent to them.
+ *         mergedInto:
+ *           type: string
+ *           description: Set on a patient merged into another record, naming the survivor.
+ *         mergedAt:
+ *           type: string
+ *           format: date-time
+ *         active:
+ *           type: boolean
+ *           description: False once the patient has been deactivated by a delete.
+ *         deactivatedAt:
+ *           type: string
+ *           format: date-time
  *       required:
  *         - id
  *         - firstName
  *         - lastName
  *         - dateOfBirth
+ *     PatientList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Patient'
+ *     DuplicateCandidate:
+ *       type: object
+ *       properties:
+ *         patient:
+ *           $ref: '#/components/schemas/Patient'
+ *         score:
+ *           type: number
+ *           description: Match likelihood from 0 to 1; 0.7 or more is reported.
+ *           example: 0.95
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Same date of birth", "Same last name", "Same first name", "Same phone number"]
+ *     DuplicatePatients:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ErrorResponse'
+ *         - type: object
+ *           properties:
+ *             candidates:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DuplicateCandidate'
+ *             mergedInto:
+ *               type: string
+ *     PatientMerge:
+ *       type: object
+ *       properties:
+ *         survivor:
+ *           $ref: '#/components/schemas/Patient'
+ *         merged:
+ *           $ref: '#/components/schemas/Patient'
+ *         repointed:
+ *           type: object
+ *           description: Number of records moved to the survivor, by collection.
+ *           additionalProperties:
+ *             type: integer
+ *           example:
+ *             appointments: 2
+ *             appointmentSeries: 0
+ *             waitlist: 1
+ *             waitlistOffers: 0
+ *             holds: 0
+ *             notifications: 3
+ *             inboundMessages: 1
+ *     Deactivation:
+ *       type: object
+ *       properties:
+ *         outcome:
+ *           type: string
+ *           enum: [deactivated]
+ *         record:
+ *           type: object
+ *           description: The deactivated patient or provider.
+ *         cancelledAppointmentIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["app1"]
+ *     UpcomingAppointmentsConflict:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ErrorResponse'
+ *         - type: object
+ *           properties:
+ *             appointmentIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             mergedInto:
+ *               type: string
  *     ErrorResponse:
  *       type: object
  *       properties:
@@ -294,7 +742,72 @@ router.delete('/:id', (req, res) => {
  *           type: string
  *         code:
  *           type: string
+ *         errors:
+ *           type: array
+ *           description: Per-field details, present on VALIDATION_ERROR responses.
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "body.email"
+ *               message:
+ *                 type: string
+ *                 example: "must match format \"email\""
+ *   parameters:
+ *     IncludeInactive:
+ *       in: query
+ *       name: includeInactive
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Include records deactivated by a delete.
+ *     DeletionMode:
+ *       in: query
+ *       name: mode
+ *       schema:
+ *         type: string
+ *         enum: [restrict, cascade, deactivate]
+ *         default: restrict
+ *       description: >-
+ *         `restrict` refuses while upcoming appointments exist; `cascade` cancels them and
+ *         notifies the patients; `deactivate` keeps the record, marked inactive, even if no
+ *         appointment refers to it.
+ *     ForceCreate:
+ *       in: query
+ *       name: force
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Save even if the patient looks like a duplicate of an existing one.
+ *   responses:
+ *     Deactivated:
+ *       description: >-
+ *         The record was kept, marked inactive, because appointments refer to it or
+ *         `mode=deactivate` was given. Lists the appointments a cascade cancelled.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Deactivation'
+ *     PatientMerged:
+ *       description: >-
+ *         The patient was merged into another record; `Location` points to the same
+ *         resource on the surviving patient.
+ *       headers:
+ *         Location:
+ *           schema:
+ *             type: string
+ *             example: "/patients/pat1"
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *     PossibleDuplicate:
+ *       description: The patient closely matches existing patients, listed as candidates.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DuplicatePatients'
  */
 
 module.exports = router;
-module.exports.patients = patients;
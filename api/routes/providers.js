@@ -1,25 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const {
+  DEFAULT_APPOINTMENT_DURATION,
+  MAX_AVAILABILITY_RANGE_DAYS,
+  activeHolds,
+  findOpenSlots,
+} = require('../lib/availability');
+const { sendPage } = require('../lib/pagination');
+const { publish } = require('../lib/events');
+const { toCalendar, sendCalendar } = require('../lib/icalendar');
+const { deleteRecord, sendDeletion } = require('../lib/deletion');
+const { SchedulingError, handleScheduling } = require('../lib/scheduling');
+const { ageOn, matchProviders } = require('../lib/matching');
+const { providerTimeZone } = require('../lib/locations');
+const { validateSchedule, validateAcceptedAges, createProvider } = require('../lib/records');
+const { findAppointmentType, buffersForType } = require('../lib/appointmentTypes');
+const { withEtag, assertIfMatch } = require('../lib/concurrency');
+const { patchChanges } = require('../lib/patch');
 
-// In-memory mock DB for demonstration purposes
-let providers = [
-  {
-    id: 'prov1',
-    firstName: 'Dr. Emily',
-    lastName: 'White',
-    specialty: 'General Practice',
-    contactNumber: '555-777-8888',
-    email: 'emily.w@example.com'
-  },
-  {
-    id: 'prov2',
-    firstName: 'Dr. Michael',
-    lastName: 'Green',
-    specialty: 'Pediatrics',
-    contactNumber: '555-999-0000',
-    email: 'michael.g@example.com'
+// Default length of the availability window searched by /providers/match.
+const MATCH_WINDOW_DAYS = 14;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Applies a PUT body, or the changes a PATCH makes, to a provider.
+const saveChanges = (res, provider, changes) => {
+  const fieldError = validateSchedule(changes) || validateAcceptedAges(changes);
+  if (fieldError) {
+    throw new SchedulingError(400, 'INVALID_INPUT', fieldError);
   }
-];
+
+  const updated = db.providers.update(provider.id, {
+    ...provider,
+    ...changes,
+  });
+
+  publish('provider.updated', updated);
+  withEtag(res, updated).json(updated);
+};
 
 /**
  * @swagger
@@ -32,23 +51,212 @@ let providers = [
  * @swagger
  * /providers:
  *   get:
- *     summary: Retrieve a list of all healthcare providers
- *     description: Returns a comprehensive list of all registered healthcare providers in the system.
+ *     summary: Retrieve a list of healthcare providers
+ *     description: >-
+ *       Returns a page of registered healthcare providers, optionally filtered by specialty.
+ *       Follow the `next` link in the response to fetch the following page.
  *     tags: [Providers]
+ *     parameters:
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *           example: "Pediatrics"
+ *         description: Case-insensitive specialty match.
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *           example: "loc1"
+ *         description: Only providers who work at this location.
+ *       - $ref: '#/components/parameters/IncludeInactive'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [lastName, -lastName, firstName, -firstName, specialty, -specialty, id, -id]
+ *           default: lastName
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: A successful response with a list of providers.
+ *         description: A successful response with a page of providers.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Provider'
+ *               $ref: '#/components/schemas/ProviderList'
+ *       400:
+ *         description: Invalid sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/', (req, res) => {
-  res.json(providers);
+router.get('/', requireScope('providers:read'), (req, res) => {
+  const specialty = req.query.specialty && req.query.specialty.toLowerCase();
+  const { locationId } = req.query;
+  const includeInactive = req.query.includeInactive === 'true';
+
+  const results = db.providers.list().filter(p =>
+    (includeInactive || !p.deactivatedAt) &&
+    (!specialty || p.specialty.toLowerCase() === specialty) &&
+    (locationId === undefined || (p.locationIds || []).includes(locationId))
+  );
+
+  sendPage(req, res, results, {
+    sortableFields: ['lastName', 'firstName', 'specialty', 'id'],
+    defaultSort: 'lastName',
+  });
+});
+
+/**
+ * @swagger
+ * /providers/match:
+ *   get:
+ *     summary: Find the best-matching providers for a patient
+ *     description: >-
+ *       Ranks providers for a booking request. Specialty, appointment type, the patient's age
+ *       (from `patientId` or `dateOfBirth`) and new-patient acceptance must match; pediatric
+ *       providers only see children unless they set their own age range. Each language or
+ *       gender preference met adds to a provider's score, and ties go to the earliest opening
+ *       between `from` and `to` (default: the next 14 days). Every match explains why it
+ *       qualified and which preferences it misses. Without `patientId` the patient is treated
+ *       as new to every provider.
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *           example: "Pediatrics"
+ *         description: Case-insensitive specialty match.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: "Check-up"
+ *         description: Appointment type; also sets the length of the openings searched for.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-06-16"
+ *         description: Start of the preferred window (date or date-time). Defaults to now.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-06-20"
+ *         description: End of the preferred window (date or date-time). Limited to 31 days after `from`.
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *         description: The patient being booked, for their age and whether they already see a provider.
+ *       - in: query
+ *         name: dateOfBirth
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2017-04-02"
+ *         description: The patient's date of birth, when there's no patient record yet.
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           example: "es"
+ *         description: Preferred language (BCP 47 tag).
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *           enum: [female, male, other]
+ *         description: Preferred provider gender.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Matching providers, best first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProviderMatches'
+ *       400:
+ *         description: Invalid query parameters, unknown appointment type or unknown patient.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/match', requireScope('providers:read'), (req, res) => {
+  const { specialty, type, patientId, language, gender } = req.query;
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (type !== undefined && !findAppointmentType(type)) {
+    return res.status(400).json({ message: `Unknown appointment type "${type}".`, code: 'UNKNOWN_APPOINTMENT_TYPE' });
+  }
+
+  let dateOfBirth = req.query.dateOfBirth;
+  if (patientId) {
+    const patient = db.patients.get(patientId);
+    if (!patient) {
+      return res.status(400).json({ message: `Patient with ID ${patientId} not found.`, code: 'PATIENT_NOT_FOUND' });
+    }
+    if (patient.mergedInto) {
+      return res.status(400).json({
+        message: `Patient ${patientId} was merged into ${patient.mergedInto}; use that ID instead.`,
+        code: 'PATIENT_MERGED',
+        mergedInto: patient.mergedInto,
+      });
+    }
+    if (patient.deactivatedAt) {
+      return res.status(400).json({ message: `Patient ${patientId} was deactivated on ${patient.deactivatedAt}.`, code: 'PATIENT_INACTIVE' });
+    }
+    dateOfBirth = patient.dateOfBirth;
+  }
+
+  const now = new Date();
+  const fromDate = req.query.from === undefined ? now : new Date(req.query.from);
+  const toDate = req.query.to === undefined ? new Date(fromDate.getTime() + MATCH_WINDOW_DAYS * DAY) : new Date(req.query.to);
+  if (req.query.to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    toDate.setUTCDate(toDate.getUTCDate() + 1);
+  }
+  if (isNaN(fromDate) || isNaN(toDate) || fromDate >= toDate) {
+    return res.status(400).json({ message: '"from" and "to" must be valid dates with "from" before "to".', code: 'INVALID_INPUT' });
+  }
+  if (toDate - fromDate > MAX_AVAILABILITY_RANGE_DAYS * DAY) {
+    return res.status(400).json({ message: `Providers can be matched over at most ${MAX_AVAILABILITY_RANGE_DAYS} days at a time.`, code: 'INVALID_INPUT' });
+  }
+  // Openings that have already started can't be booked.
+  const searchFrom = fromDate < now ? now : fromDate;
+  const age = dateOfBirth ? ageOn(dateOfBirth, searchFrom) : undefined;
+
+  const matches = searchFrom < toDate
+    ? matchProviders({ specialty, type, from: searchFrom, to: toDate, age, patientId, language, gender })
+    : [];
+
+  res.json({
+    from: fromDate.toISOString(),
+    to: toDate.toISOString(),
+    ...(age === undefined ? {} : { patientAge: age }),
+    total: matches.length,
+    data: matches.slice(0, limit),
+  });
 });
 
 /**
@@ -69,19 +277,201 @@ router.get('/', (req, res) => {
  *     responses:
  *       200:
  *         description: Provider found successfully.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Provider'
  *       404:
  *         description: Provider not found.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('providers:read'), (req, res) => {
+  const provider = db.providers.get(req.params.id);
+  if (!provider) {
+    return res.status(404).json({ message: `Provider with ID ${req.params.id} not found`, code: 'PROVIDER_NOT_FOUND' });
+  }
+  withEtag(res, provider).json(provider);
+});
+
+/**
+ * @swagger
+ * /providers/{id}/availability:
+ *   get:
+ *     summary: Find open appointment slots for a provider
+ *     description: >-
+ *       Returns bookable slots within the provider's working hours (or date-specific overrides)
+ *       between `from` and `to`, excluding times already taken by booked appointments or
+ *       held for someone else. All times are in UTC. A date-only `to` includes the whole day.
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "prov1"
+ *         description: Provider ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2025-06-16"
+ *         description: Start of the search window (date or date-time).
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2025-06-20"
+ *         description: End of the search window (date or date-time). Limited to 31 days after `from`.
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           minimum: 5
+ *           default: 30
+ *         description: Slot length in minutes. Defaults to the length of `type`, if given.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: "New Patient"
+ *         description: >-
+ *           Appointment type from the catalog. Slots then leave room for its buffers before and
+ *           after.
+ *       - in: query
+ *         name: holdToken
+ *         schema:
+ *           type: string
+ *         description: Token of the caller's own hold, whose time is then shown as open.
+ *     responses:
+ *       200:
+ *         description: Open slots found for the requested window.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Availability'
+ *       400:
+ *         description: Invalid query parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Provider not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id/availability', requireScope('providers:read'), (req, res) => {
+  const provider = db.providers.get(req.params.id);
+  if (!provider) {
+    return res.status(404).json({ message: `Provider with ID ${req.params.id} not found`, code: 'PROVIDER_NOT_FOUND' });
+  }
+
+  const { from, to, type } = req.query;
+  const appointmentType = type === undefined ? null : findAppointmentType(type);
+  if (type !== undefined && !appointmentType) {
+    return res.status(400).json({ message: `Unknown appointment type "${type}".`, code: 'UNKNOWN_APPOINTMENT_TYPE' });
+  }
+  const duration = req.query.duration !== undefined
+    ? Number(req.query.duration)
+    : (appointmentType ? appointmentType.duration : DEFAULT_APPOINTMENT_DURATION);
+
+  if (!from || !to) {
+    return res.status(400).json({ message: 'Query parameters "from" and "to" are required.', code: 'INVALID_INPUT' });
+  }
+  if (!Number.isInteger(duration) || duration < 5) {
+    return res.status(400).json({ message: 'duration must be a whole number of minutes (at least 5).', code: 'INVALID_INPUT' });
+  }
+
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate.setUTCDate(toDate.getUTCDate() + 1);
+  }
+  if (isNaN(fromDate) || isNaN(toDate) || fromDate >= toDate) {
+    return res.status(400).json({ message: '"from" and "to" must be valid dates with "from" before "to".', code: 'INVALID_INPUT' });
+  }
+  if (toDate - fromDate > MAX_AVAILABILITY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ message: `Availability can be searched at most ${MAX_AVAILABILITY_RANGE_DAYS} days at a time.`, code: 'INVALID_INPUT' });
+  }
+
+  res.json({
+    providerId: provider.id,
+    from: fromDate.toISOString(),
+    to: toDate.toISOString(),
+    duration,
+    slots: findOpenSlots(
+      provider,
+      db.appointments.list(),
+      fromDate,
+      toDate,
+      duration,
+      activeHolds(db.holds.list(), { exceptToken: req.query.holdToken }),
+      { timeZone: providerTimeZone(provider), ...buffersForType(type) }
+    ),
+  });
+});
+
+/**
+ * @swagger
+ * /providers/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribe to a provider's schedule as an iCalendar feed
+ *     description: >-
+ *       Returns the provider's appointments as an RFC 5545 calendar for Outlook, Google
+ *       Calendar and other clients. Each event's UID is derived from the appointment ID, so
+ *       refreshed feeds update events in place. Times are in UTC, and cancelled appointments
+ *       are kept with `STATUS:CANCELLED` so subscribed calendars remove them.
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "prov1"
+ *     responses:
+ *       200:
+ *         description: The provider's calendar.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Provider not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/:id', (req, res) => {
-  const provider = providers.find(p => p.id === req.params.id);
+router.get('/:id/calendar.ics', requireScope('appointments:read'), (req, res) => {
+  const provider = db.providers.get(req.params.id);
   if (!provider) {
     return res.status(404).json({ message: `Provider with ID ${req.params.id} not found`, code: 'PROVIDER_NOT_FOUND' });
   }
-  res.json(provider);
+
+  const appointments = db.appointments.list().filter(a => a.providerId === provider.id);
+  sendCalendar(res, toCalendar(appointments, { name: `${provider.firstName} ${provider.lastName}` }), {
+    filename: `${provider.id}.ics`,
+  });
 });
 
 /**
@@ -96,6 +486,7 @@ router.get('/:id', (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             additionalProperties: false
  *             required:
  *               - firstName
  *               - lastName
@@ -115,30 +506,48 @@ router.get('/:id', (req, res) => {
  *                 example: "555-222-3333"
  *               email:
  *                 type: string
+ *                 format: email
  *                 example: "sarah.doe@example.com"
+ *               gender:
+ *                 type: string
+ *                 enum: [female, male, other]
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Languages the provider sees patients in, as BCP 47 tags.
+ *                 example: ["en", "es"]
+ *               acceptedAges:
+ *                 $ref: '#/components/schemas/AgeRange'
+ *               acceptingNewPatients:
+ *                 type: boolean
+ *                 default: true
+ *               appointmentTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Appointment types the provider offers. Omit to offer every type.
+ *                 example: ["Check-up", "Consultation"]
+ *               locationIds:
+ *                 $ref: '#/components/schemas/LocationIds'
+ *               workingHours:
+ *                 $ref: '#/components/schemas/WorkingHours'
+ *               availabilityOverrides:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AvailabilityOverride'
  *     responses:
  *       201:
  *         description: Provider created successfully.
  *       400:
  *         description: Missing required fields.
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post('/', (req, res) => {
-  const { firstName, lastName, specialty, contactNumber, email } = req.body;
-  if (!firstName || !lastName || !specialty) {
-    return res.status(400).json({ message: 'Missing required fields.', code: 'INVALID_INPUT' });
-  }
-
-  const newProvider = {
-    id: `prov${providers.length + 1}`,
-    firstName,
-    lastName,
-    specialty,
-    contactNumber: contactNumber || null,
-    email: email || null
-  };
-
-  providers.push(newProvider);
-  res.status(201).json(newProvider);
+router.post('/', requireScope('providers:admin'), (req, res) => {
+  handleScheduling(res, () => res.status(201).json(createProvider(req.body)));
 });
 
 /**
@@ -155,15 +564,59 @@ router.post('/', (req, res) => {
  *           type: string
  *           example: "prov1"
  *         description: Provider ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Provider'
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               specialty:
+ *                 type: string
+ *               contactNumber:
+ *                 type: string
+ *                 nullable: true
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 nullable: true
+ *               gender:
+ *                 type: string
+ *                 enum: [female, male, other, null]
+ *                 nullable: true
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               acceptedAges:
+ *                 $ref: '#/components/schemas/AgeRange'
+ *               acceptingNewPatients:
+ *                 type: boolean
+ *               appointmentTypes:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *               locationIds:
+ *                 $ref: '#/components/schemas/LocationIds'
+ *               workingHours:
+ *                 $ref: '#/components/schemas/WorkingHours'
+ *               availabilityOverrides:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/AvailabilityOverride'
  *     responses:
  *       200:
  *         description: Provider updated successfully.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -180,19 +633,93 @@ router.post('/', (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.put('/:id', (req, res) => {
-  const index = providers.findIndex(p => p.id === req.params.id);
-  if (index === -1) {
+router.put('/:id', requireScope('providers:admin'), (req, res) => {
+  const provider = db.providers.get(req.params.id);
+  if (!provider) {
     return res.status(404).json({ message: `Provider with ID ${req.params.id} not found`, code: 'PROVIDER_NOT_FOUND' });
   }
 
-  providers[index] = {
-    ...providers[index],
-    ...req.body
-  };
+  handleScheduling(res, () => {
+    assertIfMatch(req, provider);
+    saveChanges(res, provider, req.body);
+  });
+});
+
+/**
+ * @swagger
+ * /providers/{id}:
+ *   patch:
+ *     summary: Partially update a healthcare provider
+ *     description: >-
+ *       Changes only the fields the patch touches, with the same checks as PUT. Send a JSON
+ *       Merge Patch (`application/merge-patch+json`) or a JSON Patch
+ *       (`application/json-patch+json`); only the fields PUT accepts can be changed. JSON
+ *       Patch paths can reach inside the schedule, e.g. `/workingHours/monday/0/end`.
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "prov1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/Patch'
+ *     responses:
+ *       200:
+ *         description: Provider updated successfully.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Provider'
+ *       400:
+ *         description: The patch is malformed, changes a field PUT doesn't accept, or leaves invalid values.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Provider not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A JSON Patch `test` operation failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedPatch'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch('/:id', requireScope('providers:admin'), (req, res) => {
+  const provider = db.providers.get(req.params.id);
+  if (!provider) {
+    return res.status(404).json({ message: `Provider with ID ${req.params.id} not found`, code: 'PROVIDER_NOT_FOUND' });
+  }
 
-  res.json(providers[index]);
+  handleScheduling(res, () => {
+    assertIfMatch(req, provider);
+    saveChanges(res, provider, patchChanges(req, provider, '/providers/{id}'));
+  });
 });
 
 /**
@@ -200,6 +727,13 @@ router.put('/:id', (req, res) => {
  * /providers/{id}:
  *   delete:
  *     summary: Delete a healthcare provider
+ *     description: >-
+ *       Providers with upcoming appointments can't be deleted unless `mode=cascade`, which
+ *       cancels those appointments and sends each patient a cancellation notice; the freed
+ *       slots aren't offered to the waitlist. Providers that appointments still refer to are
+ *       deactivated rather than removed, so appointment history keeps resolving;
+ *       `mode=deactivate` always keeps the record. Deactivated providers are left out of
+ *       provider lists, matching and availability, and can't be booked.
  *     tags: [Providers]
  *     parameters:
  *       - in: path
@@ -208,20 +742,37 @@ router.put('/:id', (req, res) => {
  *         schema:
  *           type: string
  *           example: "prov1"
+ *       - $ref: '#/components/parameters/DeletionMode'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Deactivated'
  *       204:
  *         description: Provider deleted successfully.
  *       404:
  *         description: Provider not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The provider has upcoming appointments, listed in `appointmentIds`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UpcomingAppointmentsConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.delete('/:id', (req, res) => {
-  const index = providers.findIndex(p => p.id === req.params.id);
-  if (index === -1) {
-    return res.status(404).json({ message: `Provider with ID ${req.params.id} not found`, code: 'PROVIDER_NOT_FOUND' });
-  }
-
-  providers.splice(index, 1);
-  res.status(204).send();
+router.delete('/:id', requireScope('providers:admin'), (req, res) => {
+  handleScheduling(res, () => {
+    assertIfMatch(req, db.providers.get(req.params.id));
+    sendDeletion(res, deleteRecord('provider', req.params.id, { mode: req.query.mode }));
+  });
 });
 
 /**
@@ -237,9 +788,23 @@ router.delete('/:id', (req, res) => {
  *         specialty: "General Practice"
  *         contactNumber: "555-777-8888"
  *         email: "emily.w@example.com"
+ *         gender: "female"
+ *         languages: ["en", "es"]
+ *         acceptedAges: null
+ *         acceptingNewPatients: true
+ *         appointmentTypes: null
+ *         locationIds: ["loc1"]
+ *         workingHours:
+ *           monday: [{ start: "09:00", end: "17:00" }]
+ *         availabilityOverrides:
+ *           - date: "2025-06-15"
+ *             hours: [{ start: "09:00", end: "12:00" }]
  *       properties:
  *         id:
  *           type: string
+ *         version:
+ *           type: integer
+ *           description: Goes up by one on every change; sent as the ETag.
  *         firstName:
  *           type: string
  *         lastName:
@@ -248,14 +813,241 @@ router.delete('/:id', (req, res) => {
  *           type: string
  *         contactNumber:
  *           type: string
+ *           nullable: true
  *         email:
  *           type: string
+ *           format: email
+ *           nullable: true
+ *         gender:
+ *           type: string
+ *           nullable: true
+ *           enum: [female, male, other, null]
+ *         languages:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Languages the provider sees patients in, as BCP 47 tags.
+ *         acceptedAges:
+ *           $ref: '#/components/schemas/AgeRange'
+ *         acceptingNewPatients:
+ *           type: boolean
+ *         appointmentTypes:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Appointment types the provider offers; null means every type.
+ *         locationIds:
+ *           $ref: '#/components/schemas/LocationIds'
+ *         workingHours:
+ *           $ref: '#/components/schemas/WorkingHours'
+ *         availabilityOverrides:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AvailabilityOverride'
+ *         active:
+ *           type: boolean
+ *           description: False once the provider has been deactivated by a delete.
+ *         deactivatedAt:
+ *           type: string
+ *           format: date-time
  *       required:
  *         - id
  *         - firstName
  *         - lastName
  *         - specialty
+ *     ProviderList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Provider'
+ *     AgeRange:
+ *       type: object
+ *       nullable: true
+ *       additionalProperties: false
+ *       description: >-
+ *         Patient ages (in whole years) the provider sees; either bound may be left out. Null
+ *         means all ages, except that pediatric providers default to 0–17.
+ *       properties:
+ *         min:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *         max:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *       example:
+ *         min: 0
+ *         max: 17
+ *     ProviderMatch:
+ *       type: object
+ *       properties:
+ *         rank:
+ *           type: integer
+ *           example: 1
+ *         provider:
+ *           $ref: '#/components/schemas/Provider'
+ *         score:
+ *           type: integer
+ *           description: Number of language and gender preferences the provider meets.
+ *         earliestSlot:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             end:
+ *               type: string
+ *               format: date-time
+ *         openSlots:
+ *           type: integer
+ *           description: Openings in the requested window.
+ *         matched:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Why the provider matched.
+ *           example: ["Specialty is Pediatrics", "Sees patients aged 0–17 (patient is 8)", "Accepting new patients", "Speaks es"]
+ *         unmet:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Preferences the provider doesn't meet.
+ *           example: ["Gender preference (female) not met"]
+ *     ProviderMatches:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           format: date-time
+ *         to:
+ *           type: string
+ *           format: date-time
+ *         patientAge:
+ *           type: integer
+ *           description: The patient's age at the start of the window, when known.
+ *         total:
+ *           type: integer
+ *           description: Number of matching providers, before `limit` is applied.
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProviderMatch'
+ *     TimeWindow:
+ *       type: object
+ *       additionalProperties: false
+ *       properties:
+ *         start:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           example: "09:00"
+ *         end:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           example: "17:00"
+ *       required:
+ *         - start
+ *         - end
+ *     WorkingHours:
+ *       type: object
+ *       description: >-
+ *         Weekly working windows, keyed by lowercase day of week. Times are local to the
+ *         provider's first location (UTC if they have none). Missing days are days off.
+ *       additionalProperties: false
+ *       properties:
+ *         monday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *         tuesday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *         wednesday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *         thursday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *         friday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *         saturday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *         sunday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *       example:
+ *         monday: [{ start: "09:00", end: "17:00" }]
+ *         friday: [{ start: "09:00", end: "13:00" }]
+ *     LocationIds:
+ *       type: array
+ *       description: >-
+ *         Locations the provider works at. The first one sets the timezone of their working
+ *         hours and is where appointments are booked by default.
+ *       items:
+ *         type: string
+ *       example: ["loc1"]
+ *     AvailabilityOverride:
+ *       type: object
+ *       description: Replaces the weekly hours for a single date. An empty `hours` list marks the day off.
+ *       additionalProperties: false
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         hours:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimeWindow'
+ *       required:
+ *         - date
+ *         - hours
+ *     Availability:
+ *       type: object
+ *       properties:
+ *         providerId:
+ *           type: string
+ *         from:
+ *           type: string
+ *           format: date-time
+ *         to:
+ *           type: string
+ *           format: date-time
+ *         duration:
+ *           type: integer
+ *           description: Slot length in minutes.
+ *         slots:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *       example:
+ *         providerId: "prov1"
+ *         from: "2025-06-16T00:00:00.000Z"
+ *         to: "2025-06-17T00:00:00.000Z"
+ *         duration: 30
+ *         slots:
+ *           - start: "2025-06-16T09:00:00.000Z"
+ *             end: "2025-06-16T09:30:00.000Z"
  */
 
 module.exports = router;
-module.exports.providers = providers;
@@ -0,0 +1,570 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { SchedulingError, handleScheduling, assertPatientExists, assertProviderExists } = require('../lib/scheduling');
+const { waitlist } = require('../lib/waitlist');
+const { findAppointmentType } = require('../lib/appointmentTypes');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Waitlist
+ *     description: >-
+ *       Patients waiting for an earlier slot. When an appointment is cancelled, the best
+ *       matching entry receives a time-limited offer for the freed slot; declined or expired
+ *       offers roll over to the next candidate.
+ */
+
+/**
+ * @swagger
+ * /waitlist/offers:
+ *   get:
+ *     summary: List waitlist offers
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, expired, withdrawn]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, expiresAt, -expiresAt]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of offers.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistOfferList'
+ *       400:
+ *         description: Invalid filter, sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/offers', requireScope('appointments:read'), (req, res) => {
+  const { patientId, status } = req.query;
+
+  const results = db.waitlistOffers.list().filter(o =>
+    (patientId === undefined || o.patientId === patientId) &&
+    (status === undefined || o.status === status)
+  );
+
+  sendPage(req, res, results, {
+    sortableFields: ['createdAt', 'expiresAt'],
+    defaultSort: '-createdAt',
+  });
+});
+
+/**
+ * @swagger
+ * /waitlist/offers/{id}:
+ *   get:
+ *     summary: Get a waitlist offer
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wlo1"
+ *     responses:
+ *       200:
+ *         description: Offer found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistOffer'
+ *       404:
+ *         description: Offer not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/offers/:id', requireScope('appointments:read'), (req, res) => {
+  const offer = db.waitlistOffers.get(req.params.id);
+  if (!offer) {
+    return res.status(404).json({ message: `Waitlist offer with ID ${req.params.id} not found.`, code: 'OFFER_NOT_FOUND' });
+  }
+  res.json(offer);
+});
+
+/**
+ * @swagger
+ * /waitlist/offers/{id}/accept:
+ *   post:
+ *     summary: Accept a waitlist offer
+ *     description: Books the offered slot for the patient and marks their waitlist entry as booked.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wlo1"
+ *     responses:
+ *       200:
+ *         description: Offer accepted; `appointmentId` references the new appointment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistOffer'
+ *       404:
+ *         description: Offer not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: >-
+ *           The offer has expired (`OFFER_EXPIRED`), was already answered (`OFFER_CLOSED`), or
+ *           the slot is no longer free (`SCHEDULING_CONFLICT`, the offer is withdrawn).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/offers/:id/accept', requireScope('appointments:write'), (req, res) => {
+  handleScheduling(res, () => res.json(waitlist.accept(req.params.id)));
+});
+
+/**
+ * @swagger
+ * /waitlist/offers/{id}/decline:
+ *   post:
+ *     summary: Decline a waitlist offer
+ *     description: The patient stays on the waitlist and the slot is offered to the next candidate.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wlo1"
+ *     responses:
+ *       200:
+ *         description: Offer declined.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistOffer'
+ *       404:
+ *         description: Offer not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The offer has expired or was already answered.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/offers/:id/decline', requireScope('appointments:write'), (req, res) => {
+  handleScheduling(res, () => res.json(waitlist.decline(req.params.id)));
+});
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     summary: List waitlist entries
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: string
+ *           example: "pat1"
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: string
+ *           example: "prov1"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of waitlist entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntryList'
+ *       400:
+ *         description: Invalid filter, sort or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', requireScope('appointments:read'), (req, res) => {
+  const { patientId, providerId, status } = req.query;
+
+  const results = db.waitlist.list().filter(e =>
+    (patientId === undefined || e.patientId === patientId) &&
+    (providerId === undefined || e.providerId === providerId) &&
+    (status === undefined || e.status === status)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['createdAt'], defaultSort: 'createdAt' });
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   get:
+ *     summary: Get a waitlist entry
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wl1"
+ *     responses:
+ *       200:
+ *         description: Entry found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       404:
+ *         description: Entry not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('appointments:read'), (req, res) => {
+  const entry = db.waitlist.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ message: `Waitlist entry with ID ${req.params.id} not found.`, code: 'WAITLIST_ENTRY_NOT_FOUND' });
+  }
+  res.json(entry);
+});
+
+/**
+ * @swagger
+ * /waitlist:
+ *   post:
+ *     summary: Join the waitlist
+ *     description: >-
+ *       Registers a patient's interest in an earlier slot with a specific provider, or with
+ *       any provider of a specialty, within a date window. `type` must name an entry in the
+ *       appointment type catalog (case-insensitive); freed slots of that type are offered.
+ *     tags: [Waitlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required:
+ *               - patientId
+ *               - type
+ *               - from
+ *               - to
+ *             properties:
+ *               patientId:
+ *                 type: string
+ *                 example: "pat2"
+ *               providerId:
+ *                 type: string
+ *                 example: "prov1"
+ *                 description: Either providerId or specialty is required.
+ *               specialty:
+ *                 type: string
+ *                 example: "General Practice"
+ *               type:
+ *                 type: string
+ *                 example: "Check-up"
+ *               from:
+ *                 type: string
+ *                 example: "2025-06-10"
+ *                 description: Earliest acceptable date or date-time.
+ *               to:
+ *                 type: string
+ *                 example: "2025-06-20"
+ *                 description: Latest acceptable date or date-time. A date-only value includes the whole day.
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entry created.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid input, or an appointment type not in the catalog (`UNKNOWN_APPOINTMENT_TYPE`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', requireScope('appointments:write'), (req, res) => {
+  const { patientId, providerId, specialty, type, from, to, notes } = req.body;
+
+  if (!providerId && !specialty) {
+    return res.status(400).json({ message: 'Either providerId or specialty is required.', code: 'INVALID_INPUT' });
+  }
+  if (isNaN(new Date(from)) || isNaN(new Date(to)) || new Date(from) > new Date(to)) {
+    return res.status(400).json({ message: '"from" and "to" must be valid dates with "from" not after "to".', code: 'INVALID_INPUT' });
+  }
+
+  handleScheduling(res, () => {
+    assertPatientExists(patientId);
+    if (providerId) {
+      assertProviderExists(providerId);
+    }
+    const appointmentType = findAppointmentType(type);
+    if (!appointmentType) {
+      throw new SchedulingError(400, 'UNKNOWN_APPOINTMENT_TYPE', `Unknown appointment type "${type}". GET /appointment-types lists the catalog.`);
+    }
+
+    const entry = db.waitlist.create({
+      patientId,
+      providerId: providerId || null,
+      specialty: specialty || null,
+      type: appointmentType.name,
+      typeId: appointmentType.id,
+      from,
+      to,
+      notes: notes || null,
+      status: 'waiting',
+      createdAt: new Date().toISOString(),
+    });
+
+    res.status(201).json(entry);
+  });
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: Cancels the entry. Any pending offer for it is declined and passed on.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wl1"
+ *     responses:
+ *       204:
+ *         description: Entry cancelled.
+ *       404:
+ *         description: Entry not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/:id', requireScope('appointments:write'), (req, res) => {
+  const entry = db.waitlist.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ message: `Waitlist entry with ID ${req.params.id} not found.`, code: 'WAITLIST_ENTRY_NOT_FOUND' });
+  }
+
+  db.waitlist.update(entry.id, { ...entry, status: 'cancelled' });
+  db.waitlistOffers.list()
+    .filter(o => o.waitlistEntryId === entry.id && o.status === 'pending')
+    .forEach(o => {
+      try {
+        waitlist.decline(o.id);
+      } catch (err) {
+        // An offer that expired before the sweeper got to it has just been closed and rolled
+        // over by decline(); that's all cancelling the entry needs.
+        if (!(err instanceof SchedulingError && err.code === 'OFFER_EXPIRED')) {
+          throw err;
+        }
+      }
+    });
+
+  res.status(204).send();
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         patientId:
+ *           type: string
+ *         providerId:
+ *           type: string
+ *           nullable: true
+ *         specialty:
+ *           type: string
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           description: Name of the appointment type, as spelled in the catalog.
+ *         typeId:
+ *           type: string
+ *           description: ID of the appointment type in the catalog.
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled]
+ *         appointmentId:
+ *           type: string
+ *           description: Appointment booked from an accepted offer.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: "wl1"
+ *         patientId: "pat2"
+ *         providerId: "prov1"
+ *         specialty: null
+ *         type: "Check-up"
+ *         typeId: "typ1"
+ *         from: "2025-06-10"
+ *         to: "2025-06-20"
+ *         notes: null
+ *         status: "waiting"
+ *         createdAt: "2025-06-05T08:00:00.000Z"
+ *     WaitlistEntryList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WaitlistEntry'
+ *     WaitlistOffer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         waitlistEntryId:
+ *           type: string
+ *         patientId:
+ *           type: string
+ *         providerId:
+ *           type: string
+ *         locationId:
+ *           type: string
+ *           nullable: true
+ *           description: Where the freed slot is; accepting books the appointment there.
+ *         room:
+ *           type: string
+ *           nullable: true
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         duration:
+ *           type: integer
+ *         type:
+ *           type: string
+ *         sourceAppointmentId:
+ *           type: string
+ *           description: The cancelled appointment that freed the slot.
+ *         releasedBy:
+ *           type: string
+ *           description: Patient whose cancellation freed the slot.
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, expired, withdrawn]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         appointmentId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *     WaitlistOfferList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WaitlistOffer'
+ */
+
+module.exports = router;
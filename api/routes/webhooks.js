@@ -0,0 +1,666 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requireScope } = require('../middleware/auth');
+const { sendPage } = require('../lib/pagination');
+const { dispatcher } = require('../lib/webhooks');
+const { handleScheduling } = require('../lib/scheduling');
+const { withEtag, assertIfMatch } = require('../lib/concurrency');
+const { patchChanges } = require('../lib/patch');
+
+// Secrets are only revealed when a subscription is created.
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+const notFoundResponse = (res, id) =>
+  res.status(404).json({ message: `Webhook with ID ${id} not found.`, code: 'WEBHOOK_NOT_FOUND' });
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: >-
+ *       Subscriptions for outbound event notifications. Deliveries are POSTed as JSON with an
+ *       `X-Relatient-Signature: t=<unix seconds>,v1=<hex>` header, where `v1` is the
+ *       HMAC-SHA256 of `<t>.<raw body>` keyed with the subscription secret. Failed deliveries
+ *       are retried with exponential backoff.
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of webhook subscriptions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookList'
+ *       400:
+ *         description: Invalid pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', requireScope('webhooks:read'), (req, res) => {
+  sendPage(req, res, db.webhooks.list().map(withoutSecret), { sortableFields: ['createdAt'], defaultSort: 'createdAt' });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wh1"
+ *     responses:
+ *       200:
+ *         description: Webhook subscription found.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', requireScope('webhooks:read'), (req, res) => {
+  const webhook = db.webhooks.get(req.params.id);
+  if (!webhook) {
+    return notFoundResponse(res, req.params.id);
+  }
+  withEtag(res, webhook).json(withoutSecret(webhook));
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Subscribe to events
+ *     description: >-
+ *       Registers a URL to receive the selected events. If no secret is supplied one is
+ *       generated. The secret is only returned in this response.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 pattern: '^https?://'
+ *                 example: "https://ehr.example.com/hooks/relatient"
+ *               events:
+ *                 $ref: '#/components/schemas/WebhookEventFilter'
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               description:
+ *                 type: string
+ *                 example: "EHR appointment sync"
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Subscription created. Includes the signing secret.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *       400:
+ *         description: Invalid input.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', requireScope('webhooks:admin'), (req, res) => {
+  const { url, events, secret, description, active } = req.body;
+
+  const webhook = db.webhooks.create({
+    url,
+    events,
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    description: description || null,
+    active: active !== false,
+    createdAt: new Date().toISOString(),
+  });
+
+  res.status(201).json(webhook);
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wh1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             additionalProperties: false
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 pattern: '^https?://'
+ *               events:
+ *                 $ref: '#/components/schemas/WebhookEventFilter'
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *                 description: Rotates the signing secret.
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Subscription updated.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/:id', requireScope('webhooks:admin'), (req, res) => {
+  const webhook = db.webhooks.get(req.params.id);
+  if (!webhook) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, webhook);
+    const updated = db.webhooks.update(webhook.id, { ...webhook, ...req.body });
+    withEtag(res, updated).json(withoutSecret(updated));
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   patch:
+ *     summary: Partially update a webhook subscription
+ *     description: >-
+ *       Changes only the fields the patch touches. Send a JSON Merge Patch
+ *       (`application/merge-patch+json`) or a JSON Patch (`application/json-patch+json`); only
+ *       the fields PUT accepts can be changed. The patch is applied to the subscription as GET
+ *       returns it, so the secret can be set but not tested.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wh1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/Patch'
+ *     responses:
+ *       200:
+ *         description: Subscription updated.
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: The patch is malformed or changes a field PUT doesn't accept.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Webhook not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A JSON Patch `test` operation failed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedPatch'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch('/:id', requireScope('webhooks:admin'), (req, res) => {
+  const webhook = db.webhooks.get(req.params.id);
+  if (!webhook) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, webhook);
+    const changes = patchChanges(req, withoutSecret(webhook), '/webhooks/{id}');
+    const updated = db.webhooks.update(webhook.id, { ...webhook, ...changes });
+    withEtag(res, updated).json(withoutSecret(updated));
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     description: Stops future deliveries. The delivery log for the subscription is kept.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wh1"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204:
+ *         description: Subscription deleted.
+ *       404:
+ *         description: Webhook not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/:id', requireScope('webhooks:admin'), (req, res) => {
+  const webhook = db.webhooks.get(req.params.id);
+  if (!webhook) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  handleScheduling(res, () => {
+    assertIfMatch(req, webhook);
+    db.webhooks.remove(webhook.id);
+    res.status(204).send();
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List deliveries for a subscription
+ *     description: Returns the delivery log, newest first by default, including every attempt.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wh1"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           example: "appointment.created"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of deliveries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDeliveryList'
+ *       404:
+ *         description: Webhook not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id/deliveries', requireScope('webhooks:read'), (req, res) => {
+  const { status, event } = req.query;
+  // The log outlives the subscription, so only unknown IDs with no history are a 404.
+  const deliveries = db.webhookDeliveries.list().filter(d => d.webhookId === req.params.id);
+  if (!db.webhooks.get(req.params.id) && deliveries.length === 0) {
+    return notFoundResponse(res, req.params.id);
+  }
+
+  const results = deliveries.filter(d =>
+    (status === undefined || d.status === status) &&
+    (event === undefined || d.event === event)
+  );
+
+  sendPage(req, res, results, { sortableFields: ['createdAt'], defaultSort: '-createdAt' });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a single delivery
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wh1"
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "dlv1"
+ *     responses:
+ *       200:
+ *         description: Delivery found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id/deliveries/:deliveryId', requireScope('webhooks:read'), (req, res) => {
+  const delivery = db.webhookDeliveries.get(req.params.deliveryId);
+  if (!delivery || delivery.webhookId !== req.params.id) {
+    return res.status(404).json({ message: `Delivery with ID ${req.params.deliveryId} not found.`, code: 'DELIVERY_NOT_FOUND' });
+  }
+  res.json(delivery);
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay a delivery
+ *     description: Sends the original payload again as a new delivery linked to the original via `replayOf`.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "wh1"
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "dlv1"
+ *     responses:
+ *       202:
+ *         description: Replay queued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook or delivery not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/deliveries/:deliveryId/replay', requireScope('webhooks:admin'), (req, res) => {
+  if (!db.webhooks.get(req.params.id)) {
+    return notFoundResponse(res, req.params.id);
+  }
+  const delivery = db.webhookDeliveries.get(req.params.deliveryId);
+  if (!delivery || delivery.webhookId !== req.params.id) {
+    return res.status(404).json({ message: `Delivery with ID ${req.params.deliveryId} not found.`, code: 'DELIVERY_NOT_FOUND' });
+  }
+
+  res.status(202).json(dispatcher.replay(delivery));
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEventFilter:
+ *       type: array
+ *       minItems: 1
+ *       description: Event types to receive, or `*` for all of them.
+ *       items:
+ *         type: string
+ *         enum:
+ *           - "*"
+ *           - appointment.created
+ *           - appointment.updated
+ *           - appointment.confirmed
+ *           - appointment.checked-in
+ *           - appointment.completed
+ *           - appointment.cancelled
+ *           - appointment.no-show
+ *           - patient.created
+ *           - patient.updated
+ *           - patient.deleted
+ *           - patient.merged
+ *           - patient.deactivated
+ *           - provider.created
+ *           - provider.updated
+ *           - provider.deleted
+ *           - provider.deactivated
+ *           - location.created
+ *           - location.updated
+ *           - location.deleted
+ *           - waitlist-offer.created
+ *           - waitlist-offer.accepted
+ *           - waitlist-offer.declined
+ *           - waitlist-offer.expired
+ *           - waitlist-offer.withdrawn
+ *           - notification.sent
+ *           - notification.failed
+ *       example: ["appointment.created", "appointment.cancelled"]
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Goes up by one on every change; sent as the ETag.
+ *         url:
+ *           type: string
+ *           format: uri
+ *         events:
+ *           $ref: '#/components/schemas/WebhookEventFilter'
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: "wh1"
+ *         url: "https://ehr.example.com/hooks/relatient"
+ *         events: ["appointment.created", "appointment.cancelled"]
+ *         description: "EHR appointment sync"
+ *         active: true
+ *         createdAt: "2025-06-01T12:00:00.000Z"
+ *     WebhookList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *     WebhookEvent:
+ *       type: object
+ *       description: Body POSTed to subscribers.
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "evt_3f1c0e0a-2b4d-4c55-9f0e-8d7e1a2b3c4d"
+ *         type:
+ *           type: string
+ *           example: "appointment.created"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         data:
+ *           type: object
+ *           description: The affected record after the change.
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         webhookId:
+ *           type: string
+ *         event:
+ *           type: string
+ *         payload:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         replayOf:
+ *           type: string
+ *           description: ID of the delivery this one replays.
+ *     WebhookDeliveryList:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Page'
+ *         - type: object
+ *           properties:
+ *             data:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ */
+
+module.exports = router;
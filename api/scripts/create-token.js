@@ -0,0 +1,21 @@
+// Issues an HS256 JWT signed with JWT_SECRET, for trying out bearer authentication locally.
+// Usage: JWT_SECRET=... npm run token -- <subject> "<scope> <scope> ..." [expiresIn]
+// Example: JWT_SECRET=dev npm run token -- front-desk "patients:write appointments:write" 8h
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+const [subject = 'local-dev', scope = 'patients:read providers:read appointments:read', expiresIn = '1h'] = process.argv.slice(2);
+const { secret, issuer, audience } = config.auth.jwt;
+
+if (!secret) {
+  console.error('Set JWT_SECRET to sign tokens.');
+  process.exit(1);
+}
+
+console.log(jwt.sign({ scope }, secret, {
+  subject,
+  expiresIn,
+  ...(issuer ? { issuer } : {}),
+  ...(audience ? { audience } : {}),
+}));
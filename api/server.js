@@ -1,13 +1,71 @@
 const express = require('express');
 const app = express();
+const config = require('./config');
 const { swaggerUi, swaggerSpec } = require('./swagger');
+const validation = require('./middleware/validation');
+const { authenticate } = require('./middleware/auth');
+const auditRequests = require('./middleware/audit');
+const idempotency = require('./middleware/idempotency');
+const { trackChanges } = require('./lib/audit');
+const fhirResponses = require('./middleware/fhir');
+const { dispatcher } = require('./lib/webhooks');
+const { waitlist } = require('./lib/waitlist');
+const { holds } = require('./lib/holds');
+const { siu } = require('./lib/siu');
+const { outbox } = require('./lib/outbox');
+const { reminders } = require('./lib/reminders');
+const { imports } = require('./lib/imports');
+const { createMllpServer } = require('./lib/mllp');
 
-app.use(express.json());
+app.use(express.json({ type: ['application/json', 'application/fhir+json', 'application/merge-patch+json', 'application/json-patch+json'] }));
+// SMS gateways post inbound messages form-encoded.
+app.use('/messages/inbound', express.urlencoded({ extended: false }));
+// Bulk imports are uploaded as CSV or NDJSON files.
+app.use('/imports', express.text({ type: ['text/csv', 'application/x-ndjson'], limit: config.imports.maxFileSize }));
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+app.use('/fhir', fhirResponses);
+// FHIR clients read the CapabilityStatement to discover the server before they authenticate.
+app.use('/fhir', require('./routes/fhir').metadata);
+app.use(authenticate(config.auth));
+app.use(auditRequests);
+app.use(validation(swaggerSpec, { validateResponses: config.validateResponses }));
+app.use(idempotency(config.idempotency));
 
 app.use('/appointments', require('./routes/appointments'));
+app.use('/appointment-types', require('./routes/appointmentTypes'));
 app.use('/providers', require('./routes/providers'));
+app.use('/locations', require('./routes/locations'));
 app.use('/patients', require('./routes/patients'));
+app.use('/webhooks', require('./routes/webhooks'));
+app.use('/waitlist', require('./routes/waitlist'));
+app.use('/holds', require('./routes/holds'));
+app.use('/fhir', require('./routes/fhir'));
+app.use('/hl7', require('./routes/hl7'));
+app.use('/notifications', require('./routes/notifications'));
+app.use('/messages', require('./routes/messages'));
+app.use('/audit', require('./routes/audit'));
+app.use('/imports', require('./routes/imports'));
+app.use('/exports', require('./routes/exports'));
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Running on port ${PORT}`));
+trackChanges();
+
+dispatcher.start();
+waitlist.start();
+holds.start();
+siu.start();
+outbox.start();
+reminders.start();
+imports.start();
+
+// Listen only when run directly; the tests require the app and listen on a port of their own.
+if (require.main === module) {
+  const { mllpPort, mllpHost, mllpMaxMessageBytes } = config.hl7;
+  if (mllpPort) {
+    createMllpServer(siu.receive, siu.errorAck, { maxMessageBytes: mllpMaxMessageBytes })
+      .listen(mllpPort, mllpHost, () => console.log(`HL7 MLLP listener on ${mllpHost}:${mllpPort}`));
+  }
+
+  app.listen(config.port, () => console.log(`Running on port ${config.port} (${config.db.driver} store)`));
+}
+
+module.exports = app;
@@ -1,3 +1,4 @@
+const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
@@ -19,10 +20,61 @@ const options = {
         description: 'Local development server',
       },
     ],
+    components: {
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', minLength: 1, maxLength: 255 },
+          example: '3f6c2a9e-5b1d-4c8e-9a7f-2d4b6e8c0a1f',
+          description: 'Makes a retried POST safe: a repeat of the request with the same key returns the '
+            + 'original response (with `Idempotent-Replayed: true`) instead of running again. Reusing a key '
+            + 'for a different request gets 422 `IDEMPOTENCY_KEY_REUSED`, and a repeat sent while the first '
+            + 'is still running gets 409 `IDEMPOTENCY_KEY_IN_USE`. Keys are scoped to the caller and expire '
+            + 'after IDEMPOTENCY_KEY_TTL_HOURS (24 by default).',
+        },
+      },
+      securitySchemes: {
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Static API key. Locally, `demo-key` grants every scope unless API_KEYS is configured.',
+        },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'JWT with a `scope` claim such as "patients:read appointments:write". '
+            + 'Scopes are `<resource>:<level>` for patients, providers, appointments and webhooks; '
+            + 'levels are read < write < admin, and each level includes the ones below it.',
+        },
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Missing or invalid credentials.',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+        Forbidden: {
+          description: 'The credentials lack the scope required for this operation.',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+      },
+    },
+    security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
   },
-  apis: ['./routes/*.js'],
+  // Resolved from this file, so the spec is the same whichever directory the server starts in.
+  apis: [path.join(__dirname, 'routes/*.js')],
 };
 
 const swaggerSpec = swaggerJsdoc(options);
 
-module.exports = { swaggerUi, swaggerSpec };
\ No newline at end of file
+// Every POST accepts an Idempotency-Key (see middleware/idempotency.js).
+Object.values(swaggerSpec.paths).forEach(pathItem => {
+  if (pathItem.post) {
+    pathItem.post.parameters = [...(pathItem.post.parameters || []), { $ref: '#/components/parameters/IdempotencyKey' }];
+  }
+});
+
+module.exports = { swaggerUi, swaggerSpec, options };
\ No newline at end of file
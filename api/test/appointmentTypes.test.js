@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const book = (fields) => request('POST', '/appointments', { body: { providerId: 'prov1', ...fields } });
+
+describe('booking against the catalog', () => {
+  it('takes the type\'s canonical name, length and buffers', async () => {
+    const res = await book({ patientId: 'pat2', type: 'new patient', date: '2027-07-05T10:00:00' });
+    assert.equal(res.status, 201);
+    assert.deepEqual(
+      [res.body.type, res.body.duration, res.body.bufferBefore, res.body.bufferAfter, res.body.end],
+      ['New Patient', 60, 10, 5, '2027-07-05T15:00:00Z']
+    );
+
+    // The visit ends at 11:00 but the provider needs five minutes after it.
+    const clash = await book({ patientId: 'pat1', type: 'Check-up', date: '2027-07-05T11:00:00' });
+    assert.equal(clash.status, 409);
+    assert.equal((await book({ patientId: 'pat1', type: 'Check-up', date: '2027-07-05T11:05:00' })).status, 201);
+  });
+
+  it('refuses types that are not in the catalog', async () => {
+    const res = await book({ patientId: 'pat1', type: 'Massage', date: '2027-07-06T10:00:00' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'UNKNOWN_APPOINTMENT_TYPE');
+  });
+
+  it('checks who may perform and book the type', async () => {
+    const cases = [
+      // Follow-ups are for patients the provider already sees.
+      [{ patientId: 'pat2', providerId: 'prov2', type: 'Follow-up', date: '2027-07-07T09:00:00' }, null],
+      [{ patientId: 'pat1', providerId: 'prov2', type: 'Follow-up', date: '2027-07-07T09:00:00' }, 'PATIENT_NOT_ELIGIBLE'],
+      [{ patientId: 'pat1', type: 'Well-Child Visit', date: '2027-07-07T10:00:00' }, 'PROVIDER_NOT_ELIGIBLE'],
+      [{ patientId: 'pat1', providerId: 'prov2', type: 'Consultation', date: '2027-07-07T10:00:00' }, 'PROVIDER_NOT_ELIGIBLE'],
+    ];
+    for (const [fields, code] of cases) {
+      const res = await book(fields);
+      assert.equal(res.status, code ? 400 : 201, JSON.stringify(fields));
+      if (code) {
+        assert.equal(res.body.code, code);
+      }
+    }
+  });
+});
+
+describe('managing the catalog', () => {
+  it('adds types whose age range is then enforced', async () => {
+    const created = await request('POST', '/appointment-types', {
+      body: { name: 'Teen Sports Physical', duration: 40, ageRange: { min: 12, max: 17 } },
+    });
+    assert.equal(created.status, 201);
+    assert.deepEqual([created.body.bufferBefore, created.body.specialties, created.body.patientStatus], [0, [], 'any']);
+
+    const res = await book({ patientId: 'pat1', type: 'Teen Sports Physical', date: '2027-07-08T10:00:00' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'PATIENT_NOT_ELIGIBLE');
+    assert.match(res.body.message, /aged 12 to 17/);
+  });
+
+  it('refuses duplicate names, whatever their case, and inverted age ranges', async () => {
+    const duplicate = await request('POST', '/appointment-types', { body: { name: 'CHECK-UP', duration: 15 } });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'DUPLICATE_APPOINTMENT_TYPE');
+
+    const inverted = await request('POST', '/appointment-types', { body: { name: 'Odd', duration: 15, ageRange: { min: 18, max: 2 } } });
+    assert.equal(inverted.status, 400);
+  });
+
+  it('uses a changed length for bookings made afterwards', async () => {
+    const patched = await request('PATCH', '/appointment-types/typ4', { body: { duration: 45 }, contentType: 'application/merge-patch+json' });
+    assert.equal(patched.status, 200);
+    const res = await book({ patientId: 'pat1', type: 'Consultation', date: '2027-07-09T10:00:00' });
+    assert.equal(res.body.duration, 45);
+  });
+
+  it('lists the types a specialty may perform', async () => {
+    const { body } = await request('GET', '/appointment-types?specialty=pediatrics&limit=100');
+    const names = body.data.map(t => t.name);
+    assert.ok(names.includes('Well-Child Visit'));
+    assert.ok(names.includes('Check-up'));
+    assert.ok(!names.includes('Physical Therapy'));
+  });
+});
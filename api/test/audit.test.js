@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { READER_API_KEY, startApi } = require('./helpers');
+const db = require('../db');
+
+const { request } = startApi();
+
+const entries = async (query) =>
+  (await request('GET', `/audit?${new URLSearchParams({ limit: '100', ...query })}`)).body.data;
+
+describe('audit trail', () => {
+  it('logs creates and updates with the caller and a field-level diff', async () => {
+    const { body: patient } = await request('POST', '/patients', { body: { firstName: 'Audrey', lastName: 'Trail', dateOfBirth: '1977-07-17' } });
+    await request('PATCH', `/patients/${patient.id}`, { body: { email: 'audrey@example.com' }, contentType: 'application/merge-patch+json' });
+
+    const [create] = await entries({ resourceId: patient.id, action: 'create' });
+    const [update] = await entries({ resourceId: patient.id, action: 'update' });
+    assert.deepEqual([create.actor, create.authMethod, create.route], ['demo', 'apiKey', 'POST /patients']);
+    assert.deepEqual(create.changes.firstName, { before: null, after: 'Audrey' });
+    assert.equal(update.route, `PATCH /patients/${patient.id}`);
+    assert.deepEqual(update.changes.email, { before: null, after: 'audrey@example.com' });
+    assert.equal(update.changes.firstName, undefined);
+  });
+
+  it('logs each resource a successful read returns once per request, including through FHIR', async () => {
+    await request('GET', '/patients/pat2');
+    await request('GET', '/patients?limit=100');
+    await request('GET', '/fhir/Patient/pat2');
+    await request('GET', '/patients/nobody');
+
+    const reads = await entries({ resourceId: 'pat2', action: 'read', sort: 'sequence' });
+    assert.deepEqual(reads.map(e => e.route), ['GET /patients/pat2', 'GET /patients', 'GET /fhir/Patient/pat2']);
+    assert.deepEqual(await entries({ resourceId: 'nobody' }), []);
+  });
+
+  it('attributes changes made outside a request to the system', async () => {
+    const patient = db.patients.get('pat2');
+    db.patients.update('pat2', { ...patient, contactNumber: '555-333-0000' });
+
+    const [entry] = await entries({ resourceId: 'pat2', action: 'update' });
+    assert.deepEqual([entry.actor, entry.authMethod, entry.route], ['system', null, null]);
+    assert.deepEqual(entry.changes.contactNumber, { before: '555-333-4444', after: '555-333-0000' });
+  });
+
+  it('needs the audit scope', async () => {
+    const res = await request('GET', '/audit', { headers: { 'X-API-Key': READER_API_KEY } });
+    assert.equal(res.status, 403);
+  });
+
+  it('detects an edited entry when the hash chain is verified', async () => {
+    assert.equal((await request('GET', '/audit/verify')).body.valid, true);
+
+    const [entry] = await entries({ action: 'create', resourceType: 'patient', sort: 'sequence' });
+    db.auditLog.update(entry.id, { ...entry, actor: 'someone-else' });
+    const { body } = await request('GET', '/audit/verify');
+    assert.deepEqual([body.valid, body.brokenAt, body.reason], [false, entry.id, 'hash does not match the entry contents']);
+  });
+});
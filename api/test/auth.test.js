@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { hasScope } = require('../middleware/auth');
+const { READER_API_KEY, startApi } = require('./helpers');
+
+const { request } = startApi();
+
+// An empty X-API-Key counts as none, leaving the Authorization header to identify the caller.
+const withToken = (token) => ({ 'X-API-Key': '', ...(token ? { Authorization: `Bearer ${token}` } : {}) });
+const sign = (claims, options = {}) => jwt.sign(claims, process.env.JWT_SECRET, { subject: 'front-desk', expiresIn: '5m', ...options });
+
+describe('scopes', () => {
+  it('lets higher levels of a resource imply the lower ones', () => {
+    assert.ok(hasScope(['patients:admin'], 'patients:write'));
+    assert.ok(hasScope(['patients:write'], 'patients:read'));
+    assert.ok(!hasScope(['patients:read'], 'patients:write'));
+    assert.ok(!hasScope(['providers:admin'], 'patients:read'));
+    assert.ok(hasScope(['*'], 'audit:read'));
+  });
+});
+
+describe('API keys', () => {
+  it('refuses requests without credentials', async () => {
+    const res = await request('GET', '/patients', { headers: withToken() });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'UNAUTHENTICATED');
+    assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+  });
+
+  it('refuses unknown keys', async () => {
+    const res = await request('GET', '/patients', { headers: { 'X-API-Key': 'guessed' } });
+    assert.equal(res.status, 401);
+  });
+
+  it('allows only what the key\'s scopes cover', async () => {
+    const headers = { 'X-API-Key': READER_API_KEY };
+    assert.equal((await request('GET', '/patients', { headers })).status, 200);
+
+    for (const [method, path, body] of [['POST', '/patients', { firstName: 'No', lastName: 'Access', dateOfBirth: '1990-01-01' }], ['GET', '/appointments']]) {
+      const res = await request(method, path, { body, headers });
+      assert.equal(res.status, 403, `${method} ${path}`);
+      assert.equal(res.body.code, 'INSUFFICIENT_SCOPE');
+    }
+  });
+});
+
+describe('bearer tokens', () => {
+  it('accepts tokens signed with the configured secret, with their scopes', async () => {
+    const headers = withToken(sign({ scope: 'patients:write' }));
+    assert.equal((await request('GET', '/patients', { headers })).status, 200);
+    assert.equal((await request('GET', '/providers', { headers })).status, 403);
+  });
+
+  it('reads scopes given as an array too', async () => {
+    const headers = withToken(sign({ scopes: ['providers:read'] }));
+    assert.equal((await request('GET', '/providers', { headers })).status, 200);
+  });
+
+  it('refuses expired, forged and malformed tokens', async () => {
+    const tokens = [
+      sign({ scope: 'patients:read' }, { expiresIn: -10 }),
+      jwt.sign({ scope: 'patients:read' }, 'some-other-secret'),
+      'not.a.token',
+    ];
+    for (const token of tokens) {
+      const res = await request('GET', '/patients', { headers: withToken(token) });
+      assert.equal(res.status, 401);
+      assert.match(res.body.message, /^Invalid bearer token/);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const slotsOn = async (providerId, from, to = from, query = '') => {
+  const res = await request('GET', `/providers/${providerId}/availability?from=${from}&to=${to}${query}`);
+  assert.equal(res.status, 200);
+  return res.body.slots.map(s => s.start);
+};
+
+// prov1 works 09:00-13:00 on Fridays at loc1 (America/New_York, EST in February).
+describe('open-slot search', () => {
+  it('lists slots across the working hours of a day', async () => {
+    assert.deepEqual(await slotsOn('prov1', '2027-02-05'), [
+      '2027-02-05T14:00:00.000Z',
+      '2027-02-05T14:30:00.000Z',
+      '2027-02-05T15:00:00.000Z',
+      '2027-02-05T15:30:00.000Z',
+      '2027-02-05T16:00:00.000Z',
+      '2027-02-05T16:30:00.000Z',
+      '2027-02-05T17:00:00.000Z',
+      '2027-02-05T17:30:00.000Z',
+    ]);
+  });
+
+  it('has nothing on days without working hours', async () => {
+    assert.deepEqual(await slotsOn('prov1', '2027-02-06', '2027-02-07'), []);
+  });
+
+  it('sizes slots to the duration asked for', async () => {
+    assert.deepEqual(await slotsOn('prov1', '2027-02-05', '2027-02-05', '&duration=120'), [
+      '2027-02-05T14:00:00.000Z',
+      '2027-02-05T16:00:00.000Z',
+    ]);
+  });
+
+  it('leaves out times taken by booked appointments', async () => {
+    const booked = await request('POST', '/appointments', {
+      body: { patientId: 'pat1', providerId: 'prov1', type: 'Check-up', date: '2027-02-12T10:00:00' },
+    });
+    assert.equal(booked.status, 201);
+
+    const slots = await slotsOn('prov1', '2027-02-12');
+    assert.ok(!slots.includes('2027-02-12T15:00:00.000Z'));
+    assert.ok(slots.includes('2027-02-12T14:30:00.000Z'));
+  });
+
+  it('uses date-specific overrides instead of the weekly hours', async () => {
+    const created = await request('POST', '/providers', {
+      body: {
+        firstName: 'Dr. Avery',
+        lastName: 'Stone',
+        specialty: 'General Practice',
+        locationIds: ['loc1'],
+        workingHours: { friday: [{ start: '09:00', end: '17:00' }] },
+        availabilityOverrides: [
+          { date: '2027-02-19', hours: [{ start: '09:00', end: '10:00' }] },
+          { date: '2027-02-26', hours: [] },
+        ],
+      },
+    });
+    assert.equal(created.status, 201);
+
+    assert.deepEqual(await slotsOn(created.body.id, '2027-02-19'), ['2027-02-19T14:00:00.000Z', '2027-02-19T14:30:00.000Z']);
+    assert.deepEqual(await slotsOn(created.body.id, '2027-02-26'), []);
+  });
+
+  it('refuses windows that are backwards or too long', async () => {
+    for (const query of ['from=2027-02-05&to=2027-02-01', 'from=2027-02-01&to=2027-04-01', 'from=2027-02-01']) {
+      const res = await request('GET', `/providers/prov1/availability?${query}`);
+      assert.equal(res.status, 400, query);
+    }
+  });
+
+  it('answers unknown providers with 404', async () => {
+    const res = await request('GET', '/providers/nobody/availability?from=2027-02-05&to=2027-02-05');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'PROVIDER_NOT_FOUND');
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+describe('ETag and If-Match', () => {
+  it('tags each read with the record version and moves it on with each write', async () => {
+    const read = await request('GET', '/patients/pat1');
+    assert.equal(read.status, 200);
+    assert.equal(read.headers.get('etag'), `"${read.body.version}"`);
+
+    const res = await request('PATCH', '/patients/pat1', {
+      body: { contactNumber: '555-0100' },
+      contentType: MERGE_PATCH,
+      headers: { 'If-Match': read.headers.get('etag') },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.contactNumber, '555-0100');
+    assert.equal(res.headers.get('etag'), `"${read.body.version + 1}"`);
+  });
+
+  it('refuses a write whose If-Match names an older version', async () => {
+    const { body: patient } = await request('GET', '/patients/pat2');
+    await request('PATCH', '/patients/pat2', { body: { contactNumber: '555-0101' }, contentType: MERGE_PATCH });
+
+    const res = await request('PATCH', '/patients/pat2', {
+      body: { contactNumber: '555-0102' },
+      contentType: MERGE_PATCH,
+      headers: { 'If-Match': `"${patient.version}"` },
+    });
+    assert.equal(res.status, 412);
+    assert.equal(res.body.code, 'PRECONDITION_FAILED');
+    assert.equal(res.body.currentVersion, patient.version + 1);
+
+    const { body: current } = await request('GET', '/patients/pat2');
+    assert.equal(current.contactNumber, '555-0101');
+  });
+
+  it('compares tags strongly, so a weak tag never matches', async () => {
+    const read = await request('GET', '/providers/prov2');
+    const weak = await request('PATCH', '/providers/prov2', {
+      body: { contactNumber: '555-0103' },
+      contentType: MERGE_PATCH,
+      headers: { 'If-Match': `W/${read.headers.get('etag')}` },
+    });
+    assert.equal(weak.status, 412);
+
+    const any = await request('PATCH', '/providers/prov2', {
+      body: { contactNumber: '555-0103' },
+      contentType: MERGE_PATCH,
+      headers: { 'If-Match': '"999", *' },
+    });
+    assert.equal(any.status, 200);
+  });
+
+  it('checks If-Match on deletes too', async () => {
+    const created = await request('POST', '/locations', {
+      body: { name: 'Annex', address: { line1: '1 Side St', city: 'Springfield', state: 'NY', postalCode: '10001', country: 'US' }, timeZone: 'America/New_York' },
+    });
+    assert.equal(created.status, 201);
+
+    const stale = await request('DELETE', `/locations/${created.body.id}`, { headers: { 'If-Match': '"0"' } });
+    assert.equal(stale.status, 412);
+
+    const res = await request('DELETE', `/locations/${created.body.id}`, { headers: { 'If-Match': `"${created.body.version}"` } });
+    assert.equal(res.status, 204);
+  });
+});
+
+describe('PATCH', () => {
+  it('clears members set to null in a merge patch', async () => {
+    const res = await request('PATCH', '/patients/pat1', { body: { email: null }, contentType: MERGE_PATCH });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, null);
+  });
+
+  it('applies JSON Patch operations inside nested fields', async () => {
+    const { body: provider } = await request('GET', '/providers/prov1');
+    const res = await request('PATCH', '/providers/prov1', {
+      body: [
+        { op: 'test', path: '/version', value: provider.version },
+        { op: 'replace', path: '/workingHours/monday/0/end', value: '15:00' },
+      ],
+      contentType: JSON_PATCH,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.workingHours.monday[0].end, '15:00');
+    assert.deepEqual(res.body.workingHours.tuesday, provider.workingHours.tuesday);
+  });
+
+  it('answers a failed test operation with 409 and changes nothing', async () => {
+    const res = await request('PATCH', '/providers/prov1', {
+      body: [
+        { op: 'test', path: '/version', value: 0 },
+        { op: 'replace', path: '/contactNumber', value: '555-0199' },
+      ],
+      contentType: JSON_PATCH,
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'PATCH_TEST_FAILED');
+
+    const { body } = await request('GET', '/providers/prov1');
+    assert.notEqual(body.contactNumber, '555-0199');
+  });
+
+  it('refuses patches that change read-only fields or leave invalid values', async () => {
+    const readOnly = await request('PATCH', '/patients/pat1', { body: [{ op: 'replace', path: '/id', value: 'pat9' }], contentType: JSON_PATCH });
+    assert.equal(readOnly.status, 400);
+    assert.equal(readOnly.body.code, 'INVALID_PATCH');
+
+    const invalid = await request('PATCH', '/patients/pat1', { body: { dateOfBirth: 42 }, contentType: MERGE_PATCH });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('refuses bodies that are not a patch media type', async () => {
+    const res = await request('PATCH', '/patients/pat1', { body: { contactNumber: '555-0104' } });
+    assert.equal(res.status, 415);
+  });
+});
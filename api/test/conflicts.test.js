@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+// Mondays in 2027, when prov1 works 09:00-17:00 at loc1 (America/New_York, EST).
+const book = (fields) => request('POST', '/appointments', {
+  body: { patientId: 'pat1', providerId: 'prov1', type: 'Check-up', ...fields },
+});
+
+describe('conflict detection', () => {
+  it('books a free slot and stores it in UTC', async () => {
+    const res = await book({ date: '2027-02-01T10:00:00' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.date, '2027-02-01T15:00:00Z');
+    assert.equal(res.body.status, 'scheduled');
+  });
+
+  it('rejects a booking that overlaps the provider', async () => {
+    const first = await book({ date: '2027-02-08T10:00:00' });
+    assert.equal(first.status, 201);
+
+    const res = await book({ patientId: 'pat2', date: '2027-02-08T10:15:00' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'SCHEDULING_CONFLICT');
+    assert.equal(res.body.conflictingAppointmentId, first.body.id);
+  });
+
+  it('rejects a booking that overlaps the patient\'s visit with another provider', async () => {
+    assert.equal((await book({ date: '2027-01-11T10:00:00' })).status, 201);
+    const res = await book({ providerId: 'prov2', date: '2027-01-11T10:00:00' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'SCHEDULING_CONFLICT');
+  });
+
+  it('checks a rescheduled time against the other bookings', async () => {
+    assert.equal((await book({ date: '2027-01-18T10:00:00' })).status, 201);
+    const { body: other } = await book({ patientId: 'pat2', date: '2027-01-18T14:00:00' });
+    const res = await request('PUT', `/appointments/${other.id}`, { body: { date: '2027-01-18T10:00:00' } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'SCHEDULING_CONFLICT');
+  });
+
+  it('keeps the type\'s buffer clear after a visit', async () => {
+    // Check-ups last 30 minutes with a 5 minute buffer after.
+    assert.equal((await book({ date: '2027-02-15T10:00:00' })).status, 201);
+    const res = await book({ patientId: 'pat2', date: '2027-02-15T10:32:00' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'SCHEDULING_CONFLICT');
+  });
+
+  it('allows back-to-back visits once the buffer has passed', async () => {
+    assert.equal((await book({ date: '2027-02-22T10:00:00' })).status, 201);
+    assert.equal((await book({ patientId: 'pat2', date: '2027-02-22T10:35:00' })).status, 201);
+  });
+
+  it('frees the slot when the appointment is cancelled', async () => {
+    const first = await book({ date: '2027-03-01T11:00:00' });
+    assert.equal((await request('POST', `/appointments/${first.body.id}/cancel`, { body: {} })).status, 200);
+    assert.equal((await book({ patientId: 'pat2', date: '2027-03-01T11:00:00' })).status, 201);
+  });
+
+  it('books over a conflict only when double booking is allowed', async () => {
+    assert.equal((await book({ date: '2027-03-08T14:00:00' })).status, 201);
+    const res = await book({ patientId: 'pat2', date: '2027-03-08T14:00:00', allowDoubleBooking: true });
+    assert.equal(res.status, 201);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const createPatient = async (fields = {}) => {
+  const res = await request('POST', '/patients?force=true', {
+    body: { firstName: 'Dee', lastName: 'Leted', dateOfBirth: '1966-06-06', contactNumber: '555-404-0000', email: 'dee@example.com', ...fields },
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const book = async (fields) => {
+  const res = await request('POST', '/appointments', { body: { providerId: 'prov1', type: 'Check-up', ...fields } });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const notices = async (appointmentId) =>
+  (await request('GET', `/notifications?kind=cancellation&appointmentId=${appointmentId}`)).body.data;
+
+describe('deleting patients', () => {
+  it('removes a patient nothing refers to', async () => {
+    const patient = await createPatient();
+    assert.equal((await request('DELETE', `/patients/${patient.id}`)).status, 204);
+    assert.equal((await request('GET', `/patients/${patient.id}`)).status, 404);
+  });
+
+  it('refuses while the patient has upcoming appointments, unless told to cascade', async () => {
+    const patient = await createPatient();
+    const appointment = await book({ patientId: patient.id, date: '2027-06-07T10:00:00' });
+
+    const refused = await request('DELETE', `/patients/${patient.id}`);
+    assert.equal(refused.status, 409);
+    assert.deepEqual([refused.body.code, refused.body.appointmentIds], ['HAS_UPCOMING_APPOINTMENTS', [appointment.id]]);
+
+    const res = await request('DELETE', `/patients/${patient.id}?mode=cascade`);
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.outcome, res.body.record.active, res.body.cancelledAppointmentIds], ['deactivated', false, [appointment.id]]);
+    assert.equal((await request('GET', `/appointments/${appointment.id}`)).body.status, 'cancelled');
+    assert.deepEqual((await notices(appointment.id)).map(n => n.channel).sort(), ['email', 'sms']);
+  });
+
+  it('keeps patients with appointment history, inactive, out of lists and bookings', async () => {
+    const res = await request('DELETE', '/patients/pat2');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.outcome, 'deactivated');
+
+    assert.ok(!(await request('GET', '/patients?limit=100')).body.data.some(p => p.id === 'pat2'));
+    const { body: history } = await request('GET', '/appointments/app2?expand=patient');
+    assert.equal(history.patient.id, 'pat2');
+
+    const booking = await request('POST', '/appointments', {
+      body: { patientId: 'pat2', providerId: 'prov1', type: 'Check-up', date: '2027-06-08T10:00:00' },
+    });
+    assert.equal(booking.body.code, 'PATIENT_INACTIVE');
+  });
+
+  it('keeps the record when asked to deactivate, even with nothing referring to it', async () => {
+    const patient = await createPatient();
+    const res = await request('DELETE', `/patients/${patient.id}?mode=deactivate`);
+    assert.equal(res.status, 200);
+    assert.ok(res.body.record.deactivatedAt);
+  });
+});
+
+describe('deleting providers', () => {
+  it('cancels a departing provider\'s upcoming appointments and tells the patients why', async () => {
+    const { body: provider } = await request('POST', '/providers', {
+      body: { firstName: 'Dr. Ada', lastName: 'Leaving', specialty: 'General Practice', locationIds: ['loc1'], workingHours: { monday: [{ start: '09:00', end: '17:00' }] } },
+    });
+    const patient = await createPatient();
+    const appointment = await book({ providerId: provider.id, patientId: patient.id, date: '2027-06-14T10:00:00' });
+
+    const res = await request('DELETE', `/providers/${provider.id}?mode=cascade`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.cancelledAppointmentIds, [appointment.id]);
+
+    const [notice] = await notices(appointment.id);
+    assert.match(notice.body, /with Dr\. Ada Leaving .* because the provider is no longer available/);
+    const { body: availability } = await request('GET', `/providers/${provider.id}/availability?from=2027-06-14&to=2027-06-14`);
+    assert.deepEqual(availability.slots, []);
+  });
+});
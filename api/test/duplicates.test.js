@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const createPatient = async (fields, query = '') => {
+  const res = await request('POST', `/patients${query}`, { body: fields });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const merge = (survivorId, duplicateId) => request('POST', `/patients/${survivorId}/merge`, { body: { duplicateId } });
+
+describe('duplicate detection', () => {
+  it('refuses a likely duplicate, naming the candidates and why, until forced', async () => {
+    const fields = { firstName: 'Frank', lastName: 'Whyte', dateOfBirth: '1985-03-20', contactNumber: '(555) 555-555' };
+    const res = await request('POST', '/patients', { body: fields });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'POSSIBLE_DUPLICATE');
+    const [candidate] = res.body.candidates;
+    assert.equal(candidate.patient.id, 'pat1');
+    assert.ok(candidate.score >= 0.7);
+    assert.ok(candidate.reasons.includes('Same date of birth'));
+    assert.ok(candidate.reasons.includes('Same phone number'));
+
+    await createPatient(fields, '?force=true');
+  });
+
+  it('lets different people with the same birthday through', async () => {
+    await createPatient({ firstName: 'Alice', lastName: 'Moreno', dateOfBirth: '1985-03-20' });
+  });
+});
+
+describe('merging patients', () => {
+  it('moves everything the duplicate had to the survivor and keeps a tombstone', async () => {
+    const survivor = await createPatient({ firstName: 'Harriet', lastName: 'Stone', dateOfBirth: '1970-07-07' });
+    const duplicate = await createPatient(
+      { firstName: 'Hariet', lastName: 'Stone', dateOfBirth: '1970-07-07', contactNumber: '555-123-9999', email: 'h.stone@example.com' },
+      '?force=true'
+    );
+    const { body: appointment } = await request('POST', '/appointments', {
+      body: { patientId: duplicate.id, providerId: 'prov1', type: 'Check-up', date: '2027-05-03T10:00:00' },
+    });
+    const { body: reply } = await request('POST', '/messages/inbound', { body: { From: '555-123-9999', Body: 'C' } });
+    assert.equal(reply.patientId, duplicate.id);
+
+    const res = await merge(survivor.id, duplicate.id);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.repointed.appointments, 1);
+    assert.equal(res.body.repointed.inboundMessages, 1);
+    assert.ok(res.body.repointed.notifications > 0);
+    assert.deepEqual([res.body.survivor.contactNumber, res.body.survivor.email], ['555-123-9999', 'h.stone@example.com']);
+    assert.equal(res.body.merged.mergedInto, survivor.id);
+
+    assert.equal((await request('GET', `/appointments/${appointment.id}`)).body.patientId, survivor.id);
+    assert.equal((await request('GET', `/messages/inbound/${reply.id}`)).body.patientId, survivor.id);
+    const { body: notifications } = await request('GET', `/notifications?patientId=${duplicate.id}`);
+    assert.deepEqual(notifications.data, []);
+
+    // The old ID leads to the survivor, but can't be booked any more.
+    assert.equal((await request('GET', `/patients/${duplicate.id}`)).body.id, survivor.id);
+    const booking = await request('POST', '/appointments', {
+      body: { patientId: duplicate.id, providerId: 'prov1', type: 'Check-up', date: '2027-05-04T10:00:00' },
+    });
+    assert.equal(booking.body.code, 'PATIENT_MERGED');
+  });
+
+  it('keeps an SMS opt-out with the number it came from', async () => {
+    const survivor = await createPatient({ firstName: 'Otto', lastName: 'Quiet', dateOfBirth: '1960-01-01' });
+    const duplicate = await createPatient({ firstName: 'Oto', lastName: 'Quiet', dateOfBirth: '1960-01-01', contactNumber: '555-222-0000' }, '?force=true');
+    await request('POST', '/messages/inbound', { body: { From: '555-222-0000', Body: 'STOP' } });
+
+    const res = await merge(survivor.id, duplicate.id);
+    assert.deepEqual([res.body.survivor.contactNumber, res.body.survivor.smsOptOut], ['555-222-0000', true]);
+  });
+
+  it('sends earlier merges on to the new survivor', async () => {
+    const first = await createPatient({ firstName: 'Ivy', lastName: 'Chain', dateOfBirth: '1990-09-09' });
+    const second = await createPatient({ firstName: 'Ivy', lastName: 'Chain', dateOfBirth: '1990-09-09' }, '?force=true');
+    const third = await createPatient({ firstName: 'Ivy', lastName: 'Chain', dateOfBirth: '1990-09-09' }, '?force=true');
+
+    assert.equal((await merge(second.id, third.id)).status, 200);
+    assert.equal((await merge(first.id, second.id)).status, 200);
+    assert.equal((await request('GET', `/patients/${third.id}`)).body.id, first.id);
+  });
+
+  it('refuses to merge a patient into itself, an unknown patient or a merged one', async () => {
+    const itself = await merge('pat2', 'pat2');
+    assert.equal(itself.status, 400);
+    assert.equal((await merge('pat2', 'nobody')).body.code, 'PATIENT_NOT_FOUND');
+    assert.equal((await merge('nobody', 'pat2')).status, 404);
+
+    const duplicate = await createPatient({ firstName: 'Bob', lastName: 'Johnson', dateOfBirth: '1990-01-01' }, '?force=true');
+    await merge('pat2', duplicate.id);
+    const again = await merge('pat1', duplicate.id);
+    assert.equal(again.status, 409);
+    assert.deepEqual([again.body.code, again.body.mergedInto], ['PATIENT_MERGED', 'pat2']);
+  });
+});
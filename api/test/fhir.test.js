@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const db = require('../db');
+
+const { request } = startApi();
+
+const FHIR = 'application/fhir+json';
+
+const create = (resourceType, body, query = '') =>
+  request('POST', `/fhir/${resourceType}${query}`, { body: { resourceType, ...body }, contentType: FHIR });
+
+describe('FHIR facade', () => {
+  it('serves the CapabilityStatement without credentials', async () => {
+    const res = await request('GET', '/fhir/metadata', { headers: { 'X-API-Key': '' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/fhir\+json/);
+    assert.equal(res.body.resourceType, 'CapabilityStatement');
+    assert.deepEqual(res.body.rest[0].resource.map(r => r.type), ['Patient', 'Practitioner', 'Appointment', 'Schedule', 'Slot']);
+  });
+
+  it('still requires credentials for resources, answering with an OperationOutcome', async () => {
+    const res = await request('GET', '/fhir/Patient', { headers: { 'X-API-Key': '' } });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.resourceType, 'OperationOutcome');
+    assert.equal(res.body.issue[0].code, 'login');
+  });
+
+  it('searches patients into a Bundle', async () => {
+    const res = await request('GET', '/fhir/Patient?family=whi');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.resourceType, 'Bundle');
+    assert.deepEqual(res.body.entry.map(e => e.resource.id), ['pat1']);
+    assert.deepEqual(res.body.entry[0].resource.name[0], { use: 'official', family: 'White', given: ['Frank'], text: 'Frank White' });
+  });
+
+  it('creates patients through the duplicate check', async () => {
+    const patient = { name: [{ family: 'White', given: ['Frank'] }], birthDate: '1985-03-20' };
+    const duplicate = await create('Patient', patient);
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.resourceType, 'OperationOutcome');
+    assert.equal(duplicate.body.issue[0].code, 'duplicate');
+
+    const forced = await create('Patient', patient, '?force=true');
+    assert.equal(forced.status, 201);
+    assert.equal(forced.headers.get('location'), `/fhir/Patient/${forced.body.id}`);
+  });
+
+  it('creates practitioners with the same checks as POST /providers', async () => {
+    const res = await create('Practitioner', {
+      name: [{ family: 'Hart', given: ['Dr. Lee'] }],
+      qualification: [{ code: { text: 'Dermatology' } }],
+    });
+    assert.equal(res.status, 201);
+    assert.equal((await request('GET', `/providers/${res.body.id}`)).body.lastName, 'Hart');
+  });
+
+  it('books appointments into free slots', async () => {
+    const slots = await request('GET', '/fhir/Slot?schedule=Schedule/prov1&start=ge2027-02-05&start=lt2027-02-06&_count=2');
+    assert.equal(slots.body.total, 8);
+    const [{ resource: slot }] = slots.body.entry;
+
+    const res = await create('Appointment', {
+      status: 'booked',
+      appointmentType: { text: 'Check-up' },
+      start: slot.start,
+      participant: [
+        { actor: { reference: 'Patient/pat2' }, status: 'accepted' },
+        { actor: { reference: 'Practitioner/prov1' }, status: 'accepted' },
+      ],
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.resourceType, 'Appointment');
+
+    // The check-up's buffer after the visit takes the next slot as well.
+    const after = await request('GET', '/fhir/Slot?schedule=Schedule/prov1&start=ge2027-02-05&start=lt2027-02-06');
+    assert.equal(after.body.total, 6);
+    assert.ok(!after.body.entry.some(e => e.resource.id === slot.id));
+  });
+
+  it('answers unsupported resources and unknown IDs with OperationOutcomes', async () => {
+    for (const path of ['/fhir/Observation', '/fhir/Patient/nobody']) {
+      const res = await request('GET', path);
+      assert.equal(res.status, 404, path);
+      assert.equal(res.body.resourceType, 'OperationOutcome', path);
+    }
+  });
+
+  it('answers unexpected errors with an OperationOutcome too', async (t) => {
+    t.mock.method(db.patients, 'list', () => { throw new Error('disk on fire'); });
+    t.mock.method(console, 'error', () => {});
+
+    const res = await request('GET', '/fhir/Patient');
+    assert.equal(res.status, 500);
+    assert.match(res.headers.get('content-type'), /^application\/fhir\+json/);
+    assert.equal(res.body.resourceType, 'OperationOutcome');
+    assert.equal(res.body.issue[0].code, 'exception');
+    assert.doesNotMatch(JSON.stringify(res.body), /disk on fire/);
+  });
+});
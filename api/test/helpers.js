@@ -0,0 +1,88 @@
+// Shared setup for the API tests. Each test file runs in its own process, so it gets a fresh
+// in-memory store loaded with db/seed.js. Responses are validated against the spec too.
+// Require this before any of the app's own modules: config.js reads the settings below
+// once, when it is first loaded.
+
+process.env.DB_DRIVER = 'memory';
+process.env.VALIDATE_RESPONSES = 'true';
+process.env.IMPORT_BATCH_INTERVAL_MS = '20';
+// Two full-access callers, for tests of what one caller can see of another's requests, and
+// one that may only read patients.
+process.env.API_KEYS = JSON.stringify({
+  'demo-key': { name: 'demo', scopes: ['*'] },
+  'second-key': { name: 'second', scopes: ['*'] },
+  'reader-key': { name: 'reader', scopes: ['patients:read'] },
+});
+// Bearer tokens in the tests are signed with process.env.JWT_SECRET.
+process.env.JWT_SECRET = 'test-secret';
+
+const { before, after } = require('node:test');
+const app = require('../server');
+
+const API_KEY = 'demo-key';
+const SECOND_API_KEY = 'second-key';
+const READER_API_KEY = 'reader-key';
+
+/**
+ * Starts the API on a free port for the current test file and returns `request(method,
+ * path, options)`, which resolves to `{ status, headers, body, text }`. Object bodies are
+ * sent as JSON, or as `contentType`; string bodies are sent as they are.
+ */
+const startApi = () => {
+  let server;
+  let baseUrl;
+
+  before(() => new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  }));
+  after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  const request = async (method, path, { body, headers = {}, contentType = 'application/json' } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'X-API-Key': API_KEY,
+        ...(body === undefined ? {} : { 'Content-Type': contentType }),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // Not JSON (CSV, NDJSON, ER7); tests read `text` instead.
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  };
+
+  return { request };
+};
+
+// Resolves after `ms` milliseconds, for background work such as import batches.
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls `check` until it returns something truthy and resolves to that, for results of work
+// the API does in the background (webhook deliveries, import batches).
+const waitFor = async (check, { timeoutMs = 3000, intervalMs = 20 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for background work.');
+    }
+    await sleep(intervalMs);
+  }
+};
+
+module.exports = { SECOND_API_KEY, READER_API_KEY, startApi, sleep, waitFor };
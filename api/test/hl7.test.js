@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startApi } = require('./helpers');
+const { createMllpServer, frame } = require('../lib/mllp');
+const { siu } = require('../lib/siu');
+
+const { request } = startApi();
+
+const ER7 = 'x-application/hl7-v2+er7';
+
+// An SIU message from a partner system; `sch` fills SCH-1 onwards.
+const message = (trigger, sch, controlId = `CTRL-${trigger}-${Math.random()}`) => [
+  `MSH|^~\\&|PM|CLINIC|MEDIPRO|RELATIENT|20270101090000||SIU^${trigger}^SIU_${trigger}|${controlId}|P|2.5.1`,
+  `SCH|${sch}`,
+  'PID|1||pat2^^^MEDIPRO^MR||Johnson^Bob',
+  'RGS|1|A',
+  'AIP|1|A|prov1^White^Dr. Emily',
+].join('\r') + '\r';
+
+const segment = (text, name) => text.split(/\r\n?|\n/).find(line => line.startsWith(`${name}|`)).split('|');
+
+const send = (text) => request('POST', '/hl7/inbound', { body: text, contentType: ER7 });
+
+describe('outbound SIU messages', () => {
+  it('logs an S12 for a booking and an S15 when it is cancelled', async () => {
+    const { body: appointment } = await request('POST', '/appointments', {
+      body: { patientId: 'pat2', providerId: 'prov1', type: 'Check-up', date: '2027-02-01T10:00:00' },
+    });
+    await request('POST', `/appointments/${appointment.id}/cancel`, { body: { reason: 'Feeling better' } });
+
+    const { body } = await request('GET', `/hl7/messages?appointmentId=${appointment.id}&sort=createdAt`);
+    assert.deepEqual(body.data.map(m => [m.direction, m.trigger]), [['outbound', 'S12'], ['outbound', 'S15']]);
+
+    const raw = await request('GET', `/hl7/messages/${body.data[0].id}`, { headers: { Accept: ER7 } });
+    assert.match(raw.headers.get('content-type'), /^x-application\/hl7-v2\+er7/);
+    assert.equal(segment(raw.text, 'SCH')[2], `${appointment.id}^MEDIPRO`);
+  });
+});
+
+describe('inbound SIU messages', () => {
+  it('books with S12 and cancels by the sender\'s placer ID with S15', async () => {
+    const booked = await send(message('S12', 'PM2001||||||^Check-up|Check-up|30|min|^^30^20270208150000+0000'));
+    assert.equal(booked.status, 200);
+    assert.equal(segment(booked.text, 'MSA')[1], 'AA');
+
+    const { body: log } = await request('GET', '/hl7/messages?direction=inbound&trigger=S12');
+    const appointmentId = log.data.find(m => m.placerAppointmentId === 'PM2001').appointmentId;
+    const { body: appointment } = await request('GET', `/appointments/${appointmentId}`);
+    assert.deepEqual([appointment.patientId, appointment.date], ['pat2', '2027-02-08T15:00:00Z']);
+
+    const cancelled = await send(message('S15', 'PM2001|||||^Patient request'));
+    assert.equal(segment(cancelled.text, 'MSA')[1], 'AA');
+    assert.equal((await request('GET', `/appointments/${appointmentId}`)).body.status, 'cancelled');
+  });
+
+  it('answers AE when the booking conflicts and AR for other message types', async () => {
+    const first = await send(message('S12', 'PM2002||||||^Check-up|Check-up|30|min|^^30^20270209150000+0000'));
+    assert.equal(segment(first.text, 'MSA')[1], 'AA');
+    const clash = await send(message('S12', 'PM2003||||||^Check-up|Check-up|30|min|^^30^20270209150000+0000'));
+    assert.equal(segment(clash.text, 'MSA')[1], 'AE');
+
+    const other = await send(message('S12', 'PM2004').replace('SIU^S12^SIU_S12', 'ADT^A01^ADT_A01'));
+    assert.equal(segment(other.text, 'MSA')[1], 'AR');
+  });
+});
+
+describe('MLLP listener', () => {
+  const MAX_MESSAGE_BYTES = 4096;
+  let handle = siu.receive;
+  let server;
+  before(() => new Promise((resolve) => {
+    server = createMllpServer(text => handle(text), siu.errorAck, { maxMessageBytes: MAX_MESSAGE_BYTES });
+    server.listen(0, '127.0.0.1', resolve);
+  }));
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // Connects, writes `chunks` and resolves to what comes back once the listener has sent a
+  // whole frame or closed the connection.
+  const exchange = (chunks) => new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    let received = Buffer.alloc(0);
+    const finish = () => {
+      socket.destroy();
+      resolve({ text: received.toString('utf8') });
+    };
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      if (received.includes(0x1c)) {
+        finish();
+      }
+    });
+    socket.on('end', finish);
+    socket.on('close', finish);
+    socket.on('error', reject);
+    chunks.forEach(chunk => socket.write(chunk));
+  });
+
+  it('answers each framed message with a framed ACK, however the frames arrive', async () => {
+    const framed = frame(message('S12', 'PM3001||||||^Check-up|Check-up|30|min|^^30^20270210150000+0000'));
+    const { text } = await exchange([framed.subarray(0, 10), framed.subarray(10)]);
+    assert.equal(text[0], '\x0b');
+    assert.ok(text.endsWith('\x1c\r'));
+    assert.equal(segment(text.slice(1, -2), 'MSA')[1], 'AA');
+  });
+
+  it('answers AE when handling fails unexpectedly and keeps listening', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    handle = () => { throw new Error('store unavailable'); };
+    try {
+      const { text } = await exchange([frame(message('S15', 'PM3001'))]);
+      assert.equal(segment(text.slice(1, -2), 'MSA')[1], 'AE');
+    } finally {
+      handle = siu.receive;
+    }
+    const { text } = await exchange([frame(message('S15', 'PM3001'))]);
+    assert.equal(segment(text.slice(1, -2), 'MSA')[1], 'AA');
+  });
+
+  it('closes connections whose message grows past the size limit', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const { text } = await exchange([Buffer.from([0x0b]), Buffer.alloc(MAX_MESSAGE_BYTES + 1, 'A')]);
+    assert.equal(text, '');
+    assert.match(errors.mock.calls[0].arguments[0], /exceeds 4096 bytes/);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const db = require('../db');
+
+const { request } = startApi();
+
+const hold = async (fields) => {
+  const res = await request('POST', '/holds', { body: { providerId: 'prov1', type: 'Check-up', ...fields } });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const book = (fields) => request('POST', '/appointments', { body: { providerId: 'prov1', type: 'Check-up', ...fields } });
+
+const slotsOn = async (day, query = '') =>
+  (await request('GET', `/providers/prov1/availability?from=${day}&to=${day}&type=Check-up${query}`)).body.slots.map(s => s.start);
+
+// Each test holds time on its own day of April 2027 (New York is on EDT, UTC-4).
+describe('slot holds', () => {
+  it('keeps held time from everyone but the holder, who can book it once', async () => {
+    const { token, ...placed } = await hold({ date: '2027-04-05T10:00:00' });
+    assert.deepEqual([placed.status, placed.date, placed.duration], ['active', '2027-04-05T14:00:00Z', 30]);
+
+    assert.ok(!(await slotsOn('2027-04-05')).includes('2027-04-05T14:00:00.000Z'));
+    assert.ok((await slotsOn('2027-04-05', `&holdToken=${token}`)).includes('2027-04-05T14:00:00.000Z'));
+
+    const other = await book({ patientId: 'pat1', date: '2027-04-05T10:00:00', allowDoubleBooking: true });
+    assert.equal(other.status, 409);
+    assert.deepEqual([other.body.code, other.body.conflictWith], ['SLOT_HELD', 'hold']);
+
+    const booked = await book({ patientId: 'pat2', date: '2027-04-05T10:00:00', holdToken: token });
+    assert.equal(booked.status, 201);
+    const { body: closed } = await request('GET', `/holds/${token}`);
+    assert.deepEqual([closed.status, closed.appointmentId], ['booked', booked.body.id]);
+
+    const reused = await book({ patientId: 'pat2', date: '2027-04-05T11:00:00', holdToken: token });
+    assert.equal(reused.status, 409);
+    assert.equal(reused.body.code, 'HOLD_CLOSED');
+  });
+
+  it('only lets the named patient book a patient-specific hold, and only for the held time', async () => {
+    const { token } = await hold({ date: '2027-04-06T10:00:00', patientId: 'pat2' });
+    for (const fields of [{ patientId: 'pat1', date: '2027-04-06T10:00:00' }, { patientId: 'pat2', date: '2027-04-06T10:30:00' }]) {
+      const res = await book({ ...fields, holdToken: token });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'HOLD_MISMATCH');
+    }
+  });
+
+  it('gives released time back', async () => {
+    const { token } = await hold({ date: '2027-04-07T10:00:00' });
+    assert.equal((await request('DELETE', `/holds/${token}`)).status, 204);
+    assert.ok((await slotsOn('2027-04-07')).includes('2027-04-07T14:00:00.000Z'));
+
+    const again = await request('DELETE', `/holds/${token}`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'HOLD_CLOSED');
+  });
+
+  it('frees the time once the hold expires and refuses to book with it', async () => {
+    const { token, id } = await hold({ date: '2027-04-08T10:00:00', ttlSeconds: 60 });
+    const current = db.holds.get(id);
+    db.holds.update(id, { ...current, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    assert.ok((await slotsOn('2027-04-08')).includes('2027-04-08T14:00:00.000Z'));
+    const res = await book({ patientId: 'pat2', date: '2027-04-08T10:00:00', holdToken: token });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'HOLD_EXPIRED');
+    assert.equal((await request('GET', `/holds/${token}`)).body.status, 'expired');
+  });
+
+  it('refuses holds in the past, over the longest hold time, or on taken time', async () => {
+    const past = await request('POST', '/holds', { body: { providerId: 'prov1', date: '2020-01-06T10:00:00' } });
+    assert.equal(past.status, 400);
+
+    const long = await request('POST', '/holds', { body: { providerId: 'prov1', date: '2027-04-09T10:00:00', ttlSeconds: 3600 } });
+    assert.equal(long.status, 400);
+    assert.match(long.body.message, /ttlSeconds can be at most 900/);
+
+    await hold({ date: '2027-04-09T10:00:00' });
+    const overlapping = await request('POST', '/holds', { body: { providerId: 'prov1', date: '2027-04-09T10:15:00' } });
+    assert.equal(overlapping.status, 409);
+    assert.equal(overlapping.body.code, 'SLOT_HELD');
+
+    assert.equal((await request('GET', '/holds/no-such-token')).status, 404);
+  });
+});
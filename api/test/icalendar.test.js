@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const { toCalendar } = require('../lib/icalendar');
+
+const { request } = startApi();
+
+// Content lines of a calendar, with folded lines joined back up (RFC 5545, section 3.1).
+const unfold = (text) => text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+const property = (lines, name) => lines.filter(line => line.startsWith(`${name}:`)).map(line => line.slice(name.length + 1));
+
+describe('iCalendar serialization', () => {
+  it('writes CRLF lines folded at 75 octets without splitting characters', () => {
+    const text = toCalendar([], { name: `Dr. ${'é'.repeat(60)}` });
+    assert.ok(text.endsWith('\r\n'));
+    for (const line of text.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.deepEqual(property(unfold(text), 'X-WR-CALNAME'), [`Dr. ${'é'.repeat(60)}`]);
+  });
+});
+
+describe('calendar feeds', () => {
+  it('downloads a single appointment with escaped text', async () => {
+    const res = await request('GET', '/appointments/app1/ics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/calendar/);
+    assert.equal(res.headers.get('content-disposition'), 'attachment; filename="app1.ics"');
+
+    const lines = unfold(res.text);
+    assert.deepEqual(property(lines, 'UID'), ['app1@medipro.example.com']);
+    assert.deepEqual(property(lines, 'DTSTART'), ['20250615T140000Z']);
+    assert.deepEqual(property(lines, 'DTEND'), ['20250615T143000Z']);
+    assert.deepEqual(property(lines, 'LOCATION'), ['Downtown Clinic\\, Exam 1\\, 100 Main Street\\, Suite 200\\, Springfield\\, NY 10001']);
+  });
+
+  it('keeps cancelled appointments in the feed, marked cancelled, with a higher sequence', async () => {
+    const { body: appointment } = await request('POST', '/appointments', {
+      body: { patientId: 'pat2', providerId: 'prov2', type: 'Check-up', date: '2027-01-04T09:00:00' },
+    });
+    await request('POST', `/appointments/${appointment.id}/cancel`, { body: {} });
+
+    const res = await request('GET', '/providers/prov2/calendar.ics');
+    assert.equal(res.headers.get('content-disposition'), 'inline; filename="prov2.ics"');
+    const event = res.text.split('BEGIN:VEVENT').find(e => e.includes(`UID:${appointment.id}@`));
+    const lines = unfold(event);
+    assert.deepEqual(property(lines, 'STATUS'), ['CANCELLED']);
+    assert.deepEqual(property(lines, 'SEQUENCE'), ['1']);
+    assert.deepEqual(property(lines, 'TRANSP'), ['TRANSPARENT']);
+  });
+
+  it('lists only the patient\'s own appointments in their feed', async () => {
+    const res = await request('GET', '/patients/pat1/calendar.ics');
+    assert.equal(res.status, 200);
+    const uids = property(unfold(res.text), 'UID');
+    assert.ok(uids.length > 0);
+    const { body } = await request('GET', '/appointments?patientId=pat1&limit=100');
+    assert.deepEqual(uids.sort(), body.data.map(a => `${a.id}@medipro.example.com`).sort());
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const crypto = require('crypto');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApi, SECOND_API_KEY } = require('./helpers');
+const db = require('../db');
+const idempotency = require('../middleware/idempotency');
+
+const { request } = startApi();
+
+const createPatient = (key, body = { firstName: 'Idem', lastName: 'Potent', dateOfBirth: '1970-01-01' }) =>
+  request('POST', '/patients', { body, headers: { 'Idempotency-Key': key } });
+
+describe('Idempotency-Key', () => {
+  it('replays the original response to a retry instead of creating again', async () => {
+    const first = await createPatient('create-idem-1');
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const retry = await createPatient('create-idem-1');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    const { body } = await request('GET', '/patients?name=potent');
+    assert.equal(body.data.length, 1);
+  });
+
+  it('replays the Location header of created resources', async () => {
+    const fhirPatient = {
+      resourceType: 'Patient',
+      name: [{ family: 'Replay', given: ['Fhir'] }],
+      birthDate: '1980-05-05',
+    };
+    const send = () => request('POST', '/fhir/Patient', {
+      body: fhirPatient,
+      contentType: 'application/fhir+json',
+      headers: { 'Idempotency-Key': 'fhir-create-1' },
+    });
+    const first = await send();
+    const retry = await send();
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('location'), first.headers.get('location'));
+    assert.match(retry.headers.get('content-type'), /^application\/fhir\+json/);
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    await createPatient('reused-key', { firstName: 'Key', lastName: 'One', dateOfBirth: '1971-01-01' });
+    const res = await createPatient('reused-key', { firstName: 'Key', lastName: 'Two', dateOfBirth: '1972-02-02' });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('keeps keys separate for each caller', async () => {
+    const body = { firstName: 'Per', lastName: 'Caller', dateOfBirth: '1973-03-03' };
+    const first = await request('POST', '/patients', { body, headers: { 'Idempotency-Key': 'shared-key' } });
+    // The second caller's patient looks like the first one's, so it has to be forced.
+    const other = await request('POST', '/patients?force=true', {
+      body,
+      headers: { 'Idempotency-Key': 'shared-key', 'X-API-Key': SECOND_API_KEY },
+    });
+    assert.equal(first.status, 201);
+    assert.equal(other.status, 201);
+    assert.equal(other.headers.get('idempotent-replayed'), null);
+    assert.notEqual(other.body.id, first.body.id);
+  });
+
+  it('rejects empty and overlong keys', async () => {
+    for (const key of ['', 'k'.repeat(256)]) {
+      const res = await createPatient(key);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'INVALID_IDEMPOTENCY_KEY');
+    }
+  });
+
+  it('leaves the key unused when the request fails validation', async () => {
+    const invalid = await createPatient('fix-and-retry', { firstName: 'Only' });
+    assert.equal(invalid.status, 400);
+
+    const corrected = await createPatient('fix-and-retry', { firstName: 'Only', lastName: 'Once', dateOfBirth: '1975-01-01' });
+    assert.equal(corrected.status, 201);
+    assert.equal(corrected.headers.get('idempotent-replayed'), null);
+  });
+
+  it('keeps keys separate for bearer tokens without a subject', async () => {
+    const body = { firstName: 'No', lastName: 'Subject', dateOfBirth: '1974-04-04' };
+    const send = (claims) => request('POST', '/patients?force=true', {
+      body,
+      headers: { 'Idempotency-Key': 'anonymous-key', 'X-API-Key': '', Authorization: `Bearer ${jwt.sign(claims, process.env.JWT_SECRET)}` },
+    });
+    const first = await send({ scope: '*', jti: 'one' });
+    const other = await send({ scope: '*', jti: 'two' });
+    assert.equal(other.status, 201);
+    assert.equal(other.headers.get('idempotent-replayed'), null);
+    assert.notEqual(other.body.id, first.body.id);
+  });
+
+  it('releases keys left pending by a crash when the server starts again', async () => {
+    const body = { firstName: 'After', lastName: 'Crash', dateOfBirth: '1976-06-06' };
+    const now = new Date();
+    db.idempotencyKeys.create({
+      owner: 'apiKey:demo',
+      key: 'interrupted',
+      requestHash: crypto.createHash('sha256').update(JSON.stringify(['POST', '/patients', body])).digest('hex'),
+      method: 'POST',
+      path: '/patients',
+      status: 'pending',
+      statusCode: null,
+      headers: {},
+      body: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + 3600000).toISOString(),
+    });
+    idempotency({ ttlHours: 24 });
+
+    const retry = await createPatient('interrupted', body);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, csvLine } = require('../lib/csv');
+const { startApi, waitFor } = require('./helpers');
+
+const { request } = startApi();
+
+const csv = (...rows) => rows.map(csvLine).join('');
+
+const submit = (resourceType, body, { query = '', contentType = 'text/csv' } = {}) =>
+  request('POST', `/imports/${resourceType}${query}`, { body, contentType });
+
+// Resolves to an import job once it has finished.
+const finished = (id) => waitFor(async () => {
+  const { body } = await request('GET', `/imports/${id}`);
+  return !['queued', 'running'].includes(body.status) && body;
+});
+
+describe('CSV parsing', () => {
+  it('reads quoted fields, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('﻿name,note\r\n"Smith, Jo","said ""hi""\nthen left"\r\n\r\nLee,\r\n'), [
+      ['name', 'note'],
+      ['Smith, Jo', 'said "hi"\nthen left'],
+      ['Lee', ''],
+    ]);
+  });
+
+  it('quotes cells that need it when writing', () => {
+    assert.equal(csvLine(['a,b', 'say "x"', null, 3]), '"a,b","say ""x""",,3\r\n');
+  });
+});
+
+describe('imports', () => {
+  it('imports CSV rows with a column mapping and reports bad rows', async () => {
+    const res = await submit('patients', csv(
+      ['Given', 'Family', 'dateOfBirth', 'email'],
+      ['Ada', 'Lovelace', '1985-12-10', 'ada@example.com'],
+      ['Alan', 'Turing', 'not-a-date', ''],
+      ['Grace', 'Hopper'],
+    ), { query: `?mapping=${encodeURIComponent(JSON.stringify({ firstName: 'Given', lastName: 'Family' }))}` });
+    assert.equal(res.status, 202);
+    assert.equal(res.headers.get('location'), `/imports/${res.body.id}`);
+
+    const job = await finished(res.body.id);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual([job.total, job.succeeded, job.failed], [3, 1, 2]);
+
+    const { body: patients } = await request('GET', '/patients?name=lovelace');
+    assert.equal(patients.data.length, 1);
+    assert.equal(patients.data[0].email, 'ada@example.com');
+
+    const errors = await request('GET', `/imports/${job.id}/errors?format=ndjson`);
+    const lines = errors.text.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(l => [l.row, l.code]), [[2, 'VALIDATION_ERROR'], [3, 'INVALID_ROW']]);
+  });
+
+  it('checks every row without saving anything on a dry run', async () => {
+    const ndjson = `${JSON.stringify({ firstName: 'Dry', lastName: 'Run', dateOfBirth: '1990-01-01' })}\n`;
+    const res = await submit('patients', ndjson, { query: '?dryRun=true', contentType: 'application/x-ndjson' });
+    const job = await finished(res.body.id);
+    assert.deepEqual([job.status, job.succeeded], ['completed', 1]);
+
+    const { body } = await request('GET', '/patients?name=dry%20run');
+    assert.equal(body.data.length, 0);
+  });
+
+  it('refuses files that are not CSV or NDJSON', async () => {
+    const res = await request('POST', '/imports/patients', { body: { firstName: 'Json' } });
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, 'UNSUPPORTED_MEDIA_TYPE');
+  });
+
+  it('answers mappings that are not objects of column names with 400', async () => {
+    const file = csv(['firstName', 'lastName', 'dateOfBirth'], ['A', 'B', '1990-01-01']);
+    for (const mapping of ['null', 'false', '0', '[]', '{"firstName":1}', 'not json']) {
+      const res = await submit('patients', file, { query: `?mapping=${encodeURIComponent(mapping)}` });
+      assert.equal(res.status, 400, mapping);
+      assert.equal(res.body.code, 'VALIDATION_ERROR', mapping);
+    }
+  });
+
+  it('refuses mappings that name columns the file does not have', async () => {
+    const res = await submit('patients', csv(['firstName', 'lastName', 'dateOfBirth'], ['A', 'B', '1990-01-01']), {
+      query: `?mapping=${encodeURIComponent(JSON.stringify({ firstName: 'Given' }))}`,
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_MAPPING');
+  });
+});
+
+describe('exports', () => {
+  it('streams every record as NDJSON', async () => {
+    const res = await request('GET', '/exports/providers?format=ndjson');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/x-ndjson/);
+    const ids = res.text.trim().split('\n').map(line => JSON.parse(line).id);
+    assert.deepEqual(ids, ['prov1', 'prov2']);
+  });
+
+  it('writes CSV that can be imported again', async () => {
+    const exported = await request('GET', '/exports/patients?format=csv');
+    assert.equal(exported.status, 200);
+    const [header, ...rows] = parseCsv(exported.text);
+    assert.ok(header.includes('id') && header.includes('dateOfBirth'));
+    const before = rows.length;
+
+    // Everyone is already there, so every row is a possible duplicate unless forced.
+    const res = await submit('patients', exported.text, { query: '?force=true' });
+    const job = await finished(res.body.id);
+    assert.deepEqual([job.status, job.succeeded, job.failed], ['completed', before, 0]);
+
+    const { body } = await request('GET', '/patients?limit=100');
+    assert.equal(body.data.length, before * 2);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+// Mondays in 2027, when prov1 works 09:00-17:00 at loc1 (America/New_York, EST).
+const book = (fields) => request('POST', '/appointments', {
+  body: { patientId: 'pat1', providerId: 'prov1', type: 'Check-up', ...fields },
+});
+
+describe('lifecycle transitions', () => {
+  it('walks an appointment through to completion, recording each status', async () => {
+    const { body: appointment } = await book({ date: '2027-04-05T09:00:00' });
+
+    for (const [action, status] of [['confirm', 'confirmed'], ['check-in', 'checked-in'], ['complete', 'completed']]) {
+      const res = await request('POST', `/appointments/${appointment.id}/${action}`, { body: {} });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, status);
+    }
+
+    const { body } = await request('GET', `/appointments/${appointment.id}`);
+    assert.deepEqual(body.statusHistory.map(h => h.status), ['scheduled', 'confirmed', 'checked-in', 'completed']);
+  });
+
+  it('refuses transitions the lifecycle does not allow', async () => {
+    const { body: appointment } = await book({ date: '2027-04-12T09:00:00' });
+
+    const res = await request('POST', `/appointments/${appointment.id}/complete`, { body: {} });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+  });
+
+  it('treats cancelled appointments as final', async () => {
+    const { body: appointment } = await book({ date: '2027-04-19T09:00:00' });
+    await request('POST', `/appointments/${appointment.id}/cancel`, { body: { reason: 'Feeling better' } });
+
+    const res = await request('POST', `/appointments/${appointment.id}/confirm`, { body: {} });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+
+    const { body } = await request('GET', `/appointments/${appointment.id}`);
+    assert.equal(body.statusHistory.at(-1).reason, 'Feeling better');
+  });
+
+  it('marks a missed appointment as a no-show', async () => {
+    const { body: appointment } = await book({ date: '2027-04-26T09:00:00' });
+    const res = await request('POST', `/appointments/${appointment.id}/no-show`, { body: {} });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'no-show');
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const CHILD = '2017-04-02';
+const ADULT = '1985-03-20';
+
+const match = async (query) => {
+  const res = await request('GET', `/providers/match?from=2027-02-01&to=2027-02-05&${new URLSearchParams(query)}`);
+  assert.equal(res.status, 200);
+  return res.body;
+};
+
+const ids = (body) => body.data.map(m => m.provider.id);
+
+describe('provider matching', () => {
+  it('keeps pediatric providers to children', async () => {
+    assert.deepEqual(ids(await match({ dateOfBirth: ADULT })), ['prov1']);
+
+    const child = await match({ dateOfBirth: CHILD });
+    assert.equal(child.patientAge, 9);
+    assert.deepEqual(ids(child).sort(), ['prov1', 'prov2']);
+    assert.ok(child.data.find(m => m.provider.id === 'prov2').matched.includes('Sees patients aged 0–17 (patient is 9)'));
+  });
+
+  it('matches the provider\'s appointment types whatever the spelling of the type', async () => {
+    const body = await match({ dateOfBirth: CHILD, type: 'CHECK-UP' });
+    assert.deepEqual(ids(body).sort(), ['prov1', 'prov2']);
+    assert.ok(body.data.find(m => m.provider.id === 'prov2').matched.includes('Offers Check-up appointments'));
+
+    assert.deepEqual(ids(await match({ dateOfBirth: CHILD, type: 'consultation' })), ['prov1']);
+  });
+
+  it('ranks met preferences first and explains the ones missed', async () => {
+    const body = await match({ dateOfBirth: CHILD, language: 'fr-CA' });
+    assert.deepEqual(ids(body), ['prov2', 'prov1']);
+    assert.deepEqual(body.data.map(m => m.rank), [1, 2]);
+    assert.ok(body.data[0].matched.includes('Speaks fr'));
+    assert.deepEqual(body.data[1].unmet, ['Doesn\'t list fr-CA among their languages']);
+  });
+
+  it('lets providers closed to new patients keep seeing their own', async (t) => {
+    const close = (acceptingNewPatients) =>
+      request('PATCH', '/providers/prov1', { body: { acceptingNewPatients }, contentType: 'application/merge-patch+json' });
+    assert.equal((await close(false)).status, 200);
+    t.after(() => close(true));
+
+    const established = await match({ patientId: 'pat1' });
+    assert.deepEqual(ids(established), ['prov1']);
+    assert.ok(established.data[0].matched.includes('Already sees this patient'));
+    assert.deepEqual(ids(await match({ patientId: 'pat2' })), []);
+  });
+
+  it('leaves out providers outside the specialties a type needs, and refuses unknown types', async () => {
+    const therapist = await request('POST', '/providers', {
+      body: { firstName: 'Pat', lastName: 'Stretch', specialty: 'Physical Therapy', locationIds: ['loc1'], workingHours: { monday: [{ start: '09:00', end: '12:00' }] } },
+    });
+    assert.equal(therapist.status, 201);
+    assert.deepEqual(ids(await match({ dateOfBirth: ADULT, type: 'physical therapy' })), [therapist.body.id]);
+
+    const res = await request('GET', '/providers/match?type=Massage');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'UNKNOWN_APPOINTMENT_TYPE');
+  });
+});
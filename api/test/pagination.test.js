@@ -0,0 +1,64 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+// Follows `next` links from `path`, returning the pages' records in order.
+const allPages = async (path) => {
+  const pages = [];
+  for (let link = path; link; ) {
+    const res = await request('GET', link);
+    assert.equal(res.status, 200);
+    pages.push(res.body.data);
+    link = res.body.next;
+  }
+  return pages;
+};
+
+describe('list filtering, sorting and pagination', () => {
+  before(async () => {
+    for (const [firstName, dateOfBirth] of [['Ann', '1990-01-01'], ['Cal', '1980-01-01'], ['Bea', '1970-01-01'], ['Dee', '1960-01-01'], ['Eve', '1950-01-01']]) {
+      const res = await request('POST', '/patients', { body: { firstName, lastName: 'Pager', dateOfBirth } });
+      assert.equal(res.status, 201);
+    }
+  });
+
+  it('pages through a filtered list with next links that keep the filters', async () => {
+    const pages = await allPages('/patients?name=pager&sort=firstName&limit=2');
+    assert.deepEqual(pages.map(page => page.map(p => p.firstName)), [['Ann', 'Bea'], ['Cal', 'Dee'], ['Eve']]);
+  });
+
+  it('sorts descending with a leading minus', async () => {
+    const [page] = await allPages('/patients?name=pager&sort=-dateOfBirth&limit=5');
+    assert.deepEqual(page.map(p => p.firstName), ['Ann', 'Cal', 'Bea', 'Dee', 'Eve']);
+  });
+
+  it('keeps later pages stable when earlier records are removed', async () => {
+    const first = await request('GET', '/patients?name=pager&sort=firstName&limit=2');
+    const removed = first.body.data[0];
+    assert.equal((await request('DELETE', `/patients/${removed.id}`)).status, 204);
+
+    const second = await request('GET', first.body.next);
+    assert.deepEqual(second.body.data.map(p => p.firstName), ['Cal', 'Dee']);
+  });
+
+  it('filters appointments by provider and date range', async () => {
+    const { body } = await request('GET', '/appointments?providerId=prov1&from=2025-06-15&to=2025-06-15');
+    assert.ok(body.data.length > 0);
+    assert.ok(body.data.every(a => a.providerId === 'prov1' && a.date.startsWith('2025-06-15')));
+  });
+
+  it('expands referenced records on request', async () => {
+    const { body } = await request('GET', '/appointments?providerId=prov1&expand=patient,provider&limit=1');
+    assert.equal(body.data[0].patient.id, body.data[0].patientId);
+    assert.equal(body.data[0].provider.id, 'prov1');
+  });
+
+  it('refuses malformed limits, sorts and cursors', async () => {
+    for (const query of ['limit=0', 'limit=101', 'sort=email', 'cursor=not-a-cursor']) {
+      const res = await request('GET', `/patients?${query}`);
+      assert.equal(res.status, 400, query);
+    }
+  });
+});
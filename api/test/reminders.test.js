@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const db = require('../db');
+const { createOutbox } = require('../lib/outbox');
+
+const { request } = startApi();
+
+const book = async (fields) => {
+  const res = await request('POST', '/appointments', { body: { patientId: 'pat2', providerId: 'prov1', type: 'Check-up', ...fields } });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const remindersFor = async (appointmentId) =>
+  (await request('GET', `/notifications?kind=reminder&appointmentId=${appointmentId}&sort=dueAt&limit=100`)).body.data;
+
+const HOUR = 3600000;
+
+describe('reminder scheduling', () => {
+  it('queues a reminder per offset and channel, rendered in the location\'s timezone', async () => {
+    const appointment = await book({ date: '2027-02-01T10:00:00' });
+    const reminders = await remindersFor(appointment.id);
+
+    const start = Date.parse('2027-02-01T15:00:00Z');
+    assert.deepEqual(
+      reminders.map(r => [r.offset, r.channel, Date.parse(r.dueAt)]).sort(),
+      [
+        ['24h', 'email', start - 24 * HOUR], ['24h', 'sms', start - 24 * HOUR],
+        ['2h', 'email', start - 2 * HOUR], ['2h', 'sms', start - 2 * HOUR],
+        ['72h', 'email', start - 72 * HOUR], ['72h', 'sms', start - 72 * HOUR],
+      ]
+    );
+    assert.ok(reminders.every(r => r.status === 'pending'));
+
+    const email = reminders.find(r => r.channel === 'email');
+    assert.equal(email.to, 'bob@aol.com');
+    assert.equal(email.subject, 'Reminder: Check-up on Monday, February 1, 2027');
+    assert.match(email.body, /^Hi Bob,/);
+    assert.match(email.body, /at 10:00 AM EST\./);
+  });
+
+  it('rebuilds reminders when the appointment moves and cancels them when it is cancelled', async () => {
+    const appointment = await book({ date: '2027-02-02T10:00:00' });
+    const moved = await request('PATCH', `/appointments/${appointment.id}`, {
+      body: { date: '2027-02-03T11:00:00' },
+      contentType: 'application/merge-patch+json',
+    });
+    assert.equal(moved.status, 200);
+
+    let reminders = await remindersFor(appointment.id);
+    assert.equal(reminders.filter(r => r.status === 'cancelled' && r.cancelReason === 'appointment-updated').length, 6);
+    const pending = reminders.filter(r => r.status === 'pending');
+    assert.equal(pending.length, 6);
+    assert.ok(pending.every(r => r.body.includes('February 3, 2027')));
+
+    await request('POST', `/appointments/${appointment.id}/cancel`, { body: {} });
+    reminders = await remindersFor(appointment.id);
+    assert.ok(!reminders.some(r => r.status === 'pending'));
+    assert.equal(reminders.filter(r => r.cancelReason === 'appointment-cancelled').length, 6);
+  });
+
+  it('uses the appointment type\'s own template over the default', async () => {
+    const template = await request('POST', '/notifications/templates', {
+      body: { appointmentType: 'Follow-up', channel: 'sms', body: 'Follow-up with Dr. {{provider.lastName}} at {{appointment.time}}.' },
+    });
+    assert.equal(template.status, 201);
+
+    const appointment = await book({ type: 'Follow-up', patientId: 'pat1', date: '2027-02-04T13:00:00' });
+    const sms = (await remindersFor(appointment.id)).filter(r => r.channel === 'sms');
+    assert.ok(sms.length > 0);
+    assert.ok(sms.every(r => r.templateId === template.body.id && r.body === 'Follow-up with Dr. White at 1:00 PM EST.'));
+  });
+});
+
+describe('reminder templates', () => {
+  it('refuses unknown placeholders, subject-less email and a second template for the same slot', async () => {
+    const unknown = await request('POST', '/notifications/templates', { body: { channel: 'sms', appointmentType: 'Check-up', body: 'Hi {{patient.ssn}}' } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.message, /patient\.ssn/);
+
+    const noSubject = await request('POST', '/notifications/templates', { body: { channel: 'email', appointmentType: 'Check-up', body: 'Hi' } });
+    assert.equal(noSubject.status, 400);
+
+    const duplicate = await request('POST', '/notifications/templates', { body: { channel: 'sms', body: 'Hi' } });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'TEMPLATE_EXISTS');
+  });
+});
+
+describe('notification outbox', () => {
+  // An adapter that fails `failures` times before accepting messages.
+  const flakyAdapter = (failures) => {
+    const sent = [];
+    return {
+      sent,
+      name: 'flaky',
+      send: async (notification) => {
+        if (failures-- > 0) {
+          throw new Error('gateway unavailable');
+        }
+        sent.push(notification);
+        return { id: `msg-${sent.length}` };
+      },
+    };
+  };
+
+  it('retries failed sends with backoff and records every attempt', async () => {
+    const sms = flakyAdapter(1);
+    const outbox = createOutbox({ pollIntervalMs: 1000, maxAttempts: 3, retryBaseMs: 0, adapters: { sms } });
+    const queued = outbox.enqueue({ kind: 'test', channel: 'sms', to: '555-1', body: 'Hello' });
+
+    await outbox.sendDue();
+    assert.equal(db.notifications.get(queued.id).status, 'pending');
+    await outbox.sendDue();
+
+    const { body: sent } = await request('GET', `/notifications/${queued.id}`);
+    assert.equal(sent.status, 'sent');
+    assert.deepEqual(sent.attempts.map(a => [a.adapter, a.error || null, a.providerMessageId || null]), [
+      ['flaky', 'gateway unavailable', null],
+      ['flaky', null, 'msg-1'],
+    ]);
+    assert.equal(sms.sent.length, 1);
+  });
+
+  it('marks a notification failed after the last attempt, and fails channels without an adapter', async () => {
+    const outbox = createOutbox({ pollIntervalMs: 1000, maxAttempts: 2, retryBaseMs: 0, adapters: { sms: flakyAdapter(5) } });
+    const flaky = outbox.enqueue({ kind: 'test', channel: 'sms', to: '555-2', body: 'Hello' });
+    const unrouted = outbox.enqueue({ kind: 'test', channel: 'email', to: 'a@example.com', subject: 'Hi', body: 'Hello' });
+
+    await outbox.sendDue();
+    await outbox.sendDue();
+    assert.equal(db.notifications.get(flaky.id).status, 'failed');
+    assert.equal(db.notifications.get(flaky.id).attempts.length, 2);
+    assert.equal(db.notifications.get(unrouted.id).status, 'failed');
+    assert.match(db.notifications.get(unrouted.id).attempts[0].error, /No adapter/);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+// Posts a reply the way SMS gateways send webhooks: form-encoded From/To/Body/MessageSid.
+let sids = 0;
+const reply = (from, body, sid = `SM${++sids}`) =>
+  request('POST', '/messages/inbound', {
+    body: new URLSearchParams({ From: from, To: '+15550001111', Body: body, MessageSid: sid }).toString(),
+    contentType: 'application/x-www-form-urlencoded',
+  });
+
+const repliesTo = async (number) =>
+  (await request('GET', '/notifications?kind=reply&limit=100')).body.data.filter(n => n.to === number);
+
+const book = async (fields) => {
+  const res = await request('POST', '/appointments', { body: { providerId: 'prov1', type: 'Check-up', ...fields } });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+describe('inbound replies', () => {
+  let appointment;
+  before(async () => {
+    appointment = await book({ patientId: 'pat2', date: '2027-03-01T10:00:00' });
+  });
+
+  it('confirms the sender\'s next appointment, whatever the number\'s formatting', async () => {
+    const res = await reply('+1 (555) 333-4444', 'c thanks!');
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      [res.body.intent, res.body.outcome, res.body.patientId, res.body.appointmentId, res.body.needsReview],
+      ['confirm', 'confirmed', 'pat2', appointment.id, false]
+    );
+    assert.equal((await request('GET', `/appointments/${appointment.id}`)).body.status, 'confirmed');
+
+    const { body: autoReply } = await request('GET', `/notifications/${res.body.replyNotificationId}`);
+    assert.equal(autoReply.to, '+1 (555) 333-4444');
+    assert.match(autoReply.body, /^Thanks, your Check-up appointment on Monday, March 1, 2027 at 10:00 AM EST is confirmed\.$/);
+  });
+
+  it('applies a message the gateway sends again only once', async () => {
+    const first = await reply('555-333-4444', 'R', 'SM-retried');
+    const again = await reply('555-333-4444', 'R', 'SM-retried');
+    assert.equal(again.status, 200);
+    assert.equal(again.body.id, first.body.id);
+
+    const { body } = await request('GET', `/messages/inbound?appointmentId=${appointment.id}&limit=100`);
+    assert.equal(body.data.filter(m => m.outcome === 'reschedule-requested').length, 1);
+    assert.equal((await repliesTo('555-333-4444')).length, 1);
+  });
+
+  it('flags replies it can\'t apply for review, and clears them once resolved', async () => {
+    const unknown = await reply('555-000-0000', 'C');
+    assert.deepEqual([unknown.body.outcome, unknown.body.needsReview], ['unmatched', true]);
+    assert.equal(unknown.body.error, 'No patient has this contact number.');
+
+    const unclear = await reply('555-333-4444', 'maybe');
+    assert.deepEqual([unclear.body.outcome, unclear.body.needsReview], ['unrecognized', true]);
+
+    const { body: queue } = await request('GET', '/messages/inbound?needsReview=true&limit=100');
+    assert.ok([unknown.body.id, unclear.body.id].every(id => queue.data.some(m => m.id === id)));
+
+    const reviewed = await request('POST', `/messages/inbound/${unknown.body.id}/review`, { body: { note: 'Wrong number' } });
+    assert.equal(reviewed.status, 200);
+    assert.deepEqual([reviewed.body.needsReview, reviewed.body.reviewNote], [false, 'Wrong number']);
+  });
+
+  it('stops texting a patient who opts out', async () => {
+    const booked = await book({ patientId: 'pat1', date: '2027-03-02T10:00:00' });
+    const reminders = async (appointmentId) =>
+      (await request('GET', `/notifications?kind=reminder&appointmentId=${appointmentId}&limit=100`)).body.data;
+    assert.ok((await reminders(booked.id)).some(r => r.channel === 'sms' && r.status === 'pending'));
+
+    const res = await reply('555-555-555', 'STOP');
+    assert.deepEqual([res.body.outcome, res.body.replyNotificationId], ['opted-out', null]);
+    assert.equal((await request('GET', '/patients/pat1')).body.smsOptOut, true);
+
+    const sms = (await reminders(booked.id)).filter(r => r.channel === 'sms');
+    assert.ok(sms.every(r => r.status === 'cancelled' && r.cancelReason === 'opted-out'));
+
+    const later = await book({ patientId: 'pat1', date: '2027-03-03T10:00:00' });
+    assert.deepEqual([...new Set((await reminders(later.id)).map(r => r.channel))], ['email']);
+
+    const cleared = await request('PATCH', '/patients/pat1', { body: { smsOptOut: false }, contentType: 'application/merge-patch+json' });
+    assert.equal(cleared.status, 200);
+    const again = await book({ patientId: 'pat1', date: '2027-03-04T10:00:00' });
+    assert.ok((await reminders(again.id)).some(r => r.channel === 'sms'));
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RecurrenceError, parseRRule, expand } = require('../lib/recurrence');
+const { toUtcString } = require('../lib/timezones');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const expandUtc = (dtstart, rrule, options) => expand(new Date(dtstart), parseRRule(rrule), options).map(toUtcString);
+
+describe('RRULE expansion', () => {
+  it('repeats weekly for COUNT occurrences', () => {
+    assert.deepEqual(expandUtc('2027-01-04T15:00:00Z', 'FREQ=WEEKLY;COUNT=3'), [
+      '2027-01-04T15:00:00Z',
+      '2027-01-11T15:00:00Z',
+      '2027-01-18T15:00:00Z',
+    ]);
+  });
+
+  it('expands BYDAY within each week and honours INTERVAL', () => {
+    assert.deepEqual(expandUtc('2027-01-04T15:00:00Z', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=4'), [
+      '2027-01-04T15:00:00Z',
+      '2027-01-07T15:00:00Z',
+      '2027-01-18T15:00:00Z',
+      '2027-01-21T15:00:00Z',
+    ]);
+  });
+
+  it('stops at a date-only UNTIL, inclusive of that day', () => {
+    assert.deepEqual(expandUtc('2027-01-04T15:00:00Z', 'FREQ=DAILY;INTERVAL=3;UNTIL=20270110'), [
+      '2027-01-04T15:00:00Z',
+      '2027-01-07T15:00:00Z',
+      '2027-01-10T15:00:00Z',
+    ]);
+  });
+
+  it('skips months without the start day', () => {
+    assert.deepEqual(expandUtc('2027-01-31T15:00:00Z', 'FREQ=MONTHLY;COUNT=3'), [
+      '2027-01-31T15:00:00Z',
+      '2027-03-31T15:00:00Z',
+      '2027-05-31T15:00:00Z',
+    ]);
+  });
+
+  it('keeps the local time across a DST change', () => {
+    assert.deepEqual(expandUtc('2027-03-08T15:00:00Z', 'FREQ=WEEKLY;COUNT=2', { timeZone: 'America/New_York' }), [
+      '2027-03-08T15:00:00Z',
+      '2027-03-15T14:00:00Z',
+    ]);
+  });
+
+  it('rejects rules it cannot expand', () => {
+    for (const rrule of ['FREQ=YEARLY;COUNT=2', 'FREQ=WEEKLY', 'FREQ=WEEKLY;COUNT=2;UNTIL=20270101', 'FREQ=DAILY;BYDAY=MO;COUNT=2', 'FREQ=WEEKLY;COUNT=0']) {
+      assert.throws(() => parseRRule(rrule), RecurrenceError, rrule);
+    }
+    assert.throws(() => expand(new Date('2027-01-04T15:00:00Z'), parseRRule('FREQ=DAILY;COUNT=200')), RecurrenceError);
+  });
+
+  it('refuses huge intervals and series that run off the calendar', () => {
+    assert.throws(() => parseRRule('FREQ=MONTHLY;INTERVAL=100000000;COUNT=2'), RecurrenceError);
+    assert.deepEqual(expandUtc('2028-02-29T15:00:00Z', 'FREQ=MONTHLY;INTERVAL=12;COUNT=2'), ['2028-02-29T15:00:00Z', '2032-02-29T15:00:00Z']);
+    assert.throws(() => expand(new Date('9998-06-01T15:00:00Z'), parseRRule('FREQ=DAILY;INTERVAL=365;COUNT=3')), RecurrenceError);
+  });
+});
+
+describe('series edits', () => {
+  // A weekly series of Monday 10:00 (New York) check-ups for pat1 with prov1.
+  const createSeries = async (date, count = 3) => {
+    const res = await request('POST', '/appointments/series', {
+      body: { patientId: 'pat1', providerId: 'prov1', type: 'Check-up', date, rrule: `FREQ=WEEKLY;COUNT=${count}` },
+    });
+    assert.equal(res.status, 201);
+    return res.body.created;
+  };
+
+  it('books one appointment per occurrence', async () => {
+    const created = await createSeries('2027-01-04T10:00:00');
+    assert.deepEqual(created.map(a => a.date), ['2027-01-04T15:00:00Z', '2027-01-11T15:00:00Z', '2027-01-18T15:00:00Z']);
+    assert.equal(new Set(created.map(a => a.seriesId)).size, 1);
+  });
+
+  it('moves every occurrence by the anchor\'s shift', async () => {
+    const [first] = await createSeries('2027-02-01T10:00:00');
+    const res = await request('PUT', `/appointments/${first.id}?occurrences=all`, { body: { date: '2027-02-01T11:30:00' } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.failed, []);
+    assert.deepEqual(res.body.updated.map(a => a.localDate), ['2027-02-01T11:30:00', '2027-02-08T11:30:00', '2027-02-15T11:30:00']);
+  });
+
+  it('leaves the other occurrences on their dates when the anchor\'s date is unchanged', async () => {
+    const [first] = await createSeries('2027-04-05T10:00:00');
+    const res = await request('PUT', `/appointments/${first.id}?occurrences=all`, {
+      body: { date: first.date, duration: 45, allowDoubleBooking: true },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.failed, []);
+    assert.deepEqual(res.body.updated.map(a => [a.date, a.duration]), [
+      ['2027-04-05T14:00:00Z', 45],
+      ['2027-04-12T14:00:00Z', 45],
+      ['2027-04-19T14:00:00Z', 45],
+    ]);
+  });
+
+  it('changes only the chosen occurrence and those after it with occurrences=following', async () => {
+    const [, second] = await createSeries('2027-05-03T10:00:00');
+    const res = await request('PUT', `/appointments/${second.id}?occurrences=following`, { body: { duration: 45 } });
+    assert.equal(res.status, 200);
+
+    const { body } = await request('GET', `/appointments?seriesId=${second.seriesId}`);
+    assert.deepEqual(body.data.map(a => a.duration), [30, 45, 45]);
+  });
+
+  it('answers rules that cannot be expanded with 400', async () => {
+    const rules = [
+      ['2027-01-04T10:00:00', 'FREQ=MONTHLY;INTERVAL=100000000;COUNT=2'],
+      ['2027-01-04T10:00:00', 'FREQ=DAILY;INTERVAL=1000000000;COUNT=2'],
+      ['9998-06-07T10:00:00', 'FREQ=WEEKLY;INTERVAL=52;COUNT=3'],
+    ];
+    for (const [date, rrule] of rules) {
+      const res = await request('POST', '/appointments/series', {
+        body: { patientId: 'pat1', providerId: 'prov1', type: 'Check-up', date, rrule },
+      });
+      assert.equal(res.status, 400, rrule);
+      assert.equal(res.body.code, 'INVALID_RRULE', rrule);
+    }
+  });
+
+  it('cancels a whole series', async () => {
+    const [first] = await createSeries('2027-06-07T10:00:00');
+    const res = await request('POST', `/appointments/${first.id}/cancel?occurrences=all`, { body: {} });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.cancelled.map(a => a.status), ['cancelled', 'cancelled', 'cancelled']);
+  });
+});
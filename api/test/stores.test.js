@@ -0,0 +1,65 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('../db/memory');
+const { createSqliteStore } = require('../db/sqlite');
+const seed = require('../db/seed');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medipro-store-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const drivers = {
+  memory: () => createMemoryStore(seed),
+  sqlite: () => createSqliteStore(path.join(dir, `${Date.now()}-${Math.random()}.db`), seed),
+};
+
+// Both stores have to behave the same, so the same checks run against each.
+for (const [driver, createStore] of Object.entries(drivers)) {
+  describe(`${driver} store`, () => {
+    it('starts with the seed records at version 1', () => {
+      const store = createStore();
+      assert.equal(store.patients.count(), seed.patients.length);
+      assert.deepEqual(store.patients.get('pat1'), { ...seed.patients[0], version: 1 });
+    });
+
+    it('creates, updates and removes records', () => {
+      const store = createStore();
+      const created = store.patients.create({ firstName: 'Store', lastName: 'Test', dateOfBirth: '1990-01-01' });
+      assert.match(created.id, /^pat/);
+      assert.equal(created.version, 1);
+
+      const updated = store.patients.update(created.id, { ...created, firstName: 'Stored', version: 99 });
+      assert.equal(updated.firstName, 'Stored');
+      assert.equal(updated.version, 2);
+      assert.deepEqual(store.patients.get(created.id), updated);
+
+      assert.equal(store.patients.remove(created.id), true);
+      assert.equal(store.patients.get(created.id), null);
+      assert.equal(store.patients.remove(created.id), false);
+      assert.equal(store.patients.update(created.id, created), null);
+    });
+
+    it('hands out copies, so changing a returned record changes nothing stored', () => {
+      const store = createStore();
+      const patient = store.patients.get('pat1');
+      patient.firstName = 'Changed';
+      store.patients.list()[0].lastName = 'Changed';
+      assert.deepEqual(store.patients.get('pat1'), { ...seed.patients[0], version: 1 });
+    });
+  });
+}
+
+describe('sqlite persistence', () => {
+  it('keeps records across reopening the same file and seeds it only once', () => {
+    const file = path.join(dir, 'reopen.db');
+    const first = createSqliteStore(file, seed);
+    const created = first.providers.create({ firstName: 'Kept', lastName: 'Around' });
+    first.patients.remove('pat2');
+
+    const second = createSqliteStore(file, seed);
+    assert.deepEqual(second.providers.get(created.id), created);
+    assert.equal(second.patients.get('pat2'), null);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TimeZoneError, parseDateTime, fromWallClock, toUtcString } = require('../lib/timezones');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+const NEW_YORK = 'America/New_York';
+const wallClock = (text) => new Date(`${text}Z`);
+
+// In 2027 New York clocks jump from 02:00 to 03:00 on March 14 and fall back from 02:00 to
+// 01:00 on November 7.
+describe('DST-aware parsing', () => {
+  it('converts ordinary local times with the offset in force', () => {
+    assert.equal(toUtcString(parseDateTime('2027-01-11T10:00:00', NEW_YORK)), '2027-01-11T15:00:00Z');
+    assert.equal(toUtcString(parseDateTime('2027-07-12T10:00:00', NEW_YORK)), '2027-07-12T14:00:00Z');
+  });
+
+  it('takes explicit offsets as instants, whatever the timezone', () => {
+    assert.equal(toUtcString(parseDateTime('2027-03-14T02:30:00-05:00', NEW_YORK)), '2027-03-14T07:30:00Z');
+  });
+
+  it('rejects a skipped local time when strict', () => {
+    assert.throws(() => parseDateTime('2027-03-14T02:30:00', NEW_YORK), (err) =>
+      err instanceof TimeZoneError && err.code === 'NONEXISTENT_LOCAL_TIME');
+  });
+
+  it('rejects a repeated local time when strict, listing both readings', () => {
+    assert.throws(() => parseDateTime('2027-11-07T01:30:00', NEW_YORK), (err) => {
+      assert.equal(err.code, 'AMBIGUOUS_LOCAL_TIME');
+      assert.deepEqual(err.details.candidates, ['2027-11-07T01:30:00-04:00', '2027-11-07T01:30:00-05:00']);
+      return true;
+    });
+  });
+
+  it('moves a skipped time forward by the gap when lenient', () => {
+    const instant = fromWallClock(wallClock('2027-03-14T02:30:00'), NEW_YORK, { strict: false });
+    assert.equal(toUtcString(instant), '2027-03-14T07:30:00Z');
+  });
+
+  it('takes the first of repeated times when lenient', () => {
+    const instant = fromWallClock(wallClock('2027-11-07T01:30:00'), NEW_YORK, { strict: false });
+    assert.equal(toUtcString(instant), '2027-11-07T05:30:00Z');
+  });
+
+  it('rejects dates that do not exist on any calendar', () => {
+    assert.throws(() => parseDateTime('2027-02-30T10:00:00', NEW_YORK), (err) => err.code === 'INVALID_INPUT');
+  });
+});
+
+describe('booking across DST changes', () => {
+  it('answers a skipped local time with 400', async () => {
+    const res = await request('POST', '/appointments', {
+      body: { patientId: 'pat1', providerId: 'prov1', type: 'Check-up', date: '2027-03-14T02:30:00' },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'NONEXISTENT_LOCAL_TIME');
+  });
+
+  it('echoes the local time and offset at the location', async () => {
+    const res = await request('POST', '/appointments', {
+      body: { patientId: 'pat1', providerId: 'prov1', type: 'Check-up', date: '2027-03-15T10:00:00' },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.date, '2027-03-15T14:00:00Z');
+    assert.equal(res.body.localDate, '2027-03-15T10:00:00');
+    assert.equal(res.body.utcOffset, '-04:00');
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const validation = require('../middleware/validation');
+const { startApi } = require('./helpers');
+
+const { request } = startApi();
+
+describe('request validation', () => {
+  it('lists every field that does not match the spec', async () => {
+    const res = await request('POST', '/patients', { body: { firstName: 7, dateOfBirth: '1990-01-01', nickname: 'Al' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    const fields = res.body.errors.map(e => e.field).sort();
+    assert.deepEqual(fields, ['body.firstName', 'body.lastName', 'body.nickname']);
+  });
+
+  it('requires a JSON body where the spec does', async () => {
+    const res = await request('POST', '/patients');
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [{ field: 'body', message: 'a JSON request body is required' }]);
+  });
+
+  it('checks query parameters, coercing them to their documented types', async () => {
+    assert.equal((await request('GET', '/patients?limit=2')).status, 200);
+
+    const res = await request('GET', '/patients?limit=many');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, 'query.limit');
+  });
+
+  it('answers a path with malformed percent-encoding with 400', async () => {
+    const res = await request('GET', '/patients/%E0%A4%A');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.errors.map(e => e.field), ['path.id']);
+  });
+
+  it('leaves paths the spec does not describe to the router', async () => {
+    const res = await request('GET', '/no-such-thing');
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('the spec', () => {
+  it('is built from the route annotations whichever directory the server starts in', () => {
+    const count = (cwd) => execFileSync(process.execPath, [
+      '-e', `console.log(Object.keys(require(${JSON.stringify(path.join(__dirname, '../swagger'))}).swaggerSpec.paths).length)`,
+    ], { cwd, encoding: 'utf8' });
+    const fromApi = count(path.join(__dirname, '..'));
+    assert.ok(Number(fromApi) > 0);
+    assert.equal(count(os.tmpdir()), fromApi);
+  });
+});
+
+describe('response validation', () => {
+  const spec = {
+    openapi: '3.0.0',
+    paths: {
+      '/things/{id}': {
+        get: {
+          parameters: [{ in: 'path', name: 'id', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: {
+              content: {
+                'application/json': {
+                  schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  // Calls a handler that answers `body` through the middleware, returning the response.
+  const respondWith = (body) => new Promise((resolve, reject) => {
+    const app = express();
+    app.use(validation(spec, { validateResponses: true }));
+    app.get('/things/:id', (req, res) => res.json(body));
+    const server = app.listen(0, () => {
+      fetch(`http://127.0.0.1:${server.address().port}/things/1`)
+        .then(async res => ({ status: res.status, body: await res.json() }))
+        .then(resolve, reject)
+        .finally(() => server.close());
+    });
+  });
+
+  it('passes responses that match the spec', async () => {
+    assert.deepEqual(await respondWith({ id: '1' }), { status: 200, body: { id: '1' } });
+  });
+
+  it('turns responses that drift from the spec into a 500', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const res = await respondWith({ name: 'no id' });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'RESPONSE_VALIDATION_ERROR');
+    assert.deepEqual(res.body.errors.map(e => e.field), ['response.id']);
+  });
+});
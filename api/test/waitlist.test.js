@@ -0,0 +1,138 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+const db = require('../db');
+
+const { request } = startApi();
+
+const book = async (fields) => {
+  const res = await request('POST', '/appointments', { body: { providerId: 'prov1', type: 'Check-up', ...fields } });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const join = async (fields) => {
+  const res = await request('POST', '/waitlist', { body: { providerId: 'prov1', type: 'Check-up', ...fields } });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const offersFor = async (appointmentId) =>
+  (await request('GET', '/waitlist/offers?sort=createdAt&limit=100')).body.data.filter(o => o.sourceAppointmentId === appointmentId);
+
+const cancel = (id) => request('POST', `/appointments/${id}/cancel`, { body: {} });
+
+// Each test uses its own week of 2027 so entries from one can't take another's slots.
+describe('waitlist offers', () => {
+  let pat3;
+  let annex;
+  before(async () => {
+    pat3 = (await request('POST', '/patients', { body: { firstName: 'Wanda', lastName: 'Waits', dateOfBirth: '1988-08-08' } })).body;
+    annex = (await request('POST', '/locations', {
+      body: {
+        name: 'Annex',
+        timeZone: 'America/New_York',
+        address: { line1: '2 Side St', city: 'Springfield', state: 'NY', postalCode: '10001', country: 'US' },
+        rooms: [{ name: 'Annex 1' }],
+      },
+    })).body;
+    const res = await request('PATCH', '/providers/prov1', { body: { locationIds: ['loc1', annex.id] }, contentType: 'application/merge-patch+json' });
+    assert.equal(res.status, 200);
+  });
+
+  it('offers a cancelled slot to the waiting patient and books it where the slot was', async () => {
+    const cancelled = await book({ patientId: 'pat1', date: '2027-05-03T10:00:00', locationId: annex.id, room: 'Annex 1' });
+    const entry = await join({ patientId: 'pat2', from: '2027-05-03', to: '2027-05-07' });
+    await cancel(cancelled.id);
+
+    const [offer] = await offersFor(cancelled.id);
+    assert.equal(offer.patientId, 'pat2');
+    assert.equal(offer.status, 'pending');
+    assert.deepEqual([offer.locationId, offer.room], [annex.id, 'Annex 1']);
+    assert.equal((await request('GET', `/waitlist/${entry.id}`)).body.status, 'offered');
+
+    const accepted = await request('POST', `/waitlist/offers/${offer.id}/accept`);
+    assert.equal(accepted.status, 200);
+    const { body: appointment } = await request('GET', `/appointments/${accepted.body.appointmentId}`);
+    assert.deepEqual(
+      [appointment.patientId, appointment.date, appointment.locationId, appointment.room],
+      ['pat2', cancelled.date, annex.id, 'Annex 1']
+    );
+    assert.equal((await request('GET', `/waitlist/${entry.id}`)).body.status, 'booked');
+  });
+
+  it('passes a declined offer on to the next patient in line', async () => {
+    const cancelled = await book({ patientId: 'pat1', date: '2027-05-10T10:00:00' });
+    await join({ patientId: 'pat2', from: '2027-05-10', to: '2027-05-14' });
+    await join({ patientId: pat3.id, from: '2027-05-10', to: '2027-05-14' });
+    await cancel(cancelled.id);
+
+    const [first] = await offersFor(cancelled.id);
+    assert.equal(first.patientId, 'pat2');
+    assert.equal((await request('POST', `/waitlist/offers/${first.id}/decline`)).status, 200);
+
+    const offers = await offersFor(cancelled.id);
+    assert.deepEqual(offers.map(o => [o.patientId, o.status]), [['pat2', 'declined'], [pat3.id, 'pending']]);
+  });
+
+  it('puts entries for specific providers ahead of specialty-only ones', async () => {
+    const cancelled = await book({ patientId: 'pat1', date: '2027-05-17T10:00:00' });
+    await join({ patientId: pat3.id, providerId: undefined, specialty: 'general practice', from: '2027-05-17', to: '2027-05-21' });
+    await join({ patientId: 'pat2', from: '2027-05-17', to: '2027-05-21' });
+    await cancel(cancelled.id);
+
+    const [offer] = await offersFor(cancelled.id);
+    assert.equal(offer.patientId, 'pat2');
+  });
+
+  it('only offers slots of the entry\'s type, whatever its spelling', async () => {
+    const followUp = await book({ patientId: 'pat1', date: '2027-05-24T10:00:00', type: 'Follow-up' });
+    const checkUp = await book({ patientId: 'pat1', date: '2027-05-24T14:00:00' });
+    const entry = await join({ patientId: 'pat2', type: 'check-UP', from: '2027-05-24', to: '2027-05-28' });
+    assert.deepEqual([entry.type, entry.typeId], ['Check-up', 'typ1']);
+
+    await cancel(followUp.id);
+    assert.deepEqual(await offersFor(followUp.id), []);
+    await cancel(checkUp.id);
+    assert.equal((await offersFor(checkUp.id)).length, 1);
+  });
+
+  it('refuses entries for types not in the catalog', async () => {
+    const res = await request('POST', '/waitlist', {
+      body: { patientId: 'pat2', providerId: 'prov1', type: 'Massage', from: '2027-06-01', to: '2027-06-04' },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'UNKNOWN_APPOINTMENT_TYPE');
+  });
+
+  // Lets an offer lapse without waiting for it.
+  const expire = (offer) => db.waitlistOffers.update(offer.id, { ...offer, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  it('refuses an expired offer and passes the slot on', async () => {
+    const cancelled = await book({ patientId: 'pat1', date: '2027-06-07T10:00:00' });
+    await join({ patientId: 'pat2', from: '2027-06-07', to: '2027-06-11' });
+    await join({ patientId: pat3.id, from: '2027-06-07', to: '2027-06-11' });
+    await cancel(cancelled.id);
+
+    const [offer] = await offersFor(cancelled.id);
+    expire(offer);
+    const res = await request('POST', `/waitlist/offers/${offer.id}/accept`);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'OFFER_EXPIRED');
+
+    const offers = await offersFor(cancelled.id);
+    assert.deepEqual(offers.map(o => [o.patientId, o.status]), [['pat2', 'expired'], [pat3.id, 'pending']]);
+  });
+
+  it('leaves the waitlist even when the pending offer has lapsed', async () => {
+    const cancelled = await book({ patientId: 'pat1', date: '2027-06-14T10:00:00' });
+    const entry = await join({ patientId: 'pat2', from: '2027-06-14', to: '2027-06-18' });
+    await cancel(cancelled.id);
+
+    const [offer] = await offersFor(cancelled.id);
+    expire(offer);
+    assert.equal((await request('DELETE', `/waitlist/${entry.id}`)).status, 204);
+    assert.equal((await request('GET', `/waitlist/offers/${offer.id}`)).body.status, 'expired');
+    assert.equal((await request('GET', `/waitlist/${entry.id}`)).body.status, 'cancelled');
+  });
+});
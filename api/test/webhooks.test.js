@@ -0,0 +1,105 @@
+// Retries come quickly in the tests; config is read when the app loads.
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApi, waitFor } = require('./helpers');
+const { sign } = require('../lib/webhooks');
+
+const { request } = startApi();
+
+// A local endpoint that records what it receives and answers with `statuses` in turn (200
+// once they run out).
+const receiver = { requests: [], statuses: [] };
+let server;
+before(() => new Promise((resolve) => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() || 200).end();
+    });
+  });
+  server.listen(0, resolve);
+}));
+after(() => new Promise(resolve => server.close(resolve)));
+
+const subscribe = async (events, secret = 'a-test-secret-of-32-characters!!') => {
+  const res = await request('POST', '/webhooks', {
+    body: { url: `http://127.0.0.1:${server.address().port}/hook`, events, secret },
+  });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const deliveries = async (webhookId) => (await request('GET', `/webhooks/${webhookId}/deliveries`)).body.data;
+
+describe('webhooks', () => {
+  it('sends subscribed events, signed with the subscription secret', async () => {
+    const webhook = await subscribe(['patient.created']);
+    receiver.requests = [];
+
+    const { body: patient } = await request('POST', '/patients', { body: { firstName: 'Hook', lastName: 'Sent', dateOfBirth: '1990-01-01' } });
+    const [received] = await waitFor(() => receiver.requests.length > 0 && receiver.requests);
+
+    assert.equal(received.headers['x-relatient-event'], 'patient.created');
+    const event = JSON.parse(received.body);
+    assert.equal(event.type, 'patient.created');
+    assert.equal(event.data.id, patient.id);
+
+    const [, timestamp, signature] = received.headers['x-relatient-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert.equal(signature, sign(webhook.secret, timestamp, received.body));
+
+    const [delivery] = await waitFor(async () => {
+      const list = await deliveries(webhook.id);
+      return list.length > 0 && list[0].status === 'succeeded' && list;
+    });
+    assert.equal(delivery.attempts.length, 1);
+    await request('DELETE', `/webhooks/${webhook.id}`);
+  });
+
+  it('sends nothing for events the subscription did not ask for', async () => {
+    const webhook = await subscribe(['provider.deleted']);
+    await request('POST', '/patients', { body: { firstName: 'Not', lastName: 'Sent', dateOfBirth: '1990-01-01' } });
+    assert.deepEqual(await deliveries(webhook.id), []);
+    await request('DELETE', `/webhooks/${webhook.id}`);
+  });
+
+  it('retries failed deliveries until one succeeds', async () => {
+    const webhook = await subscribe(['patient.updated']);
+    receiver.statuses = [500, 503];
+    await request('PATCH', '/patients/pat2', { body: { email: 'bob@example.com' }, contentType: 'application/merge-patch+json' });
+
+    const [delivery] = await waitFor(async () => {
+      const list = await deliveries(webhook.id);
+      return list.length > 0 && list[0].status === 'succeeded' && list;
+    });
+    assert.deepEqual(delivery.attempts.map(a => a.statusCode), [500, 503, 200]);
+    await request('DELETE', `/webhooks/${webhook.id}`);
+  });
+
+  it('gives up after the last attempt, and can replay the delivery later', async () => {
+    const webhook = await subscribe(['patient.updated']);
+    receiver.statuses = [500, 500, 500];
+    await request('PATCH', '/patients/pat2', { body: { email: 'bob@example.org' }, contentType: 'application/merge-patch+json' });
+
+    const [failed] = await waitFor(async () => {
+      const list = await deliveries(webhook.id);
+      return list.length > 0 && list[0].status === 'failed' && list;
+    });
+    assert.equal(failed.attempts.length, 3);
+
+    const replay = await request('POST', `/webhooks/${webhook.id}/deliveries/${failed.id}/replay`);
+    assert.equal(replay.status, 202);
+    assert.equal(replay.body.replayOf, failed.id);
+    const replayed = await waitFor(async () => {
+      const delivery = (await request('GET', `/webhooks/${webhook.id}/deliveries/${replay.body.id}`)).body;
+      return delivery.status === 'succeeded' && delivery;
+    });
+    assert.deepEqual(replayed.payload, failed.payload);
+    await request('DELETE', `/webhooks/${webhook.id}`);
+  });
+});